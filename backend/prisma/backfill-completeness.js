@@ -0,0 +1,24 @@
+import "dotenv/config";
+import { refreshAllCompleteness } from "../src/services/profileCompleteness.service.js";
+import { disconnectDatabase } from "../src/config/database.js";
+
+/**
+ * One-off job: score tutor profiles created before completeness existed
+ * The columns default to 0/false, which would push every existing tutor
+ * behind new ones in search. Safe to run repeatedly; only changed scores
+ * are written.
+ * Run with: npm run prisma:backfill-completeness
+ */
+async function main() {
+  const { scanned, updated } = await refreshAllCompleteness();
+  console.log(
+    `✅ Profile completeness backfilled (${scanned} checked, ${updated} updated)`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDatabase);
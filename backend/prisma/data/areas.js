@@ -0,0 +1,324 @@
+/**
+ * Peshawar area gazetteer
+ *
+ * Coordinates are approximate neighbourhood centres (WGS84), good enough
+ * for "nearest tutor" ordering but not for addresses. Zones group areas
+ * for the frontend dropdown. Aliases cover common spellings so free-text
+ * locations ("hayatabad ph 3", "UT") resolve to an area.
+ */
+
+export const AREAS = [
+  // Hayatabad
+  {
+    slug: "hayatabad-phase-1",
+    name: "Hayatabad Phase 1",
+    zone: "Hayatabad",
+    latitude: 34.003,
+    longitude: 71.451,
+    aliases: ["hayatabad ph 1", "phase 1 hayatabad", "hayatabad phase i"],
+  },
+  {
+    slug: "hayatabad-phase-2",
+    name: "Hayatabad Phase 2",
+    zone: "Hayatabad",
+    latitude: 33.999,
+    longitude: 71.462,
+    aliases: ["hayatabad ph 2", "phase 2 hayatabad", "hayatabad phase ii"],
+  },
+  {
+    slug: "hayatabad-phase-3",
+    name: "Hayatabad Phase 3",
+    zone: "Hayatabad",
+    latitude: 33.992,
+    longitude: 71.456,
+    aliases: ["hayatabad ph 3", "phase 3 hayatabad", "hayatabad phase iii"],
+  },
+  {
+    slug: "hayatabad-phase-4",
+    name: "Hayatabad Phase 4",
+    zone: "Hayatabad",
+    latitude: 33.993,
+    longitude: 71.442,
+    aliases: ["hayatabad ph 4", "phase 4 hayatabad", "hayatabad phase iv"],
+  },
+  {
+    slug: "hayatabad-phase-5",
+    name: "Hayatabad Phase 5",
+    zone: "Hayatabad",
+    latitude: 33.984,
+    longitude: 71.448,
+    aliases: ["hayatabad ph 5", "phase 5 hayatabad", "hayatabad phase v"],
+  },
+  {
+    slug: "hayatabad-phase-6",
+    name: "Hayatabad Phase 6",
+    zone: "Hayatabad",
+    latitude: 33.978,
+    longitude: 71.435,
+    aliases: ["hayatabad ph 6", "phase 6 hayatabad", "hayatabad phase vi"],
+  },
+  {
+    slug: "hayatabad-phase-7",
+    name: "Hayatabad Phase 7",
+    zone: "Hayatabad",
+    latitude: 33.972,
+    longitude: 71.444,
+    aliases: ["hayatabad ph 7", "phase 7 hayatabad", "hayatabad phase vii"],
+  },
+  {
+    slug: "regi-lalma",
+    name: "Regi Lalma Town",
+    zone: "Hayatabad",
+    latitude: 34.02,
+    longitude: 71.43,
+    aliases: ["regi", "regi model town", "regi lalma"],
+  },
+
+  // University area
+  {
+    slug: "university-town",
+    name: "University Town",
+    zone: "University Area",
+    latitude: 34.0085,
+    longitude: 71.499,
+    aliases: ["ut", "uni town", "university town peshawar"],
+  },
+  {
+    slug: "university-campus",
+    name: "University Campus",
+    zone: "University Area",
+    latitude: 34.0015,
+    longitude: 71.485,
+    aliases: ["peshawar university", "uop", "campus"],
+  },
+  {
+    slug: "board-bazaar",
+    name: "Board Bazaar",
+    zone: "University Area",
+    latitude: 34.001,
+    longitude: 71.472,
+    aliases: ["board bazar", "board"],
+  },
+  {
+    slug: "tehkal",
+    name: "Tehkal",
+    zone: "University Area",
+    latitude: 34.014,
+    longitude: 71.508,
+    aliases: ["tehkal bala", "tehkal payan"],
+  },
+  {
+    slug: "academy-town",
+    name: "Academy Town",
+    zone: "University Area",
+    latitude: 34.025,
+    longitude: 71.492,
+    aliases: ["academy town peshawar"],
+  },
+  {
+    slug: "palosi",
+    name: "Palosi",
+    zone: "University Area",
+    latitude: 34.04,
+    longitude: 71.48,
+    aliases: ["palosai", "palosi road"],
+  },
+  {
+    slug: "arbab-road",
+    name: "Arbab Road",
+    zone: "University Area",
+    latitude: 34.017,
+    longitude: 71.497,
+    aliases: ["arbab rd"],
+  },
+
+  // Cantonment
+  {
+    slug: "saddar",
+    name: "Saddar",
+    zone: "Cantonment",
+    latitude: 34.0015,
+    longitude: 71.544,
+    aliases: ["saddar bazaar", "sadar", "saddar road"],
+  },
+  {
+    slug: "peshawar-cantt",
+    name: "Peshawar Cantt",
+    zone: "Cantonment",
+    latitude: 34.008,
+    longitude: 71.535,
+    aliases: ["cantt", "cantonment", "peshawar cantonment"],
+  },
+  {
+    slug: "defence-colony",
+    name: "Defence Colony",
+    zone: "Cantonment",
+    latitude: 34.017,
+    longitude: 71.528,
+    aliases: ["defense colony"],
+  },
+  {
+    slug: "shami-road",
+    name: "Shami Road",
+    zone: "Cantonment",
+    latitude: 34.0,
+    longitude: 71.533,
+    aliases: ["shami rd"],
+  },
+  {
+    slug: "afghan-colony",
+    name: "Afghan Colony",
+    zone: "Cantonment",
+    latitude: 34.022,
+    longitude: 71.531,
+    aliases: [],
+  },
+  {
+    slug: "tajabad",
+    name: "Tajabad",
+    zone: "Cantonment",
+    latitude: 34.013,
+    longitude: 71.521,
+    aliases: ["taj abad"],
+  },
+
+  // Old City
+  {
+    slug: "qissa-khwani",
+    name: "Qissa Khwani",
+    zone: "Old City",
+    latitude: 34.008,
+    longitude: 71.568,
+    aliases: ["qissa khwani bazaar", "qissa khawani", "andar shehr"],
+  },
+  {
+    slug: "hashtnagri",
+    name: "Hashtnagri",
+    zone: "Old City",
+    latitude: 34.012,
+    longitude: 71.561,
+    aliases: ["hasht nagri"],
+  },
+  {
+    slug: "gulbahar",
+    name: "Gulbahar",
+    zone: "Old City",
+    latitude: 34.019,
+    longitude: 71.571,
+    aliases: ["gul bahar", "gulbahar colony"],
+  },
+  {
+    slug: "ramdas",
+    name: "Ramdas",
+    zone: "Old City",
+    latitude: 34.01,
+    longitude: 71.58,
+    aliases: ["ramdas bazaar"],
+  },
+  {
+    slug: "yakatoot",
+    name: "Yakatoot",
+    zone: "Old City",
+    latitude: 34.018,
+    longitude: 71.586,
+    aliases: ["yaka toot"],
+  },
+  {
+    slug: "wazir-bagh",
+    name: "Wazir Bagh",
+    zone: "Old City",
+    latitude: 34.0,
+    longitude: 71.583,
+    aliases: ["wazirbagh"],
+  },
+  {
+    slug: "nishtarabad",
+    name: "Nishtarabad",
+    zone: "Old City",
+    latitude: 34.026,
+    longitude: 71.585,
+    aliases: ["nishtar abad"],
+  },
+  {
+    slug: "faqirabad",
+    name: "Faqirabad",
+    zone: "Old City",
+    latitude: 34.024,
+    longitude: 71.558,
+    aliases: ["faqir abad", "faqeerabad"],
+  },
+
+  // Ring Road and outskirts
+  {
+    slug: "warsak-road",
+    name: "Warsak Road",
+    zone: "Ring Road & Outskirts",
+    latitude: 34.043,
+    longitude: 71.52,
+    aliases: ["warsak rd"],
+  },
+  {
+    slug: "charsadda-road",
+    name: "Charsadda Road",
+    zone: "Ring Road & Outskirts",
+    latitude: 34.05,
+    longitude: 71.565,
+    aliases: ["charsadda rd"],
+  },
+  {
+    slug: "dalazak-road",
+    name: "Dalazak Road",
+    zone: "Ring Road & Outskirts",
+    latitude: 34.03,
+    longitude: 71.59,
+    aliases: ["dalazak rd"],
+  },
+  {
+    slug: "pajjagi-road",
+    name: "Pajjagi Road",
+    zone: "Ring Road & Outskirts",
+    latitude: 34.065,
+    longitude: 71.57,
+    aliases: ["pajagi road", "pajjagi"],
+  },
+  {
+    slug: "kohat-road",
+    name: "Kohat Road",
+    zone: "Ring Road & Outskirts",
+    latitude: 33.98,
+    longitude: 71.55,
+    aliases: ["kohat rd"],
+  },
+  {
+    slug: "pishtakhara",
+    name: "Pishtakhara",
+    zone: "Ring Road & Outskirts",
+    latitude: 33.99,
+    longitude: 71.52,
+    aliases: ["pishtakhara chowk"],
+  },
+  {
+    slug: "bhana-mari",
+    name: "Bhana Mari",
+    zone: "Ring Road & Outskirts",
+    latitude: 33.995,
+    longitude: 71.595,
+    aliases: ["bhanamari"],
+  },
+  {
+    slug: "chamkani",
+    name: "Chamkani",
+    zone: "Ring Road & Outskirts",
+    latitude: 33.999,
+    longitude: 71.626,
+    aliases: ["chamkani mor"],
+  },
+  {
+    slug: "dha-peshawar",
+    name: "DHA Peshawar",
+    zone: "Ring Road & Outskirts",
+    latitude: 33.955,
+    longitude: 71.47,
+    aliases: ["dha", "defence housing authority peshawar"],
+  },
+];
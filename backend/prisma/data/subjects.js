@@ -0,0 +1,116 @@
+/**
+ * Standard subject catalog for Pakistani curricula
+ *
+ * PRIMARY: Class 1-5, SECONDARY: Matric (Class 9-10, SSC),
+ * HIGHER_SECONDARY: FSc/FA/ICS/I.Com (HSSC), O_LEVEL/A_LEVEL: Cambridge,
+ * UNIVERSITY: common undergraduate courses.
+ * Aliases are matched case-insensitively by search ("Maths" -> Mathematics).
+ */
+
+// Aliases shared by every level a subject appears in
+const ALIASES = {
+  Mathematics: ["maths", "math", "riazi"],
+  "General Science": ["science"],
+  Islamiyat: ["islamic studies", "islamiat", "islamiyat studies"],
+  "Pakistan Studies": ["pak studies", "pak study", "mutala pakistan"],
+  "Computer Science": ["cs", "computer", "computing", "ict"],
+  "Nazra Quran": ["quran", "nazira quran", "tajweed"],
+  "English Language": ["english"],
+  "Additional Mathematics": ["add maths", "additional maths"],
+  "Further Mathematics": ["further maths"],
+  "Business Mathematics": ["business maths"],
+  Accounting: ["accounts"],
+  Programming: ["computer programming", "coding"],
+  "Social Studies": ["sst"],
+};
+
+const CATALOG = {
+  PRIMARY: [
+    "Mathematics",
+    "English",
+    "Urdu",
+    "General Science",
+    "Islamiyat",
+    "Social Studies",
+    "Nazra Quran",
+    "Pashto",
+    "Computer Science",
+  ],
+  SECONDARY: [
+    "Mathematics",
+    "Physics",
+    "Chemistry",
+    "Biology",
+    "Computer Science",
+    "English",
+    "Urdu",
+    "Islamiyat",
+    "Pakistan Studies",
+    "General Science",
+    "Pashto",
+  ],
+  HIGHER_SECONDARY: [
+    "Mathematics",
+    "Physics",
+    "Chemistry",
+    "Biology",
+    "Computer Science",
+    "English",
+    "Urdu",
+    "Islamiyat",
+    "Pakistan Studies",
+    "Statistics",
+    "Economics",
+    "Accounting",
+    "Business Mathematics",
+    "Civics",
+    "Psychology",
+  ],
+  O_LEVEL: [
+    "Mathematics",
+    "Additional Mathematics",
+    "Physics",
+    "Chemistry",
+    "Biology",
+    "English Language",
+    "Urdu",
+    "Islamiyat",
+    "Pakistan Studies",
+    "Computer Science",
+    "Economics",
+    "Accounting",
+    "Business Studies",
+    "Sociology",
+  ],
+  A_LEVEL: [
+    "Mathematics",
+    "Further Mathematics",
+    "Physics",
+    "Chemistry",
+    "Biology",
+    "Computer Science",
+    "Economics",
+    "Accounting",
+    "Business",
+    "Psychology",
+    "Sociology",
+    "English Literature",
+  ],
+  UNIVERSITY: [
+    "Calculus",
+    "Linear Algebra",
+    "Statistics",
+    "Programming",
+    "Data Structures",
+    "Physics",
+    "Chemistry",
+    "Economics",
+    "Accounting",
+    "Finance",
+    "Engineering Mathematics",
+  ],
+};
+
+export const SUBJECTS = Object.entries(CATALOG).flatMap(([level, names]) =>
+  names.map((name) => ({ name, level, aliases: ALIASES[name] || [] }))
+);
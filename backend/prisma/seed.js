@@ -0,0 +1,33 @@
+import "dotenv/config";
+import { SUBJECTS } from "./data/subjects.js";
+import { AREAS } from "./data/areas.js";
+import { upsertSubjects } from "../src/services/subject.service.js";
+import { upsertAreas } from "../src/services/area.service.js";
+import { refreshAllCompleteness } from "../src/services/profileCompleteness.service.js";
+import { disconnectDatabase } from "../src/config/database.js";
+
+/**
+ * Seed reference data
+ * Safe to run repeatedly: existing rows are updated, never duplicated
+ * Run with: npm run prisma:seed
+ */
+async function main() {
+  const { created, updated } = await upsertSubjects(SUBJECTS);
+  console.log(`✅ Subjects seeded (${created} created, ${updated} updated)`);
+
+  const areas = await upsertAreas(AREAS);
+  console.log(
+    `✅ Areas seeded (${areas.created} created, ${areas.updated} updated)`
+  );
+
+  // Backfill scores for profiles created before scoring existed
+  const scores = await refreshAllCompleteness();
+  console.log(`✅ Profile completeness refreshed (${scores.updated} updated)`);
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Seeding failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDatabase);
@@ -5,6 +5,12 @@ import morgan from "morgan";
 import compression from "compression";
 import cookieParser from "cookie-parser";
 import rateLimit from "express-rate-limit";
+import {
+  notFoundHandler,
+  errorHandler,
+} from "./middleware/error.middleware.js";
+import { RateLimitedError } from "./utils/errors.js";
+import { serveLocalUploads } from "./utils/storage.js";
 
 const app = express();
 
@@ -41,7 +47,12 @@ if (process.env.NODE_ENV === "production") {
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
+  handler: (req, res, next) =>
+    next(
+      new RateLimitedError(
+        "Too many requests from this IP, please try again later."
+      )
+    ),
 });
 
 app.use("/api/", limiter);
@@ -55,35 +66,39 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Public files of the local storage driver
+app.use("/uploads", serveLocalUploads());
+
 // API routes
 import authRoutes from "./routes/auth.routes.js";
+import adminRoutes from "./routes/admin.routes.js";
+import tutorRoutes from "./routes/tutor.routes.js";
+import subjectRoutes from "./routes/subject.routes.js";
+import uploadRoutes from "./routes/upload.routes.js";
+import areaRoutes from "./routes/area.routes.js";
+import favoriteRoutes from "./routes/favorite.routes.js";
+import savedSearchRoutes from "./routes/savedSearch.routes.js";
+import bookingRoutes from "./routes/booking.routes.js";
+import bookingSeriesRoutes from "./routes/bookingSeries.routes.js";
+import calendarRoutes from "./routes/calendar.routes.js";
 app.use("/api/auth", authRoutes);
-// app.use('/api/tutors', (await import('./routes/tutor.routes.js')).default);
-// app.use('/api/bookings', (await import('./routes/booking.routes.js')).default);
+app.use("/api/admin", adminRoutes);
+app.use("/api/tutors", tutorRoutes);
+app.use("/api/subjects", subjectRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/areas", areaRoutes);
+app.use("/api/favorites", favoriteRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/booking-series", bookingSeriesRoutes);
+app.use("/api/calendar", calendarRoutes);
 // app.use('/api/reviews', (await import('./routes/review.routes.js')).default);
 // app.use('/api/messages', (await import('./routes/message.routes.js')).default);
-// app.use('/api/admin', (await import('./routes/admin.routes.js')).default);
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Route not found",
-  });
-});
+app.use(notFoundHandler);
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("Error:", err);
-
-  const statusCode = err.statusCode || 500;
-  const message = err.message || "Internal Server Error";
-
-  res.status(statusCode).json({
-    success: false,
-    message,
-    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
-  });
-});
+app.use(errorHandler);
 
 export default app;
@@ -0,0 +1,80 @@
+import { NotFoundError, ServiceUnavailableError } from "../utils/errors.js";
+
+/**
+ * Social login provider configuration
+ *
+ * Google is configured as a standard OIDC provider (endpoints come from the
+ * issuer's discovery document), so pointing GOOGLE_ISSUER at a local mock
+ * OIDC server is enough to exercise the whole flow offline.
+ * Facebook is plain OAuth2 + Graph API; its URLs can be overridden the same way.
+ * Built on demand because env is loaded after modules are imported.
+ * @returns {object} Provider configs keyed by name
+ */
+const buildProviders = () => ({
+  google: {
+    type: "oidc",
+    issuer: process.env.GOOGLE_ISSUER || "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scopes: ["openid", "email", "profile"],
+  },
+  facebook: {
+    type: "oauth2",
+    authorizationUrl:
+      process.env.FACEBOOK_AUTH_URL ||
+      "https://www.facebook.com/v19.0/dialog/oauth",
+    tokenUrl:
+      process.env.FACEBOOK_TOKEN_URL ||
+      "https://graph.facebook.com/v19.0/oauth/access_token",
+    userInfoUrl:
+      process.env.FACEBOOK_USERINFO_URL ||
+      "https://graph.facebook.com/v19.0/me?fields=id,name,email",
+    clientId: process.env.FACEBOOK_CLIENT_ID,
+    clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
+    scopes: ["email", "public_profile"],
+    /**
+     * Map Graph API profile to common shape
+     * The Graph API does not say whether the email was confirmed, so it is
+     * never trusted to link to (or verify) an existing account
+     */
+    mapProfile: (profile) => ({
+      providerAccountId: String(profile.id),
+      email: profile.email?.toLowerCase() || null,
+      emailVerified: false,
+      name: profile.name || null,
+    }),
+  },
+});
+
+/**
+ * Get provider configuration
+ * @param {string} name - Provider name (google, facebook)
+ * @returns {object} Provider config with name and callback URL
+ * @throws {NotFoundError|ServiceUnavailableError} If provider is unknown or not configured
+ */
+export function getOAuthProvider(name) {
+  const provider = buildProviders()[name];
+
+  if (!provider) {
+    throw new NotFoundError(
+      `Unsupported login provider "${name}"`,
+      "OAUTH_PROVIDER_NOT_FOUND"
+    );
+  }
+
+  if (!provider.clientId || !provider.clientSecret) {
+    throw new ServiceUnavailableError(
+      `${name} login is not configured`,
+      "OAUTH_PROVIDER_NOT_CONFIGURED"
+    );
+  }
+
+  const apiUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    ...provider,
+    name,
+    redirectUri: `${apiUrl}/api/auth/oauth/${name}/callback`,
+  };
+}
@@ -0,0 +1,89 @@
+import { setUserActive } from "../services/admin.service.js";
+import { listLoginAttempts } from "../services/security.service.js";
+import { listOutbox, retryDeadEmail } from "../services/emailOutbox.service.js";
+
+/**
+ * Suspend user
+ * PATCH /api/admin/users/:id/suspend
+ * Requires ADMIN role
+ */
+export async function suspendUser(req, res) {
+  const user = await setUserActive(req.user.userId, req.params.id, false);
+
+  res.status(200).json({
+    success: true,
+    message: "User suspended",
+    data: { user },
+  });
+}
+
+/**
+ * Reactivate suspended user
+ * PATCH /api/admin/users/:id/reactivate
+ * Requires ADMIN role
+ */
+export async function reactivateUser(req, res) {
+  const user = await setUserActive(req.user.userId, req.params.id, true);
+
+  res.status(200).json({
+    success: true,
+    message: "User reactivated",
+    data: { user },
+  });
+}
+
+/**
+ * Query login attempts
+ * GET /api/admin/login-attempts
+ * Filters: userId, identifier, ip, outcome, from, to, page, limit
+ * Requires ADMIN role
+ */
+export async function getLoginAttempts(req, res) {
+  // Query already validated and converted by the route schema
+  const { userId, identifier, ip, outcome, from, to, page, limit } = req.query;
+
+  const result = await listLoginAttempts({
+    userId,
+    identifier,
+    ipAddress: ip,
+    outcome,
+    from,
+    to,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Query email outbox
+ * GET /api/admin/emails
+ * Filters: status, to, template, page, limit
+ * Requires ADMIN role
+ */
+export async function getEmailOutbox(req, res) {
+  const result = await listOutbox(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Re-queue a dead-lettered email
+ * POST /api/admin/emails/:id/retry
+ * Requires ADMIN role
+ */
+export async function retryEmail(req, res) {
+  await retryDeadEmail(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Email queued for retry",
+  });
+}
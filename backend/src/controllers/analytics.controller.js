@@ -0,0 +1,15 @@
+import { getTutorStats } from "../services/analytics.service.js";
+
+/**
+ * Get current tutor's views, impressions, favorites and booking requests
+ * GET /api/tutors/me/stats?from=2025-01-01&to=2025-01-31
+ * Requires TUTOR role
+ */
+export async function getMyStats(req, res) {
+  const stats = await getTutorStats(req.user.userId, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: stats,
+  });
+}
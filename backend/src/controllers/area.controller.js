@@ -0,0 +1,15 @@
+import { listGazetteer } from "../services/area.service.js";
+
+/**
+ * List Peshawar areas with coordinates and tutor counts
+ * GET /api/areas
+ * Optional filters: q (name or alias), zone
+ */
+export async function listAreas(req, res) {
+  const areas = await listGazetteer(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: { areas },
+  });
+}
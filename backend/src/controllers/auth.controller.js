@@ -5,54 +5,110 @@ import {
   verifyOTPCode,
   getUserById,
   resendOTP,
+  sendPhoneOTP,
+  verifyPhoneOTPCode,
+  requestPasswordReset,
+  resetPassword as resetUserPassword,
+  requestAccountUnlock,
+  unlockAccount as unlockUserAccount,
 } from "../services/auth.service.js";
+import { getSecurityOverview } from "../services/security.service.js";
+import { getOnboarding } from "../services/onboarding.service.js";
+import { getStudentReliability } from "../services/reliability.service.js";
+import {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} from "../services/session.service.js";
+import {
+  createAuthorizationRequest,
+  handleOAuthCallback,
+  completeSocialSignup,
+  listLinkedAccounts,
+  unlinkAccount,
+} from "../services/oauth.service.js";
 import { testEmailConfig, verifyEmailConfig } from "../utils/email.js";
+import {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ServiceUnavailableError,
+} from "../utils/errors.js";
+
+const ACCESS_COOKIE_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+const REFRESH_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const OAUTH_STATE_COOKIE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Set access and refresh token cookies
+ * Refresh cookie is scoped to /api/auth so it is only sent where it is needed
+ * @param {object} res - Express response
+ * @param {string} token - Access token
+ * @param {string} refreshToken - Refresh token
+ */
+function setAuthCookies(res, token, refreshToken) {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  };
+
+  res.cookie("token", token, { ...options, maxAge: ACCESS_COOKIE_MAX_AGE });
+  res.cookie("refreshToken", refreshToken, {
+    ...options,
+    path: "/api/auth",
+    maxAge: REFRESH_COOKIE_MAX_AGE,
+  });
+}
+
+/**
+ * Clear access and refresh token cookies
+ * @param {object} res - Express response
+ */
+function clearAuthCookies(res) {
+  res.clearCookie("token");
+  res.clearCookie("refreshToken", { path: "/api/auth" });
+}
+
+/**
+ * Extract client info for session tracking
+ * @param {object} req - Express request
+ * @returns {{userAgent?: string, ipAddress?: string}}
+ */
+function getClientMeta(req) {
+  return {
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+  };
+}
 
 /**
  * Register new user
  * POST /api/auth/register
  */
 export async function register(req, res) {
-  try {
-    const { email, phone, password, role } = req.body;
-
-    // Validation
-    if (!email || !password || !role) {
-      return res.status(400).json({
-        success: false,
-        message: "Email, password, and role are required",
-      });
-    }
+  const { email, phone, password, role, locale } = req.body;
 
-    // Validate role
-    if (!["TUTOR", "STUDENT"].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: "Role must be TUTOR or STUDENT",
-      });
-    }
-
-    // Register user
-    const user = await registerUser(email, phone, password, role);
+  // Register user (body already validated by the route schema)
+  const user = await registerUser(email, phone, password, role, locale);
 
-    // Send OTP (for email verification)
-    const otp = await sendOTP(email);
+  // Send OTP by email, or by SMS for phone-only registrations
+  const otp = user.email
+    ? await sendOTP(user.email)
+    : await sendPhoneOTP(user.phone);
 
-    res.status(201).json({
-      success: true,
-      message: "Registration successful. Please verify your email with OTP.",
-      data: {
-        user,
-        // In development, return OTP for testing
-        ...(process.env.NODE_ENV === "development" && { otp }),
-      },
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message || "Registration failed",
-    });
-  }
+  res.status(201).json({
+    success: true,
+    message: user.email
+      ? "Registration successful. Please verify your email with OTP."
+      : "Registration successful. Please verify your phone number with the OTP sent by SMS.",
+    data: {
+      user,
+      // In development, return OTP for testing
+      ...(process.env.NODE_ENV === "development" && { otp }),
+    },
+  });
 }
 
 /**
@@ -60,29 +116,19 @@ export async function register(req, res) {
  * POST /api/auth/verify-otp
  */
 export async function verifyOTP(req, res) {
-  try {
-    const { email, otp } = req.body;
-
-    if (!email || !otp) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and OTP are required",
-      });
-    }
+  const { email, phone, otp } = req.body;
 
-    const user = await verifyOTPCode(email, otp);
+  const user = email
+    ? await verifyOTPCode(email, otp)
+    : await verifyPhoneOTPCode(phone, otp);
 
-    res.status(200).json({
-      success: true,
-      message: "Email verified successfully",
-      data: { user },
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message || "OTP verification failed",
-    });
-  }
+  res.status(200).json({
+    success: true,
+    message: email
+      ? "Email verified successfully"
+      : "Phone number verified successfully",
+    data: { user },
+  });
 }
 
 /**
@@ -90,30 +136,16 @@ export async function verifyOTP(req, res) {
  * POST /api/auth/resend-otp
  */
 export async function resendOTPHandler(req, res) {
-  try {
-    const { email } = req.body;
+  const { email, phone } = req.body;
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Email is required",
-      });
-    }
-
-    const otp = await resendOTP(email);
+  const otp = email ? await resendOTP(email) : await sendPhoneOTP(phone);
 
-    res.status(200).json({
-      success: true,
-      message: "OTP sent successfully",
-      // In development, return OTP for testing
-      ...(process.env.NODE_ENV === "development" && { data: { otp } }),
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message || "Failed to resend OTP",
-    });
-  }
+  res.status(200).json({
+    success: true,
+    message: "OTP sent successfully",
+    // In development, return OTP for testing
+    ...(process.env.NODE_ENV === "development" && { data: { otp } }),
+  });
 }
 
 /**
@@ -121,134 +153,392 @@ export async function resendOTPHandler(req, res) {
  * POST /api/auth/login
  */
 export async function login(req, res) {
-  try {
-    const { email, password } = req.body;
+  const { email, phone, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and password are required",
-      });
-    }
+  const { user, onboarding, token, refreshToken } = await loginUser(
+    email || phone,
+    password,
+    getClientMeta(req)
+  );
 
-    const { user, token } = await loginUser(email, password);
+  // Set tokens in cookies (optional for non-browser clients)
+  setAuthCookies(res, token, refreshToken);
 
-    // Set token in cookie (optional)
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user,
+      onboarding,
+      token,
+      refreshToken,
+    },
+  });
+}
 
-    res.status(200).json({
-      success: true,
-      message: "Login successful",
-      data: {
-        user,
-        token,
-      },
-    });
+/**
+ * Rotate refresh token and issue new access token
+ * POST /api/auth/refresh
+ */
+export async function refresh(req, res) {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+  if (!refreshToken) {
+    throw new BadRequestError(
+      "Refresh token is required",
+      "REFRESH_TOKEN_REQUIRED"
+    );
+  }
+
+  let tokens;
+  try {
+    tokens = await rotateSession(refreshToken, getClientMeta(req));
   } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: error.message || "Login failed",
-    });
+    // Dead session - drop stale cookies so the client stops retrying
+    clearAuthCookies(res);
+    throw error;
   }
+
+  setAuthCookies(res, tokens.token, tokens.refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed",
+    data: {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    },
+  });
 }
 
 /**
- * Logout user
+ * Logout user (current session only)
  * POST /api/auth/logout
  */
 export async function logout(req, res) {
-  try {
-    res.clearCookie("token");
+  await revokeSession(req.user.sessionId, "LOGOUT", req.user.userId);
+  clearAuthCookies(res);
 
-    res.status(200).json({
-      success: true,
-      message: "Logout successful",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Logout failed",
-    });
+  res.status(200).json({
+    success: true,
+    message: "Logout successful",
+  });
+}
+
+/**
+ * Logout from all devices
+ * POST /api/auth/logout-all
+ */
+export async function logoutAll(req, res) {
+  const count = await revokeAllSessions(req.user.userId, "LOGOUT_ALL");
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out from all devices",
+    data: { revokedSessions: count },
+  });
+}
+
+/**
+ * List active sessions of current user
+ * GET /api/auth/sessions
+ */
+export async function getSessions(req, res) {
+  const sessions = await listActiveSessions(
+    req.user.userId,
+    req.user.sessionId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { sessions },
+  });
+}
+
+/**
+ * Revoke one of current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+export async function deleteSession(req, res) {
+  const revoked = await revokeSession(
+    req.params.id,
+    "REVOKED_BY_USER",
+    req.user.userId
+  );
+
+  if (!revoked) {
+    throw new NotFoundError("Session not found", "SESSION_NOT_FOUND");
+  }
+
+  if (req.params.id === req.user.sessionId) {
+    clearAuthCookies(res);
   }
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked",
+  });
 }
 
 /**
- * Get current user profile
+ * Get current user profile, with onboarding state
+ * (tutors also get their profile completeness, students their
+ * reliability record)
  * GET /api/auth/me
  * Requires authentication
  */
 export async function getMe(req, res) {
+  const userId = req.user.userId;
+
+  const user = await getUserById(userId);
+  const onboarding = await getOnboarding(user);
+  const reliability =
+    user.role === "STUDENT" ? await getStudentReliability(userId) : null;
+
+  res.status(200).json({
+    success: true,
+    data: { user, onboarding, reliability },
+  });
+}
+
+/**
+ * Request password reset code
+ * POST /api/auth/forgot-password
+ */
+export async function forgotPassword(req, res) {
+  const { email, phone } = req.body;
+
+  const otp = await requestPasswordReset(email || phone);
+
+  // Same response whether or not the account exists
+  res.status(200).json({
+    success: true,
+    message: "If an account exists, a password reset code has been sent.",
+    // In development, return OTP for testing
+    ...(process.env.NODE_ENV === "development" && otp && { data: { otp } }),
+  });
+}
+
+/**
+ * Reset password with code
+ * POST /api/auth/reset-password
+ */
+export async function resetPassword(req, res) {
+  const { email, phone, otp, newPassword } = req.body;
+
+  await resetUserPassword(email || phone, otp, newPassword);
+
+  // Existing sessions are revoked now, drop this device's cookies too
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successful. Please log in with your new password.",
+  });
+}
+
+/**
+ * Request unlock code for a locked account
+ * POST /api/auth/unlock-account/request
+ */
+export async function requestUnlock(req, res) {
+  const { email, phone } = req.body;
+
+  const otp = await requestAccountUnlock(email || phone);
+
+  // Same response whether or not the account exists or is locked
+  res.status(200).json({
+    success: true,
+    message: "If the account is locked, an unlock code has been sent.",
+    // In development, return OTP for testing
+    ...(process.env.NODE_ENV === "development" && otp && { data: { otp } }),
+  });
+}
+
+/**
+ * Unlock account with code
+ * POST /api/auth/unlock-account
+ */
+export async function unlockAccount(req, res) {
+  const { email, phone, otp } = req.body;
+
+  await unlockUserAccount(email || phone, otp);
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked. You can log in now.",
+  });
+}
+
+/**
+ * Get login security overview (lock state, recent login attempts)
+ * GET /api/auth/me/security
+ */
+export async function getMySecurity(req, res) {
+  const security = await getSecurityOverview(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { security },
+  });
+}
+
+/**
+ * Redirect to social login provider
+ * GET /api/auth/oauth/:provider
+ */
+export async function oauthStart(req, res) {
+  const { url, stateToken } = await createAuthorizationRequest(
+    req.params.provider
+  );
+
+  // Lax so the cookie survives the provider's top-level redirect back
+  res.cookie("oauthState", stateToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/api/auth/oauth",
+    maxAge: OAUTH_STATE_COOKIE_MAX_AGE,
+  });
+
+  res.redirect(url);
+}
+
+/**
+ * Social login provider callback
+ * GET /api/auth/oauth/:provider/callback
+ * Redirects back to the client: logged in, or to role selection for new users
+ */
+export async function oauthCallback(req, res) {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  const stateToken = req.cookies?.oauthState;
+
+  res.clearCookie("oauthState", { path: "/api/auth/oauth" });
+
   try {
-    const userId = req.user.userId;
+    if (req.query.error) {
+      throw new BadRequestError(
+        req.query.error_description || "Social login cancelled",
+        "OAUTH_CANCELLED"
+      );
+    }
 
-    const user = await getUserById(userId);
+    const result = await handleOAuthCallback(
+      req.params.provider,
+      { code: req.query.code, state: req.query.state, stateToken },
+      getClientMeta(req)
+    );
 
-    res.status(200).json({
-      success: true,
-      data: { user },
+    if (result.status === "role_required") {
+      const params = new URLSearchParams({ signupToken: result.signupToken });
+      return res.redirect(`${clientUrl}/auth/select-role?${params}`);
+    }
+
+    setAuthCookies(res, result.token, result.refreshToken);
+
+    const params = new URLSearchParams({
+      status: "success",
+      role: result.user.role,
+      redirect: result.onboarding.redirect,
     });
+    res.redirect(`${clientUrl}/auth/social/callback?${params}`);
   } catch (error) {
-    res.status(404).json({
-      success: false,
-      message: error.message || "User not found",
+    // Only expected errors carry a message that is safe to show
+    const isAppError = error instanceof AppError;
+    const params = new URLSearchParams({
+      status: "error",
+      code: isAppError ? error.code : "OAUTH_FAILED",
+      message: isAppError ? error.message : "Social login failed",
     });
+    res.redirect(`${clientUrl}/auth/social/callback?${params}`);
   }
 }
 
+/**
+ * Create account for new social login after role selection
+ * POST /api/auth/oauth/complete
+ */
+export async function oauthComplete(req, res) {
+  const { signupToken, role } = req.body;
+
+  const { user, onboarding, token, refreshToken } = await completeSocialSignup(
+    signupToken,
+    role,
+    getClientMeta(req)
+  );
+
+  setAuthCookies(res, token, refreshToken);
+
+  res.status(201).json({
+    success: true,
+    message: "Registration successful",
+    data: {
+      user,
+      onboarding,
+      token,
+      refreshToken,
+    },
+  });
+}
+
+/**
+ * List linked social accounts
+ * GET /api/auth/linked-accounts
+ */
+export async function getLinkedAccounts(req, res) {
+  const accounts = await listLinkedAccounts(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { accounts },
+  });
+}
+
+/**
+ * Unlink social account
+ * DELETE /api/auth/linked-accounts/:provider
+ */
+export async function deleteLinkedAccount(req, res) {
+  await unlinkAccount(req.user.userId, req.params.provider);
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlinked",
+  });
+}
+
 /**
  * Test email configuration
  * POST /api/auth/test-email
  * For testing email setup only
  */
 export async function testEmail(req, res) {
-  try {
-    const { email } = req.body;
+  const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Email address is required for testing",
-      });
-    }
+  // First verify email configuration
+  const isVerified = await verifyEmailConfig();
 
-    // First verify email configuration
-    const isVerified = await verifyEmailConfig();
+  if (!isVerified) {
+    throw new ServiceUnavailableError(
+      "Email configuration verification failed. Please check your .env file.",
+      "EMAIL_NOT_CONFIGURED"
+    );
+  }
 
-    if (!isVerified) {
-      return res.status(500).json({
-        success: false,
-        message:
-          "Email configuration verification failed. Please check your .env file.",
-      });
-    }
+  // Send test email
+  const result = await testEmailConfig(email);
 
-    // Send test email
-    const result = await testEmailConfig(email);
-
-    if (result.success) {
-      res.status(200).json({
-        success: true,
-        message: result.message,
-        data: {
-          messageId: result.messageId,
-          sentTo: email,
-        },
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to test email configuration",
-    });
+  if (!result.success) {
+    throw new ServiceUnavailableError(result.message, "EMAIL_SEND_FAILED");
   }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: {
+      messageId: result.messageId,
+      sentTo: email,
+    },
+  });
 }
@@ -0,0 +1,78 @@
+import {
+  getMyAvailability,
+  setWeeklyAvailability,
+  addAvailabilityException,
+  deleteAvailabilityException,
+  getBookableSlots,
+} from "../services/availability.service.js";
+
+/**
+ * Get current tutor's weekly availability and upcoming exceptions
+ * GET /api/tutors/me/availability
+ * Requires TUTOR role
+ */
+export async function getAvailability(req, res) {
+  const availability = await getMyAvailability(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: availability,
+  });
+}
+
+/**
+ * Replace weekly availability (overlapping ranges are merged)
+ * PUT /api/tutors/me/availability
+ * Requires TUTOR role
+ */
+export async function replaceWeeklyAvailability(req, res) {
+  const weekly = await setWeeklyAvailability(req.user.userId, req.body.slots);
+
+  res.status(200).json({
+    success: true,
+    message: "Availability updated",
+    data: { weekly },
+  });
+}
+
+/**
+ * Add a leave day, blocked range or extra range on a date
+ * POST /api/tutors/me/availability/exceptions
+ * Requires TUTOR role
+ */
+export async function createException(req, res) {
+  const exception = await addAvailabilityException(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Exception added",
+    data: { exception },
+  });
+}
+
+/**
+ * Remove an exception
+ * DELETE /api/tutors/me/availability/exceptions/:id
+ * Requires TUTOR role
+ */
+export async function removeException(req, res) {
+  await deleteAvailabilityException(req.user.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Exception removed",
+  });
+}
+
+/**
+ * Get bookable slots in Pakistan time
+ * GET /api/tutors/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD&duration=60
+ */
+export async function getSlots(req, res) {
+  const slots = await getBookableSlots(req.params.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: slots,
+  });
+}
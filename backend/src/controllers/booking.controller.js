@@ -0,0 +1,114 @@
+import { BookingStatus } from "@prisma/client";
+import {
+  createBooking as requestBooking,
+  listBookings,
+  getBooking,
+  changeBookingStatus,
+  getCancellationTerms,
+  reportNoShow,
+} from "../services/booking.service.js";
+
+/**
+ * Request a session with a tutor
+ * POST /api/bookings
+ * Requires STUDENT role
+ */
+export async function createBooking(req, res) {
+  const booking = await requestBooking(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Booking requested. The tutor will confirm shortly",
+    data: { booking },
+  });
+}
+
+/**
+ * List current user's bookings (all bookings for admins)
+ * GET /api/bookings?status=PENDING&from=2025-01-01&to=2025-01-31&page=1&limit=20
+ * Requires authentication
+ */
+export async function listMyBookings(req, res) {
+  const result = await listBookings(req.user, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Get booking details and status history
+ * GET /api/bookings/:id
+ * Requires authentication (participant or admin)
+ */
+export async function getBookingDetail(req, res) {
+  const booking = await getBooking(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { booking },
+  });
+}
+
+/**
+ * Accept, reject, complete or cancel a booking
+ * PATCH /api/bookings/:id
+ * Requires authentication (participant or admin)
+ */
+export async function updateBookingStatus(req, res) {
+  const booking = await changeBookingStatus(req.user, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: `Booking ${booking.status.toLowerCase()}`,
+    data: { booking },
+  });
+}
+
+/**
+ * Cancel a booking
+ * DELETE /api/bookings/:id
+ * Requires authentication (participant or admin)
+ */
+export async function cancelBooking(req, res) {
+  const booking = await changeBookingStatus(req.user, req.params.id, {
+    status: BookingStatus.CANCELLED,
+    note: req.body.reason,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Booking cancelled",
+    data: { booking },
+  });
+}
+
+/**
+ * Preview the cost of cancelling a booking now
+ * GET /api/bookings/:id/cancellation
+ * Requires authentication (participant or admin)
+ */
+export async function getBookingCancellation(req, res) {
+  const terms = await getCancellationTerms(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { terms },
+  });
+}
+
+/**
+ * Report that a participant missed a session
+ * POST /api/bookings/:id/no-show
+ * Requires authentication (participant or admin)
+ */
+export async function markNoShow(req, res) {
+  const booking = await reportNoShow(req.user, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "No-show recorded",
+    data: { booking },
+  });
+}
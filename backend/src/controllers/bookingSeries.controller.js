@@ -0,0 +1,146 @@
+import { BookingStatus } from "@prisma/client";
+import {
+  createSeries,
+  listSeries,
+  getSeries,
+  respondToSeries,
+  cancelSeries,
+  changeOccurrences,
+  rescheduleOccurrences,
+} from "../services/bookingSeries.service.js";
+
+/**
+ * Request a recurring series of sessions
+ * POST /api/booking-series
+ * Requires STUDENT role
+ */
+export async function createBookingSeries(req, res) {
+  const series = await createSeries(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: `${series.occurrences.length} sessions requested. The tutor will confirm shortly`,
+    data: { series },
+  });
+}
+
+/**
+ * List current user's booking series (all series for admins)
+ * GET /api/booking-series?page=1&limit=20
+ * Requires authentication
+ */
+export async function getMySeries(req, res) {
+  const result = await listSeries(req.user, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Get a series with all its sessions
+ * GET /api/booking-series/:id
+ * Requires authentication (participant or admin)
+ */
+export async function getSeriesDetail(req, res) {
+  const series = await getSeries(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { series },
+  });
+}
+
+/**
+ * Accept or reject all upcoming pending sessions of a series
+ * PATCH /api/booking-series/:id
+ * Requires TUTOR role
+ */
+export async function respondToBookingSeries(req, res) {
+  const series = await respondToSeries(req.user, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message:
+      req.body.status === BookingStatus.ACCEPTED
+        ? "Series accepted"
+        : "Series rejected",
+    data: { series },
+  });
+}
+
+/**
+ * Cancel all upcoming sessions of a series
+ * DELETE /api/booking-series/:id
+ * Requires authentication (participant or admin)
+ */
+export async function cancelBookingSeries(req, res) {
+  const series = await cancelSeries(req.user, req.params.id, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    message: "Series cancelled",
+    data: { series },
+  });
+}
+
+/**
+ * Skip one session, or it and every later one
+ * POST /api/booking-series/:id/occurrences/:bookingId/skip
+ * Requires STUDENT or TUTOR role
+ */
+export async function skipOccurrence(req, res) {
+  const series = await changeOccurrences(
+    req.user,
+    req.params.id,
+    req.params.bookingId,
+    { ...req.body, status: BookingStatus.SKIPPED }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions skipped",
+    data: { series },
+  });
+}
+
+/**
+ * Cancel one session, or it and every later one
+ * POST /api/booking-series/:id/occurrences/:bookingId/cancel
+ * Requires authentication (participant or admin)
+ */
+export async function cancelOccurrence(req, res) {
+  const series = await changeOccurrences(
+    req.user,
+    req.params.id,
+    req.params.bookingId,
+    { ...req.body, status: BookingStatus.CANCELLED }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions cancelled",
+    data: { series },
+  });
+}
+
+/**
+ * Move one session, or it and every later one
+ * POST /api/booking-series/:id/occurrences/:bookingId/reschedule
+ * Requires STUDENT or TUTOR role; students may only move unconfirmed sessions
+ */
+export async function rescheduleOccurrence(req, res) {
+  const series = await rescheduleOccurrences(
+    req.user,
+    req.params.id,
+    req.params.bookingId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions rescheduled",
+    data: { series },
+  });
+}
@@ -0,0 +1,68 @@
+import {
+  disableFeed,
+  getFeed,
+  getFeedStatus,
+  rotateFeedToken,
+} from "../services/calendar.service.js";
+
+/**
+ * iCalendar subscription feed of upcoming confirmed sessions
+ * GET /api/calendar/:token.ics
+ * Public; the secret token identifies the user
+ */
+export async function getCalendarFeed(req, res) {
+  const calendar = await getFeed(req.params.token);
+
+  res
+    .status(200)
+    .set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="sessions.ics"',
+      "Cache-Control": "private, max-age=300",
+    })
+    .send(calendar);
+}
+
+/**
+ * Whether the current user has a calendar feed
+ * GET /api/calendar/feed
+ * Requires authentication
+ */
+export async function getMyCalendarFeed(req, res) {
+  const feed = await getFeedStatus(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { feed },
+  });
+}
+
+/**
+ * Create the calendar feed, or rotate its secret URL
+ * POST /api/calendar/feed
+ * Requires authentication
+ */
+export async function createCalendarFeed(req, res) {
+  const feed = await rotateFeedToken(req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message:
+      "Calendar URL created. Copy it now; it will not be shown again. Any previous URL no longer works",
+    data: { feed },
+  });
+}
+
+/**
+ * Turn the calendar feed off
+ * DELETE /api/calendar/feed
+ * Requires authentication
+ */
+export async function deleteCalendarFeed(req, res) {
+  await disableFeed(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed disabled",
+  });
+}
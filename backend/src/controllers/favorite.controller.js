@@ -0,0 +1,53 @@
+import {
+  addFavorite,
+  removeFavorite,
+  listFavorites,
+} from "../services/favorite.service.js";
+
+/**
+ * Add tutor to favorites (adding twice is not an error)
+ * POST /api/favorites
+ * Requires STUDENT role
+ */
+export async function createFavorite(req, res) {
+  const { favorite, created } = await addFavorite(
+    req.user.userId,
+    req.body.tutorId
+  );
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created
+      ? "Tutor added to favorites"
+      : "Tutor already in favorites",
+    data: { favorite },
+  });
+}
+
+/**
+ * Remove tutor from favorites
+ * DELETE /api/favorites/:tutorId
+ * Requires STUDENT role
+ */
+export async function deleteFavorite(req, res) {
+  await removeFavorite(req.user.userId, req.params.tutorId);
+
+  res.status(200).json({
+    success: true,
+    message: "Tutor removed from favorites",
+  });
+}
+
+/**
+ * List favorite tutors
+ * GET /api/favorites?page=1&limit=20
+ * Requires STUDENT role
+ */
+export async function getFavorites(req, res) {
+  const result = await listFavorites(req.user.userId, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
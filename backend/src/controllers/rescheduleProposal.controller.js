@@ -0,0 +1,111 @@
+import {
+  listProposals,
+  proposeReschedule,
+  acceptProposal,
+  declineProposal,
+  counterProposal,
+  withdrawProposal,
+} from "../services/rescheduleProposal.service.js";
+
+/**
+ * List reschedule proposals of a booking
+ * GET /api/bookings/:id/reschedule
+ * Requires authentication (participant or admin)
+ */
+export async function getProposals(req, res) {
+  const proposals = await listProposals(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { proposals },
+  });
+}
+
+/**
+ * Propose new times for a booking
+ * POST /api/bookings/:id/reschedule
+ * Requires STUDENT or TUTOR role (participant)
+ */
+export async function createProposal(req, res) {
+  const proposal = await proposeReschedule(req.user, req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "New time proposed",
+    data: { proposal },
+  });
+}
+
+/**
+ * Accept a proposal and move the booking
+ * POST /api/bookings/:id/reschedule/:proposalId/accept
+ * Requires STUDENT or TUTOR role (the other participant)
+ */
+export async function acceptRescheduleProposal(req, res) {
+  const result = await acceptProposal(
+    req.user,
+    req.params.id,
+    req.params.proposalId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Booking rescheduled",
+    data: result,
+  });
+}
+
+/**
+ * Decline a proposal
+ * POST /api/bookings/:id/reschedule/:proposalId/decline
+ * Requires STUDENT or TUTOR role (the other participant)
+ */
+export async function declineRescheduleProposal(req, res) {
+  const proposal = await declineProposal(
+    req.user,
+    req.params.id,
+    req.params.proposalId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Proposal declined",
+    data: { proposal },
+  });
+}
+
+/**
+ * Answer a proposal with other times
+ * POST /api/bookings/:id/reschedule/:proposalId/counter
+ * Requires STUDENT or TUTOR role (the other participant)
+ */
+export async function counterRescheduleProposal(req, res) {
+  const proposal = await counterProposal(
+    req.user,
+    req.params.id,
+    req.params.proposalId,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Counter-proposal sent",
+    data: { proposal },
+  });
+}
+
+/**
+ * Withdraw own pending proposal
+ * DELETE /api/bookings/:id/reschedule/:proposalId
+ * Requires STUDENT or TUTOR role (the proposer)
+ */
+export async function withdrawRescheduleProposal(req, res) {
+  await withdrawProposal(req.user, req.params.id, req.params.proposalId);
+
+  res.status(200).json({
+    success: true,
+    message: "Proposal withdrawn",
+  });
+}
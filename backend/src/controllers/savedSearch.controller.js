@@ -0,0 +1,68 @@
+import {
+  createSavedSearch,
+  listSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from "../services/savedSearch.service.js";
+
+/**
+ * Save a tutor search (alerts on new matching verified tutors)
+ * POST /api/saved-searches
+ * Requires STUDENT role
+ */
+export async function saveSearch(req, res) {
+  const search = await createSavedSearch(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Search saved",
+    data: { search },
+  });
+}
+
+/**
+ * List saved searches
+ * GET /api/saved-searches
+ * Requires STUDENT role
+ */
+export async function getSavedSearches(req, res) {
+  const searches = await listSavedSearches(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { searches },
+  });
+}
+
+/**
+ * Rename, change filters or toggle alerts of a saved search
+ * PATCH /api/saved-searches/:id
+ * Requires STUDENT role
+ */
+export async function editSavedSearch(req, res) {
+  const search = await updateSavedSearch(
+    req.user.userId,
+    req.params.id,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Saved search updated",
+    data: { search },
+  });
+}
+
+/**
+ * Delete a saved search
+ * DELETE /api/saved-searches/:id
+ * Requires STUDENT role
+ */
+export async function removeSavedSearch(req, res) {
+  await deleteSavedSearch(req.user.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Saved search deleted",
+  });
+}
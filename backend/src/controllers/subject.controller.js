@@ -0,0 +1,80 @@
+import {
+  listSubjectsByLevel,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+  mergeSubjects,
+} from "../services/subject.service.js";
+
+/**
+ * List subjects grouped by level
+ * GET /api/subjects
+ * Optional filters: q (name or alias), level
+ */
+export async function listSubjects(req, res) {
+  const subjects = await listSubjectsByLevel(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: { subjects },
+  });
+}
+
+/**
+ * Create subject
+ * POST /api/admin/subjects
+ * Requires ADMIN role
+ */
+export async function addSubject(req, res) {
+  const subject = await createSubject(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Subject created",
+    data: { subject },
+  });
+}
+
+/**
+ * Rename subject, change level or aliases
+ * PATCH /api/admin/subjects/:id
+ * Requires ADMIN role
+ */
+export async function editSubject(req, res) {
+  const subject = await updateSubject(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Subject updated",
+    data: { subject },
+  });
+}
+
+/**
+ * Delete unused subject
+ * DELETE /api/admin/subjects/:id
+ * Requires ADMIN role
+ */
+export async function removeSubject(req, res) {
+  await deleteSubject(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Subject deleted",
+  });
+}
+
+/**
+ * Merge duplicate subject into another
+ * POST /api/admin/subjects/:id/merge
+ * Requires ADMIN role
+ */
+export async function mergeSubject(req, res) {
+  const result = await mergeSubjects(req.params.id, req.body.targetId);
+
+  res.status(200).json({
+    success: true,
+    message: "Subjects merged",
+    data: result,
+  });
+}
@@ -0,0 +1,126 @@
+import {
+  createTutorProfile,
+  updateTutorProfile,
+  getMyTutorProfile,
+  getPublicTutorProfile,
+} from "../services/tutor.service.js";
+import { searchTutors } from "../services/tutorSearch.service.js";
+import {
+  recordProfileView,
+  recordImpressions,
+} from "../services/analytics.service.js";
+
+/**
+ * Who is looking, for view/impression counting
+ * @param {object} req - Express request (req.user set if logged in)
+ * @returns {{userId?: string, role?: string, ipAddress: string, userAgent?: string}}
+ */
+function getViewer(req) {
+  return {
+    userId: req.user?.userId,
+    role: req.user?.role,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  };
+}
+
+/**
+ * Get current tutor's profile
+ * GET /api/tutors/me
+ * Requires TUTOR role
+ */
+export async function getMyProfile(req, res) {
+  const profile = await getMyTutorProfile(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { profile },
+  });
+}
+
+/**
+ * Create tutor profile
+ * POST /api/tutors/me
+ * Requires TUTOR role
+ */
+export async function createMyProfile(req, res) {
+  const profile = await createTutorProfile(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Profile created",
+    data: { profile },
+  });
+}
+
+/**
+ * Replace tutor profile (omitted fields are cleared)
+ * PUT /api/tutors/me
+ * Requires TUTOR role
+ */
+export async function replaceMyProfile(req, res) {
+  const profile = await updateTutorProfile(req.user.userId, req.body, {
+    replace: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Profile updated",
+    data: { profile },
+  });
+}
+
+/**
+ * Update some profile fields
+ * PATCH /api/tutors/me
+ * Requires TUTOR role
+ */
+export async function updateMyProfile(req, res) {
+  const profile = await updateTutorProfile(req.user.userId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Profile updated",
+    data: { profile },
+  });
+}
+
+/**
+ * Search tutors
+ * GET /api/tutors
+ * Filters: q, subjectId, level, location, areaId, priceType, minRate,
+ * maxRate, teachingMethod, gender, minRating, minExperience, verified,
+ * incomplete
+ * Distance: lat+lng or nearArea, radiusKm
+ * Sort: rating, price_asc, price_desc, experience, newest, distance;
+ * cursor pagination
+ */
+export async function listTutors(req, res) {
+  const result = await searchTutors(req.query);
+
+  // Not awaited: counting must not slow down the response
+  recordImpressions(
+    result.tutors.map((tutor) => tutor.id),
+    getViewer(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Get public tutor profile
+ * GET /api/tutors/:id
+ */
+export async function getTutor(req, res) {
+  const profile = await getPublicTutorProfile(req.params.id);
+
+  recordProfileView(profile.id, getViewer(req));
+
+  res.status(200).json({
+    success: true,
+    data: { profile },
+  });
+}
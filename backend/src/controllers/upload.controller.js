@@ -0,0 +1,100 @@
+import {
+  setProfilePhoto,
+  addGalleryImage,
+  addDocument,
+  listMyUploads,
+  readUploadFile,
+  deleteUpload,
+} from "../services/upload.service.js";
+
+/**
+ * Upload or replace profile photo
+ * POST /api/uploads/profile-photo (multipart field "photo")
+ * Requires TUTOR role
+ */
+export async function uploadProfilePhoto(req, res) {
+  const upload = await setProfilePhoto(req.user.userId, req.file);
+
+  res.status(201).json({
+    success: true,
+    message: "Profile photo updated",
+    data: { upload },
+  });
+}
+
+/**
+ * Add image to gallery
+ * POST /api/uploads/gallery (multipart field "image", optional "label")
+ * Requires TUTOR role
+ */
+export async function uploadGalleryImage(req, res) {
+  const upload = await addGalleryImage(req.user.userId, req.file, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Image added to gallery",
+    data: { upload },
+  });
+}
+
+/**
+ * Upload private qualification document (PDF or scan)
+ * POST /api/uploads/documents (multipart fields "document", "label")
+ * Requires TUTOR role
+ */
+export async function uploadDocument(req, res) {
+  const upload = await addDocument(req.user.userId, req.file, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Document uploaded",
+    data: { upload },
+  });
+}
+
+/**
+ * List current user's uploads
+ * GET /api/uploads/me?kind=GALLERY_IMAGE
+ * Requires authentication
+ */
+export async function listUploads(req, res) {
+  const uploads = await listMyUploads(req.user.userId, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: { uploads },
+  });
+}
+
+/**
+ * Download a file (private documents: owner or admin only)
+ * GET /api/uploads/:id/file
+ * Requires authentication
+ */
+export async function downloadUpload(req, res) {
+  const file = await readUploadFile(req.params.id, req.user);
+
+  res
+    .status(200)
+    .type(file.mimeType)
+    .set({
+      "Content-Disposition": `inline; filename="${file.fileName}"`,
+      "Cache-Control": "private, no-store",
+      "X-Content-Type-Options": "nosniff",
+    })
+    .send(file.buffer);
+}
+
+/**
+ * Delete one of current user's uploads
+ * DELETE /api/uploads/:id
+ * Requires authentication
+ */
+export async function removeUpload(req, res) {
+  await deleteUpload(req.user.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "File deleted",
+  });
+}
@@ -0,0 +1,83 @@
+import {
+  getMyVerification,
+  submitVerification,
+  listVerificationQueue,
+  getTutorVerification,
+  reviewVerification,
+} from "../services/verification.service.js";
+
+/**
+ * Get current tutor's verification status and history
+ * GET /api/tutors/me/verification
+ * Requires TUTOR role
+ */
+export async function getVerificationStatus(req, res) {
+  const verification = await getMyVerification(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: verification,
+  });
+}
+
+/**
+ * Submit uploaded documents for verification
+ * POST /api/tutors/me/verification
+ * Requires TUTOR role
+ */
+export async function submitMyVerification(req, res) {
+  const request = await submitVerification(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Verification request submitted for review",
+    data: { request },
+  });
+}
+
+/**
+ * List verification requests awaiting review
+ * GET /api/admin/verifications?status=PENDING
+ * Requires ADMIN role
+ */
+export async function getVerificationQueue(req, res) {
+  const result = await listVerificationQueue(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+}
+
+/**
+ * Get a tutor's verification requests, documents and history
+ * GET /api/admin/tutors/:id/verification
+ * Requires ADMIN role
+ */
+export async function getTutorVerificationDetail(req, res) {
+  const verification = await getTutorVerification(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: verification,
+  });
+}
+
+/**
+ * Approve, reject, request more info or revoke verification
+ * POST /api/admin/tutors/:id/verify
+ * Requires ADMIN role
+ */
+export async function reviewTutorVerification(req, res) {
+  const verification = await reviewVerification(
+    req.user.userId,
+    req.params.id,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Verification decision recorded",
+    data: verification,
+  });
+}
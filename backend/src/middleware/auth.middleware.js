@@ -1,46 +1,118 @@
 import { verifyToken } from "../utils/jwt.js";
+import { prisma } from "../config/database.js";
+import { isSessionActive } from "../services/session.service.js";
+import { getCachedUser, setCachedUser } from "../utils/userCache.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+/**
+ * Load current account state, served from a short-lived cache
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} { id, role, active, verified, phoneVerified } or null if deleted
+ */
+async function loadUserState(userId) {
+  const cached = getCachedUser(userId);
+  if (cached !== null) return cached;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      role: true,
+      active: true,
+      verified: true,
+      phoneVerified: true,
+    },
+  });
+
+  // Deleted accounts are not cached so a re-created ID is seen immediately
+  if (user) setCachedUser(userId, user);
+
+  return user;
+}
 
 /**
  * Middleware to verify JWT token
- * Extracts token from Authorization header or cookies
+ * Extracts token from Authorization header or cookies and re-checks that
+ * the account still exists, is active and verified, and has the token's role
+ * Failures are thrown and answered by the global error handler
  */
 export async function authenticate(req, res, next) {
-  try {
-    // Get token from Authorization header or cookie
-    let token =
-      req.headers.authorization?.replace("Bearer ", "") || req.cookies?.token;
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required",
-      });
-    }
+  // Get token from Authorization header or cookie
+  let token =
+    req.headers.authorization?.replace("Bearer ", "") || req.cookies?.token;
 
-    // Verify token
-    const decoded = verifyToken(token);
+  if (!token) {
+    throw new UnauthorizedError("Authentication required");
+  }
 
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired token",
-      });
-    }
+  // Verify token
+  const decoded = verifyToken(token);
 
-    // Attach user info to request
-    req.user = {
-      userId: decoded.userId,
-      role: decoded.role,
-    };
+  if (!decoded) {
+    throw new UnauthorizedError("Invalid or expired token", "INVALID_TOKEN");
+  }
 
-    next();
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: "Authentication failed",
-      error: error.message,
-    });
+  // Reject tokens whose session was revoked (logout, password reset, ...)
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new UnauthorizedError(
+      "Session expired. Please log in again",
+      "SESSION_EXPIRED"
+    );
+  }
+
+  // Re-check account state (suspension, deletion, role change)
+  const user = await loadUserState(decoded.userId);
+
+  if (!user) {
+    throw new UnauthorizedError("Account no longer exists", "USER_NOT_FOUND");
+  }
+
+  if (!user.active) {
+    throw new ForbiddenError("Account is suspended", "ACCOUNT_SUSPENDED");
+  }
+
+  // Either a verified email or a verified phone number is enough
+  if (!user.verified && !user.phoneVerified) {
+    throw new ForbiddenError(
+      "Please verify your account to continue",
+      "ACCOUNT_NOT_VERIFIED"
+    );
+  }
+
+  if (user.role !== decoded.role) {
+    throw new UnauthorizedError(
+      "Account role changed. Please log in again",
+      "ROLE_CHANGED"
+    );
+  }
+
+  // Attach user info to request
+  req.user = {
+    userId: user.id,
+    role: user.role,
+    sessionId: decoded.sid,
+  };
+
+  next();
+}
+
+/**
+ * Middleware that identifies the user when a valid token is sent but
+ * lets anonymous requests (and bad tokens) through without req.user
+ * Used on public routes that behave slightly differently when logged in
+ */
+export async function optionalAuthenticate(req, res, next) {
+  const hasToken = Boolean(req.headers.authorization || req.cookies?.token);
+
+  if (hasToken) {
+    try {
+      await authenticate(req, res, () => {});
+    } catch {
+      req.user = undefined;
+    }
   }
+
+  next();
 }
 
 /**
@@ -51,17 +123,11 @@ export async function authenticate(req, res, next) {
 export function authorize(...allowedRoles) {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required",
-      });
+      throw new UnauthorizedError("Authentication required");
     }
 
     if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. Insufficient permissions",
-      });
+      throw new ForbiddenError("Access denied. Insufficient permissions");
     }
 
     next();
@@ -0,0 +1,128 @@
+import { Prisma } from "@prisma/client";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ServiceUnavailableError,
+} from "../utils/errors.js";
+
+// Prisma errors that mean the database can't be reached right now
+const PRISMA_UNAVAILABLE_CODES = new Set(["P1001", "P1002", "P1008", "P1017"]);
+
+/**
+ * Translate known Prisma errors into application errors
+ * P2002 unique constraint -> 409, P2025 record not found -> 404,
+ * P2003 foreign key -> 409, connection problems -> 503
+ * @param {Error} err - Error thrown by Prisma Client
+ * @returns {AppError|null} Translated error or null if not recognised
+ */
+function translatePrismaError(err) {
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    if (err.code === "P2002") {
+      const fields = [].concat(err.meta?.target || []);
+      return new ConflictError(
+        fields.length > 0
+          ? `A record with this ${fields.join(", ")} already exists`
+          : "A record with these details already exists",
+        "DUPLICATE_RECORD",
+        fields.length > 0 ? { fields } : undefined
+      );
+    }
+
+    if (err.code === "P2025") {
+      return new NotFoundError("Record not found");
+    }
+
+    if (err.code === "P2003") {
+      return new ConflictError(
+        "Related record does not exist or is still in use",
+        "FOREIGN_KEY_CONSTRAINT"
+      );
+    }
+
+    if (PRISMA_UNAVAILABLE_CODES.has(err.code)) {
+      return new ServiceUnavailableError(
+        "Database temporarily unavailable",
+        "DATABASE_UNAVAILABLE"
+      );
+    }
+
+    return null;
+  }
+
+  if (err instanceof Prisma.PrismaClientInitializationError) {
+    return new ServiceUnavailableError(
+      "Database temporarily unavailable",
+      "DATABASE_UNAVAILABLE"
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Normalise any thrown value into an AppError
+ * Unknown errors become a generic 500 whose message is only exposed
+ * outside production
+ * @param {Error} err - Thrown error
+ * @returns {AppError} Error to respond with
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  const prismaError = translatePrismaError(err);
+  if (prismaError) return prismaError;
+
+  // body-parser: malformed JSON / oversized payloads
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError(
+      "Malformed JSON in request body",
+      "INVALID_JSON"
+    );
+  }
+
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body too large", 413, "PAYLOAD_TOO_LARGE");
+  }
+
+  return new AppError(
+    process.env.NODE_ENV === "production"
+      ? "Internal Server Error"
+      : err.message || "Internal Server Error"
+  );
+}
+
+/**
+ * 404 handler for unmatched routes
+ */
+export function notFoundHandler(req, res) {
+  res.status(404).json({
+    success: false,
+    code: "ROUTE_NOT_FOUND",
+    message: "Route not found",
+  });
+}
+
+/**
+ * Global error handler
+ * Response shape: { success: false, code, message, errors?, details? }
+ * Keeps four parameters so Express recognises it as an error handler
+ */
+export function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+
+  // Expected client errors are part of normal traffic, only log failures
+  if (error.statusCode >= 500) {
+    console.error("Error:", err);
+  }
+
+  res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.errors && { errors: error.errors }),
+    ...(error.details && { details: error.details }),
+    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
+  });
+}
@@ -0,0 +1,79 @@
+import multer from "multer";
+import { AppError, BadRequestError } from "../utils/errors.js";
+
+/**
+ * Middleware factory for single-file multipart uploads
+ * Files are kept in memory (they are small and re-encoded before storage).
+ * The declared MIME type is checked here to fail fast; the upload service
+ * checks the real type from the file's bytes.
+ * @param {string} field - Form field name
+ * @param {{maxBytes: number, types: string[]}} rule - Size limit and allowed MIME types
+ * @returns {Function} Middleware function
+ */
+export function uploadFile(field, { maxBytes, types }) {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 },
+    fileFilter: (req, file, callback) => {
+      if (types.includes(file.mimetype)) return callback(null, true);
+      callback(unsupportedType(types));
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) return next();
+      if (error instanceof AppError) return next(error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(
+          new AppError(
+            `File must not exceed ${formatSize(maxBytes)}`,
+            413,
+            "FILE_TOO_LARGE",
+            { maxBytes }
+          )
+        );
+      }
+
+      if (error.code === "LIMIT_UNEXPECTED_FILE") {
+        return next(
+          new BadRequestError(
+            `Send exactly one file in the "${field}" field`,
+            "UNEXPECTED_FILE_FIELD"
+          )
+        );
+      }
+
+      next(
+        new BadRequestError(
+          error.message || "Invalid multipart upload",
+          "INVALID_UPLOAD"
+        )
+      );
+    });
+  };
+}
+
+/**
+ * Error for files whose type is not accepted
+ * @param {string[]} types - Allowed MIME types
+ * @returns {AppError} 415 error
+ */
+function unsupportedType(types) {
+  return new AppError(
+    `Unsupported file type. Allowed: ${types.join(", ")}`,
+    415,
+    "UNSUPPORTED_FILE_TYPE",
+    { allowed: types }
+  );
+}
+
+/**
+ * Human-readable byte size ("5 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size
+ */
+function formatSize(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
@@ -0,0 +1,55 @@
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Middleware factory for schema-based request validation (Joi)
+ * Validated values replace the originals, so defaults, trimming and
+ * conversions (e.g. "2" -> 2, phone -> +923XXXXXXXXX) reach the controller
+ * @param {{body?: object, query?: object, params?: object}} schemas - Joi schemas per request part
+ * @returns {Function} Middleware function
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+
+      const { error, value } = schemas[part].validate(req[part] ?? {}, {
+        abortEarly: false,
+        stripUnknown: true,
+        errors: { wrap: { label: false } },
+      });
+
+      if (error) {
+        errors.push(
+          ...error.details.map((detail) => ({
+            field: detail.path.join(".") || part,
+            location: part,
+            message: detail.message,
+          }))
+        );
+      } else {
+        values[part] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError("Validation failed", errors));
+    }
+
+    if (values.body) req.body = values.body;
+    if (values.params) req.params = values.params;
+    // req.query is a getter in Express 5, so shadow it on the request
+    if (values.query) {
+      Object.defineProperty(req, "query", {
+        value: values.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,81 @@
+import express from "express";
+import {
+  suspendUser,
+  reactivateUser,
+  getLoginAttempts,
+  getEmailOutbox,
+  retryEmail,
+} from "../controllers/admin.controller.js";
+import {
+  addSubject,
+  editSubject,
+  removeSubject,
+  mergeSubject,
+} from "../controllers/subject.controller.js";
+import {
+  getVerificationQueue,
+  getTutorVerificationDetail,
+  reviewTutorVerification,
+} from "../controllers/verification.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/admin.validator.js";
+import * as subjectSchemas from "../validators/subject.validator.js";
+import * as verificationSchemas from "../validators/verification.validator.js";
+
+const router = express.Router();
+
+// All admin routes require an authenticated ADMIN
+router.use(authenticate, authorize("ADMIN"));
+
+// User management
+router.patch("/users/:id/suspend", validate(schemas.userId), suspendUser);
+router.patch("/users/:id/reactivate", validate(schemas.userId), reactivateUser);
+
+// Security
+router.get(
+  "/login-attempts",
+  validate(schemas.loginAttempts),
+  getLoginAttempts
+);
+
+// Email outbox (monitoring and dead-letter retries)
+router.get("/emails", validate(schemas.emailOutbox), getEmailOutbox);
+router.post("/emails/:id/retry", validate(schemas.emailId), retryEmail);
+
+// Subject catalog
+router.post("/subjects", validate(subjectSchemas.createSubject), addSubject);
+router.patch(
+  "/subjects/:id",
+  validate(subjectSchemas.updateSubject),
+  editSubject
+);
+router.delete(
+  "/subjects/:id",
+  validate(subjectSchemas.subjectId),
+  removeSubject
+);
+router.post(
+  "/subjects/:id/merge",
+  validate(subjectSchemas.mergeSubject),
+  mergeSubject
+);
+
+// Tutor verification review
+router.get(
+  "/verifications",
+  validate(verificationSchemas.queue),
+  getVerificationQueue
+);
+router.get(
+  "/tutors/:id/verification",
+  validate(verificationSchemas.tutorId),
+  getTutorVerificationDetail
+);
+router.post(
+  "/tutors/:id/verify",
+  validate(verificationSchemas.review),
+  reviewTutorVerification
+);
+
+export default router;
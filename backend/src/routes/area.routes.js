@@ -0,0 +1,11 @@
+import express from "express";
+import { listAreas } from "../controllers/area.controller.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/area.validator.js";
+
+const router = express.Router();
+
+// Public gazetteer for location dropdowns and maps
+router.get("/", validate(schemas.listAreas), listAreas);
+
+export default router;
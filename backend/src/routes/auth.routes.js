@@ -3,24 +3,78 @@ import {
   register,
   login,
   logout,
+  logoutAll,
+  refresh,
+  getSessions,
+  deleteSession,
   verifyOTP,
   resendOTPHandler,
   getMe,
+  forgotPassword,
+  resetPassword,
+  requestUnlock,
+  unlockAccount,
+  getMySecurity,
+  oauthStart,
+  oauthCallback,
+  oauthComplete,
+  getLinkedAccounts,
+  deleteLinkedAccount,
   testEmail,
 } from "../controllers/auth.controller.js";
 import { authenticate } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/auth.validator.js";
 
 const router = express.Router();
 
 // Public routes
-router.post("/register", register);
-router.post("/verify-otp", verifyOTP);
-router.post("/resend-otp", resendOTPHandler);
-router.post("/login", login);
-router.post("/test-email", testEmail); // Test email endpoint
+router.post("/register", validate(schemas.register), register);
+router.post("/verify-otp", validate(schemas.verifyOTP), verifyOTP);
+router.post("/resend-otp", validate(schemas.identifierOnly), resendOTPHandler);
+router.post("/login", validate(schemas.login), login);
+router.post("/refresh", validate(schemas.refresh), refresh);
+router.post(
+  "/forgot-password",
+  validate(schemas.identifierOnly),
+  forgotPassword
+);
+router.post("/reset-password", validate(schemas.resetPassword), resetPassword);
+router.post(
+  "/unlock-account/request",
+  validate(schemas.identifierOnly),
+  requestUnlock
+);
+router.post("/unlock-account", validate(schemas.unlockAccount), unlockAccount);
+router.post("/test-email", validate(schemas.testEmail), testEmail); // Test email endpoint
+
+// Social login (role is chosen before a new account is created)
+router.post("/oauth/complete", validate(schemas.oauthComplete), oauthComplete);
+router.get("/oauth/:provider", validate(schemas.oauthProvider), oauthStart);
+router.get(
+  "/oauth/:provider/callback",
+  validate(schemas.oauthProvider),
+  oauthCallback
+);
 
 // Protected routes (require authentication)
 router.post("/logout", authenticate, logout);
+router.post("/logout-all", authenticate, logoutAll);
+router.get("/sessions", authenticate, getSessions);
+router.delete(
+  "/sessions/:id",
+  authenticate,
+  validate(schemas.sessionId),
+  deleteSession
+);
+router.get("/linked-accounts", authenticate, getLinkedAccounts);
+router.delete(
+  "/linked-accounts/:provider",
+  authenticate,
+  validate(schemas.oauthProvider),
+  deleteLinkedAccount
+);
 router.get("/me", authenticate, getMe);
+router.get("/me/security", authenticate, getMySecurity);
 
 export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import {
+  createBooking,
+  listMyBookings,
+  getBookingDetail,
+  updateBookingStatus,
+  cancelBooking,
+  getBookingCancellation,
+  markNoShow,
+} from "../controllers/booking.controller.js";
+import {
+  getProposals,
+  createProposal,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
+  counterRescheduleProposal,
+  withdrawRescheduleProposal,
+} from "../controllers/rescheduleProposal.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/booking.validator.js";
+import * as rescheduleSchemas from "../validators/rescheduleProposal.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post("/", authorize("STUDENT"), validate(schemas.create), createBooking);
+router.get("/", validate(schemas.list), listMyBookings);
+router.get("/:id", validate(schemas.bookingId), getBookingDetail);
+router.patch("/:id", validate(schemas.updateStatus), updateBookingStatus);
+router.delete("/:id", validate(schemas.cancel), cancelBooking);
+router.get(
+  "/:id/cancellation",
+  validate(schemas.bookingId),
+  getBookingCancellation
+);
+router.post("/:id/no-show", validate(schemas.noShow), markNoShow);
+
+// Reschedule negotiation between student and tutor
+router.get(
+  "/:id/reschedule",
+  validate(rescheduleSchemas.bookingId),
+  getProposals
+);
+router.post(
+  "/:id/reschedule",
+  authorize("STUDENT", "TUTOR"),
+  validate(rescheduleSchemas.propose),
+  createProposal
+);
+router.post(
+  "/:id/reschedule/:proposalId/accept",
+  authorize("STUDENT", "TUTOR"),
+  validate(rescheduleSchemas.accept),
+  acceptRescheduleProposal
+);
+router.post(
+  "/:id/reschedule/:proposalId/decline",
+  authorize("STUDENT", "TUTOR"),
+  validate(rescheduleSchemas.decline),
+  declineRescheduleProposal
+);
+router.post(
+  "/:id/reschedule/:proposalId/counter",
+  authorize("STUDENT", "TUTOR"),
+  validate(rescheduleSchemas.counter),
+  counterRescheduleProposal
+);
+router.delete(
+  "/:id/reschedule/:proposalId",
+  authorize("STUDENT", "TUTOR"),
+  validate(rescheduleSchemas.proposalId),
+  withdrawRescheduleProposal
+);
+
+export default router;
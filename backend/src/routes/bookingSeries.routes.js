@@ -0,0 +1,54 @@
+import express from "express";
+import {
+  createBookingSeries,
+  getMySeries,
+  getSeriesDetail,
+  respondToBookingSeries,
+  cancelBookingSeries,
+  skipOccurrence,
+  cancelOccurrence,
+  rescheduleOccurrence,
+} from "../controllers/bookingSeries.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/bookingSeries.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post(
+  "/",
+  authorize("STUDENT"),
+  validate(schemas.create),
+  createBookingSeries
+);
+router.get("/", validate(schemas.list), getMySeries);
+router.get("/:id", validate(schemas.seriesId), getSeriesDetail);
+router.patch(
+  "/:id",
+  authorize("TUTOR"),
+  validate(schemas.respond),
+  respondToBookingSeries
+);
+router.delete("/:id", validate(schemas.cancel), cancelBookingSeries);
+
+router.post(
+  "/:id/occurrences/:bookingId/skip",
+  authorize("STUDENT", "TUTOR"),
+  validate(schemas.changeOccurrence),
+  skipOccurrence
+);
+router.post(
+  "/:id/occurrences/:bookingId/cancel",
+  validate(schemas.changeOccurrence),
+  cancelOccurrence
+);
+router.post(
+  "/:id/occurrences/:bookingId/reschedule",
+  authorize("STUDENT", "TUTOR"),
+  validate(schemas.rescheduleOccurrence),
+  rescheduleOccurrence
+);
+
+export default router;
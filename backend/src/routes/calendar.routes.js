@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed,
+  getMyCalendarFeed,
+} from "../controllers/calendar.controller.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/calendar.validator.js";
+
+const router = express.Router();
+
+// Managing the feed (logged in)
+router.get("/feed", authenticate, getMyCalendarFeed);
+router.post("/feed", authenticate, createCalendarFeed);
+router.delete("/feed", authenticate, deleteCalendarFeed);
+
+// Subscription URL polled by calendar apps (no login; the token is the secret)
+router.get("/:token.ics", validate(schemas.feed), getCalendarFeed);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  createFavorite,
+  deleteFavorite,
+  getFavorites,
+} from "../controllers/favorite.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/favorite.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate, authorize("STUDENT"));
+
+router.get("/", validate(schemas.listFavorites), getFavorites);
+router.post("/", validate(schemas.addFavorite), createFavorite);
+router.delete("/:tutorId", validate(schemas.removeFavorite), deleteFavorite);
+
+export default router;
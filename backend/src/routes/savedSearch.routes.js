@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  saveSearch,
+  getSavedSearches,
+  editSavedSearch,
+  removeSavedSearch,
+} from "../controllers/savedSearch.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/savedSearch.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate, authorize("STUDENT"));
+
+router.get("/", getSavedSearches);
+router.post("/", validate(schemas.createSavedSearch), saveSearch);
+router.patch("/:id", validate(schemas.updateSavedSearch), editSavedSearch);
+router.delete("/:id", validate(schemas.savedSearchId), removeSavedSearch);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { listSubjects } from "../controllers/subject.controller.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/subject.validator.js";
+
+const router = express.Router();
+
+// Public catalog (admin management lives under /api/admin/subjects)
+router.get("/", validate(schemas.listSubjects), listSubjects);
+
+export default router;
@@ -0,0 +1,117 @@
+import express from "express";
+import {
+  getMyProfile,
+  createMyProfile,
+  replaceMyProfile,
+  updateMyProfile,
+  getTutor,
+  listTutors,
+} from "../controllers/tutor.controller.js";
+import {
+  getAvailability,
+  replaceWeeklyAvailability,
+  createException,
+  removeException,
+  getSlots,
+} from "../controllers/availability.controller.js";
+import {
+  getVerificationStatus,
+  submitMyVerification,
+} from "../controllers/verification.controller.js";
+import { getMyStats } from "../controllers/analytics.controller.js";
+import {
+  authenticate,
+  authorize,
+  optionalAuthenticate,
+} from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import * as schemas from "../validators/tutor.validator.js";
+import * as availabilitySchemas from "../validators/availability.validator.js";
+import * as verificationSchemas from "../validators/verification.validator.js";
+import * as analyticsSchemas from "../validators/analytics.validator.js";
+
+const router = express.Router();
+
+// Own profile (registered before /:id so "me" is not taken as an ID)
+router.get("/me", authenticate, authorize("TUTOR"), getMyProfile);
+router.post(
+  "/me",
+  authenticate,
+  authorize("TUTOR"),
+  validate(schemas.saveProfile),
+  createMyProfile
+);
+router.put(
+  "/me",
+  authenticate,
+  authorize("TUTOR"),
+  validate(schemas.saveProfile),
+  replaceMyProfile
+);
+router.patch(
+  "/me",
+  authenticate,
+  authorize("TUTOR"),
+  validate(schemas.patchProfile),
+  updateMyProfile
+);
+
+// Own availability (Pakistan time)
+router.get(
+  "/me/availability",
+  authenticate,
+  authorize("TUTOR"),
+  getAvailability
+);
+router.put(
+  "/me/availability",
+  authenticate,
+  authorize("TUTOR"),
+  validate(availabilitySchemas.setWeekly),
+  replaceWeeklyAvailability
+);
+router.post(
+  "/me/availability/exceptions",
+  authenticate,
+  authorize("TUTOR"),
+  validate(availabilitySchemas.addException),
+  createException
+);
+router.delete(
+  "/me/availability/exceptions/:id",
+  authenticate,
+  authorize("TUTOR"),
+  validate(availabilitySchemas.exceptionId),
+  removeException
+);
+
+// Verification badge (documents reviewed by an admin)
+router.get(
+  "/me/verification",
+  authenticate,
+  authorize("TUTOR"),
+  getVerificationStatus
+);
+router.post(
+  "/me/verification",
+  authenticate,
+  authorize("TUTOR"),
+  validate(verificationSchemas.submit),
+  submitMyVerification
+);
+
+// Dashboard statistics
+router.get(
+  "/me/stats",
+  authenticate,
+  authorize("TUTOR"),
+  validate(analyticsSchemas.stats),
+  getMyStats
+);
+
+// Public routes (a logged-in viewer is recognised for analytics)
+router.get("/", optionalAuthenticate, validate(schemas.search), listTutors);
+router.get("/:id", optionalAuthenticate, validate(schemas.tutorId), getTutor);
+router.get("/:id/slots", validate(availabilitySchemas.slots), getSlots);
+
+export default router;
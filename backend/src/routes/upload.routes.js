@@ -0,0 +1,47 @@
+import express from "express";
+import { UploadKind } from "@prisma/client";
+import {
+  uploadProfilePhoto,
+  uploadGalleryImage,
+  uploadDocument,
+  listUploads,
+  downloadUpload,
+  removeUpload,
+} from "../controllers/upload.controller.js";
+import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { uploadFile } from "../middleware/upload.middleware.js";
+import { UPLOAD_RULES } from "../services/upload.service.js";
+import * as schemas from "../validators/upload.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Multipart parsing runs before validation so text fields are in req.body
+router.post(
+  "/profile-photo",
+  authorize("TUTOR"),
+  uploadFile("photo", UPLOAD_RULES[UploadKind.PROFILE_PHOTO]),
+  uploadProfilePhoto
+);
+router.post(
+  "/gallery",
+  authorize("TUTOR"),
+  uploadFile("image", UPLOAD_RULES[UploadKind.GALLERY_IMAGE]),
+  validate(schemas.galleryImage),
+  uploadGalleryImage
+);
+router.post(
+  "/documents",
+  authorize("TUTOR"),
+  uploadFile("document", UPLOAD_RULES[UploadKind.DOCUMENT]),
+  validate(schemas.document),
+  uploadDocument
+);
+
+router.get("/me", validate(schemas.listUploads), listUploads);
+router.get("/:id/file", validate(schemas.uploadId), downloadUpload);
+router.delete("/:id", validate(schemas.uploadId), removeUpload);
+
+export default router;
@@ -1,6 +1,24 @@
 import dotenv from "dotenv";
 import app from "./app.js";
 import { testConnection, disconnectDatabase } from "./config/database.js";
+import {
+  startOutboxWorker,
+  stopOutboxWorker,
+} from "./services/emailOutbox.service.js";
+import {
+  startAnalyticsWorker,
+  stopAnalyticsWorker,
+} from "./services/analytics.service.js";
+import {
+  startAlertWorker,
+  stopAlertWorker,
+} from "./services/searchAlert.service.js";
+import {
+  startProposalExpiryWorker,
+  stopProposalExpiryWorker,
+} from "./services/rescheduleProposal.service.js";
+import { closeTransporter } from "./utils/email.js";
+import { assertSMSConfigured } from "./utils/sms.js";
 
 dotenv.config();
 
@@ -21,9 +39,24 @@ async function connectDatabase() {
 // Start server
 async function startServer() {
   try {
+    // Refuse to start without a real SMS provider in production
+    assertSMSConfigured();
+
     // Connect to database
     await connectDatabase();
 
+    // Deliver queued emails (and retry failed ones) in the background
+    startOutboxWorker();
+
+    // Turn profile view/impression events into daily counters
+    startAnalyticsWorker();
+
+    // Saved-search and favorite-tutor alerts for students
+    startAlertWorker();
+
+    // Expire reschedule proposals nobody answered
+    startProposalExpiryWorker();
+
     // Start listening
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -39,12 +72,22 @@ async function startServer() {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("SIGTERM signal received: closing HTTP server");
+  stopOutboxWorker();
+  stopAnalyticsWorker();
+  stopAlertWorker();
+  stopProposalExpiryWorker();
+  closeTransporter();
   await disconnectDatabase();
   process.exit(0);
 });
 
 process.on("SIGINT", async () => {
   console.log("SIGINT signal received: closing HTTP server");
+  stopOutboxWorker();
+  stopAnalyticsWorker();
+  stopAlertWorker();
+  stopProposalExpiryWorker();
+  closeTransporter();
   await disconnectDatabase();
   process.exit(0);
 });
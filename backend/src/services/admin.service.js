@@ -0,0 +1,49 @@
+import { prisma } from "../config/database.js";
+import { evictCachedUser } from "../utils/userCache.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  phone: true,
+  role: true,
+  verified: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Suspend or reactivate a user account
+ * Evicts the user's cached state so the change applies on the next request
+ * @param {string} adminId - ID of admin performing the action
+ * @param {string} userId - Target user ID
+ * @param {boolean} active - New active state
+ * @returns {Promise<object>} Updated user
+ */
+export async function setUserActive(adminId, userId, active) {
+  if (adminId === userId) {
+    throw new ForbiddenError(
+      "You cannot change your own account status",
+      "CANNOT_MODIFY_SELF"
+    );
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+
+  const updatedUser = await prisma.user.update({
+    where: { id: userId },
+    data: { active },
+    select: USER_SELECT,
+  });
+
+  evictCachedUser(userId);
+
+  return updatedUser;
+}
@@ -0,0 +1,334 @@
+import { createHash } from "crypto";
+import { prisma } from "../config/database.js";
+import { Prisma, ProfileEventType } from "@prisma/client";
+import { NotFoundError } from "../utils/errors.js";
+import {
+  TIME_ZONE,
+  addDays,
+  dateOnly,
+  daysBetween,
+  toLocalDate,
+  toUtcDate,
+} from "../utils/time.js";
+
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+// Raw events are only needed until their day has been counted
+const EVENT_RETENTION_DAYS = 7;
+
+let workerTimer = null;
+let rollingUp = false;
+
+/**
+ * Stable per-viewer key used to count each viewer once per day
+ * Anonymous viewers are told apart by a hash of IP and user agent;
+ * the raw IP is never stored
+ * @param {{userId?: string, ipAddress?: string, userAgent?: string}} viewer - Request viewer
+ * @returns {string} Viewer key
+ */
+export function getViewerKey({ userId, ipAddress, userAgent }) {
+  if (userId) return `user:${userId}`;
+
+  const hash = createHash("sha256")
+    .update(`${ipAddress || ""}|${userAgent || ""}`)
+    .digest("hex")
+    .slice(0, 32);
+
+  return `anon:${hash}`;
+}
+
+/**
+ * Store one event per tutor, skipping repeats by the same viewer today
+ * A tutor looking at their own profile is not counted. Failures are
+ * logged, never thrown: analytics must not break browsing.
+ * @param {string[]} tutorIds - Tutor profile IDs
+ * @param {string} type - ProfileEventType value
+ * @param {{userId?: string, role?: string, ipAddress?: string, userAgent?: string}} viewer - Request viewer
+ * @returns {Promise<void>}
+ */
+async function recordEvents(tutorIds, type, viewer) {
+  try {
+    let ids = tutorIds;
+
+    if (viewer.role === "TUTOR") {
+      const own = await prisma.tutorProfile.findUnique({
+        where: { userId: viewer.userId },
+        select: { id: true },
+      });
+      if (own) ids = ids.filter((id) => id !== own.id);
+    }
+
+    if (ids.length === 0) return;
+
+    const viewerKey = getViewerKey(viewer);
+    const date = dateOnly(toLocalDate());
+
+    await prisma.profileEvent.createMany({
+      data: ids.map((tutorId) => ({ tutorId, type, viewerKey, date })),
+      skipDuplicates: true,
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record ${type} events:`, error.message);
+  }
+}
+
+/**
+ * Record a profile view
+ * @param {string} tutorId - Viewed tutor profile ID
+ * @param {object} viewer - Request viewer (see recordEvents)
+ * @returns {Promise<void>}
+ */
+export function recordProfileView(tutorId, viewer) {
+  return recordEvents([tutorId], ProfileEventType.VIEW, viewer);
+}
+
+/**
+ * Record search impressions (tutors shown on a results page)
+ * @param {string[]} tutorIds - Listed tutor profile IDs
+ * @param {object} viewer - Request viewer (see recordEvents)
+ * @returns {Promise<void>}
+ */
+export function recordImpressions(tutorIds, viewer) {
+  return recordEvents(tutorIds, ProfileEventType.IMPRESSION, viewer);
+}
+
+/**
+ * Count events into daily counters, then prune counted events
+ * Counters are recomputed from the events, so runs are idempotent.
+ * Days older than the retention window have no events left and keep
+ * their final counts.
+ * @returns {Promise<{counters: number, pruned: number}>} Run summary
+ */
+export async function rollupDailyStats() {
+  const summary = { counters: 0, pruned: 0 };
+
+  if (rollingUp) return summary;
+  rollingUp = true;
+
+  try {
+    const groups = await prisma.profileEvent.groupBy({
+      by: ["tutorId", "date", "type"],
+      _count: { _all: true },
+    });
+
+    const counters = new Map();
+
+    for (const group of groups) {
+      const key = `${group.tutorId}|${group.date.toISOString()}`;
+      const counter = counters.get(key) || {
+        tutorId: group.tutorId,
+        date: group.date,
+        views: 0,
+        impressions: 0,
+      };
+
+      if (group.type === ProfileEventType.VIEW) {
+        counter.views = group._count._all;
+      } else {
+        counter.impressions = group._count._all;
+      }
+
+      counters.set(key, counter);
+    }
+
+    for (const { tutorId, date, views, impressions } of counters.values()) {
+      await prisma.tutorDailyStat.upsert({
+        where: { tutorId_date: { tutorId, date } },
+        create: { tutorId, date, views, impressions },
+        update: { views, impressions },
+      });
+      summary.counters += 1;
+    }
+
+    const { count } = await prisma.profileEvent.deleteMany({
+      where: {
+        date: { lt: dateOnly(addDays(toLocalDate(), -EVENT_RETENTION_DAYS)) },
+      },
+    });
+    summary.pruned = count;
+  } finally {
+    rollingUp = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Run one rollup, logging instead of throwing (worker tick)
+ */
+async function runRollup() {
+  try {
+    await rollupDailyStats();
+  } catch (error) {
+    console.error("❌ Analytics rollup failed:", error.message);
+  }
+}
+
+/**
+ * Start rolling up analytics in the background
+ * Interval from ANALYTICS_ROLLUP_INTERVAL_MS (default 10 minutes)
+ */
+export function startAnalyticsWorker() {
+  if (workerTimer) return;
+
+  const intervalMs =
+    parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS;
+
+  workerTimer = setInterval(runRollup, intervalMs);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+}
+
+/**
+ * Stop the analytics worker (graceful shutdown)
+ */
+export function stopAnalyticsWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Count a tutor's rows per local (Pakistan) date, in the database
+ * Prisma cannot group by an expression, so the day is computed in SQL;
+ * created_at holds UTC without a zone.
+ * @param {string} table - Table with tutor_id and created_at columns
+ * @param {string} tutorId - Tutor profile ID
+ * @param {{gte: Date, lt: Date}} range - created_at bounds
+ * @returns {Promise<Map<string, number>>} Count keyed by "YYYY-MM-DD"
+ */
+async function countByDay(table, tutorId, { gte, lt }) {
+  const rows = await prisma.$queryRaw`
+    SELECT ((created_at AT TIME ZONE 'UTC') AT TIME ZONE ${TIME_ZONE})::date AS day,
+           COUNT(*)::int AS count
+    FROM ${Prisma.raw(`"${table}"`)}
+    WHERE tutor_id = ${tutorId}
+      AND created_at >= (${gte}::timestamptz AT TIME ZONE 'UTC')
+      AND created_at < (${lt}::timestamptz AT TIME ZONE 'UTC')
+    GROUP BY day`;
+
+  return new Map(
+    rows.map((row) => [row.day.toISOString().slice(0, 10), row.count])
+  );
+}
+
+/**
+ * Ratio rounded for display, null when there is nothing to divide by
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null} Ratio (0-1)
+ */
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+/**
+ * Current tutor's dashboard statistics over a date range
+ * Views and impressions count distinct viewers per day. Today's numbers
+ * are read live from the events because the rollup runs periodically.
+ * @param {string} userId - Tutor's user ID
+ * @param {{from: string, to: string}} range - Local dates, inclusive
+ * @returns {Promise<object>} { timeZone, from, to, totals, rating, daily }
+ */
+export async function getTutorStats(userId, { from, to }) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: {
+      id: true,
+      ratingAvg: true,
+      totalReviews: true,
+      _count: { select: { favorites: true } },
+    },
+  });
+
+  if (!profile) {
+    throw new NotFoundError(
+      "Tutor profile not found. Create it first",
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  const tutorId = profile.id;
+  const today = toLocalDate();
+  const includesToday = from <= today && today <= to;
+  const createdInRange = {
+    gte: toUtcDate(from, 0),
+    lt: toUtcDate(addDays(to, 1), 0),
+  };
+
+  const [counters, liveToday, favoritesByDay, bookingsByDay] =
+    await Promise.all([
+      prisma.tutorDailyStat.findMany({
+        where: { tutorId, date: { gte: dateOnly(from), lte: dateOnly(to) } },
+        select: { date: true, views: true, impressions: true },
+      }),
+      includesToday
+        ? prisma.profileEvent.groupBy({
+            by: ["type"],
+            where: { tutorId, date: dateOnly(today) },
+            _count: { _all: true },
+          })
+        : [],
+      countByDay("favorites", tutorId, createdInRange),
+      countByDay("bookings", tutorId, createdInRange),
+    ]);
+
+  const countersByDay = new Map(
+    counters.map((counter) => [
+      counter.date.toISOString().slice(0, 10),
+      counter,
+    ])
+  );
+
+  if (includesToday) {
+    const live = { views: 0, impressions: 0 };
+    for (const group of liveToday) {
+      live[group.type === ProfileEventType.VIEW ? "views" : "impressions"] =
+        group._count._all;
+    }
+    countersByDay.set(today, live);
+  }
+
+  const daily = [];
+  for (let offset = 0; offset <= daysBetween(from, to); offset += 1) {
+    const date = addDays(from, offset);
+    const counter = countersByDay.get(date);
+
+    daily.push({
+      date,
+      views: counter?.views ?? 0,
+      impressions: counter?.impressions ?? 0,
+      favorites: favoritesByDay.get(date) ?? 0,
+      bookingRequests: bookingsByDay.get(date) ?? 0,
+    });
+  }
+
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+  const totals = {
+    views: sum("views"),
+    impressions: sum("impressions"),
+    favorites: sum("favorites"),
+    bookingRequests: sum("bookingRequests"),
+  };
+
+  return {
+    timeZone: TIME_ZONE,
+    from,
+    to,
+    totals: {
+      ...totals,
+      // Share of search impressions that led to a profile view
+      viewRate: rate(totals.views, totals.impressions),
+      // Share of profile views that led to a booking request
+      conversionRate: rate(totals.bookingRequests, totals.views),
+    },
+    favoritesTotal: profile._count.favorites,
+    rating: {
+      average: profile.ratingAvg,
+      totalReviews: profile.totalReviews,
+    },
+    daily,
+  };
+}
@@ -0,0 +1,173 @@
+import { prisma } from "../config/database.js";
+import { NotFoundError } from "../utils/errors.js";
+import { haversineKm } from "../utils/geo.js";
+
+// A pin further than this from every area is left without an area
+const MAX_AREA_SNAP_KM = 5;
+
+const AREA_SELECT = {
+  id: true,
+  slug: true,
+  name: true,
+  zone: true,
+  latitude: true,
+  longitude: true,
+};
+
+/**
+ * Normalize area name for matching ("Hayatabad  Ph-3" -> "hayatabad ph 3")
+ * @param {string} name - Area name or alias
+ * @returns {string} Normalized name
+ */
+export function normalizeAreaName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * List areas for dropdowns and maps, ordered by zone then name
+ * @param {{q?: string, zone?: string}} [filters] - Name/alias and zone filter
+ * @returns {Promise<Array<object>>} Areas with tutorCount
+ */
+export async function listGazetteer({ q, zone } = {}) {
+  const areas = await prisma.area.findMany({
+    where: {
+      ...(zone && { zone }),
+      ...(q && {
+        OR: [
+          { name: { contains: q, mode: "insensitive" } },
+          { aliases: { has: normalizeAreaName(q) } },
+        ],
+      }),
+    },
+    select: {
+      ...AREA_SELECT,
+      _count: {
+        select: { tutors: { where: { user: { active: true } } } },
+      },
+    },
+    orderBy: [{ zone: "asc" }, { name: "asc" }],
+  });
+
+  return areas.map(({ _count, ...area }) => ({
+    ...area,
+    tutorCount: _count.tutors,
+  }));
+}
+
+/**
+ * Get area or throw
+ * @param {string} areaId - Area ID
+ * @returns {Promise<object>} Area
+ */
+export async function getAreaOrThrow(areaId) {
+  const area = await prisma.area.findUnique({
+    where: { id: areaId },
+    select: AREA_SELECT,
+  });
+
+  if (!area) {
+    throw new NotFoundError("Area not found", "AREA_NOT_FOUND");
+  }
+
+  return area;
+}
+
+/**
+ * Find areas whose name, slug or alias matches free text
+ * @param {string[]} names - Free-text locations
+ * @returns {Promise<Map<string, object>>} Matched areas keyed by the input name
+ */
+export async function findAreasByName(names) {
+  const normalized = names.map(normalizeAreaName).filter(Boolean);
+  if (normalized.length === 0) return new Map();
+
+  const areas = await prisma.area.findMany({
+    where: {
+      OR: [
+        { slug: { in: normalized.map((name) => name.replace(/ /g, "-")) } },
+        { aliases: { hasSome: normalized } },
+        ...normalized.map((name) => ({
+          name: { equals: name, mode: "insensitive" },
+        })),
+      ],
+    },
+    select: { ...AREA_SELECT, aliases: true },
+  });
+
+  const matches = new Map();
+
+  for (const name of names) {
+    const key = normalizeAreaName(name);
+    const area = areas.find(
+      (candidate) =>
+        normalizeAreaName(candidate.name) === key ||
+        candidate.slug === key.replace(/ /g, "-") ||
+        candidate.aliases.includes(key)
+    );
+
+    if (area) {
+      const { aliases, ...rest } = area;
+      matches.set(name, rest);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Closest area to a point, if one is near enough
+ * @param {{latitude: number, longitude: number}} point - Coordinates
+ * @returns {Promise<object|null>} Area or null
+ */
+export async function findNearestArea(point) {
+  const areas = await prisma.area.findMany({ select: AREA_SELECT });
+
+  let nearest = null;
+  let nearestKm = Infinity;
+
+  for (const area of areas) {
+    const km = haversineKm(point, area);
+    if (km < nearestKm) {
+      nearest = area;
+      nearestKm = km;
+    }
+  }
+
+  return nearestKm <= MAX_AREA_SNAP_KM ? nearest : null;
+}
+
+/**
+ * Insert or update gazetteer areas by slug (seed)
+ * @param {Array<object>} areas - Areas from prisma/data/areas.js
+ * @returns {Promise<{created: number, updated: number}>} Counts
+ */
+export async function upsertAreas(areas) {
+  let created = 0;
+  let updated = 0;
+
+  for (const { slug, aliases = [], ...data } of areas) {
+    const existing = await prisma.area.findUnique({
+      where: { slug },
+      select: { id: true },
+    });
+
+    const fields = {
+      ...data,
+      aliases: [...new Set(aliases.map(normalizeAreaName))],
+    };
+
+    if (existing) {
+      await prisma.area.update({ where: { slug }, data: fields });
+      updated += 1;
+    } else {
+      await prisma.area.create({ data: { slug, ...fields } });
+      created += 1;
+    }
+  }
+
+  return { created, updated };
+}
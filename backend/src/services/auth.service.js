@@ -1,38 +1,147 @@
 import { prisma } from "../config/database.js";
 import { hashPassword, comparePassword } from "../utils/password.js";
-import { generateToken } from "../utils/jwt.js";
-import { generateOTP, storeOTP, verifyOTP, deleteOTP } from "../utils/otp.js";
-import { sendOTPEmail } from "../utils/email.js";
+import { createSession, revokeAllSessions } from "./session.service.js";
+import {
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  isAccountLocked,
+  createLockedError,
+} from "./security.service.js";
+import {
+  generateOTP,
+  storeOTP,
+  verifyOTP,
+  deleteOTP,
+  OTP_PURPOSE,
+} from "../utils/otp.js";
+import { queueEmail } from "./emailOutbox.service.js";
+import { EMAIL_TEMPLATE, DEFAULT_LOCALE } from "../utils/emailTemplates.js";
+import {
+  sendOTPSMS,
+  sendPasswordResetSMS,
+  sendAccountUnlockSMS,
+} from "../utils/sms.js";
+import { LoginOutcome } from "@prisma/client";
+import { normalizePakistaniPhone } from "../utils/phone.js";
+import { getOnboarding } from "./onboarding.service.js";
 import { UserRole } from "@prisma/client";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js";
+
+export const USER_SELECT = {
+  id: true,
+  email: true,
+  phone: true,
+  role: true,
+  verified: true,
+  phoneVerified: true,
+  active: true,
+  locale: true,
+  createdAt: true,
+};
+
+/**
+ * Resolve login identifier (email or Pakistani mobile number) to a user
+ * @param {string} identifier - Email or phone number
+ * @returns {Promise<{user: object|null, channel: "email"|"phone", value: string|null}>}
+ */
+async function findUserByIdentifier(identifier) {
+  if (identifier.includes("@")) {
+    const user = await prisma.user.findUnique({
+      where: { email: identifier },
+    });
+    return { user, channel: "email", value: identifier };
+  }
+
+  const phone = normalizePakistaniPhone(identifier);
+
+  if (!phone) {
+    return { user: null, channel: "phone", value: null };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { phone },
+  });
+
+  return { user, channel: "phone", value: phone };
+}
 
 /**
  * Register new user
- * @param {string} email - User email
- * @param {string} phone - User phone (optional)
+ * At least one of email or phone is required; phone is stored as +923XXXXXXXXX
+ * @param {string} email - User email (optional if phone given)
+ * @param {string} phone - User phone (optional if email given)
  * @param {string} password - User password
  * @param {string} role - User role (TUTOR or STUDENT)
+ * @param {string} [locale] - Preferred language for emails (en or ur)
  * @returns {Promise<object>} Created user (without password)
  */
-export async function registerUser(email, phone, password, role) {
+export async function registerUser(
+  email,
+  phone,
+  password,
+  role,
+  locale = DEFAULT_LOCALE
+) {
   // Validate role
   const validRoles = [UserRole.TUTOR, UserRole.STUDENT];
   if (!validRoles.includes(role)) {
-    throw new Error("Invalid role. Must be TUTOR or STUDENT");
+    throw new ValidationError("Invalid role. Must be TUTOR or STUDENT", [
+      { field: "role", location: "body", message: "Must be TUTOR or STUDENT" },
+    ]);
+  }
+
+  if (!email && !phone) {
+    throw new ValidationError("Email or phone number is required", [
+      {
+        field: "email",
+        location: "body",
+        message: "Email or phone is required",
+      },
+    ]);
+  }
+
+  const normalizedPhone = phone ? normalizePakistaniPhone(phone) : null;
+
+  if (phone && !normalizedPhone) {
+    throw new ValidationError("Invalid Pakistani mobile number", [
+      {
+        field: "phone",
+        location: "body",
+        message: "Invalid Pakistani mobile number",
+      },
+    ]);
   }
 
   // Check if user already exists
   const existingUser = await prisma.user.findFirst({
     where: {
-      OR: [{ email }, ...(phone ? [{ phone }] : [])],
+      OR: [
+        ...(email ? [{ email }] : []),
+        ...(normalizedPhone ? [{ phone: normalizedPhone }] : []),
+      ],
     },
   });
 
   if (existingUser) {
-    if (existingUser.email === email) {
-      throw new Error("Email already registered");
+    if (email && existingUser.email === email) {
+      throw new ConflictError(
+        "Email already registered",
+        "EMAIL_ALREADY_REGISTERED"
+      );
     }
-    if (phone && existingUser.phone === phone) {
-      throw new Error("Phone number already registered");
+    if (normalizedPhone && existingUser.phone === normalizedPhone) {
+      throw new ConflictError(
+        "Phone number already registered",
+        "PHONE_ALREADY_REGISTERED"
+      );
     }
   }
 
@@ -42,22 +151,16 @@ export async function registerUser(email, phone, password, role) {
   // Create user
   const user = await prisma.user.create({
     data: {
-      email,
-      phone: phone || null,
+      email: email || null,
+      phone: normalizedPhone,
       passwordHash,
       role,
+      locale,
       verified: false,
+      phoneVerified: false,
       active: true,
     },
-    select: {
-      id: true,
-      email: true,
-      phone: true,
-      role: true,
-      verified: true,
-      active: true,
-      createdAt: true,
-    },
+    select: USER_SELECT,
   });
 
   return user;
@@ -75,23 +178,66 @@ export async function sendOTP(email) {
   });
 
   if (!user) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
   }
 
   if (user.verified) {
-    throw new Error("User already verified");
+    throw new ConflictError("User already verified", "ALREADY_VERIFIED");
   }
 
   // Generate OTP
   const otp = generateOTP();
   await storeOTP(email, otp);
 
-  // Send OTP via email
+  // Queue OTP email (delivery is retried by the outbox)
+  await queueEmail(email, EMAIL_TEMPLATE.OTP, { otp }, { locale: user.locale });
+
+  return otp;
+}
+
+/**
+ * Generate and send OTP for phone verification via SMS
+ * @param {string} phone - User phone (any accepted Pakistani format)
+ * @returns {Promise<string>} OTP code (in development, return OTP; in production, send via SMS)
+ */
+export async function sendPhoneOTP(phone) {
+  const normalizedPhone = normalizePakistaniPhone(phone);
+
+  if (!normalizedPhone) {
+    throw new ValidationError("Invalid Pakistani mobile number", [
+      {
+        field: "phone",
+        location: "body",
+        message: "Invalid Pakistani mobile number",
+      },
+    ]);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { phone: normalizedPhone },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+
+  if (user.phoneVerified) {
+    throw new ConflictError(
+      "Phone number already verified",
+      "ALREADY_VERIFIED"
+    );
+  }
+
+  // Generate OTP
+  const otp = generateOTP();
+  await storeOTP(normalizedPhone, otp, OTP_PURPOSE.PHONE_VERIFICATION);
+
+  // Send OTP via SMS
   try {
-    await sendOTPEmail(email, otp);
+    await sendOTPSMS(normalizedPhone, otp);
   } catch (error) {
-    // If email fails, log error
-    console.error(`Failed to send email to ${email}:`, error.message);
+    // If SMS fails, log error (provider already logged the masked number)
+    console.error("Failed to send phone OTP:", error.message);
   }
 
   return otp;
@@ -110,75 +256,184 @@ export async function verifyOTPCode(email, otp) {
   });
 
   if (!user) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
   }
 
   if (user.verified) {
-    throw new Error("User already verified");
+    throw new ConflictError("User already verified", "ALREADY_VERIFIED");
   }
 
   // Verify OTP (now returns {valid, reason})
   const result = await verifyOTP(email, otp);
 
   if (!result.valid) {
-    throw new Error(result.reason || "Invalid or expired OTP");
+    throw new BadRequestError(
+      result.reason || "Invalid or expired OTP",
+      "INVALID_OTP"
+    );
   }
 
   // Mark user as verified
   const updatedUser = await prisma.user.update({
     where: { email },
     data: { verified: true },
-    select: {
-      id: true,
-      email: true,
-      phone: true,
-      role: true,
-      verified: true,
-      active: true,
-      createdAt: true,
-    },
+    select: USER_SELECT,
   });
 
   return updatedUser;
 }
 
 /**
- * Login user
- * @param {string} email - User email
- * @param {string} password - User password
- * @returns {Promise<object>} User data and JWT token
+ * Verify phone OTP and mark phone as verified
+ * A verified phone also verifies the account, so phone-only users can log in
+ * @param {string} phone - User phone
+ * @param {string} otp - OTP code
+ * @returns {Promise<object>} Updated user
  */
-export async function loginUser(email, password) {
-  // Find user
+export async function verifyPhoneOTPCode(phone, otp) {
+  const normalizedPhone = normalizePakistaniPhone(phone);
+
+  if (!normalizedPhone) {
+    throw new ValidationError("Invalid Pakistani mobile number", [
+      {
+        field: "phone",
+        location: "body",
+        message: "Invalid Pakistani mobile number",
+      },
+    ]);
+  }
+
   const user = await prisma.user.findUnique({
-    where: { email },
+    where: { phone: normalizedPhone },
   });
 
   if (!user) {
-    throw new Error("Invalid email or password");
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+
+  if (user.phoneVerified) {
+    throw new ConflictError(
+      "Phone number already verified",
+      "ALREADY_VERIFIED"
+    );
+  }
+
+  const result = await verifyOTP(
+    normalizedPhone,
+    otp,
+    OTP_PURPOSE.PHONE_VERIFICATION
+  );
+
+  if (!result.valid) {
+    throw new BadRequestError(
+      result.reason || "Invalid or expired OTP",
+      "INVALID_OTP"
+    );
+  }
+
+  const updatedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: { phoneVerified: true },
+    select: USER_SELECT,
+  });
+
+  return updatedUser;
+}
+
+/**
+ * Login user with email or phone number
+ * Every attempt is recorded; repeated wrong passwords lock the account
+ * with exponential backoff (see security.service.js)
+ * @param {string} identifier - User email or phone
+ * @param {string} password - User password
+ * @param {{userAgent?: string, ipAddress?: string}} [meta] - Client info for the session
+ * @returns {Promise<object>} User data, onboarding hints, access token and refresh token
+ */
+export async function loginUser(identifier, password, meta = {}) {
+  // Find user
+  const { user, channel, value } = await findUserByIdentifier(identifier);
+
+  const invalidMessage =
+    channel === "phone"
+      ? "Invalid phone number or password"
+      : "Invalid email or password";
+
+  const attempt = { userId: user?.id, identifier: value || identifier };
+
+  if (!user) {
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.INVALID_CREDENTIALS },
+      meta
+    );
+    throw new UnauthorizedError(invalidMessage, "INVALID_CREDENTIALS");
+  }
+
+  // Locked accounts are rejected before the password is even checked
+  if (isAccountLocked(user)) {
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.LOCKED },
+      meta
+    );
+    throw createLockedError(user.lockedUntil);
   }
 
   // Check if user is active
   if (!user.active) {
-    throw new Error("Account is suspended");
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.SUSPENDED },
+      meta
+    );
+    throw new ForbiddenError("Account is suspended", "ACCOUNT_SUSPENDED");
   }
 
-  // Check if user is verified
-  if (!user.verified) {
-    throw new Error(
-      "Please verify your email before logging in. Check your email for OTP."
+  // Check if the channel used to log in is verified
+  if (channel === "phone" && !user.phoneVerified) {
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.UNVERIFIED },
+      meta
+    );
+    throw new ForbiddenError(
+      "Please verify your phone number before logging in. Check your SMS for OTP.",
+      "ACCOUNT_NOT_VERIFIED"
+    );
+  }
+
+  if (channel === "email" && !user.verified) {
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.UNVERIFIED },
+      meta
+    );
+    throw new ForbiddenError(
+      "Please verify your email before logging in. Check your email for OTP.",
+      "ACCOUNT_NOT_VERIFIED"
     );
   }
 
-  // Verify password
-  const isPasswordValid = await comparePassword(password, user.passwordHash);
+  // Verify password (social-only accounts have no password to compare against)
+  const isPasswordValid =
+    Boolean(user.passwordHash) &&
+    (await comparePassword(password, user.passwordHash));
 
   if (!isPasswordValid) {
-    throw new Error("Invalid email or password");
+    const { lockedUntil } = await registerFailedLogin(user.id);
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.INVALID_CREDENTIALS },
+      meta
+    );
+
+    if (lockedUntil) {
+      throw createLockedError(lockedUntil);
+    }
+    throw new UnauthorizedError(invalidMessage, "INVALID_CREDENTIALS");
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await clearFailedLogins(user.id);
   }
+  await recordLoginAttempt({ ...attempt, outcome: LoginOutcome.SUCCESS }, meta);
 
-  // Generate JWT token
-  const token = generateToken(user.id, user.role);
+  // Start a new session and issue tokens
+  const { token, refreshToken } = await createSession(user, meta);
 
   // Return user data (without password) and token
   const userData = {
@@ -187,13 +442,17 @@ export async function loginUser(email, password) {
     phone: user.phone,
     role: user.role,
     verified: user.verified,
+    phoneVerified: user.phoneVerified,
     active: user.active,
+    locale: user.locale,
     createdAt: user.createdAt,
   };
 
   return {
     user: userData,
+    onboarding: await getOnboarding(user),
     token,
+    refreshToken,
   };
 }
 
@@ -206,19 +465,13 @@ export async function getUserById(userId) {
   const user = await prisma.user.findUnique({
     where: { id: userId },
     select: {
-      id: true,
-      email: true,
-      phone: true,
-      role: true,
-      verified: true,
-      active: true,
-      createdAt: true,
+      ...USER_SELECT,
       updatedAt: true,
     },
   });
 
   if (!user) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
   }
 
   return user;
@@ -232,3 +485,150 @@ export async function getUserById(userId) {
 export async function resendOTP(email) {
   return await sendOTP(email);
 }
+
+/**
+ * Generate and send password reset code by email or SMS
+ * Does not reveal whether the account exists - unknown identifiers resolve to null
+ * @param {string} identifier - User email or phone
+ * @returns {Promise<string|null>} Reset code (returned for development), or null if no eligible account
+ */
+export async function requestPasswordReset(identifier) {
+  const { user, channel, value } = await findUserByIdentifier(identifier);
+
+  if (!user || !user.active) {
+    return null;
+  }
+
+  // Generate reset code (separate slot from verification OTPs)
+  const otp = generateOTP();
+  await storeOTP(value, otp, OTP_PURPOSE.PASSWORD_RESET);
+
+  // Send reset code through the channel the user asked for
+  if (channel === "phone") {
+    try {
+      await sendPasswordResetSMS(value, otp);
+    } catch (error) {
+      console.error("Failed to send password reset code:", error.message);
+    }
+  } else {
+    await queueEmail(
+      value,
+      EMAIL_TEMPLATE.PASSWORD_RESET,
+      { otp },
+      { locale: user.locale }
+    );
+  }
+
+  return otp;
+}
+
+/**
+ * Reset password using a reset code
+ * Revokes every existing session so old tokens stop working
+ * @param {string} identifier - User email or phone
+ * @param {string} otp - Reset code
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<void>}
+ */
+export async function resetPassword(identifier, otp, newPassword) {
+  const { user, channel, value } = await findUserByIdentifier(identifier);
+
+  if (!user || !user.active) {
+    // Burn the code check anyway so responses look the same
+    await verifyOTP(identifier, otp, OTP_PURPOSE.PASSWORD_RESET);
+    throw new BadRequestError("Invalid or expired reset code", "INVALID_OTP");
+  }
+
+  const result = await verifyOTP(value, otp, OTP_PURPOSE.PASSWORD_RESET);
+
+  if (!result.valid) {
+    throw new BadRequestError(
+      result.reason || "Invalid or expired reset code",
+      "INVALID_OTP"
+    );
+  }
+
+  const passwordHash = await hashPassword(newPassword);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      passwordHash,
+      // Proving ownership also lifts a brute-force lock
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      // Receiving the code proves ownership of the email/phone
+      ...(channel === "phone" ? { phoneVerified: true } : { verified: true }),
+    },
+  });
+
+  await revokeAllSessions(user.id, "PASSWORD_RESET");
+
+  // A pending verification code is no longer needed
+  if (channel === "phone") {
+    await deleteOTP(value, OTP_PURPOSE.PHONE_VERIFICATION);
+  } else {
+    await deleteOTP(value);
+  }
+}
+
+/**
+ * Send unlock code for an account locked after failed logins
+ * Does not reveal whether the account exists or is locked
+ * @param {string} identifier - User email or phone
+ * @returns {Promise<string|null>} Unlock code (returned for development), or null if nothing to unlock
+ */
+export async function requestAccountUnlock(identifier) {
+  const { user, channel, value } = await findUserByIdentifier(identifier);
+
+  if (!user || !user.active || !isAccountLocked(user)) {
+    return null;
+  }
+
+  const otp = generateOTP();
+  await storeOTP(value, otp, OTP_PURPOSE.ACCOUNT_UNLOCK);
+
+  if (channel === "phone") {
+    try {
+      await sendAccountUnlockSMS(value, otp);
+    } catch (error) {
+      console.error("Failed to send account unlock code:", error.message);
+    }
+  } else {
+    await queueEmail(
+      value,
+      EMAIL_TEMPLATE.ACCOUNT_UNLOCK,
+      { otp },
+      { locale: user.locale }
+    );
+  }
+
+  return otp;
+}
+
+/**
+ * Unlock account with code
+ * @param {string} identifier - User email or phone
+ * @param {string} otp - Unlock code
+ * @returns {Promise<void>}
+ */
+export async function unlockAccount(identifier, otp) {
+  const { user, value } = await findUserByIdentifier(identifier);
+
+  if (!user) {
+    // Burn the code check anyway so responses look the same
+    await verifyOTP(identifier, otp, OTP_PURPOSE.ACCOUNT_UNLOCK);
+    throw new BadRequestError("Invalid or expired unlock code", "INVALID_OTP");
+  }
+
+  const result = await verifyOTP(value, otp, OTP_PURPOSE.ACCOUNT_UNLOCK);
+
+  if (!result.valid) {
+    throw new BadRequestError(
+      result.reason || "Invalid or expired unlock code",
+      "INVALID_OTP"
+    );
+  }
+
+  await clearFailedLogins(user.id);
+}
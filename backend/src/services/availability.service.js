@@ -0,0 +1,423 @@
+import { prisma } from "../config/database.js";
+import { BookingStatus, ExceptionType } from "@prisma/client";
+import { NotFoundError } from "../utils/errors.js";
+import { refreshCompleteness } from "./profileCompleteness.service.js";
+import {
+  TIME_ZONE,
+  addDays,
+  dateOnly,
+  dayOfWeek,
+  daysBetween,
+  formatTime,
+  mergeRanges,
+  parseTime,
+  subtractRanges,
+  toLocalDate,
+  toLocalMinutes,
+  toUtcDate,
+} from "../utils/time.js";
+
+// Slots start on this grid (minutes) within each available range
+const SLOT_STEP_MINUTES = 30;
+const DAY_MINUTES = 24 * 60;
+
+// Bookings that hold a tutor's time
+export const BLOCKING_BOOKING_STATUSES = [
+  BookingStatus.PENDING,
+  BookingStatus.ACCEPTED,
+];
+
+const EXCEPTION_SELECT = {
+  id: true,
+  date: true,
+  type: true,
+  startTime: true,
+  endTime: true,
+  reason: true,
+};
+
+/**
+ * Find the tutor profile of a user
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<string>} Tutor profile ID
+ */
+async function getTutorIdForUser(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: { id: true },
+  });
+
+  if (!profile) {
+    throw new NotFoundError(
+      "Tutor profile not found. Create it first",
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  return profile.id;
+}
+
+/**
+ * Format exception row for API responses (date as "YYYY-MM-DD")
+ * @param {object} exception - Exception row
+ * @returns {object} Exception
+ */
+function formatException(exception) {
+  return {
+    ...exception,
+    date: exception.date.toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * Start and end of a booking as minutes on its local date
+ * sessionDate holds the Pakistan calendar date, sessionTime "HH:MM" local
+ * @param {{sessionDate: Date, sessionTime: string, duration: number|null}} booking - Booking
+ * @returns {{date: string, start: number, end: number}} Local date and range
+ */
+export function getBookingRange(booking) {
+  const start = parseTime(booking.sessionTime);
+  return {
+    date: booking.sessionDate.toISOString().slice(0, 10),
+    start,
+    end: start + (booking.duration || 60),
+  };
+}
+
+/**
+ * Weekly ranges grouped by day of week
+ * @param {Array<{dayOfWeek: number, startTime: string, endTime: string}>} rows - Availability rows
+ * @returns {Map<number, Array<{start: number, end: number}>>}
+ */
+function groupWeekly(rows) {
+  const byDay = new Map();
+
+  for (const row of rows) {
+    const ranges = byDay.get(row.dayOfWeek) || [];
+    ranges.push({
+      start: parseTime(row.startTime),
+      end: parseTime(row.endTime),
+    });
+    byDay.set(row.dayOfWeek, ranges);
+  }
+
+  return byDay;
+}
+
+/**
+ * Remember when a tutor last opened new time (drives favorite alerts)
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<void>}
+ */
+async function markSlotsOpened(tutorId) {
+  await prisma.tutorProfile.update({
+    where: { id: tutorId },
+    data: { slotsOpenedAt: new Date() },
+  });
+}
+
+/**
+ * Get current tutor's weekly availability and upcoming exceptions
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<{timeZone: string, weekly: Array<object>, exceptions: Array<object>}>}
+ */
+export async function getMyAvailability(userId) {
+  const tutorId = await getTutorIdForUser(userId);
+
+  const [weekly, exceptions] = await Promise.all([
+    prisma.availability.findMany({
+      where: { tutorId },
+      select: { id: true, dayOfWeek: true, startTime: true, endTime: true },
+      orderBy: [{ dayOfWeek: "asc" }, { startTime: "asc" }],
+    }),
+    prisma.availabilityException.findMany({
+      where: { tutorId, date: { gte: dateOnly(toLocalDate()) } },
+      select: EXCEPTION_SELECT,
+      orderBy: [{ date: "asc" }, { startTime: "asc" }],
+    }),
+  ]);
+
+  return {
+    timeZone: TIME_ZONE,
+    weekly,
+    exceptions: exceptions.map(formatException),
+  };
+}
+
+/**
+ * Replace weekly availability
+ * Overlapping or touching ranges on the same day are merged
+ * @param {string} userId - Tutor's user ID
+ * @param {Array<{dayOfWeek: number, startTime: string, endTime: string}>} slots - Validated ranges
+ * @returns {Promise<Array<object>>} Stored (merged) weekly ranges
+ */
+export async function setWeeklyAvailability(userId, slots) {
+  const tutorId = await getTutorIdForUser(userId);
+
+  const previous = groupWeekly(
+    await prisma.availability.findMany({
+      where: { tutorId },
+      select: { dayOfWeek: true, startTime: true, endTime: true },
+    })
+  );
+
+  const rows = [...groupWeekly(slots).entries()].flatMap(([day, ranges]) =>
+    mergeRanges(ranges).map((range) => ({
+      tutorId,
+      dayOfWeek: day,
+      startTime: formatTime(range.start),
+      endTime: formatTime(range.end),
+    }))
+  );
+
+  await prisma.$transaction([
+    prisma.availability.deleteMany({ where: { tutorId } }),
+    prisma.availability.createMany({ data: rows }),
+  ]);
+  await refreshCompleteness(tutorId);
+
+  // Any time that was not offered before counts as newly opened slots
+  const opened = rows.some(
+    (row) =>
+      subtractRanges(
+        [{ start: parseTime(row.startTime), end: parseTime(row.endTime) }],
+        previous.get(row.dayOfWeek) || []
+      ).length > 0
+  );
+
+  if (opened) {
+    await markSlotsOpened(tutorId);
+  }
+
+  return prisma.availability.findMany({
+    where: { tutorId },
+    select: { id: true, dayOfWeek: true, startTime: true, endTime: true },
+    orderBy: [{ dayOfWeek: "asc" }, { startTime: "asc" }],
+  });
+}
+
+/**
+ * Add a date-specific exception
+ * UNAVAILABLE without times blocks the whole day (leave);
+ * AVAILABLE adds an extra range on that date
+ * @param {string} userId - Tutor's user ID
+ * @param {{date: string, type: string, startTime?: string, endTime?: string, reason?: string}} input - Validated exception
+ * @returns {Promise<object>} Created exception
+ */
+export async function addAvailabilityException(userId, input) {
+  const tutorId = await getTutorIdForUser(userId);
+
+  const exception = await prisma.availabilityException.create({
+    data: {
+      tutorId,
+      date: dateOnly(input.date),
+      type: input.type,
+      startTime: input.startTime || null,
+      endTime: input.endTime || null,
+      reason: input.reason || null,
+    },
+    select: EXCEPTION_SELECT,
+  });
+
+  if (exception.type === ExceptionType.AVAILABLE) {
+    await markSlotsOpened(tutorId);
+  }
+
+  return formatException(exception);
+}
+
+/**
+ * Delete one of current tutor's exceptions
+ * @param {string} userId - Tutor's user ID
+ * @param {string} exceptionId - Exception ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAvailabilityException(userId, exceptionId) {
+  const tutorId = await getTutorIdForUser(userId);
+
+  const exception = await prisma.availabilityException.findFirst({
+    where: { id: exceptionId, tutorId },
+    select: { type: true },
+  });
+
+  const { count } = await prisma.availabilityException.deleteMany({
+    where: { id: exceptionId, tutorId },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError("Exception not found", "EXCEPTION_NOT_FOUND");
+  }
+
+  // Cancelling leave gives the time back
+  if (exception.type === ExceptionType.UNAVAILABLE) {
+    await markSlotsOpened(tutorId);
+  }
+}
+
+/**
+ * Available ranges per local date: weekly pattern, minus leave and
+ * blocked ranges, plus extra ranges, minus PENDING/ACCEPTED bookings
+ * @param {string} tutorId - Tutor profile ID
+ * @param {string} from - First local date
+ * @param {string} to - Last local date (inclusive)
+ * @param {object} [options] - Options
+ * @param {string[]} [options.excludeBookingIds] - Ignore these bookings (rescheduling)
+ * @param {object} [options.client] - Prisma client or transaction
+ * @returns {Promise<Map<string, Array<{start: number, end: number}>>>} Ranges keyed by date
+ */
+export async function getOpenRanges(tutorId, from, to, options = {}) {
+  const client = options.client || prisma;
+
+  const [weeklyRows, exceptions, bookings] = await Promise.all([
+    client.availability.findMany({ where: { tutorId } }),
+    client.availabilityException.findMany({
+      where: { tutorId, date: { gte: dateOnly(from), lte: dateOnly(to) } },
+    }),
+    client.booking.findMany({
+      where: {
+        tutorId,
+        status: { in: BLOCKING_BOOKING_STATUSES },
+        // A session may start late on the previous day and run past midnight
+        sessionDate: { gte: dateOnly(addDays(from, -1)), lte: dateOnly(to) },
+        ...(options.excludeBookingIds && {
+          id: { notIn: options.excludeBookingIds },
+        }),
+      },
+      select: { sessionDate: true, sessionTime: true, duration: true },
+    }),
+  ]);
+
+  const weekly = groupWeekly(weeklyRows);
+  const days = new Map();
+
+  for (let offset = 0; offset <= daysBetween(from, to); offset += 1) {
+    const date = addDays(from, offset);
+    const dayExceptions = exceptions.filter(
+      (exception) => exception.date.toISOString().slice(0, 10) === date
+    );
+
+    const fullDayLeave = dayExceptions.some(
+      (exception) =>
+        exception.type === ExceptionType.UNAVAILABLE && !exception.startTime
+    );
+
+    const toRange = (exception) => ({
+      start: parseTime(exception.startTime),
+      end: parseTime(exception.endTime),
+    });
+
+    const blocked = dayExceptions
+      .filter(
+        (exception) =>
+          exception.type === ExceptionType.UNAVAILABLE && exception.startTime
+      )
+      .map(toRange);
+
+    const extra = dayExceptions
+      .filter((exception) => exception.type === ExceptionType.AVAILABLE)
+      .map(toRange);
+
+    const base = fullDayLeave ? [] : weekly.get(dayOfWeek(date)) || [];
+
+    days.set(date, mergeRanges([...subtractRanges(base, blocked), ...extra]));
+  }
+
+  for (const booking of bookings) {
+    const { date, start, end } = getBookingRange(booking);
+
+    if (days.has(date)) {
+      days.set(date, subtractRanges(days.get(date), [{ start, end }]));
+    }
+
+    // Part that spills over midnight into the next day
+    const nextDate = addDays(date, 1);
+    if (end > DAY_MINUTES && days.has(nextDate)) {
+      days.set(
+        nextDate,
+        subtractRanges(days.get(nextDate), [
+          { start: 0, end: end - DAY_MINUTES },
+        ])
+      );
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Check that a session fits entirely inside the tutor's open time
+ * A session running past midnight must also fit at the start of the
+ * next day. Pass a transaction client to check and book atomically.
+ * @param {string} tutorId - Tutor profile ID
+ * @param {{date: string, start: number, end: number}} range - Local date and minutes
+ * @param {object} [options] - Same options as getOpenRanges
+ * @returns {Promise<boolean>} True if the whole range is free
+ */
+export async function isSlotOpen(tutorId, { date, start, end }, options = {}) {
+  const spills = end > DAY_MINUTES;
+  const days = await getOpenRanges(
+    tutorId,
+    date,
+    spills ? addDays(date, 1) : date,
+    options
+  );
+
+  const fits = (ranges, from, to) =>
+    (ranges || []).some((range) => range.start <= from && to <= range.end);
+
+  if (!spills) {
+    return fits(days.get(date), start, end);
+  }
+
+  return (
+    fits(days.get(date), start, DAY_MINUTES) &&
+    fits(days.get(addDays(date, 1)), 0, end - DAY_MINUTES)
+  );
+}
+
+/**
+ * Bookable slots for a tutor
+ * Slots start every 30 minutes inside open ranges and never in the past
+ * @param {string} tutorId - Tutor profile ID
+ * @param {{from: string, to: string, duration: number}} query - Validated query
+ * @returns {Promise<{timeZone: string, duration: number, days: Array<object>}>}
+ */
+export async function getBookableSlots(tutorId, { from, to, duration }) {
+  const tutor = await prisma.tutorProfile.findFirst({
+    where: { id: tutorId, user: { active: true } },
+    select: { id: true },
+  });
+
+  if (!tutor) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  const openRanges = await getOpenRanges(tutorId, from, to);
+  const today = toLocalDate();
+  const nowMinutes = toLocalMinutes();
+  const step = Math.min(duration, SLOT_STEP_MINUTES);
+
+  const days = [...openRanges.entries()].map(([date, ranges]) => {
+    const slots = [];
+
+    for (const range of ranges) {
+      for (
+        let start = range.start;
+        start + duration <= range.end;
+        start += step
+      ) {
+        if (date < today || (date === today && start <= nowMinutes)) continue;
+
+        slots.push({
+          start: formatTime(start),
+          end: formatTime(start + duration),
+          startsAt: toUtcDate(date, start).toISOString(),
+        });
+      }
+    }
+
+    return { date, dayOfWeek: dayOfWeek(date), slots };
+  });
+
+  return { timeZone: TIME_ZONE, duration, days };
+}
@@ -0,0 +1,838 @@
+import { prisma } from "../config/database.js";
+import {
+  BookingStatus,
+  BookingType,
+  ProposalStatus,
+  UserRole,
+} from "@prisma/client";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import {
+  addDays,
+  dateOnly,
+  formatTime,
+  parseTime,
+  toUtcDate,
+} from "../utils/time.js";
+import {
+  BLOCKING_BOOKING_STATUSES,
+  getBookingRange,
+  isSlotOpen,
+} from "./availability.service.js";
+import {
+  cancellationTerms,
+  noShowFee,
+  POLICY_SELECT,
+  policySnapshot,
+} from "./cancellationPolicy.service.js";
+import { bookingInvite } from "./calendar.service.js";
+import { notifyUser } from "./notification.service.js";
+import {
+  getStudentReliability,
+  getTutorReliability,
+} from "./reliability.service.js";
+
+/**
+ * Booking state machine
+ * For each status: the statuses it may move to and the roles allowed to
+ * make that move. Statuses without an entry are terminal.
+ */
+export const BOOKING_TRANSITIONS = {
+  [BookingStatus.PENDING]: {
+    [BookingStatus.ACCEPTED]: [UserRole.TUTOR],
+    [BookingStatus.REJECTED]: [UserRole.TUTOR],
+    [BookingStatus.CANCELLED]: [
+      UserRole.STUDENT,
+      UserRole.TUTOR,
+      UserRole.ADMIN,
+    ],
+    [BookingStatus.SKIPPED]: [UserRole.STUDENT, UserRole.TUTOR],
+  },
+  [BookingStatus.ACCEPTED]: {
+    [BookingStatus.COMPLETED]: [UserRole.TUTOR, UserRole.ADMIN],
+    [BookingStatus.CANCELLED]: [
+      UserRole.STUDENT,
+      UserRole.TUTOR,
+      UserRole.ADMIN,
+    ],
+    [BookingStatus.SKIPPED]: [UserRole.STUDENT, UserRole.TUTOR],
+    // Reported once the session has started: each side reports the other
+    [BookingStatus.NO_SHOW]: [UserRole.STUDENT, UserRole.TUTOR, UserRole.ADMIN],
+  },
+};
+
+// Who is told about a status change, and with which template
+const STATUS_NOTIFICATIONS = {
+  [BookingStatus.ACCEPTED]: EMAIL_TEMPLATE.BOOKING_CONFIRMATION,
+  [BookingStatus.REJECTED]: EMAIL_TEMPLATE.BOOKING_REJECTED,
+  [BookingStatus.CANCELLED]: EMAIL_TEMPLATE.BOOKING_CANCELLED,
+};
+
+// Who a participant reports absent
+const OTHER_PARTY = {
+  [UserRole.STUDENT]: UserRole.TUTOR,
+  [UserRole.TUTOR]: UserRole.STUDENT,
+};
+
+// Trials that used up a student's one trial with a tutor
+const USED_TRIAL_STATUSES = [
+  BookingStatus.PENDING,
+  BookingStatus.ACCEPTED,
+  BookingStatus.COMPLETED,
+];
+
+const RECIPIENT_SELECT = { email: true, phone: true, locale: true };
+
+export const BOOKING_SELECT = {
+  id: true,
+  type: true,
+  price: true,
+  seriesId: true,
+  sessionDate: true,
+  sessionTime: true,
+  duration: true,
+  location: true,
+  status: true,
+  notes: true,
+  cancellationPolicy: true,
+  cancelledById: true,
+  cancelledByRole: true,
+  cancelledAt: true,
+  cancelReason: true,
+  lateCancel: true,
+  noShowParty: true,
+  cancellationFee: true,
+  calendarSequence: true,
+  createdAt: true,
+  updatedAt: true,
+  subject: { select: { id: true, name: true, level: true } },
+  tutor: {
+    select: {
+      id: true,
+      userId: true,
+      name: true,
+      photoUrl: true,
+      user: { select: RECIPIENT_SELECT },
+    },
+  },
+  student: { select: { id: true, ...RECIPIENT_SELECT } },
+};
+
+const HISTORY_SELECT = {
+  id: true,
+  fromStatus: true,
+  toStatus: true,
+  actorId: true,
+  actorRole: true,
+  note: true,
+  createdAt: true,
+};
+
+/**
+ * Flatten a booking row for API responses
+ * Dates and times are Pakistan local; startsAt/endsAt are UTC instants
+ * @param {object} booking - Row selected with BOOKING_SELECT
+ * @returns {object} Booking
+ */
+export function formatBooking(booking) {
+  const { sessionDate, sessionTime, tutor, student, ...rest } = booking;
+  const { date, start, end } = getBookingRange(booking);
+
+  return {
+    ...rest,
+    duration: booking.duration || 60,
+    date,
+    startTime: sessionTime,
+    endTime: formatTime(end % (24 * 60)),
+    startsAt: toUtcDate(date, start).toISOString(),
+    endsAt: toUtcDate(date, end).toISOString(),
+    tutor: { id: tutor.id, name: tutor.name, photoUrl: tutor.photoUrl },
+    student: { id: student.id, email: student.email, phone: student.phone },
+  };
+}
+
+/**
+ * Serialise schedule changes for the given tutor and student
+ * Transaction-scoped advisory locks, taken in a fixed order so two
+ * requests touching the same pair cannot deadlock. Concurrent requests
+ * for the same tutor or student wait here, then see each other's rows.
+ * @param {object} tx - Transaction client
+ * @param {string[]} keys - Lock keys, e.g. "tutor:<id>"
+ * @returns {Promise<void>}
+ */
+export async function lockSchedules(tx, keys) {
+  for (const key of [...keys].sort()) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+  }
+}
+
+/**
+ * Check that a student has no other session overlapping a range
+ * @param {object} client - Prisma client or transaction
+ * @param {string} studentId - Student's user ID
+ * @param {{date: string, start: number, end: number}} range - Local date and minutes
+ * @param {string[]} [excludeBookingIds] - Ignore these bookings
+ * @returns {Promise<boolean>} True if the student is free
+ */
+export async function isStudentFree(
+  client,
+  studentId,
+  range,
+  excludeBookingIds
+) {
+  const bookings = await client.booking.findMany({
+    where: {
+      studentId,
+      status: { in: BLOCKING_BOOKING_STATUSES },
+      sessionDate: {
+        gte: dateOnly(addDays(range.date, -1)),
+        lte: dateOnly(addDays(range.date, 1)),
+      },
+      ...(excludeBookingIds && { id: { notIn: excludeBookingIds } }),
+    },
+    select: { sessionDate: true, sessionTime: true, duration: true },
+  });
+
+  const from = toUtcDate(range.date, range.start).getTime();
+  const to = toUtcDate(range.date, range.end).getTime();
+
+  return bookings.every((booking) => {
+    const other = getBookingRange(booking);
+    const otherFrom = toUtcDate(other.date, other.start).getTime();
+    const otherTo = toUtcDate(other.date, other.end).getTime();
+    return otherTo <= from || to <= otherFrom;
+  });
+}
+
+/**
+ * Whether a booking can still be changed (open and not yet started)
+ * @param {{status: string, sessionDate: Date, sessionTime: string, duration: number|null}} booking - Booking
+ * @returns {boolean}
+ */
+export function isUpcoming(booking) {
+  const { date, start } = getBookingRange(booking);
+
+  return (
+    BLOCKING_BOOKING_STATUSES.includes(booking.status) &&
+    toUtcDate(date, start).getTime() > Date.now()
+  );
+}
+
+/**
+ * Template data for a booking notification
+ * @param {object} booking - Formatted booking
+ * @param {string|null} recipientName - Recipient's display name
+ * @param {string|null} counterpartName - Other party's display name
+ * @param {string} [reason] - Note given with the change
+ * @returns {object} Template data
+ */
+export function notificationData(
+  booking,
+  recipientName,
+  counterpartName,
+  reason
+) {
+  return {
+    recipientName,
+    counterpartName,
+    subject: booking.subject?.name || "Tutoring",
+    startsAt: booking.startsAt,
+    duration: booking.duration,
+    location: booking.location,
+    reason,
+  };
+}
+
+/**
+ * Get a tutor who can be booked, checking they teach the subject
+ * @param {string} tutorId - Tutor profile ID
+ * @param {string} [subjectId] - Requested subject
+ * @returns {Promise<object>} Tutor with rates, trial settings and cancellation policy
+ */
+export async function getBookableTutor(tutorId, subjectId) {
+  const tutor = await prisma.tutorProfile.findFirst({
+    where: { id: tutorId, user: { active: true } },
+    select: {
+      id: true,
+      hourlyRate: true,
+      trialEnabled: true,
+      trialDuration: true,
+      trialRate: true,
+      ...POLICY_SELECT,
+    },
+  });
+
+  if (!tutor) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  if (subjectId) {
+    const teaches = await prisma.tutorSubject.findUnique({
+      where: { tutorId_subjectId: { tutorId, subjectId } },
+      select: { id: true },
+    });
+
+    if (!teaches) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "subjectId",
+          location: "body",
+          message: "This tutor does not teach the selected subject",
+        },
+      ]);
+    }
+  }
+
+  return tutor;
+}
+
+/**
+ * Price of a session at the tutor's current rates
+ * Trials use the tutor's trial rate (free when unset); regular sessions
+ * the hourly rate pro rata (unknown when the tutor has none)
+ * @param {object} tutor - Tutor from getBookableTutor
+ * @param {string} type - BookingType value
+ * @param {number} duration - Minutes
+ * @returns {number|null} Price in PKR
+ */
+export function sessionPrice(tutor, type, duration) {
+  if (type === BookingType.TRIAL) return tutor.trialRate ?? 0;
+  if (tutor.hourlyRate === null) return null;
+  return Math.round((tutor.hourlyRate * duration) / 60);
+}
+
+/**
+ * Request a session with a tutor
+ * The slot check and insert run in one transaction behind per-tutor and
+ * per-student locks, so concurrent requests cannot double-book. A trial
+ * takes the tutor's trial length and is allowed once per student and
+ * tutor (rejected or cancelled trials do not count).
+ * @param {string} studentId - Student's user ID
+ * @param {object} input - Validated input
+ * @param {string} input.tutorId - Tutor profile ID
+ * @param {string} input.type - BookingType value
+ * @param {string} input.date - Local date
+ * @param {string} input.startTime - Local "HH:MM"
+ * @param {number} [input.duration] - Minutes (regular sessions)
+ * @param {string} [input.subjectId] - Subject taught by the tutor
+ * @param {string} [input.location] - Where the session takes place
+ * @param {string} [input.notes] - Message for the tutor
+ * @returns {Promise<object>} Created booking (PENDING)
+ */
+export async function createBooking(
+  studentId,
+  {
+    tutorId,
+    type = BookingType.REGULAR,
+    date,
+    startTime,
+    subjectId,
+    location,
+    notes,
+    ...input
+  }
+) {
+  const tutor = await getBookableTutor(tutorId, subjectId);
+  const trial = type === BookingType.TRIAL;
+
+  if (trial && !tutor.trialEnabled) {
+    throw new ConflictError(
+      "This tutor does not offer trial sessions",
+      "TRIAL_NOT_OFFERED"
+    );
+  }
+
+  const duration = trial ? tutor.trialDuration : input.duration;
+  const start = parseTime(startTime);
+  const range = { date, start, end: start + duration };
+
+  const booking = await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [`tutor:${tutorId}`, `student:${studentId}`]);
+
+    if (!(await isSlotOpen(tutorId, range, { client: tx }))) {
+      throw new ConflictError(
+        "This time is no longer available",
+        "SLOT_UNAVAILABLE"
+      );
+    }
+
+    if (!(await isStudentFree(tx, studentId, range))) {
+      throw new ConflictError(
+        "You already have a session at this time",
+        "STUDENT_DOUBLE_BOOKED"
+      );
+    }
+
+    if (trial) {
+      const usedTrials = await tx.booking.count({
+        where: {
+          studentId,
+          tutorId,
+          type: BookingType.TRIAL,
+          status: { in: USED_TRIAL_STATUSES },
+        },
+      });
+
+      if (usedTrials > 0) {
+        throw new ConflictError(
+          "You have already had a trial session with this tutor",
+          "TRIAL_ALREADY_USED"
+        );
+      }
+    }
+
+    return tx.booking.create({
+      data: {
+        tutorId,
+        studentId,
+        subjectId: subjectId || null,
+        type,
+        price: sessionPrice(tutor, type, duration),
+        sessionDate: dateOnly(date),
+        sessionTime: startTime,
+        duration,
+        location: location || null,
+        notes: notes || null,
+        cancellationPolicy: policySnapshot(tutor),
+        history: {
+          create: {
+            toStatus: BookingStatus.PENDING,
+            actorId: studentId,
+            actorRole: UserRole.STUDENT,
+          },
+        },
+      },
+      select: BOOKING_SELECT,
+    });
+  });
+
+  const formatted = formatBooking(booking);
+
+  await notifyUser(
+    booking.tutor.user,
+    EMAIL_TEMPLATE.BOOKING_REQUESTED,
+    notificationData(formatted, booking.tutor.name, null)
+  );
+
+  return formatted;
+}
+
+/**
+ * Where clause limiting bookings to those a user takes part in
+ * Admins see every booking
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @returns {object} Prisma where clause
+ */
+export function participantWhere(user) {
+  if (user.role === UserRole.ADMIN) return {};
+  if (user.role === UserRole.TUTOR) return { tutor: { userId: user.userId } };
+  return { studentId: user.userId };
+}
+
+/**
+ * Bookings of the current user, soonest first
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {object} query - Validated query
+ * @param {string[]} [query.status] - Only these statuses
+ * @param {string} [query.from] - First local date
+ * @param {string} [query.to] - Last local date (inclusive)
+ * @param {number} [query.page] - Page number
+ * @param {number} [query.limit] - Page size
+ * @returns {Promise<{bookings: Array<object>, pagination: object}>}
+ */
+export async function listBookings(
+  user,
+  { status, from, to, page = 1, limit = 20 } = {}
+) {
+  const where = {
+    ...participantWhere(user),
+    ...(status && { status: { in: status } }),
+    ...((from || to) && {
+      sessionDate: {
+        ...(from && { gte: dateOnly(from) }),
+        ...(to && { lte: dateOnly(to) }),
+      },
+    }),
+  };
+
+  const [bookings, total] = await Promise.all([
+    prisma.booking.findMany({
+      where,
+      select: BOOKING_SELECT,
+      orderBy: [{ sessionDate: "asc" }, { sessionTime: "asc" }, { id: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.booking.count({ where }),
+  ]);
+
+  return {
+    bookings: bookings.map(formatBooking),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get a booking the user takes part in (or any booking for admins)
+ * Other users' bookings are reported as not found
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @param {object} [select] - Fields to select
+ * @returns {Promise<object>} Booking row
+ */
+export async function findVisibleBooking(
+  user,
+  bookingId,
+  select = BOOKING_SELECT
+) {
+  const booking = await prisma.booking.findFirst({
+    where: { id: bookingId, ...participantWhere(user) },
+    select,
+  });
+
+  if (!booking) {
+    throw new NotFoundError("Booking not found", "BOOKING_NOT_FOUND");
+  }
+
+  return booking;
+}
+
+/**
+ * Booking details with its status history
+ * Both participants come with their reliability record
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<object>} Booking with history (oldest change first)
+ */
+export async function getBooking(user, bookingId) {
+  const booking = await findVisibleBooking(user, bookingId, {
+    ...BOOKING_SELECT,
+    history: { select: HISTORY_SELECT, orderBy: { createdAt: "asc" } },
+  });
+
+  const result = formatBooking(booking);
+  const [tutorReliability, studentReliability] = await Promise.all([
+    getTutorReliability(booking.tutor.id),
+    getStudentReliability(booking.student.id),
+  ]);
+
+  return {
+    ...result,
+    tutor: { ...result.tutor, reliability: tutorReliability },
+    student: { ...result.student, reliability: studentReliability },
+  };
+}
+
+/**
+ * Check that a user may move a booking to a status right now
+ * Allowed moves and roles come from BOOKING_TRANSITIONS
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {{status: string, sessionDate: Date, sessionTime: string, duration: number|null}} booking - Booking
+ * @param {string} status - Target status
+ * @returns {void}
+ */
+export function assertTransition(user, booking, status) {
+  const from = booking.status;
+  const allowedRoles = BOOKING_TRANSITIONS[from]?.[status];
+
+  if (!allowedRoles) {
+    throw new ConflictError(
+      `A ${from.toLowerCase()} booking cannot be marked ${status.toLowerCase()}`,
+      "INVALID_STATUS_TRANSITION",
+      { from, to: status }
+    );
+  }
+
+  if (!allowedRoles.includes(user.role)) {
+    throw new ForbiddenError(
+      "You are not allowed to make this change",
+      "BOOKING_ACTION_FORBIDDEN"
+    );
+  }
+
+  const { date, start } = getBookingRange(booking);
+  const started = toUtcDate(date, start).getTime() <= Date.now();
+
+  if (
+    started &&
+    (status === BookingStatus.ACCEPTED || status === BookingStatus.SKIPPED)
+  ) {
+    throw new ConflictError(
+      "This session has already started",
+      "BOOKING_IN_PAST"
+    );
+  }
+
+  if (
+    !started &&
+    (status === BookingStatus.COMPLETED || status === BookingStatus.NO_SHOW)
+  ) {
+    throw new ConflictError(
+      `A session can only be marked ${status.toLowerCase()} once it has started`,
+      "BOOKING_NOT_STARTED"
+    );
+  }
+}
+
+/**
+ * Booking fields set along with a new status
+ * Cancellations and skipped series sessions record who called them off,
+ * when and why, and whether it was late under the booking's policy;
+ * no-shows record who was absent. All store the fee the student owes, if
+ * any.
+ * @param {object} booking - Booking as checked (BOOKING_SELECT)
+ * @param {string} status - Target status
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} [note] - Reason or comment
+ * @param {string} [noShowParty] - Role of the absent participant (NO_SHOW)
+ * @returns {object} Prisma data
+ */
+function statusChangeData(booking, status, user, note, noShowParty) {
+  if (status === BookingStatus.CANCELLED || status === BookingStatus.SKIPPED) {
+    const { late, fee } = cancellationTerms(booking, user.role);
+
+    return {
+      status,
+      cancelledById: user.userId,
+      cancelledByRole: user.role,
+      cancelledAt: new Date(),
+      cancelReason: note || null,
+      lateCancel: late,
+      cancellationFee: fee,
+    };
+  }
+
+  if (status === BookingStatus.NO_SHOW) {
+    return {
+      status,
+      noShowParty,
+      cancellationFee: noShowFee(booking, noShowParty),
+    };
+  }
+
+  return { status };
+}
+
+/**
+ * Apply a checked status change and record it in the history
+ * The update only applies if the status is still the one checked, so
+ * two concurrent changes cannot both win. Closing a booking also closes
+ * its open reschedule proposals.
+ * @param {object} tx - Transaction client
+ * @param {object} booking - Booking as checked (BOOKING_SELECT)
+ * @param {string} status - Target status
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} [note] - Reason or comment
+ * @param {string} [noShowParty] - Role of the absent participant (NO_SHOW)
+ * @returns {Promise<void>}
+ */
+export async function recordStatusChange(
+  tx,
+  booking,
+  status,
+  user,
+  note,
+  noShowParty
+) {
+  const { count } = await tx.booking.updateMany({
+    where: { id: booking.id, status: booking.status },
+    data: {
+      ...statusChangeData(booking, status, user, note, noShowParty),
+      calendarSequence: { increment: 1 },
+    },
+  });
+
+  if (count === 0) {
+    throw new ConflictError(
+      "The booking was changed by someone else. Reload and try again",
+      "BOOKING_STATUS_CHANGED"
+    );
+  }
+
+  await tx.bookingHistory.create({
+    data: {
+      bookingId: booking.id,
+      fromStatus: booking.status,
+      toStatus: status,
+      actorId: user.userId,
+      actorRole: user.role,
+      note: note || null,
+    },
+  });
+
+  if (!BLOCKING_BOOKING_STATUSES.includes(status)) {
+    await tx.rescheduleProposal.updateMany({
+      where: { bookingId: booking.id, status: ProposalStatus.PENDING },
+      data: { status: ProposalStatus.EXPIRED },
+    });
+  }
+}
+
+/**
+ * Move a booking to a new status
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @param {{status: string, note?: string}} input - Validated input
+ * @returns {Promise<object>} Updated booking
+ */
+export async function changeBookingStatus(user, bookingId, { status, note }) {
+  const booking = await findVisibleBooking(user, bookingId);
+
+  assertTransition(user, booking, status);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await recordStatusChange(tx, booking, status, user, note);
+
+    return tx.booking.findUnique({
+      where: { id: bookingId },
+      select: BOOKING_SELECT,
+    });
+  });
+
+  const result = formatBooking(updated);
+  const template = STATUS_NOTIFICATIONS[status];
+
+  if (template) {
+    const byTutor = user.userId === updated.tutor.userId;
+    const byStudent = user.userId === updated.student.id;
+    // Confirmed sessions go into both calendars; cancelling one takes it
+    // out of both, the canceller's included
+    const cancel = status === BookingStatus.CANCELLED;
+    const invite =
+      status === BookingStatus.ACCEPTED ||
+      (cancel && booking.status === BookingStatus.ACCEPTED);
+
+    // Tell the student about tutor/admin actions, the tutor about student
+    // ones, and both when their calendars change
+    if (!byStudent || invite) {
+      await notifyUser(
+        updated.student,
+        template,
+        {
+          ...notificationData(
+            result,
+            null,
+            byTutor ? updated.tutor.name : null,
+            note
+          ),
+          fee: result.cancellationFee,
+        },
+        {
+          icalEvent: invite
+            ? bookingInvite(result, updated.student, { cancel })
+            : undefined,
+        }
+      );
+    }
+
+    if ((!byTutor && cancel) || invite) {
+      await notifyUser(
+        updated.tutor.user,
+        template,
+        {
+          ...notificationData(result, updated.tutor.name, null, note),
+          fee: result.cancellationFee,
+        },
+        {
+          icalEvent: invite
+            ? bookingInvite(result, updated.tutor.user, {
+                forTutor: true,
+                cancel,
+              })
+            : undefined,
+        }
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * What cancelling a booking now would cost, before the user commits
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<object>} Policy, free-cancel deadline, lateness and fee
+ */
+export async function getCancellationTerms(user, bookingId) {
+  const booking = await findVisibleBooking(user, bookingId);
+
+  assertTransition(user, booking, BookingStatus.CANCELLED);
+
+  return {
+    policy: booking.cancellationPolicy,
+    ...cancellationTerms(booking, user.role),
+  };
+}
+
+/**
+ * Report that a participant did not turn up to a confirmed session
+ * Students and tutors report the other side; admins say who was absent.
+ * A student no-show is charged the booking's no-show fee.
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @param {{party?: string, note?: string}} input - Validated input
+ * @returns {Promise<object>} Updated booking
+ */
+export async function reportNoShow(user, bookingId, { party, note }) {
+  const booking = await findVisibleBooking(user, bookingId);
+
+  assertTransition(user, booking, BookingStatus.NO_SHOW);
+
+  const absent = OTHER_PARTY[user.role] ?? party;
+
+  if (!absent || (party && party !== absent)) {
+    throw new ValidationError("Validation failed", [
+      {
+        field: "party",
+        location: "body",
+        message:
+          user.role === UserRole.ADMIN
+            ? "party is required"
+            : "You can only report the other participant as absent",
+      },
+    ]);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await recordStatusChange(
+      tx,
+      booking,
+      BookingStatus.NO_SHOW,
+      user,
+      note,
+      absent
+    );
+
+    return tx.booking.findUnique({
+      where: { id: bookingId },
+      select: BOOKING_SELECT,
+    });
+  });
+
+  const result = formatBooking(updated);
+
+  // The absent participant hears about it, so a wrong report can be disputed
+  await notifyUser(
+    absent === UserRole.STUDENT ? updated.student : updated.tutor.user,
+    EMAIL_TEMPLATE.BOOKING_NO_SHOW,
+    {
+      ...(absent === UserRole.STUDENT
+        ? notificationData(result, null, updated.tutor.name, note)
+        : notificationData(result, updated.tutor.name, null, note)),
+      fee: result.cancellationFee,
+    }
+  );
+
+  return result;
+}
@@ -0,0 +1,686 @@
+import { prisma } from "../config/database.js";
+import {
+  BookingStatus,
+  BookingType,
+  ProposalStatus,
+  RecurrenceFrequency,
+  UserRole,
+} from "@prisma/client";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import {
+  addDays,
+  dateOnly,
+  dayOfWeek,
+  daysBetween,
+  formatTime,
+  parseTime,
+  recurrenceDates,
+  toUtcDate,
+} from "../utils/time.js";
+import { getBookingRange, isSlotOpen } from "./availability.service.js";
+import {
+  BOOKING_SELECT,
+  BOOKING_TRANSITIONS,
+  assertTransition,
+  formatBooking,
+  getBookableTutor,
+  isStudentFree,
+  isUpcoming,
+  lockSchedules,
+  notificationData,
+  participantWhere,
+  recordStatusChange,
+  sessionPrice,
+} from "./booking.service.js";
+import { sessionsInvite } from "./calendar.service.js";
+import { policySnapshot } from "./cancellationPolicy.service.js";
+import { notifyUser } from "./notification.service.js";
+
+const SERIES_SELECT = {
+  id: true,
+  frequency: true,
+  interval: true,
+  daysOfWeek: true,
+  startDate: true,
+  endDate: true,
+  startTime: true,
+  duration: true,
+  location: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true,
+  subject: { select: { id: true, name: true, level: true } },
+  tutor: { select: { id: true, userId: true, name: true, photoUrl: true } },
+  studentId: true,
+};
+
+/**
+ * Flatten a series row for API responses
+ * @param {object} series - Row selected with SERIES_SELECT
+ * @param {Array<object>} [bookings] - Occurrence rows (BOOKING_SELECT)
+ * @returns {object} Series with its occurrences
+ */
+function formatSeries(series, bookings) {
+  const { tutor, ...rest } = series;
+
+  return {
+    ...rest,
+    startDate: series.startDate.toISOString().slice(0, 10),
+    endDate: series.endDate.toISOString().slice(0, 10),
+    tutor: { id: tutor.id, name: tutor.name, photoUrl: tutor.photoUrl },
+    ...(bookings && { occurrences: bookings.map(formatBooking) }),
+  };
+}
+
+/**
+ * Get a series the user takes part in (or any series for admins)
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<object>} Series row with occurrences, soonest first
+ */
+async function findVisibleSeries(user, seriesId) {
+  const series = await prisma.bookingSeries.findFirst({
+    where: { id: seriesId, ...participantWhere(user) },
+    select: {
+      ...SERIES_SELECT,
+      bookings: {
+        select: BOOKING_SELECT,
+        orderBy: [{ sessionDate: "asc" }, { sessionTime: "asc" }],
+      },
+    },
+  });
+
+  if (!series) {
+    throw new NotFoundError("Booking series not found", "SERIES_NOT_FOUND");
+  }
+
+  return series;
+}
+
+/**
+ * Occurrences affected by a change to one occurrence
+ * @param {object} series - Series with occurrences
+ * @param {string} bookingId - Chosen occurrence
+ * @param {string} scope - "this" or "following"
+ * @returns {Array<object>} Occurrence rows, soonest first
+ */
+function selectOccurrences(series, bookingId, scope) {
+  const index = series.bookings.findIndex(
+    (booking) => booking.id === bookingId
+  );
+
+  if (index === -1) {
+    throw new NotFoundError(
+      "Session not found in this series",
+      "OCCURRENCE_NOT_FOUND"
+    );
+  }
+
+  const chosen = series.bookings[index];
+
+  if (!isUpcoming(chosen)) {
+    throw new ConflictError(
+      "This session can no longer be changed",
+      "OCCURRENCE_CLOSED",
+      { status: chosen.status }
+    );
+  }
+
+  if (scope === "this") return [chosen];
+
+  return [chosen, ...series.bookings.slice(index + 1).filter(isUpcoming)];
+}
+
+/**
+ * Occurrences that were confirmed before a change, i.e. in calendars
+ * @param {Array<object>} targets - Occurrence rows before the change
+ * @param {Array<object>} updated - The same occurrences after it
+ * @returns {Array<object>} Updated rows of the confirmed occurrences
+ */
+function previouslyConfirmed(targets, updated) {
+  const confirmed = new Set(
+    targets
+      .filter((booking) => booking.status === BookingStatus.ACCEPTED)
+      .map((booking) => booking.id)
+  );
+
+  return updated.filter((booking) => confirmed.has(booking.id));
+}
+
+/**
+ * Tell the other participant what happened to some occurrences
+ * Admin actions are reported to both participants. When confirmed
+ * sessions are added to, moved in or taken out of calendars, both
+ * participants get the email with the calendar attachment.
+ * @param {{userId: string, role: string}} user - Acting user
+ * @param {object} series - Series row (SERIES_SELECT)
+ * @param {Array<object>} bookings - Changed occurrences (BOOKING_SELECT), soonest first
+ * @param {string} action - SERIES_ACTIONS key of the email template
+ * @param {string} [reason] - Note given with the change
+ * @param {Array<object>} [calendar] - Confirmed occurrences among them whose calendar entries change
+ * @returns {Promise<void>}
+ */
+async function notifySeriesChange(
+  user,
+  series,
+  bookings,
+  action,
+  reason,
+  calendar = []
+) {
+  const [first] = bookings;
+  const sessions = calendar.map(formatBooking);
+  const cancel = action === "cancelled" || action === "skipped";
+  const data = {
+    ...notificationData(formatBooking(first), null, null, reason),
+    sessions: bookings.length,
+    action,
+  };
+
+  if (user.userId !== first.student.id || sessions.length > 0) {
+    await notifyUser(
+      first.student,
+      EMAIL_TEMPLATE.BOOKING_SERIES_CHANGED,
+      {
+        ...data,
+        counterpartName:
+          user.userId === series.tutor.userId ? series.tutor.name : null,
+      },
+      { icalEvent: sessionsInvite(sessions, first.student, { cancel }) }
+    );
+  }
+
+  if (user.userId !== series.tutor.userId || sessions.length > 0) {
+    await notifyUser(
+      first.tutor.user,
+      EMAIL_TEMPLATE.BOOKING_SERIES_CHANGED,
+      { ...data, recipientName: series.tutor.name },
+      {
+        icalEvent: sessionsInvite(sessions, first.tutor.user, {
+          forTutor: true,
+          cancel,
+        }),
+      }
+    );
+  }
+}
+
+/**
+ * Request a recurring series of sessions with a tutor
+ * The rule is expanded into individual PENDING bookings. Every session is
+ * checked against the tutor's open time and the student's other sessions
+ * under the same locks as single bookings; if any clashes, nothing is
+ * booked and the clashing dates are returned.
+ * @param {string} studentId - Student's user ID
+ * @param {object} input - Validated input
+ * @param {string} input.tutorId - Tutor profile ID
+ * @param {object} input.recurrence - Rule (see recurrenceDates)
+ * @param {string} input.startTime - Local "HH:MM"
+ * @param {number} input.duration - Minutes
+ * @param {string} [input.subjectId] - Subject taught by the tutor
+ * @param {string} [input.location] - Where sessions take place
+ * @param {string} [input.notes] - Message for the tutor
+ * @returns {Promise<object>} Created series with occurrences
+ */
+export async function createSeries(
+  studentId,
+  { tutorId, recurrence, startTime, duration, subjectId, location, notes }
+) {
+  const tutor = await getBookableTutor(tutorId, subjectId);
+  const dates = recurrenceDates(recurrence);
+  const weekly = recurrence.frequency === RecurrenceFrequency.WEEKLY;
+  const start = parseTime(startTime);
+
+  const { series, bookings } = await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [`tutor:${tutorId}`, `student:${studentId}`]);
+
+    const conflicts = [];
+
+    for (const date of dates) {
+      const range = { date, start, end: start + duration };
+
+      if (!(await isSlotOpen(tutorId, range, { client: tx }))) {
+        conflicts.push({ date, code: "SLOT_UNAVAILABLE" });
+      } else if (!(await isStudentFree(tx, studentId, range))) {
+        conflicts.push({ date, code: "STUDENT_DOUBLE_BOOKED" });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw new ConflictError(
+        `${conflicts.length} of ${dates.length} sessions clash with other bookings`,
+        "SERIES_CONFLICT",
+        { conflicts }
+      );
+    }
+
+    const created = await tx.bookingSeries.create({
+      data: {
+        tutorId,
+        studentId,
+        subjectId: subjectId || null,
+        frequency: recurrence.frequency,
+        interval: weekly ? recurrence.interval : 1,
+        daysOfWeek: weekly
+          ? [...recurrence.daysOfWeek].sort()
+          : [...new Set(dates.map(dayOfWeek))].sort(),
+        startDate: dateOnly(dates[0]),
+        endDate: dateOnly(dates[dates.length - 1]),
+        startTime,
+        duration,
+        location: location || null,
+        notes: notes || null,
+      },
+      select: SERIES_SELECT,
+    });
+
+    const occurrences = [];
+
+    for (const date of dates) {
+      occurrences.push(
+        await tx.booking.create({
+          data: {
+            tutorId,
+            studentId,
+            seriesId: created.id,
+            subjectId: subjectId || null,
+            type: BookingType.REGULAR,
+            price: sessionPrice(tutor, BookingType.REGULAR, duration),
+            sessionDate: dateOnly(date),
+            sessionTime: startTime,
+            duration,
+            location: location || null,
+            notes: notes || null,
+            cancellationPolicy: policySnapshot(tutor),
+            history: {
+              create: {
+                toStatus: BookingStatus.PENDING,
+                actorId: studentId,
+                actorRole: UserRole.STUDENT,
+              },
+            },
+          },
+          select: BOOKING_SELECT,
+        })
+      );
+    }
+
+    return { series: created, bookings: occurrences };
+  });
+
+  const [first] = bookings;
+
+  await notifyUser(first.tutor.user, EMAIL_TEMPLATE.BOOKING_SERIES_REQUESTED, {
+    ...notificationData(formatBooking(first), first.tutor.name, null),
+    sessions: bookings.length,
+  });
+
+  return formatSeries(series, bookings);
+}
+
+/**
+ * Series of the current user, newest first (all series for admins)
+ * Occurrences are left out; fetch a series to see them
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {{page?: number, limit?: number}} [options] - Pagination
+ * @returns {Promise<{series: Array<object>, pagination: object}>}
+ */
+export async function listSeries(user, { page = 1, limit = 20 } = {}) {
+  const where = participantWhere(user);
+
+  const [series, total] = await Promise.all([
+    prisma.bookingSeries.findMany({
+      where,
+      select: {
+        ...SERIES_SELECT,
+        _count: { select: { bookings: true } },
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.bookingSeries.count({ where }),
+  ]);
+
+  return {
+    series: series.map(({ _count, ...row }) => ({
+      ...formatSeries(row),
+      sessions: _count.bookings,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Series details with every occurrence
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<object>} Series with occurrences
+ */
+export async function getSeries(user, seriesId) {
+  const { bookings, ...series } = await findVisibleSeries(user, seriesId);
+  return formatSeries(series, bookings);
+}
+
+/**
+ * Apply a status change to occurrences in one transaction
+ * @param {{userId: string, role: string}} user - Acting user
+ * @param {Array<object>} targets - Occurrence rows, checked with assertTransition
+ * @param {string} status - Target status
+ * @param {string} [note] - Reason or comment
+ * @returns {Promise<Array<object>>} Updated occurrence rows
+ */
+async function changeOccurrenceStatus(user, targets, status, note) {
+  return prisma.$transaction(async (tx) => {
+    for (const booking of targets) {
+      await recordStatusChange(tx, booking, status, user, note);
+    }
+
+    return tx.booking.findMany({
+      where: { id: { in: targets.map((booking) => booking.id) } },
+      select: BOOKING_SELECT,
+      orderBy: [{ sessionDate: "asc" }, { sessionTime: "asc" }],
+    });
+  });
+}
+
+/**
+ * Accept or reject every upcoming pending session of a series
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @param {{status: string, note?: string}} input - Validated input
+ * @returns {Promise<object>} Series with occurrences
+ */
+export async function respondToSeries(user, seriesId, { status, note }) {
+  const series = await findVisibleSeries(user, seriesId);
+  const targets = series.bookings.filter(
+    (booking) =>
+      isUpcoming(booking) && BOOKING_TRANSITIONS[booking.status][status]
+  );
+
+  if (targets.length === 0) {
+    throw new ConflictError(
+      "This series has no upcoming sessions awaiting a response",
+      "SERIES_NOTHING_PENDING"
+    );
+  }
+
+  targets.forEach((booking) => assertTransition(user, booking, status));
+
+  const updated = await changeOccurrenceStatus(user, targets, status, note);
+  const accepted = status === BookingStatus.ACCEPTED;
+  await notifySeriesChange(
+    user,
+    series,
+    updated,
+    accepted ? "accepted" : "rejected",
+    note,
+    accepted ? updated : []
+  );
+
+  return getSeries(user, seriesId);
+}
+
+/**
+ * Cancel every upcoming session of a series
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @param {string} [reason] - Why the series is cancelled
+ * @returns {Promise<object>} Series with occurrences
+ */
+export async function cancelSeries(user, seriesId, reason) {
+  const series = await findVisibleSeries(user, seriesId);
+  const targets = series.bookings.filter(isUpcoming);
+
+  if (targets.length === 0) {
+    throw new ConflictError(
+      "This series has no upcoming sessions",
+      "SERIES_NOTHING_PENDING"
+    );
+  }
+
+  targets.forEach((booking) =>
+    assertTransition(user, booking, BookingStatus.CANCELLED)
+  );
+
+  const updated = await changeOccurrenceStatus(
+    user,
+    targets,
+    BookingStatus.CANCELLED,
+    reason
+  );
+  await notifySeriesChange(
+    user,
+    series,
+    updated,
+    "cancelled",
+    reason,
+    previouslyConfirmed(targets, updated)
+  );
+
+  return getSeries(user, seriesId);
+}
+
+/**
+ * Skip or cancel one occurrence, or it and every later one
+ * Skipped sessions simply do not take place; the series carries on
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @param {string} bookingId - Chosen occurrence
+ * @param {{status: string, scope: string, reason?: string}} input - SKIPPED or CANCELLED
+ * @returns {Promise<object>} Series with occurrences
+ */
+export async function changeOccurrences(
+  user,
+  seriesId,
+  bookingId,
+  { status, scope, reason }
+) {
+  const series = await findVisibleSeries(user, seriesId);
+  const targets = selectOccurrences(series, bookingId, scope);
+
+  targets.forEach((booking) => assertTransition(user, booking, status));
+
+  const updated = await changeOccurrenceStatus(user, targets, status, reason);
+  await notifySeriesChange(
+    user,
+    series,
+    updated,
+    status === BookingStatus.SKIPPED ? "skipped" : "cancelled",
+    reason,
+    previouslyConfirmed(targets, updated)
+  );
+
+  return getSeries(user, seriesId);
+}
+
+/**
+ * Whether two local session ranges overlap in time
+ * @param {{date: string, start: number, end: number}} a - Range
+ * @param {{date: string, start: number, end: number}} b - Range
+ * @returns {boolean}
+ */
+function rangesOverlap(a, b) {
+  return (
+    toUtcDate(a.date, a.start) < toUtcDate(b.date, b.end) &&
+    toUtcDate(b.date, b.start) < toUtcDate(a.date, a.end)
+  );
+}
+
+/**
+ * Move one occurrence, or it and every later one, to a new time
+ * "following" shifts each later session by the same number of days and
+ * updates the series rule. Students can only move sessions the tutor has
+ * not confirmed yet; confirmed ones are moved through a reschedule
+ * proposal the tutor agrees to. Moved sessions keep their status and
+ * their open proposals lapse. All moved sessions are checked together,
+ * including against each other; if any clashes nothing moves.
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} seriesId - Series ID
+ * @param {string} bookingId - Chosen occurrence
+ * @param {object} input - Validated input
+ * @param {string} input.scope - "this" or "following"
+ * @param {string} input.date - New local date of the chosen occurrence
+ * @param {string} input.startTime - New local "HH:MM"
+ * @param {number} [input.duration] - New length in minutes
+ * @param {string} [input.reason] - Why the sessions move
+ * @returns {Promise<object>} Series with occurrences
+ */
+export async function rescheduleOccurrences(
+  user,
+  seriesId,
+  bookingId,
+  { scope, date, startTime, duration, reason }
+) {
+  const series = await findVisibleSeries(user, seriesId);
+  const targets = selectOccurrences(series, bookingId, scope);
+  const shift = daysBetween(getBookingRange(targets[0]).date, date);
+  const start = parseTime(startTime);
+  const excluded = targets.map((booking) => booking.id);
+  const confirmed = targets.filter(
+    (booking) => booking.status === BookingStatus.ACCEPTED
+  );
+
+  if (user.role === UserRole.STUDENT && confirmed.length > 0) {
+    throw new ConflictError(
+      "Confirmed sessions can only be moved with the tutor's agreement. Propose a new time instead",
+      "RESCHEDULE_PROPOSAL_REQUIRED",
+      { bookingIds: confirmed.map((booking) => booking.id) }
+    );
+  }
+
+  const moves = targets.map((booking) => {
+    const from = getBookingRange(booking);
+    const length = duration ?? booking.duration ?? 60;
+
+    return {
+      booking,
+      from,
+      to: { date: addDays(from.date, shift), start, end: start + length },
+      duration: length,
+    };
+  });
+
+  // A new length is priced at the tutor's current rates
+  const tutor = duration ? await getBookableTutor(series.tutor.id) : null;
+
+  await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [
+      `tutor:${series.tutor.id}`,
+      `student:${series.studentId}`,
+    ]);
+
+    const conflicts = [];
+
+    for (const [index, { to }] of moves.entries()) {
+      const options = { client: tx, excludeBookingIds: excluded };
+
+      if (
+        moves.some((other, i) => i !== index && rangesOverlap(to, other.to))
+      ) {
+        conflicts.push({ date: to.date, code: "SESSIONS_OVERLAP" });
+      } else if (!(await isSlotOpen(series.tutor.id, to, options))) {
+        conflicts.push({ date: to.date, code: "SLOT_UNAVAILABLE" });
+      } else if (!(await isStudentFree(tx, series.studentId, to, excluded))) {
+        conflicts.push({ date: to.date, code: "STUDENT_DOUBLE_BOOKED" });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw new ConflictError(
+        `${conflicts.length} of ${moves.length} sessions clash with other bookings at the new time`,
+        "SERIES_CONFLICT",
+        { conflicts }
+      );
+    }
+
+    for (const move of moves) {
+      const { count } = await tx.booking.updateMany({
+        where: { id: move.booking.id, status: move.booking.status },
+        data: {
+          sessionDate: dateOnly(move.to.date),
+          sessionTime: startTime,
+          duration: move.duration,
+          calendarSequence: { increment: 1 },
+          ...(tutor && {
+            price: sessionPrice(tutor, move.booking.type, move.duration),
+          }),
+        },
+      });
+
+      if (count === 0) {
+        throw new ConflictError(
+          "The booking was changed by someone else. Reload and try again",
+          "BOOKING_STATUS_CHANGED"
+        );
+      }
+
+      await tx.bookingHistory.create({
+        data: {
+          bookingId: move.booking.id,
+          fromStatus: move.booking.status,
+          toStatus: move.booking.status,
+          actorId: user.userId,
+          actorRole: user.role,
+          note: [
+            `Rescheduled from ${move.from.date} ${formatTime(move.from.start)}`,
+            reason,
+          ]
+            .filter(Boolean)
+            .join(": "),
+        },
+      });
+    }
+
+    // Proposals were made against the old times
+    await tx.rescheduleProposal.updateMany({
+      where: { bookingId: { in: excluded }, status: ProposalStatus.PENDING },
+      data: { status: ProposalStatus.EXPIRED },
+    });
+
+    if (scope === "following") {
+      const remaining = await tx.booking.findMany({
+        where: { seriesId },
+        select: { sessionDate: true },
+        orderBy: { sessionDate: "desc" },
+        take: 1,
+      });
+
+      await tx.bookingSeries.update({
+        where: { id: seriesId },
+        data: {
+          startTime,
+          duration: duration ?? series.duration,
+          daysOfWeek: [
+            ...new Set(
+              series.daysOfWeek.map((day) => (((day + shift) % 7) + 7) % 7)
+            ),
+          ].sort(),
+          endDate: remaining[0].sessionDate,
+        },
+      });
+    }
+  });
+
+  const updated = await prisma.booking.findMany({
+    where: { id: { in: excluded } },
+    select: BOOKING_SELECT,
+    orderBy: [{ sessionDate: "asc" }, { sessionTime: "asc" }],
+  });
+  await notifySeriesChange(
+    user,
+    series,
+    updated,
+    "rescheduled",
+    reason,
+    updated.filter((booking) => booking.status === BookingStatus.ACCEPTED)
+  );
+
+  return getSeries(user, seriesId);
+}
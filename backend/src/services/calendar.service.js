@@ -0,0 +1,234 @@
+import crypto from "crypto";
+import { prisma } from "../config/database.js";
+import { BookingStatus, BookingType } from "@prisma/client";
+import { NotFoundError } from "../utils/errors.js";
+import { buildCalendar } from "../utils/ical.js";
+import { dateOnly, parseTime, toLocalDate } from "../utils/time.js";
+import { getBookingRange } from "./availability.service.js";
+
+const FEED_NAME = "Tutor App sessions";
+// Calendar apps poll subscriptions; hint at an hourly refresh
+const FEED_REFRESH_INTERVAL = "PT1H";
+const FEED_MAX_EVENTS = 500;
+const ORGANIZER_NAME = "Tutor App";
+
+const FEED_BOOKING_SELECT = {
+  id: true,
+  type: true,
+  sessionDate: true,
+  sessionTime: true,
+  duration: true,
+  location: true,
+  calendarSequence: true,
+  updatedAt: true,
+  subject: { select: { name: true } },
+  tutor: { select: { name: true, userId: true } },
+  student: { select: { email: true, phone: true } },
+};
+
+/**
+ * Hash a feed token before storing or looking it up (never store raw tokens)
+ * @param {string} token - Feed token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Public subscription URL for a feed token
+ * @param {string} token - Feed token
+ * @returns {string} URL ending in .ics
+ */
+function feedUrl(token) {
+  const baseUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return `${baseUrl}/api/calendar/${token}.ics`;
+}
+
+/**
+ * Calendar event for a session, worded for the tutor or the student
+ * The UID stays the same for the life of the booking, so updates and
+ * cancellations replace the event instead of adding another
+ * @param {object} booking - Booking with id, type, location, calendarSequence, subject, tutor and student
+ * @param {{date: string, start: number, end: number}} range - Local session time
+ * @param {object} options - Event options
+ * @param {boolean} options.forTutor - Whether the calendar belongs to the tutor
+ * @param {Date} options.stamp - DTSTAMP
+ * @param {boolean} [options.cancelled] - Mark the event cancelled
+ * @returns {object} Event for buildCalendar
+ */
+function sessionEvent(booking, range, { forTutor, stamp, cancelled = false }) {
+  const subject = booking.subject?.name || "Tutoring";
+  const student = booking.student.email || booking.student.phone;
+
+  return {
+    uid: `booking-${booking.id}@tutor-app`,
+    sequence: booking.calendarSequence,
+    stamp,
+    ...range,
+    summary: forTutor
+      ? `${subject} session`
+      : `${subject} with ${booking.tutor.name}`,
+    description: [
+      booking.type === BookingType.TRIAL ? "Trial session" : null,
+      forTutor && student ? `Student: ${student}` : null,
+      forTutor ? null : `Tutor: ${booking.tutor.name}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: booking.location,
+    cancelled,
+  };
+}
+
+/**
+ * Calendar attachment for a booking email
+ * PUBLISH adds or updates the sessions in the recipient's calendar
+ * without asking for a reply; CANCEL removes them
+ * @param {Array<object>} bookings - Formatted bookings (formatBooking)
+ * @param {{email?: string|null}} recipient - Who the email goes to
+ * @param {{forTutor?: boolean, cancel?: boolean}} [options] - Wording and method
+ * @returns {{method: string, filename: string, content: string}|undefined} Nodemailer icalEvent, if there are sessions and the recipient has an email address
+ */
+export function sessionsInvite(
+  bookings,
+  recipient,
+  { forTutor = false, cancel = false } = {}
+) {
+  if (!recipient.email || bookings.length === 0) return undefined;
+
+  const organizerEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+  const method = cancel ? "CANCEL" : "PUBLISH";
+  const stamp = new Date();
+
+  const events = bookings.map((booking) => {
+    const start = parseTime(booking.startTime);
+
+    return {
+      ...sessionEvent(
+        booking,
+        { date: booking.date, start, end: start + booking.duration },
+        { forTutor, stamp, cancelled: cancel }
+      ),
+      ...(organizerEmail && {
+        organizer: { name: ORGANIZER_NAME, email: organizerEmail },
+      }),
+      // A cancellation names who it is for; a published event has no attendees
+      ...(cancel && { attendees: [{ email: recipient.email }] }),
+    };
+  });
+
+  return {
+    method,
+    filename: cancel ? "cancelled-session.ics" : "session.ics",
+    content: buildCalendar({ method, events }),
+  };
+}
+
+/**
+ * Calendar attachment for one booking (see sessionsInvite)
+ * @param {object} booking - Formatted booking (formatBooking)
+ * @param {{email?: string|null}} recipient - Who the email goes to
+ * @param {{forTutor?: boolean, cancel?: boolean}} [options] - Wording and method
+ * @returns {{method: string, filename: string, content: string}|undefined} Nodemailer icalEvent
+ */
+export function bookingInvite(booking, recipient, options) {
+  return sessionsInvite([booking], recipient, options);
+}
+
+/**
+ * Whether the user has a calendar feed
+ * The URL itself is only shown when the token is issued
+ * @param {string} userId - User ID
+ * @returns {Promise<{enabled: boolean, createdAt: Date|null}>}
+ */
+export async function getFeedStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { calendarTokenHash: true, calendarTokenCreatedAt: true },
+  });
+
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+
+  return {
+    enabled: Boolean(user.calendarTokenHash),
+    createdAt: user.calendarTokenCreatedAt,
+  };
+}
+
+/**
+ * Issue a new feed token, replacing any previous one
+ * Calendars subscribed with the old URL stop updating
+ * @param {string} userId - User ID
+ * @returns {Promise<{url: string, createdAt: Date}>} New subscription URL
+ */
+export async function rotateFeedToken(userId) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const createdAt = new Date();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      calendarTokenHash: hashToken(token),
+      calendarTokenCreatedAt: createdAt,
+    },
+  });
+
+  return { url: feedUrl(token), createdAt };
+}
+
+/**
+ * Turn the feed off
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function disableFeed(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { calendarTokenHash: null, calendarTokenCreatedAt: null },
+  });
+}
+
+/**
+ * Upcoming confirmed sessions of a feed's owner, as iCalendar
+ * Covers sessions the user attends as a student and teaches as a tutor
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<string>} iCalendar text
+ */
+export async function getFeed(token) {
+  const user = await prisma.user.findFirst({
+    where: { calendarTokenHash: hashToken(token), active: true },
+    select: { id: true },
+  });
+
+  if (!user) {
+    throw new NotFoundError("Calendar not found", "CALENDAR_NOT_FOUND");
+  }
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: BookingStatus.ACCEPTED,
+      sessionDate: { gte: dateOnly(toLocalDate()) },
+      OR: [{ studentId: user.id }, { tutor: { userId: user.id } }],
+    },
+    select: FEED_BOOKING_SELECT,
+    orderBy: [{ sessionDate: "asc" }, { sessionTime: "asc" }],
+    take: FEED_MAX_EVENTS,
+  });
+
+  return buildCalendar({
+    method: "PUBLISH",
+    name: FEED_NAME,
+    refreshInterval: FEED_REFRESH_INTERVAL,
+    events: bookings.map((booking) =>
+      sessionEvent(booking, getBookingRange(booking), {
+        forTutor: booking.tutor.userId === user.id,
+        stamp: booking.updatedAt,
+      })
+    ),
+  });
+}
@@ -0,0 +1,84 @@
+import { BookingStatus, UserRole } from "@prisma/client";
+import { toUtcDate } from "../utils/time.js";
+import { getBookingRange } from "./availability.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tutor profile fields that make up a cancellation policy
+export const POLICY_SELECT = {
+  freeCancelHours: true,
+  lateCancelFeePercent: true,
+  noShowFeePercent: true,
+};
+
+/**
+ * Copy a tutor's current policy for storing on a new booking
+ * Bookings keep the terms they were made under, even if the tutor
+ * changes their policy later
+ * @param {object} tutor - Tutor profile with the policy fields
+ * @returns {{freeCancelHours: number, lateCancelFeePercent: number, noShowFeePercent: number}} Policy
+ */
+export function policySnapshot(tutor) {
+  return Object.fromEntries(
+    Object.keys(POLICY_SELECT).map((field) => [field, tutor[field]])
+  );
+}
+
+/**
+ * Share of a session's price, in whole rupees
+ * @param {number|null} price - Session price
+ * @param {number} percent - Percentage of the price
+ * @returns {number|null} Fee, or null for unpriced sessions
+ */
+function percentOf(price, percent) {
+  return price == null ? null : Math.round((price * percent) / 100);
+}
+
+/**
+ * What cancelling a booking right now would mean under its policy
+ * Only confirmed sessions can be cancelled late: a pending request is
+ * always free to withdraw, and admins cancel without penalty. A late
+ * cancellation by the student carries the late-cancel fee; one by the
+ * tutor is free for the student but counts against the tutor.
+ * Bookings made before policies existed have none and cancel free.
+ * @param {object} booking - Booking with status, price, time and cancellationPolicy
+ * @param {string} role - Role of the user cancelling
+ * @param {number} [now] - Current time in ms
+ * @returns {{late: boolean, fee: number|null, freeUntil: Date|null}} Terms
+ */
+export function cancellationTerms(booking, role, now = Date.now()) {
+  const policy = booking.cancellationPolicy;
+
+  if (!policy || booking.status !== BookingStatus.ACCEPTED) {
+    return { late: false, fee: null, freeUntil: null };
+  }
+
+  const { date, start } = getBookingRange(booking);
+  const freeUntil = new Date(
+    toUtcDate(date, start).getTime() - policy.freeCancelHours * HOUR_MS
+  );
+  const late = role !== UserRole.ADMIN && now > freeUntil.getTime();
+
+  return {
+    late,
+    fee:
+      late && role === UserRole.STUDENT
+        ? percentOf(booking.price, policy.lateCancelFeePercent)
+        : null,
+    freeUntil,
+  };
+}
+
+/**
+ * Fee for a missed session under the booking's policy
+ * Only a student who does not turn up is charged
+ * @param {object} booking - Booking with price and cancellationPolicy
+ * @param {string} party - Role of the participant who did not turn up
+ * @returns {number|null} Fee
+ */
+export function noShowFee(booking, party) {
+  const policy = booking.cancellationPolicy;
+
+  if (!policy || party !== UserRole.STUDENT) return null;
+  return percentOf(booking.price, policy.noShowFeePercent);
+}
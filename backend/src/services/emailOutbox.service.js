@@ -0,0 +1,353 @@
+import { prisma } from "../config/database.js";
+import { EmailStatus, Prisma } from "@prisma/client";
+import { sendMail } from "../utils/email.js";
+import { renderEmail, EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+// Configuration constants
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 30 * 1000; // First retry after 30s, doubled each attempt
+const MAX_RETRY_MS = 60 * 60 * 1000; // Never wait more than 1 hour
+const STALE_LOCK_MS = 5 * 60 * 1000; // SENDING rows older than this were abandoned
+const BATCH_SIZE = 20;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const DEFAULT_RETENTION_DAYS = 7; // Sent rows are kept this long for monitoring
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Codes expire after 5 minutes, so there is no point retrying for long
+const TEMPLATE_MAX_ATTEMPTS = {
+  [EMAIL_TEMPLATE.OTP]: 3,
+  [EMAIL_TEMPLATE.PASSWORD_RESET]: 3,
+  [EMAIL_TEMPLATE.ACCOUNT_UNLOCK]: 3,
+};
+
+let workerTimer = null;
+let processing = false;
+let lastPurgeAt = 0;
+
+/**
+ * Delay before the next attempt (exponential backoff)
+ * 1 failure -> 30s, 2 -> 1 min, 3 -> 2 min, ... capped at 1 hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * Process the outbox, logging instead of throwing (timer callbacks)
+ */
+function runOutbox() {
+  processOutbox().catch((error) =>
+    console.error("❌ Email outbox run failed:", error.message)
+  );
+}
+
+/**
+ * Process the outbox on the next tick without delaying the caller
+ * Only while the worker runs; elsewhere (scripts, jobs, tests) the row
+ * waits for the worker's next poll
+ */
+function scheduleRun() {
+  if (workerTimer) setImmediate(runOutbox);
+}
+
+/**
+ * Render and queue a templated email
+ * The row is written first so a crash or SMTP outage never loses mail;
+ * when the outbox worker runs, delivery is attempted right away and
+ * retried by the worker
+ * @param {string} to - Recipient email address
+ * @param {string} template - EMAIL_TEMPLATE value
+ * @param {object} data - Template data
+ * @param {object} [options] - Queue options
+ * @param {string} [options.locale] - en or ur
+ * @param {Date} [options.sendAt] - Earliest delivery time (reminders)
+ * @param {number} [options.maxAttempts] - Attempts before dead-lettering
+ * @param {object} [options.icalEvent] - Calendar invite ({method, filename, content})
+ * @returns {Promise<{id: string}>} Queued email ID
+ */
+export async function queueEmail(to, template, data, options = {}) {
+  const rendered = renderEmail(template, data, options.locale);
+
+  const email = await prisma.emailOutbox.create({
+    data: {
+      to,
+      template,
+      locale: rendered.locale,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      maxAttempts:
+        options.maxAttempts ||
+        TEMPLATE_MAX_ATTEMPTS[template] ||
+        DEFAULT_MAX_ATTEMPTS,
+      ...(options.sendAt && { nextAttemptAt: options.sendAt }),
+      ...(options.icalEvent && { icalEvent: options.icalEvent }),
+    },
+    select: { id: true },
+  });
+
+  // Deliver in the background; failures are retried by the worker
+  if (!options.sendAt || options.sendAt <= new Date()) {
+    scheduleRun();
+  }
+
+  return email;
+}
+
+/**
+ * Claim and send one queued email
+ * The conditional update makes sure only one worker sends a given row
+ * @param {object} email - Outbox row
+ * @returns {Promise<string|null>} Resulting status or null if another worker claimed it
+ */
+async function deliver(email) {
+  const { count } = await prisma.emailOutbox.updateMany({
+    where: { id: email.id, status: EmailStatus.PENDING },
+    data: {
+      status: EmailStatus.SENDING,
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+
+  if (count === 0) return null;
+
+  const attempts = email.attempts + 1;
+
+  try {
+    const { messageId } = await sendMail(email);
+
+    // Bodies hold one-time codes and reset links; drop them once delivered
+    await prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: {
+        status: EmailStatus.SENT,
+        sentAt: new Date(),
+        messageId: messageId || null,
+        lockedAt: null,
+        lastError: null,
+        html: null,
+        text: null,
+        icalEvent: Prisma.DbNull,
+      },
+    });
+
+    return EmailStatus.SENT;
+  } catch (error) {
+    const dead = attempts >= email.maxAttempts;
+
+    console.error(
+      `❌ Email ${email.id} (${email.template}) attempt ${attempts} failed:`,
+      error.message
+    );
+
+    await prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: {
+        status: dead ? EmailStatus.DEAD : EmailStatus.PENDING,
+        lockedAt: null,
+        lastError: error.message?.slice(0, 1000) || "Unknown error",
+        ...(!dead && {
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+        }),
+      },
+    });
+
+    return dead ? EmailStatus.DEAD : EmailStatus.PENDING;
+  }
+}
+
+/**
+ * Delete sent emails older than the retention period
+ * Runs at most once an hour; EMAIL_OUTBOX_RETENTION_DAYS (default 7)
+ * @returns {Promise<number>} Rows deleted
+ */
+async function purgeSentEmails() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return 0;
+  lastPurgeAt = Date.now();
+
+  const retentionDays =
+    parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) ||
+    DEFAULT_RETENTION_DAYS;
+
+  const { count } = await prisma.emailOutbox.deleteMany({
+    where: {
+      status: EmailStatus.SENT,
+      sentAt: { lt: new Date(Date.now() - retentionDays * DAY_MS) },
+    },
+  });
+
+  return count;
+}
+
+/**
+ * Send every due email in the outbox
+ * Runs are serialised per process; rows are claimed individually so
+ * several app instances can share the table
+ * @param {{batchSize?: number}} [options] - Run options
+ * @returns {Promise<{sent: number, retrying: number, dead: number}>} Run summary
+ */
+export async function processOutbox({ batchSize = BATCH_SIZE } = {}) {
+  const summary = { sent: 0, retrying: 0, dead: 0 };
+
+  if (processing) return summary;
+  processing = true;
+
+  try {
+    // Release rows left in SENDING by a crashed worker
+    await prisma.emailOutbox.updateMany({
+      where: {
+        status: EmailStatus.SENDING,
+        lockedAt: { lt: new Date(Date.now() - STALE_LOCK_MS) },
+      },
+      data: { status: EmailStatus.PENDING, lockedAt: null },
+    });
+
+    const due = await prisma.emailOutbox.findMany({
+      where: {
+        status: EmailStatus.PENDING,
+        nextAttemptAt: { lte: new Date() },
+      },
+      orderBy: { nextAttemptAt: "asc" },
+      take: batchSize,
+    });
+
+    for (const email of due) {
+      const status = await deliver(email);
+
+      if (status === EmailStatus.SENT) summary.sent += 1;
+      if (status === EmailStatus.PENDING) summary.retrying += 1;
+      if (status === EmailStatus.DEAD) summary.dead += 1;
+    }
+
+    await purgeSentEmails();
+  } finally {
+    processing = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Start polling the outbox in the background
+ * Interval from EMAIL_OUTBOX_INTERVAL_MS (default 15s)
+ */
+export function startOutboxWorker() {
+  if (workerTimer) return;
+
+  const intervalMs =
+    parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+
+  workerTimer = setInterval(runOutbox, intervalMs);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+}
+
+/**
+ * Stop the outbox worker (graceful shutdown)
+ */
+export function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Query outbox (admin)
+ * @param {object} filters - Query filters
+ * @param {string} [filters.status] - EmailStatus value
+ * @param {string} [filters.to] - Recipient
+ * @param {string} [filters.template] - Template name
+ * @param {number} [filters.page] - Page number (1-based)
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{emails: Array<object>, pagination: object}>}
+ */
+export async function listOutbox({
+  status,
+  to,
+  template,
+  page = 1,
+  limit = 20,
+}) {
+  const where = {
+    ...(status && { status }),
+    ...(to && { to }),
+    ...(template && { template }),
+  };
+
+  const [emails, total] = await Promise.all([
+    prisma.emailOutbox.findMany({
+      where,
+      // Bodies contain codes and are large; not needed for monitoring
+      select: {
+        id: true,
+        to: true,
+        template: true,
+        locale: true,
+        subject: true,
+        status: true,
+        attempts: true,
+        maxAttempts: true,
+        nextAttemptAt: true,
+        lastError: true,
+        sentAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.emailOutbox.count({ where }),
+  ]);
+
+  return {
+    emails,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Move a dead-lettered email back to the queue
+ * @param {string} emailId - Outbox row ID
+ * @returns {Promise<void>}
+ */
+export async function retryDeadEmail(emailId) {
+  const email = await prisma.emailOutbox.findUnique({
+    where: { id: emailId },
+    select: { status: true },
+  });
+
+  if (!email) {
+    throw new NotFoundError("Email not found", "EMAIL_NOT_FOUND");
+  }
+
+  if (email.status !== EmailStatus.DEAD) {
+    throw new ConflictError(
+      "Only dead-lettered emails can be retried",
+      "EMAIL_NOT_DEAD"
+    );
+  }
+
+  await prisma.emailOutbox.update({
+    where: { id: emailId },
+    data: {
+      status: EmailStatus.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  scheduleRun();
+}
@@ -0,0 +1,118 @@
+import { prisma } from "../config/database.js";
+import { Prisma } from "@prisma/client";
+import { NotFoundError } from "../utils/errors.js";
+import { TUTOR_CARD_SELECT, formatProfile } from "./tutor.service.js";
+
+const FAVORITE_SELECT = {
+  id: true,
+  createdAt: true,
+  tutor: { select: TUTOR_CARD_SELECT },
+};
+
+/**
+ * Flatten a favorite row for API responses
+ * @param {object} favorite - Row selected with FAVORITE_SELECT
+ * @returns {object} { id, createdAt, tutor }
+ */
+function formatFavorite(favorite) {
+  return { ...favorite, tutor: formatProfile(favorite.tutor) };
+}
+
+/**
+ * Add a tutor to current student's favorites
+ * Adding a tutor twice is not an error; the existing favorite is returned.
+ * The tutor's current rates are remembered so later decreases can be alerted.
+ * @param {string} studentId - Student's user ID
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<{favorite: object, created: boolean}>}
+ */
+export async function addFavorite(studentId, tutorId) {
+  const tutor = await prisma.tutorProfile.findFirst({
+    where: { id: tutorId, user: { active: true } },
+    select: { id: true, hourlyRate: true, monthlyRate: true },
+  });
+
+  if (!tutor) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  try {
+    const favorite = await prisma.favorite.create({
+      data: {
+        studentId,
+        tutorId,
+        alertedHourlyRate: tutor.hourlyRate,
+        alertedMonthlyRate: tutor.monthlyRate,
+      },
+      select: FAVORITE_SELECT,
+    });
+
+    return { favorite: formatFavorite(favorite), created: true };
+  } catch (error) {
+    // Already a favorite (possibly added by a parallel request)
+    if (
+      !(error instanceof Prisma.PrismaClientKnownRequestError) ||
+      error.code !== "P2002"
+    ) {
+      throw error;
+    }
+  }
+
+  const existing = await prisma.favorite.findUnique({
+    where: { studentId_tutorId: { studentId, tutorId } },
+    select: FAVORITE_SELECT,
+  });
+
+  return { favorite: formatFavorite(existing), created: false };
+}
+
+/**
+ * Remove a tutor from current student's favorites
+ * @param {string} studentId - Student's user ID
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<void>}
+ */
+export async function removeFavorite(studentId, tutorId) {
+  const { count } = await prisma.favorite.deleteMany({
+    where: { studentId, tutorId },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError(
+      "Tutor is not in your favorites",
+      "FAVORITE_NOT_FOUND"
+    );
+  }
+}
+
+/**
+ * Current student's favorites, most recently added first
+ * Tutors whose account was suspended are left out
+ * @param {string} studentId - Student's user ID
+ * @param {{page?: number, limit?: number}} [options] - Pagination
+ * @returns {Promise<{favorites: Array<object>, pagination: object}>}
+ */
+export async function listFavorites(studentId, { page = 1, limit = 20 } = {}) {
+  const where = { studentId, tutor: { user: { active: true } } };
+
+  const [favorites, total] = await Promise.all([
+    prisma.favorite.findMany({
+      where,
+      select: FAVORITE_SELECT,
+      orderBy: [{ createdAt: "desc" }, { id: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.favorite.count({ where }),
+  ]);
+
+  return {
+    favorites: favorites.map(formatFavorite),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
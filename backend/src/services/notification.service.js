@@ -0,0 +1,33 @@
+import { queueEmail } from "./emailOutbox.service.js";
+import { renderEmail } from "../utils/emailTemplates.js";
+import { sendNotificationSMS } from "../utils/sms.js";
+
+/**
+ * Notify a user about an account event
+ * Email goes through the outbox; phone-only users get the email subject
+ * as an SMS. Failures are logged, never thrown: the action that caused
+ * the notification has already happened.
+ * @param {{email?: string|null, phone?: string|null, locale?: string}} user - Recipient
+ * @param {string} template - EMAIL_TEMPLATE value
+ * @param {object} data - Template data
+ * @param {{icalEvent?: object}} [options] - Email-only extras (calendar invite)
+ * @returns {Promise<void>}
+ */
+export async function notifyUser(user, template, data, options = {}) {
+  try {
+    if (user.email) {
+      await queueEmail(user.email, template, data, {
+        ...options,
+        locale: user.locale,
+      });
+    } else if (user.phone) {
+      const { subject } = renderEmail(template, data, user.locale);
+      await sendNotificationSMS(user.phone, subject);
+    }
+  } catch (error) {
+    console.error(
+      `❌ Failed to send "${template}" notification:`,
+      error.message
+    );
+  }
+}
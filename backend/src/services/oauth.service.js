@@ -0,0 +1,479 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { prisma } from "../config/database.js";
+import { getOAuthProvider } from "../config/oauth.js";
+import { generateTypedToken, verifyTypedToken } from "../utils/jwt.js";
+import { createSession } from "./session.service.js";
+import { recordLoginAttempt } from "./security.service.js";
+import { getOnboarding } from "./onboarding.service.js";
+import { USER_SELECT } from "./auth.service.js";
+import { UserRole, LoginOutcome } from "@prisma/client";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Discovery documents rarely change; cache per issuer for the process lifetime
+const discoveryCache = new Map();
+
+/**
+ * Fetch JSON with a readable error on non-2xx responses
+ * @param {string} url - Request URL
+ * @param {object} [options] - fetch options
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function fetchJSON(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new AppError(
+      body.error_description ||
+        body.error?.message ||
+        body.error ||
+        `Provider request failed with status ${response.status}`,
+      502,
+      "OAUTH_PROVIDER_ERROR"
+    );
+  }
+
+  return body;
+}
+
+/**
+ * Encode buffer as base64url (RFC 4648 §5)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string without padding
+ */
+function base64url(buffer) {
+  return buffer.toString("base64url");
+}
+
+/**
+ * Resolve provider endpoints (OIDC discovery or static OAuth2 URLs)
+ * @param {object} provider - Provider config
+ * @returns {Promise<{authorizationUrl: string, tokenUrl: string, userInfoUrl?: string, issuer?: string}>}
+ */
+async function getEndpoints(provider) {
+  if (provider.type !== "oidc") {
+    return {
+      authorizationUrl: provider.authorizationUrl,
+      tokenUrl: provider.tokenUrl,
+      userInfoUrl: provider.userInfoUrl,
+    };
+  }
+
+  if (!discoveryCache.has(provider.issuer)) {
+    const doc = await fetchJSON(
+      `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+    );
+
+    discoveryCache.set(provider.issuer, {
+      authorizationUrl: doc.authorization_endpoint,
+      tokenUrl: doc.token_endpoint,
+      userInfoUrl: doc.userinfo_endpoint,
+      issuer: doc.issuer,
+    });
+  }
+
+  return discoveryCache.get(provider.issuer);
+}
+
+/**
+ * Pick public user fields
+ * @param {object} user - User row
+ * @returns {object} User data without password hash
+ */
+function toUserData(user) {
+  return Object.fromEntries(
+    Object.keys(USER_SELECT).map((field) => [field, user[field]])
+  );
+}
+
+/**
+ * Build provider authorization URL for the login redirect
+ * Uses state (CSRF), nonce (OIDC replay) and PKCE; all three travel in a
+ * signed state token that the controller keeps in a short-lived cookie
+ * @param {string} providerName - Provider name (google, facebook)
+ * @returns {Promise<{url: string, stateToken: string}>}
+ */
+export async function createAuthorizationRequest(providerName) {
+  const provider = getOAuthProvider(providerName);
+  const endpoints = await getEndpoints(provider);
+
+  const state = base64url(crypto.randomBytes(16));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+
+  const url = new URL(endpoints.authorizationUrl);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", provider.clientId);
+  url.searchParams.set("redirect_uri", provider.redirectUri);
+  url.searchParams.set("scope", provider.scopes.join(" "));
+  url.searchParams.set("state", state);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  if (provider.type === "oidc") {
+    url.searchParams.set("nonce", nonce);
+  }
+
+  const stateToken = generateTypedToken(
+    "oauth_state",
+    { provider: providerName, state, nonce, codeVerifier },
+    "10m"
+  );
+
+  return { url: url.toString(), stateToken };
+}
+
+/**
+ * Exchange authorization code for tokens
+ * @param {object} provider - Provider config
+ * @param {object} endpoints - Provider endpoints
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE verifier
+ * @returns {Promise<object>} Token response
+ */
+async function exchangeCode(provider, endpoints, code, codeVerifier) {
+  return fetchJSON(endpoints.tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+}
+
+/**
+ * Read user profile from token response
+ * OIDC: ID token claims. The token came straight from the token endpoint over
+ * TLS, so per OIDC Core 3.1.3.7 the issuer/audience/nonce/expiry checks are
+ * enough without verifying the signature.
+ * OAuth2: provider user info endpoint mapped by provider.mapProfile
+ * @param {object} provider - Provider config
+ * @param {object} endpoints - Provider endpoints
+ * @param {object} tokens - Token response
+ * @param {string} nonce - Expected nonce
+ * @returns {Promise<{providerAccountId: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+async function fetchProfile(provider, endpoints, tokens, nonce) {
+  if (provider.type === "oidc") {
+    const claims = tokens.id_token ? jwt.decode(tokens.id_token) : null;
+    const audience = Array.isArray(claims?.aud) ? claims.aud : [claims?.aud];
+
+    if (
+      !claims ||
+      claims.iss !== endpoints.issuer ||
+      !audience.includes(provider.clientId) ||
+      claims.nonce !== nonce ||
+      claims.exp * 1000 < Date.now()
+    ) {
+      throw new UnauthorizedError(
+        "Invalid ID token from provider",
+        "INVALID_ID_TOKEN"
+      );
+    }
+
+    return {
+      providerAccountId: String(claims.sub),
+      email: claims.email?.toLowerCase() || null,
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === "true",
+      name: claims.name || null,
+    };
+  }
+
+  const profile = await fetchJSON(endpoints.userInfoUrl, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
+  });
+
+  return provider.mapProfile(profile);
+}
+
+/**
+ * Start a session for a linked user
+ * @param {object} user - User row
+ * @param {string} providerName - Provider used (recorded in login audit)
+ * @param {object} meta - Client info
+ * @returns {Promise<object>} Authenticated result
+ */
+async function startSession(user, providerName, meta) {
+  const attempt = {
+    userId: user.id,
+    identifier: user.email || user.phone || user.id,
+    method: providerName,
+  };
+
+  if (!user.active) {
+    await recordLoginAttempt(
+      { ...attempt, outcome: LoginOutcome.SUSPENDED },
+      meta
+    );
+    throw new ForbiddenError("Account is suspended", "ACCOUNT_SUSPENDED");
+  }
+
+  const { token, refreshToken } = await createSession(user, meta);
+  await recordLoginAttempt({ ...attempt, outcome: LoginOutcome.SUCCESS }, meta);
+
+  return {
+    status: "authenticated",
+    user: toUserData(user),
+    onboarding: await getOnboarding(user),
+    token,
+    refreshToken,
+  };
+}
+
+/**
+ * Complete provider callback
+ * - Known identity: log in
+ * - Unknown identity whose verified email matches a verified account: link
+ *   and log in; an unverified account with that email is never linked
+ * - Otherwise: return a signup token; the account is only created after the
+ *   user picks a role (completeSocialSignup)
+ * @param {string} providerName - Provider name
+ * @param {{code: string, state: string, stateToken: string}} params - Callback params
+ * @param {{userAgent?: string, ipAddress?: string}} [meta] - Client info
+ * @returns {Promise<object>} { status: "authenticated", user, onboarding, token, refreshToken }
+ *   or { status: "role_required", signupToken, profile }
+ */
+export async function handleOAuthCallback(
+  providerName,
+  { code, state, stateToken },
+  meta = {}
+) {
+  const context = verifyTypedToken(stateToken, "oauth_state");
+
+  if (
+    !context ||
+    context.provider !== providerName ||
+    context.state !== state ||
+    !code
+  ) {
+    throw new BadRequestError(
+      "Invalid or expired login request. Please try again",
+      "INVALID_OAUTH_STATE"
+    );
+  }
+
+  const provider = getOAuthProvider(providerName);
+  const endpoints = await getEndpoints(provider);
+  const tokens = await exchangeCode(
+    provider,
+    endpoints,
+    code,
+    context.codeVerifier
+  );
+  const profile = await fetchProfile(
+    provider,
+    endpoints,
+    tokens,
+    context.nonce
+  );
+
+  // Known identity
+  const linked = await prisma.linkedAccount.findUnique({
+    where: {
+      provider_providerAccountId: {
+        provider: providerName,
+        providerAccountId: profile.providerAccountId,
+      },
+    },
+    include: { user: true },
+  });
+
+  if (linked) {
+    return startSession(linked.user, providerName, meta);
+  }
+
+  // Existing account with the same email
+  if (profile.email) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email: profile.email },
+    });
+
+    if (existingUser) {
+      // Both sides must have proven the email: linking to an unverified
+      // account would hand whoever registered it first (and their password
+      // and sessions) the provider user's identity
+      if (!profile.emailVerified || !existingUser.verified) {
+        throw new ConflictError(
+          "An account with this email already exists. Please log in with your password",
+          "EMAIL_ALREADY_REGISTERED"
+        );
+      }
+
+      await prisma.linkedAccount.create({
+        data: {
+          userId: existingUser.id,
+          provider: providerName,
+          providerAccountId: profile.providerAccountId,
+          email: profile.email,
+        },
+      });
+
+      return startSession(existingUser, providerName, meta);
+    }
+  }
+
+  // New user - role must be chosen before the account exists
+  const signupToken = generateTypedToken(
+    "social_signup",
+    {
+      provider: providerName,
+      providerAccountId: profile.providerAccountId,
+      // Unverified emails are not stored, so they can't block the real owner
+      email: profile.emailVerified ? profile.email : null,
+      name: profile.name,
+    },
+    "15m"
+  );
+
+  return {
+    status: "role_required",
+    signupToken,
+    profile: {
+      email: profile.emailVerified ? profile.email : null,
+      name: profile.name,
+    },
+  };
+}
+
+/**
+ * Create account for a new social login after role selection
+ * @param {string} signupToken - Token from handleOAuthCallback
+ * @param {string} role - Chosen role (TUTOR or STUDENT)
+ * @param {{userAgent?: string, ipAddress?: string}} [meta] - Client info
+ * @returns {Promise<object>} { status: "authenticated", user, onboarding, token, refreshToken }
+ */
+export async function completeSocialSignup(signupToken, role, meta = {}) {
+  const pending = verifyTypedToken(signupToken, "social_signup");
+
+  if (!pending) {
+    throw new UnauthorizedError(
+      "Signup session expired. Please sign in again",
+      "SIGNUP_TOKEN_EXPIRED"
+    );
+  }
+
+  const validRoles = [UserRole.TUTOR, UserRole.STUDENT];
+  if (!validRoles.includes(role)) {
+    throw new ValidationError("Invalid role. Must be TUTOR or STUDENT", [
+      { field: "role", location: "body", message: "Must be TUTOR or STUDENT" },
+    ]);
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Token may be replayed within its lifetime; it only ever creates once
+    const linked = await tx.linkedAccount.findUnique({
+      where: {
+        provider_providerAccountId: {
+          provider: pending.provider,
+          providerAccountId: pending.providerAccountId,
+        },
+      },
+    });
+
+    if (linked) {
+      throw new ConflictError(
+        "Account already exists. Please sign in again",
+        "ACCOUNT_ALREADY_LINKED"
+      );
+    }
+
+    if (pending.email) {
+      const existingUser = await tx.user.findUnique({
+        where: { email: pending.email },
+      });
+
+      if (existingUser) {
+        throw new ConflictError(
+          "Email already registered",
+          "EMAIL_ALREADY_REGISTERED"
+        );
+      }
+    }
+
+    return tx.user.create({
+      data: {
+        email: pending.email,
+        passwordHash: null,
+        role,
+        verified: true,
+        active: true,
+        linkedAccounts: {
+          create: {
+            provider: pending.provider,
+            providerAccountId: pending.providerAccountId,
+            email: pending.email,
+          },
+        },
+      },
+    });
+  });
+
+  return startSession(user, pending.provider, meta);
+}
+
+/**
+ * List social accounts linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Linked accounts
+ */
+export async function listLinkedAccounts(userId) {
+  return prisma.linkedAccount.findMany({
+    where: { userId },
+    select: { provider: true, email: true, createdAt: true },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Unlink a social account
+ * Refuses to remove the last way of signing in
+ * @param {string} userId - User ID
+ * @param {string} providerName - Provider to unlink
+ * @returns {Promise<void>}
+ */
+export async function unlinkAccount(userId, providerName) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { linkedAccounts: true },
+  });
+
+  const account = user?.linkedAccounts.find(
+    (linked) => linked.provider === providerName
+  );
+
+  if (!account) {
+    throw new NotFoundError(
+      "Linked account not found",
+      "LINKED_ACCOUNT_NOT_FOUND"
+    );
+  }
+
+  if (!user.passwordHash && user.linkedAccounts.length === 1) {
+    throw new ConflictError(
+      "Set a password before unlinking your only sign-in method",
+      "LAST_SIGN_IN_METHOD"
+    );
+  }
+
+  await prisma.linkedAccount.delete({ where: { id: account.id } });
+}
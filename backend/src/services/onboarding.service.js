@@ -0,0 +1,59 @@
+import { getProfileCompleteness } from "./profileCompleteness.service.js";
+
+// Frontend routes for each role's home page
+const HOME_ROUTES = {
+  TUTOR: "/tutor/dashboard",
+  STUDENT: "/student/dashboard",
+  ADMIN: "/admin",
+};
+
+// Frontend route for each missing profile item
+const PROFILE_STEP_ROUTES = {
+  photo: "/tutor/profile/photo",
+  bio: "/tutor/profile/edit",
+  subjects: "/tutor/profile/subjects",
+  availability: "/tutor/availability",
+  rates: "/tutor/profile/edit",
+  verification: "/tutor/verification",
+};
+
+/**
+ * Where to send a user after login, and what they still have to do
+ * Tutors without a profile go to profile setup; tutors with an incomplete
+ * profile get the first missing item. Verification is only suggested once
+ * everything else is done, since it depends on an admin.
+ * @param {{id: string, role: string}} user - Logged-in user
+ * @returns {Promise<{nextStep: string|null, redirect: string, profileCompleteness?: object|null}>}
+ */
+export async function getOnboarding(user) {
+  if (user.role !== "TUTOR") {
+    return { nextStep: null, redirect: HOME_ROUTES[user.role] };
+  }
+
+  const completeness = await getProfileCompleteness(user.id);
+
+  if (!completeness) {
+    return {
+      nextStep: "CREATE_PROFILE",
+      redirect: "/tutor/profile/setup",
+      profileCompleteness: null,
+    };
+  }
+
+  const [missing] = completeness.missing;
+
+  if (!completeness.complete) {
+    return {
+      nextStep: "COMPLETE_PROFILE",
+      redirect: PROFILE_STEP_ROUTES[missing],
+      missingItem: missing,
+      profileCompleteness: completeness,
+    };
+  }
+
+  return {
+    nextStep: missing === "verification" ? "VERIFY_PROFILE" : null,
+    redirect: HOME_ROUTES.TUTOR,
+    profileCompleteness: completeness,
+  };
+}
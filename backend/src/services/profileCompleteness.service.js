@@ -0,0 +1,181 @@
+import { prisma } from "../config/database.js";
+
+// A bio shorter than this does not count as filled in
+const MIN_BIO_WORDS = 20;
+
+/**
+ * What makes a tutor profile complete, in the order tutors are asked to
+ * fill it in. Weights add up to 100.
+ */
+export const COMPLETENESS_ITEMS = [
+  {
+    key: "photo",
+    label: "Profile photo",
+    weight: 15,
+    isDone: (profile) => Boolean(profile.photoUrl),
+  },
+  {
+    key: "bio",
+    label: `Bio of at least ${MIN_BIO_WORDS} words`,
+    weight: 15,
+    isDone: (profile) =>
+      (profile.bio || "").split(/\s+/).filter(Boolean).length >= MIN_BIO_WORDS,
+  },
+  {
+    key: "subjects",
+    label: "Subjects you teach",
+    weight: 20,
+    isDone: (profile) => profile._count.subjects > 0,
+  },
+  {
+    key: "availability",
+    label: "Weekly availability",
+    weight: 20,
+    isDone: (profile) => profile._count.availability > 0,
+  },
+  {
+    key: "rates",
+    label: "Hourly or monthly rate",
+    weight: 15,
+    isDone: (profile) =>
+      profile.hourlyRate !== null || profile.monthlyRate !== null,
+  },
+  {
+    key: "verification",
+    label: "Verified documents",
+    weight: 15,
+    isDone: (profile) => profile.verified,
+  },
+];
+
+/**
+ * Score at which a profile counts as complete for search ranking:
+ * everything except verification, which waits on an admin
+ */
+export const COMPLETE_SCORE = 85;
+
+// Fields scoreProfile needs
+const SCORE_SELECT = {
+  id: true,
+  photoUrl: true,
+  bio: true,
+  hourlyRate: true,
+  monthlyRate: true,
+  verified: true,
+  completeness: true,
+  profileComplete: true,
+  _count: { select: { subjects: true, availability: true } },
+};
+
+/**
+ * Score a profile
+ * @param {object} profile - Profile selected with SCORE_SELECT
+ * @returns {{score: number, complete: boolean, checklist: Array<object>, missing: string[]}}
+ */
+export function scoreProfile(profile) {
+  const checklist = COMPLETENESS_ITEMS.map(
+    ({ key, label, weight, isDone }) => ({
+      key,
+      label,
+      weight,
+      done: isDone(profile),
+    })
+  );
+
+  const score = checklist
+    .filter((item) => item.done)
+    .reduce((sum, item) => sum + item.weight, 0);
+
+  return {
+    score,
+    complete: score >= COMPLETE_SCORE,
+    checklist,
+    missing: checklist.filter((item) => !item.done).map((item) => item.key),
+  };
+}
+
+/**
+ * Store a profile's score if it changed
+ * @param {object} profile - Profile selected with SCORE_SELECT
+ * @returns {Promise<{result: object, changed: boolean}>}
+ */
+async function saveScore(profile) {
+  const result = scoreProfile(profile);
+  const changed =
+    profile.completeness !== result.score ||
+    profile.profileComplete !== result.complete;
+
+  if (changed) {
+    await prisma.tutorProfile.update({
+      where: { id: profile.id },
+      data: { completeness: result.score, profileComplete: result.complete },
+    });
+  }
+
+  return { result, changed };
+}
+
+/**
+ * Recalculate and store a tutor's completeness score
+ * Call after anything that changes a scored field (profile, photo,
+ * subjects, availability, verification)
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<object|null>} Score (see scoreProfile) or null if no profile
+ */
+export async function refreshCompleteness(tutorId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { id: tutorId },
+    select: SCORE_SELECT,
+  });
+
+  if (!profile) return null;
+
+  const { result } = await saveScore(profile);
+  return result;
+}
+
+/**
+ * Completeness of a user's tutor profile
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<object|null>} Score (see scoreProfile) or null if no profile yet
+ */
+export async function getProfileCompleteness(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: SCORE_SELECT,
+  });
+
+  return profile ? scoreProfile(profile) : null;
+}
+
+/**
+ * Recalculate every stored score (after changing weights, or to backfill)
+ * Profiles are read in batches so this also works on large tables
+ * @param {{batchSize?: number}} [options] - Job options
+ * @returns {Promise<{scanned: number, updated: number}>} Profiles checked and profiles whose score changed
+ */
+export async function refreshAllCompleteness({ batchSize = 500 } = {}) {
+  let scanned = 0;
+  let updated = 0;
+  let cursor;
+
+  for (;;) {
+    const profiles = await prisma.tutorProfile.findMany({
+      select: SCORE_SELECT,
+      orderBy: { id: "asc" },
+      take: batchSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    for (const profile of profiles) {
+      const { changed } = await saveScore(profile);
+      if (changed) updated += 1;
+    }
+
+    scanned += profiles.length;
+    if (profiles.length < batchSize) break;
+    cursor = profiles[profiles.length - 1].id;
+  }
+
+  return { scanned, updated };
+}
@@ -0,0 +1,94 @@
+import { prisma } from "../config/database.js";
+import { BookingStatus, UserRole } from "@prisma/client";
+import { addDays, dateOnly, toLocalDate } from "../utils/time.js";
+
+// Only sessions from this far back count
+const RELIABILITY_WINDOW_DAYS = 365;
+
+/**
+ * Round a rate to three decimals (0.125 = 12.5%)
+ * @param {number} count - Events
+ * @param {number} total - Sessions
+ * @returns {number|null} Rate, or null without sessions
+ */
+function rate(count, total) {
+  return total === 0 ? null : Math.round((count / total) * 1000) / 1000;
+}
+
+/**
+ * Late cancellations and no-shows of one participant
+ * A session counts once it was held or missed, or when this participant
+ * cancelled or skipped it late. Late cancellations by the other side,
+ * free cancellations and requests that were never confirmed do not count
+ * either way.
+ * @param {object} where - Booking filter selecting the participant's bookings
+ * @param {string} role - Which side of the booking the participant is on
+ * @returns {Promise<object>} Counts and rates
+ */
+async function getReliability(where, role) {
+  const since = addDays(toLocalDate(), -RELIABILITY_WINDOW_DAYS);
+
+  const groups = await prisma.booking.groupBy({
+    by: ["status", "noShowParty"],
+    where: {
+      ...where,
+      sessionDate: { gte: dateOnly(since) },
+      OR: [
+        {
+          status: { in: [BookingStatus.COMPLETED, BookingStatus.NO_SHOW] },
+        },
+        {
+          status: { in: [BookingStatus.CANCELLED, BookingStatus.SKIPPED] },
+          lateCancel: true,
+          cancelledByRole: role,
+        },
+      ],
+    },
+    _count: { _all: true },
+  });
+
+  let sessions = 0;
+  let lateCancels = 0;
+  let noShows = 0;
+
+  for (const group of groups) {
+    const count = group._count._all;
+
+    sessions += count;
+    if (
+      group.status === BookingStatus.CANCELLED ||
+      group.status === BookingStatus.SKIPPED
+    ) {
+      lateCancels += count;
+    } else if (group.noShowParty === role) {
+      noShows += count;
+    }
+  }
+
+  return {
+    since,
+    sessions,
+    lateCancels,
+    noShows,
+    lateCancelRate: rate(lateCancels, sessions),
+    noShowRate: rate(noShows, sessions),
+  };
+}
+
+/**
+ * Reliability of a tutor over the last year
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<object>} Counts and rates
+ */
+export async function getTutorReliability(tutorId) {
+  return getReliability({ tutorId }, UserRole.TUTOR);
+}
+
+/**
+ * Reliability of a student over the last year
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<object>} Counts and rates
+ */
+export async function getStudentReliability(studentId) {
+  return getReliability({ studentId }, UserRole.STUDENT);
+}
@@ -0,0 +1,673 @@
+import { prisma } from "../config/database.js";
+import { BookingStatus, ProposalStatus, UserRole } from "@prisma/client";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import { dateOnly, formatTime, parseTime, toUtcDate } from "../utils/time.js";
+import { getBookingRange, isSlotOpen } from "./availability.service.js";
+import {
+  BOOKING_SELECT,
+  findVisibleBooking,
+  formatBooking,
+  isStudentFree,
+  isUpcoming,
+  lockSchedules,
+  notificationData,
+} from "./booking.service.js";
+import { bookingInvite } from "./calendar.service.js";
+import { notifyUser } from "./notification.service.js";
+
+// Proposals lapse after this long, or when the session would have started
+const PROPOSAL_TTL_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+const PROPOSAL_SELECT = {
+  id: true,
+  bookingId: true,
+  proposedById: true,
+  proposedByRole: true,
+  options: true,
+  note: true,
+  status: true,
+  chosenOption: true,
+  responseNote: true,
+  respondedAt: true,
+  expiresAt: true,
+  counterOfId: true,
+  createdAt: true,
+};
+
+let workerTimer = null;
+let expiring = false;
+
+/**
+ * Status of a proposal as of now
+ * A pending proposal past its expiry counts as EXPIRED even before the
+ * expiry job has run
+ * @param {{status: string, expiresAt: Date}} proposal - Proposal row
+ * @returns {string} ProposalStatus value
+ */
+function currentStatus(proposal) {
+  return proposal.status === ProposalStatus.PENDING &&
+    proposal.expiresAt <= new Date()
+    ? ProposalStatus.EXPIRED
+    : proposal.status;
+}
+
+/**
+ * Add start/end instants to a proposal's options
+ * @param {object} proposal - Row selected with PROPOSAL_SELECT
+ * @param {number} duration - Session length in minutes
+ * @returns {object} Proposal
+ */
+function formatProposal(proposal, duration) {
+  return {
+    ...proposal,
+    status: currentStatus(proposal),
+    options: proposal.options.map(({ date, startTime }) => {
+      const start = parseTime(startTime);
+      return {
+        date,
+        startTime,
+        startsAt: toUtcDate(date, start).toISOString(),
+        endsAt: toUtcDate(date, start + duration).toISOString(),
+      };
+    }),
+  };
+}
+
+/**
+ * Get a booking the user takes part in that can still be moved
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<object>} Booking row (BOOKING_SELECT)
+ */
+async function getMovableBooking(user, bookingId) {
+  const booking = await findVisibleBooking(user, bookingId);
+
+  if (!isUpcoming(booking)) {
+    throw new ConflictError(
+      "Only upcoming pending or accepted sessions can be rescheduled",
+      "BOOKING_NOT_RESCHEDULABLE",
+      { status: booking.status }
+    );
+  }
+
+  return booking;
+}
+
+/**
+ * Get a proposal that is still waiting for an answer
+ * @param {string} bookingId - Booking ID
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<object>} Proposal row
+ */
+async function getPendingProposal(bookingId, proposalId) {
+  const proposal = await prisma.rescheduleProposal.findFirst({
+    where: { id: proposalId, bookingId },
+    select: PROPOSAL_SELECT,
+  });
+
+  if (!proposal) {
+    throw new NotFoundError("Proposal not found", "PROPOSAL_NOT_FOUND");
+  }
+
+  const status = currentStatus(proposal);
+
+  if (status !== ProposalStatus.PENDING) {
+    throw new ConflictError(
+      `This proposal is ${status.toLowerCase()}`,
+      "PROPOSAL_CLOSED",
+      { status }
+    );
+  }
+
+  return proposal;
+}
+
+/**
+ * Make sure the user answering a proposal is the other participant
+ * @param {{userId: string}} user - Authenticated user
+ * @param {object} proposal - Proposal row
+ * @returns {void}
+ */
+function assertCanAnswer(user, proposal) {
+  if (proposal.proposedById === user.userId) {
+    throw new ForbiddenError(
+      "You cannot answer your own proposal",
+      "PROPOSAL_OWN"
+    );
+  }
+}
+
+/**
+ * Claim a pending proposal, so concurrent answers cannot both succeed
+ * @param {object} tx - Transaction client
+ * @param {string} proposalId - Proposal ID
+ * @param {object} data - Status and response fields
+ * @returns {Promise<void>}
+ */
+async function closeProposal(tx, proposalId, data) {
+  const { count } = await tx.rescheduleProposal.updateMany({
+    where: {
+      id: proposalId,
+      status: ProposalStatus.PENDING,
+      expiresAt: { gt: new Date() },
+    },
+    data,
+  });
+
+  if (count === 0) {
+    throw new ConflictError(
+      "This proposal was answered or has expired. Reload and try again",
+      "PROPOSAL_CLOSED"
+    );
+  }
+}
+
+/**
+ * Store a proposal for a booking
+ * A booking has at most one pending proposal; the other side answers it
+ * (possibly with a counter-proposal) before a new one can be made
+ * @param {object} tx - Transaction client
+ * @param {{userId: string, role: string}} user - Proposing user
+ * @param {object} booking - Booking row
+ * @param {{options: Array<object>, note?: string}} input - Validated proposal
+ * @param {string} [counterOfId] - Proposal this one answers
+ * @returns {Promise<object>} Created proposal row
+ */
+async function storeProposal(
+  tx,
+  user,
+  booking,
+  { options, note },
+  counterOfId
+) {
+  const pending = await tx.rescheduleProposal.findFirst({
+    where: {
+      bookingId: booking.id,
+      status: ProposalStatus.PENDING,
+      expiresAt: { gt: new Date() },
+    },
+    select: { id: true },
+  });
+
+  if (pending) {
+    throw new ConflictError(
+      "A reschedule proposal is already waiting for an answer",
+      "PROPOSAL_PENDING",
+      { proposalId: pending.id }
+    );
+  }
+
+  const current = getBookingRange(booking);
+  const sessionStart = toUtcDate(current.date, current.start).getTime();
+  const expiresAt = new Date(
+    Math.min(Date.now() + PROPOSAL_TTL_HOURS * HOUR_MS, sessionStart)
+  );
+
+  return tx.rescheduleProposal.create({
+    data: {
+      bookingId: booking.id,
+      proposedById: user.userId,
+      proposedByRole: user.role,
+      options,
+      note: note || null,
+      expiresAt,
+      counterOfId: counterOfId || null,
+    },
+    select: PROPOSAL_SELECT,
+  });
+}
+
+/**
+ * The participant on the other side of a proposal
+ * @param {object} booking - Booking row (BOOKING_SELECT)
+ * @param {string} role - Role of the user who acted
+ * @returns {{recipient: object, recipientName: string|null, counterpartName: string|null}}
+ */
+function otherParty(booking, role) {
+  return role === UserRole.TUTOR
+    ? {
+        recipient: booking.student,
+        recipientName: null,
+        counterpartName: booking.tutor.name,
+      }
+    : {
+        recipient: booking.tutor.user,
+        recipientName: booking.tutor.name,
+        counterpartName: null,
+      };
+}
+
+/**
+ * Tell the other participant about a new proposal
+ * @param {object} booking - Booking row (BOOKING_SELECT)
+ * @param {object} proposal - Formatted proposal
+ * @param {boolean} counter - Whether it answers an earlier proposal
+ * @returns {Promise<void>}
+ */
+async function notifyProposal(booking, proposal, counter) {
+  const { recipient, recipientName, counterpartName } = otherParty(
+    booking,
+    proposal.proposedByRole
+  );
+
+  await notifyUser(recipient, EMAIL_TEMPLATE.RESCHEDULE_PROPOSED, {
+    ...notificationData(
+      formatBooking(booking),
+      recipientName,
+      counterpartName,
+      proposal.note
+    ),
+    options: proposal.options.map((option) => option.startsAt),
+    expiresAt: proposal.expiresAt,
+    counter,
+  });
+}
+
+/**
+ * Tell the proposer how their proposal ended
+ * An accepted move of a confirmed session comes with an updated
+ * calendar invite, which the participant who accepted gets as well
+ * @param {object} booking - Booking row (BOOKING_SELECT), after any move
+ * @param {{proposedByRole: string}} proposal - Proposal row
+ * @param {string} action - "accepted", "declined" or "expired"
+ * @param {string} [note] - Response note
+ * @returns {Promise<void>}
+ */
+async function notifyResolution(booking, proposal, action, note) {
+  const formatted = formatBooking(booking);
+  const invite =
+    action === "accepted" && booking.status === BookingStatus.ACCEPTED;
+
+  // The proposer is the other party of whoever answered
+  const proposer = otherParty(
+    booking,
+    proposal.proposedByRole === UserRole.TUTOR
+      ? UserRole.STUDENT
+      : UserRole.TUTOR
+  );
+  const recipients = [
+    proposer,
+    ...(invite
+      ? [{ ...otherParty(booking, proposal.proposedByRole), responder: true }]
+      : []),
+  ];
+
+  for (const {
+    recipient,
+    recipientName,
+    counterpartName,
+    responder = false,
+  } of recipients) {
+    await notifyUser(
+      recipient,
+      EMAIL_TEMPLATE.RESCHEDULE_RESOLVED,
+      {
+        ...notificationData(formatted, recipientName, counterpartName, note),
+        action,
+        responder,
+      },
+      {
+        icalEvent: invite
+          ? bookingInvite(formatted, recipient, {
+              forTutor: recipient === booking.tutor.user,
+            })
+          : undefined,
+      }
+    );
+  }
+}
+
+/**
+ * Reschedule proposals of a booking, newest first
+ * @param {{userId: string, role: string}} user - Authenticated user
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array<object>>} Proposals
+ */
+export async function listProposals(user, bookingId) {
+  const booking = await findVisibleBooking(user, bookingId);
+
+  const proposals = await prisma.rescheduleProposal.findMany({
+    where: { bookingId },
+    select: PROPOSAL_SELECT,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return proposals.map((proposal) =>
+    formatProposal(proposal, booking.duration || 60)
+  );
+}
+
+/**
+ * Propose new times for a booking
+ * @param {{userId: string, role: string}} user - Student or tutor of the booking
+ * @param {string} bookingId - Booking ID
+ * @param {{options: Array<{date: string, startTime: string}>, note?: string}} input - Validated input
+ * @returns {Promise<object>} Created proposal
+ */
+export async function proposeReschedule(user, bookingId, input) {
+  const booking = await getMovableBooking(user, bookingId);
+
+  const proposal = await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [`booking:${bookingId}`]);
+    return storeProposal(tx, user, booking, input);
+  });
+
+  const formatted = formatProposal(proposal, booking.duration || 60);
+  await notifyProposal(booking, formatted, false);
+
+  return formatted;
+}
+
+/**
+ * Accept one option of a proposal and move the booking there
+ * The tutor's availability and the student's other sessions are checked
+ * again under the schedule locks, in the same transaction that moves the
+ * booking. If the time is no longer free nothing changes and the
+ * proposal stays open (another option can be picked, or countered).
+ * @param {{userId: string, role: string}} user - The participant who did not propose
+ * @param {string} bookingId - Booking ID
+ * @param {string} proposalId - Proposal ID
+ * @param {{option: number, note?: string}} input - Index of the chosen option
+ * @returns {Promise<{booking: object, proposal: object}>} Moved booking and accepted proposal
+ */
+export async function acceptProposal(
+  user,
+  bookingId,
+  proposalId,
+  { option, note }
+) {
+  const booking = await getMovableBooking(user, bookingId);
+  const proposal = await getPendingProposal(bookingId, proposalId);
+
+  assertCanAnswer(user, proposal);
+
+  const chosen = proposal.options[option];
+
+  if (!chosen) {
+    throw new ValidationError("Validation failed", [
+      {
+        field: "option",
+        location: "body",
+        message: `option must be between 0 and ${proposal.options.length - 1}`,
+      },
+    ]);
+  }
+
+  const from = getBookingRange(booking);
+  const start = parseTime(chosen.startTime);
+  const to = { date: chosen.date, start, end: start + (from.end - from.start) };
+
+  if (toUtcDate(to.date, to.start).getTime() <= Date.now()) {
+    throw new ConflictError(
+      "This option is already in the past",
+      "PROPOSAL_OPTION_PAST"
+    );
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [
+      `booking:${bookingId}`,
+      `tutor:${booking.tutor.id}`,
+      `student:${booking.student.id}`,
+    ]);
+
+    await closeProposal(tx, proposalId, {
+      status: ProposalStatus.ACCEPTED,
+      chosenOption: option,
+      responseNote: note || null,
+      respondedAt: new Date(),
+    });
+
+    const options = { client: tx, excludeBookingIds: [bookingId] };
+
+    if (!(await isSlotOpen(booking.tutor.id, to, options))) {
+      throw new ConflictError(
+        "The tutor is no longer available at this time",
+        "SLOT_UNAVAILABLE"
+      );
+    }
+
+    if (!(await isStudentFree(tx, booking.student.id, to, [bookingId]))) {
+      throw new ConflictError(
+        "The student already has a session at this time",
+        "STUDENT_DOUBLE_BOOKED"
+      );
+    }
+
+    const { count } = await tx.booking.updateMany({
+      where: { id: bookingId, status: booking.status },
+      data: {
+        sessionDate: dateOnly(to.date),
+        sessionTime: chosen.startTime,
+        calendarSequence: { increment: 1 },
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError(
+        "The booking was changed by someone else. Reload and try again",
+        "BOOKING_STATUS_CHANGED"
+      );
+    }
+
+    await tx.bookingHistory.create({
+      data: {
+        bookingId,
+        fromStatus: booking.status,
+        toStatus: booking.status,
+        actorId: user.userId,
+        actorRole: user.role,
+        note: [
+          `Rescheduled from ${from.date} ${formatTime(from.start)} to ${
+            to.date
+          } ${chosen.startTime}`,
+          note,
+        ]
+          .filter(Boolean)
+          .join(": "),
+      },
+    });
+
+    return {
+      booking: await tx.booking.findUnique({
+        where: { id: bookingId },
+        select: BOOKING_SELECT,
+      }),
+      proposal: await tx.rescheduleProposal.findUnique({
+        where: { id: proposalId },
+        select: PROPOSAL_SELECT,
+      }),
+    };
+  });
+
+  await notifyResolution(result.booking, proposal, "accepted", note);
+
+  return {
+    booking: formatBooking(result.booking),
+    proposal: formatProposal(result.proposal, booking.duration || 60),
+  };
+}
+
+/**
+ * Decline a proposal; the booking keeps its time
+ * @param {{userId: string, role: string}} user - The participant who did not propose
+ * @param {string} bookingId - Booking ID
+ * @param {string} proposalId - Proposal ID
+ * @param {{note?: string}} input - Optional reason
+ * @returns {Promise<object>} Declined proposal
+ */
+export async function declineProposal(user, bookingId, proposalId, { note }) {
+  const booking = await findVisibleBooking(user, bookingId);
+  const proposal = await getPendingProposal(bookingId, proposalId);
+
+  assertCanAnswer(user, proposal);
+
+  await closeProposal(prisma, proposalId, {
+    status: ProposalStatus.DECLINED,
+    responseNote: note || null,
+    respondedAt: new Date(),
+  });
+
+  await notifyResolution(booking, proposal, "declined", note);
+
+  return formatProposal(
+    {
+      ...proposal,
+      status: ProposalStatus.DECLINED,
+      responseNote: note || null,
+    },
+    booking.duration || 60
+  );
+}
+
+/**
+ * Answer a proposal with other times
+ * The original is marked COUNTERED and a new proposal goes the other way
+ * @param {{userId: string, role: string}} user - The participant who did not propose
+ * @param {string} bookingId - Booking ID
+ * @param {string} proposalId - Proposal being countered
+ * @param {{options: Array<{date: string, startTime: string}>, note?: string}} input - Validated counter-proposal
+ * @returns {Promise<object>} New proposal
+ */
+export async function counterProposal(user, bookingId, proposalId, input) {
+  const booking = await getMovableBooking(user, bookingId);
+  const proposal = await getPendingProposal(bookingId, proposalId);
+
+  assertCanAnswer(user, proposal);
+
+  const counter = await prisma.$transaction(async (tx) => {
+    await lockSchedules(tx, [`booking:${bookingId}`]);
+
+    await closeProposal(tx, proposalId, {
+      status: ProposalStatus.COUNTERED,
+      responseNote: input.note || null,
+      respondedAt: new Date(),
+    });
+
+    return storeProposal(tx, user, booking, input, proposalId);
+  });
+
+  const formatted = formatProposal(counter, booking.duration || 60);
+  await notifyProposal(booking, formatted, true);
+
+  return formatted;
+}
+
+/**
+ * Withdraw one's own pending proposal
+ * @param {{userId: string, role: string}} user - The proposer
+ * @param {string} bookingId - Booking ID
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<void>}
+ */
+export async function withdrawProposal(user, bookingId, proposalId) {
+  await findVisibleBooking(user, bookingId);
+  const proposal = await getPendingProposal(bookingId, proposalId);
+
+  if (proposal.proposedById !== user.userId) {
+    throw new ForbiddenError(
+      "Only the proposer can withdraw a proposal",
+      "PROPOSAL_NOT_OWN"
+    );
+  }
+
+  await closeProposal(prisma, proposalId, {
+    status: ProposalStatus.WITHDRAWN,
+    respondedAt: new Date(),
+  });
+}
+
+/**
+ * Mark lapsed proposals EXPIRED and tell their proposers
+ * @returns {Promise<number>} Proposals expired
+ */
+export async function expireProposals() {
+  let expired = 0;
+
+  if (expiring) return expired;
+  expiring = true;
+
+  try {
+    for (;;) {
+      const proposals = await prisma.rescheduleProposal.findMany({
+        where: {
+          status: ProposalStatus.PENDING,
+          expiresAt: { lte: new Date() },
+        },
+        select: {
+          id: true,
+          proposedByRole: true,
+          booking: { select: BOOKING_SELECT },
+        },
+        orderBy: { expiresAt: "asc" },
+        take: BATCH_SIZE,
+      });
+
+      for (const proposal of proposals) {
+        const { count } = await prisma.rescheduleProposal.updateMany({
+          where: { id: proposal.id, status: ProposalStatus.PENDING },
+          data: { status: ProposalStatus.EXPIRED },
+        });
+
+        if (count === 0) continue;
+        expired += 1;
+
+        await notifyResolution(proposal.booking, proposal, "expired");
+      }
+
+      if (proposals.length < BATCH_SIZE) break;
+    }
+  } finally {
+    expiring = false;
+  }
+
+  return expired;
+}
+
+/**
+ * Run one expiry pass, logging instead of throwing (worker tick)
+ */
+async function runExpiry() {
+  try {
+    await expireProposals();
+  } catch (error) {
+    console.error("❌ Reschedule proposal expiry failed:", error.message);
+  }
+}
+
+/**
+ * Start expiring reschedule proposals in the background
+ * Interval from RESCHEDULE_EXPIRY_INTERVAL_MS (default 5 minutes)
+ */
+export function startProposalExpiryWorker() {
+  if (workerTimer) return;
+
+  const intervalMs =
+    parseInt(process.env.RESCHEDULE_EXPIRY_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS;
+
+  workerTimer = setInterval(runExpiry, intervalMs);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+}
+
+/**
+ * Stop the proposal expiry worker (graceful shutdown)
+ */
+export function stopProposalExpiryWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
@@ -0,0 +1,113 @@
+import { prisma } from "../config/database.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+export const MAX_SAVED_SEARCHES = 10;
+
+const SAVED_SEARCH_SELECT = {
+  id: true,
+  name: true,
+  filters: true,
+  alertsEnabled: true,
+  lastAlertedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Get one of current student's saved searches or throw
+ * @param {string} studentId - Student's user ID
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<object>} Saved search
+ */
+async function getOwnSavedSearch(studentId, searchId) {
+  const search = await prisma.savedSearch.findFirst({
+    where: { id: searchId, studentId },
+    select: SAVED_SEARCH_SELECT,
+  });
+
+  if (!search) {
+    throw new NotFoundError("Saved search not found", "SAVED_SEARCH_NOT_FOUND");
+  }
+
+  return search;
+}
+
+/**
+ * Save a search (filters as accepted by GET /api/tutors)
+ * @param {string} studentId - Student's user ID
+ * @param {{name: string, filters: object, alertsEnabled?: boolean}} input - Validated input
+ * @returns {Promise<object>} Saved search
+ */
+export async function createSavedSearch(
+  studentId,
+  { name, filters, alertsEnabled = true }
+) {
+  const count = await prisma.savedSearch.count({ where: { studentId } });
+
+  if (count >= MAX_SAVED_SEARCHES) {
+    throw new ConflictError(
+      `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one first`,
+      "SAVED_SEARCH_LIMIT"
+    );
+  }
+
+  return prisma.savedSearch.create({
+    data: { studentId, name, filters, alertsEnabled },
+    select: SAVED_SEARCH_SELECT,
+  });
+}
+
+/**
+ * Current student's saved searches, newest first
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<Array<object>>} Saved searches
+ */
+export async function listSavedSearches(studentId) {
+  return prisma.savedSearch.findMany({
+    where: { studentId },
+    select: SAVED_SEARCH_SELECT,
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Rename a saved search, change its filters or toggle alerts
+ * Changing filters or re-enabling alerts restarts alerts from now, so
+ * tutors verified in the meantime do not arrive as one burst
+ * @param {string} studentId - Student's user ID
+ * @param {string} searchId - Saved search ID
+ * @param {{name?: string, filters?: object, alertsEnabled?: boolean}} input - Validated input
+ * @returns {Promise<object>} Updated saved search
+ */
+export async function updateSavedSearch(studentId, searchId, input) {
+  const search = await getOwnSavedSearch(studentId, searchId);
+
+  const restartAlerts =
+    input.filters !== undefined ||
+    (input.alertsEnabled === true && !search.alertsEnabled);
+
+  return prisma.savedSearch.update({
+    where: { id: search.id },
+    data: {
+      ...input,
+      ...(restartAlerts && { lastAlertedAt: new Date() }),
+    },
+    select: SAVED_SEARCH_SELECT,
+  });
+}
+
+/**
+ * Delete a saved search
+ * @param {string} studentId - Student's user ID
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedSearch(studentId, searchId) {
+  const { count } = await prisma.savedSearch.deleteMany({
+    where: { id: searchId, studentId },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError("Saved search not found", "SAVED_SEARCH_NOT_FOUND");
+  }
+}
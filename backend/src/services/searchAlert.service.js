@@ -0,0 +1,248 @@
+import { prisma } from "../config/database.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import { notifyUser } from "./notification.service.js";
+import { findMatchingTutors } from "./tutorSearch.service.js";
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+// Tutors listed in one saved-search email
+const MAX_TUTORS_PER_ALERT = 5;
+
+const RECIPIENT_SELECT = { email: true, phone: true, locale: true };
+
+let workerTimer = null;
+let running = false;
+
+/**
+ * Check one saved search and notify its owner about new matches
+ * @param {object} search - Saved search with student contact details
+ * @returns {Promise<boolean>} True if an alert was sent
+ */
+async function alertSavedSearch(search) {
+  const checkedAt = new Date();
+  const tutors = await findMatchingTutors(
+    search.filters,
+    { verified: true, verifiedAt: { gt: search.lastAlertedAt } },
+    MAX_TUTORS_PER_ALERT + 1
+  );
+
+  await prisma.savedSearch.update({
+    where: { id: search.id },
+    data: { lastAlertedAt: checkedAt },
+  });
+
+  if (tutors.length === 0) return false;
+
+  await notifyUser(search.student, EMAIL_TEMPLATE.SAVED_SEARCH_MATCH, {
+    searchName: search.name,
+    tutors: tutors.slice(0, MAX_TUTORS_PER_ALERT).map((tutor) => ({
+      name: tutor.name,
+      area: tutor.area?.name || tutor.location,
+    })),
+    total:
+      tutors.length > MAX_TUTORS_PER_ALERT
+        ? `${MAX_TUTORS_PER_ALERT}+`
+        : tutors.length,
+  });
+
+  return true;
+}
+
+/**
+ * Email students about newly verified tutors matching their saved searches
+ * Each search remembers when it was last checked, so a tutor is only
+ * announced once per search
+ * @returns {Promise<number>} Alerts sent
+ */
+async function alertSavedSearches() {
+  let sent = 0;
+  let cursor;
+
+  for (;;) {
+    const searches = await prisma.savedSearch.findMany({
+      where: { alertsEnabled: true, student: { active: true } },
+      select: {
+        id: true,
+        name: true,
+        filters: true,
+        lastAlertedAt: true,
+        student: { select: RECIPIENT_SELECT },
+      },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    for (const search of searches) {
+      try {
+        if (await alertSavedSearch(search)) sent += 1;
+      } catch (error) {
+        // e.g. the search's area was removed from the gazetteer
+        console.error(
+          `❌ Saved search ${search.id} alert failed:`,
+          error.message
+        );
+      }
+    }
+
+    if (searches.length < BATCH_SIZE) break;
+    cursor = searches[searches.length - 1].id;
+  }
+
+  return sent;
+}
+
+/**
+ * Email students when a favorite tutor lowers a rate or opens new slots
+ * Favorites keep the rates last seen and when slots were last announced;
+ * rate increases just move the remembered rate up without an alert
+ * @returns {Promise<number>} Alerts sent
+ */
+async function alertFavorites() {
+  let sent = 0;
+  let cursor;
+
+  for (;;) {
+    const favorites = await prisma.favorite.findMany({
+      where: {
+        student: { active: true },
+        tutor: { user: { active: true } },
+      },
+      select: {
+        id: true,
+        alertedHourlyRate: true,
+        alertedMonthlyRate: true,
+        alertedSlotsAt: true,
+        student: { select: RECIPIENT_SELECT },
+        tutor: {
+          select: {
+            name: true,
+            hourlyRate: true,
+            monthlyRate: true,
+            slotsOpenedAt: true,
+          },
+        },
+      },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    for (const favorite of favorites) {
+      const { tutor } = favorite;
+      const drops = [];
+      const data = {};
+
+      for (const [rateType, current, seen, field] of [
+        [
+          "hourly",
+          tutor.hourlyRate,
+          favorite.alertedHourlyRate,
+          "alertedHourlyRate",
+        ],
+        [
+          "monthly",
+          tutor.monthlyRate,
+          favorite.alertedMonthlyRate,
+          "alertedMonthlyRate",
+        ],
+      ]) {
+        if (current === seen) continue;
+        if (current !== null && seen !== null && current < seen) {
+          drops.push({ rateType, oldRate: seen, newRate: current });
+        }
+        data[field] = current;
+      }
+
+      const slotsOpened =
+        tutor.slotsOpenedAt !== null &&
+        tutor.slotsOpenedAt > favorite.alertedSlotsAt;
+
+      if (slotsOpened) {
+        data.alertedSlotsAt = tutor.slotsOpenedAt;
+      }
+
+      if (Object.keys(data).length === 0) continue;
+
+      await prisma.favorite.update({ where: { id: favorite.id }, data });
+
+      for (const drop of drops) {
+        await notifyUser(favorite.student, EMAIL_TEMPLATE.FAVORITE_RATE_DROP, {
+          tutorName: tutor.name,
+          ...drop,
+        });
+        sent += 1;
+      }
+
+      if (slotsOpened) {
+        await notifyUser(favorite.student, EMAIL_TEMPLATE.FAVORITE_NEW_SLOTS, {
+          tutorName: tutor.name,
+        });
+        sent += 1;
+      }
+    }
+
+    if (favorites.length < BATCH_SIZE) break;
+    cursor = favorites[favorites.length - 1].id;
+  }
+
+  return sent;
+}
+
+/**
+ * Run both alert checks once
+ * Runs are serialised per process
+ * @returns {Promise<{savedSearches: number, favorites: number}>} Alerts sent
+ */
+export async function processAlerts() {
+  const summary = { savedSearches: 0, favorites: 0 };
+
+  if (running) return summary;
+  running = true;
+
+  try {
+    summary.savedSearches = await alertSavedSearches();
+    summary.favorites = await alertFavorites();
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Run one alert check, logging instead of throwing (worker tick)
+ */
+async function runAlerts() {
+  try {
+    await processAlerts();
+  } catch (error) {
+    console.error("❌ Search alerts failed:", error.message);
+  }
+}
+
+/**
+ * Start checking alerts in the background
+ * Interval from SEARCH_ALERT_INTERVAL_MS (default 1 hour)
+ */
+export function startAlertWorker() {
+  if (workerTimer) return;
+
+  const intervalMs =
+    parseInt(process.env.SEARCH_ALERT_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+
+  workerTimer = setInterval(runAlerts, intervalMs);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+}
+
+/**
+ * Stop the alert worker (graceful shutdown)
+ */
+export function stopAlertWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
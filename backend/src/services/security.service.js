@@ -0,0 +1,230 @@
+import { prisma } from "../config/database.js";
+import { LoginOutcome } from "@prisma/client";
+import { NotFoundError, RateLimitedError } from "../utils/errors.js";
+
+// Configuration constants
+const FREE_FAILED_ATTEMPTS = 5; // Failures allowed before the first lock
+const BASE_LOCK_MS = 60 * 1000; // First lock: 1 minute, doubled each failure after
+const MAX_LOCK_MS = 60 * 60 * 1000; // Never lock for more than 1 hour
+const RECENT_ATTEMPTS_LIMIT = 20;
+
+/**
+ * Compute lock duration for a failure count (exponential backoff)
+ * 5 failures -> 1 min, 6 -> 2 min, 7 -> 4 min, ... capped at 1 hour
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} Lock duration in ms (0 if not locked)
+ */
+export function getLockDuration(failedAttempts) {
+  if (failedAttempts < FREE_FAILED_ATTEMPTS) return 0;
+
+  const exponent = failedAttempts - FREE_FAILED_ATTEMPTS;
+  return Math.min(BASE_LOCK_MS * 2 ** exponent, MAX_LOCK_MS);
+}
+
+/**
+ * Check whether account is currently locked
+ * @param {{lockedUntil: Date|null}} user - User row
+ * @returns {boolean} True if locked
+ */
+export function isAccountLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+}
+
+/**
+ * Record a login attempt for the audit trail
+ * Never throws - auditing must not break login
+ * @param {object} attempt - Attempt details
+ * @param {string|null} attempt.userId - Matched user (null if unknown identifier)
+ * @param {string} attempt.identifier - Email/phone used
+ * @param {string} attempt.outcome - LoginOutcome value
+ * @param {string} [attempt.method] - password, google, facebook
+ * @param {{userAgent?: string, ipAddress?: string}} [meta] - Client info
+ * @returns {Promise<void>}
+ */
+export async function recordLoginAttempt(
+  { userId, identifier, outcome, method = "password" },
+  meta = {}
+) {
+  try {
+    await prisma.loginAttempt.create({
+      data: {
+        userId: userId || null,
+        identifier: String(identifier).slice(0, 255),
+        method,
+        outcome,
+        ipAddress: meta.ipAddress || null,
+        userAgent: meta.userAgent?.slice(0, 512) || null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to record login attempt:", error.message);
+  }
+}
+
+/**
+ * Register a failed password attempt and lock the account when needed
+ * @param {string} userId - User ID
+ * @returns {Promise<{failedLoginAttempts: number, lockedUntil: Date|null}>}
+ */
+export async function registerFailedLogin(userId) {
+  // Atomic increment so parallel guesses are all counted
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  const lockMs = getLockDuration(failedLoginAttempts);
+
+  if (lockMs === 0) {
+    return { failedLoginAttempts, lockedUntil: null };
+  }
+
+  const lockedUntil = new Date(Date.now() + lockMs);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { lockedUntil },
+  });
+
+  return { failedLoginAttempts, lockedUntil };
+}
+
+/**
+ * Reset failure counter and lock (successful login, unlock, password reset)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearFailedLogins(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+}
+
+/**
+ * Build lockout error with retry hint
+ * @param {Date} lockedUntil - Lock expiry
+ * @returns {RateLimitedError} 429 error carrying lockedUntil in details
+ */
+export function createLockedError(lockedUntil) {
+  const minutes = Math.max(
+    1,
+    Math.ceil((lockedUntil.getTime() - Date.now()) / 60000)
+  );
+
+  return new RateLimitedError(
+    `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    } or unlock it with a code sent to your email/phone.`,
+    "ACCOUNT_LOCKED",
+    { lockedUntil }
+  );
+}
+
+/**
+ * Security overview for the account owner
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Lock state and recent login attempts
+ */
+export async function getSecurityOverview(userId) {
+  const [user, recentAttempts, activeSessions] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        failedLoginAttempts: true,
+        lockedUntil: true,
+      },
+    }),
+    prisma.loginAttempt.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        method: true,
+        outcome: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "desc" },
+      take: RECENT_ATTEMPTS_LIMIT,
+    }),
+    prisma.session.count({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    }),
+  ]);
+
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+
+  const lastSuccess = recentAttempts.find(
+    (attempt) => attempt.outcome === LoginOutcome.SUCCESS
+  );
+
+  return {
+    locked: isAccountLocked(user),
+    lockedUntil: isAccountLocked(user) ? user.lockedUntil : null,
+    failedLoginAttempts: user.failedLoginAttempts,
+    lastLoginAt: lastSuccess?.createdAt || null,
+    activeSessions,
+    recentAttempts,
+  };
+}
+
+/**
+ * Query login attempts (admin)
+ * @param {object} filters - Query filters
+ * @param {string} [filters.userId] - User ID
+ * @param {string} [filters.identifier] - Email/phone used
+ * @param {string} [filters.ipAddress] - Client IP
+ * @param {string} [filters.outcome] - LoginOutcome value
+ * @param {Date} [filters.from] - Start of range
+ * @param {Date} [filters.to] - End of range
+ * @param {number} [filters.page] - Page number (1-based)
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{attempts: Array<object>, pagination: object}>}
+ */
+export async function listLoginAttempts({
+  userId,
+  identifier,
+  ipAddress,
+  outcome,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+}) {
+  const where = {
+    ...(userId && { userId }),
+    ...(identifier && { identifier }),
+    ...(ipAddress && { ipAddress }),
+    ...(outcome && { outcome }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: from }),
+        ...(to && { lte: to }),
+      },
+    }),
+  };
+
+  const [attempts, total] = await Promise.all([
+    prisma.loginAttempt.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.loginAttempt.count({ where }),
+  ]);
+
+  return {
+    attempts,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { prisma } from "../config/database.js";
+import {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+} from "../utils/jwt.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+/**
+ * Hash refresh token before storing (never store raw tokens)
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a refresh token for a session and compute its expiry
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {{refreshToken: string, refreshTokenHash: string, expiresAt: Date}}
+ */
+function issueRefreshToken(userId, sessionId) {
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  return {
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Create a new session (one per login/device)
+ * @param {{id: string, role: string}} user - Authenticated user
+ * @param {{userAgent?: string, ipAddress?: string}} meta - Client info
+ * @returns {Promise<{sessionId: string, token: string, refreshToken: string}>}
+ */
+export async function createSession(user, meta = {}) {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      // Replaced right below once the session ID is known
+      refreshTokenHash: "",
+      userAgent: meta.userAgent?.slice(0, 512) || null,
+      ipAddress: meta.ipAddress || null,
+      expiresAt: new Date(),
+    },
+  });
+
+  const { refreshToken, refreshTokenHash, expiresAt } = issueRefreshToken(
+    user.id,
+    session.id
+  );
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { refreshTokenHash, expiresAt },
+  });
+
+  return {
+    sessionId: session.id,
+    token: generateToken(user.id, user.role, session.id),
+    refreshToken,
+  };
+}
+
+/**
+ * Rotate refresh token
+ * - Each refresh token can be used exactly once
+ * - Presenting an already-rotated token is treated as theft and the
+ *   whole session is revoked
+ * @param {string} refreshToken - Refresh token from client
+ * @param {{userAgent?: string, ipAddress?: string}} meta - Client info
+ * @returns {Promise<{sessionId: string, token: string, refreshToken: string}>}
+ */
+export async function rotateSession(refreshToken, meta = {}) {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  if (!decoded) {
+    throw new UnauthorizedError(
+      "Invalid or expired refresh token",
+      "INVALID_REFRESH_TOKEN"
+    );
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: {
+      user: { select: { id: true, role: true, active: true } },
+    },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new UnauthorizedError(
+      "Session expired. Please log in again",
+      "SESSION_EXPIRED"
+    );
+  }
+
+  if (!session.user.active) {
+    throw new ForbiddenError("Account is suspended", "ACCOUNT_SUSPENDED");
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const next = issueRefreshToken(session.userId, session.id);
+
+  // Conditional update makes rotation atomic: only the holder of the
+  // current token wins, a replayed token matches zero rows
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: next.refreshTokenHash,
+      expiresAt: next.expiresAt,
+      lastUsedAt: new Date(),
+      ...(meta.ipAddress && { ipAddress: meta.ipAddress }),
+    },
+  });
+
+  if (count === 0) {
+    await revokeSession(session.id, "REFRESH_TOKEN_REUSE");
+    throw new UnauthorizedError(
+      "Refresh token reuse detected. Please log in again",
+      "REFRESH_TOKEN_REUSED"
+    );
+  }
+
+  return {
+    sessionId: session.id,
+    token: generateToken(session.user.id, session.user.role, session.id),
+    refreshToken: next.refreshToken,
+  };
+}
+
+/**
+ * Check whether a session is still usable
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if session exists, not revoked and not expired
+ */
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+
+  return Boolean(
+    session && !session.revokedAt && session.expiresAt > new Date()
+  );
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason (LOGOUT, REFRESH_TOKEN_REUSE, ...)
+ * @param {string} [userId] - Restrict to sessions owned by this user
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSession(sessionId, reason, userId) {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      revokedAt: null,
+      ...(userId && { userId }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Revoke every active session of a user ("log out everywhere")
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, reason) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count;
+}
+
+/**
+ * List active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session making the request
+ * @returns {Promise<Array<object>>} Sessions without token hashes
+ */
+export async function listActiveSessions(userId, currentSessionId) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+}
@@ -0,0 +1,283 @@
+import { prisma } from "../config/database.js";
+import { SubjectLevel } from "@prisma/client";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+const SUBJECT_SELECT = {
+  id: true,
+  name: true,
+  level: true,
+  aliases: true,
+};
+
+/**
+ * Normalize alias for storage and lookup ("  Pak  Studies" -> "pak studies")
+ * @param {string} alias - Alias
+ * @returns {string} Normalized alias
+ */
+export function normalizeAlias(alias) {
+  return alias.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Normalize and de-duplicate aliases, dropping ones equal to the name
+ * @param {string[]} aliases - Aliases
+ * @param {string} name - Subject name
+ * @returns {string[]} Clean alias list
+ */
+function cleanAliases(aliases, name) {
+  const own = normalizeAlias(name);
+  return [...new Set(aliases.map(normalizeAlias))].filter(
+    (alias) => alias && alias !== own
+  );
+}
+
+/**
+ * Prisma filter matching subjects by name or alias
+ * Used by tutor search so "Maths" also finds "Mathematics"
+ * @param {string} text - Search text
+ * @returns {object} Prisma SubjectWhereInput
+ */
+export function subjectTextFilter(text) {
+  return {
+    OR: [
+      { name: { contains: text, mode: "insensitive" } },
+      { aliases: { has: normalizeAlias(text) } },
+    ],
+  };
+}
+
+/**
+ * Throw if another subject already has this name at this level
+ * @param {string} name - Subject name
+ * @param {string} level - SubjectLevel
+ * @param {string} [exceptId] - Subject being renamed
+ * @returns {Promise<void>}
+ */
+async function assertNameAvailable(name, level, exceptId) {
+  const existing = await prisma.subject.findFirst({
+    where: {
+      name: { equals: name, mode: "insensitive" },
+      level,
+      ...(exceptId && { id: { not: exceptId } }),
+    },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError(
+      "A subject with this name already exists at this level. Merge them instead",
+      "SUBJECT_EXISTS",
+      { existingId: existing.id }
+    );
+  }
+}
+
+/**
+ * Get subject or throw
+ * @param {string} subjectId - Subject ID
+ * @returns {Promise<object>} Subject
+ */
+async function findSubjectOrThrow(subjectId) {
+  const subject = await prisma.subject.findUnique({
+    where: { id: subjectId },
+    select: SUBJECT_SELECT,
+  });
+
+  if (!subject) {
+    throw new NotFoundError("Subject not found", "SUBJECT_NOT_FOUND");
+  }
+
+  return subject;
+}
+
+/**
+ * List subjects grouped by level (in curriculum order)
+ * @param {{q?: string, level?: string}} [filters] - Optional name/alias and level filter
+ * @returns {Promise<Object<string, Array<object>>>} { PRIMARY: [...], SECONDARY: [...], ... }
+ */
+export async function listSubjectsByLevel({ q, level } = {}) {
+  const subjects = await prisma.subject.findMany({
+    where: {
+      ...(level && { level }),
+      ...(q && subjectTextFilter(q)),
+    },
+    select: {
+      ...SUBJECT_SELECT,
+      _count: { select: { tutorSubjects: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  const grouped = Object.fromEntries(
+    Object.values(SubjectLevel)
+      .filter((key) => !level || key === level)
+      .map((key) => [key, []])
+  );
+
+  for (const { _count, ...subject } of subjects) {
+    grouped[subject.level].push({
+      ...subject,
+      tutorCount: _count.tutorSubjects,
+    });
+  }
+
+  return grouped;
+}
+
+/**
+ * Create subject (admin)
+ * @param {{name: string, level: string, aliases?: string[]}} input - Subject data
+ * @returns {Promise<object>} Created subject
+ */
+export async function createSubject({ name, level, aliases = [] }) {
+  await assertNameAvailable(name, level);
+
+  return prisma.subject.create({
+    data: { name, level, aliases: cleanAliases(aliases, name) },
+    select: SUBJECT_SELECT,
+  });
+}
+
+/**
+ * Rename subject, change its level or replace its aliases (admin)
+ * The old name is kept as an alias so existing searches still match
+ * @param {string} subjectId - Subject ID
+ * @param {{name?: string, level?: string, aliases?: string[]}} input - Changes
+ * @returns {Promise<object>} Updated subject
+ */
+export async function updateSubject(subjectId, input) {
+  const subject = await findSubjectOrThrow(subjectId);
+
+  const name = input.name ?? subject.name;
+  const level = input.level ?? subject.level;
+  const renamed = normalizeAlias(name) !== normalizeAlias(subject.name);
+
+  if (renamed || level !== subject.level) {
+    await assertNameAvailable(name, level, subjectId);
+  }
+
+  const aliases = [
+    ...(input.aliases ?? subject.aliases),
+    ...(renamed ? [subject.name] : []),
+  ];
+
+  return prisma.subject.update({
+    where: { id: subjectId },
+    data: { name, level, aliases: cleanAliases(aliases, name) },
+    select: SUBJECT_SELECT,
+  });
+}
+
+/**
+ * Delete unused subject (admin)
+ * Subjects tutors still teach must be merged into another one instead
+ * @param {string} subjectId - Subject ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSubject(subjectId) {
+  await findSubjectOrThrow(subjectId);
+
+  const inUse = await prisma.tutorSubject.count({ where: { subjectId } });
+
+  if (inUse > 0) {
+    throw new ConflictError(
+      "Subject is taught by tutors. Merge it into another subject instead",
+      "SUBJECT_IN_USE",
+      { tutorCount: inUse }
+    );
+  }
+
+  await prisma.subject.delete({ where: { id: subjectId } });
+}
+
+/**
+ * Merge a duplicate subject into another (admin)
+ * Tutors of the source move to the target (no duplicates), the source's
+ * name and aliases become target aliases, then the source is deleted
+ * @param {string} sourceId - Duplicate subject to remove
+ * @param {string} targetId - Subject to keep
+ * @returns {Promise<{subject: object, movedTutors: number}>} Target subject and moved link count
+ */
+export async function mergeSubjects(sourceId, targetId) {
+  if (sourceId === targetId) {
+    throw new ConflictError(
+      "Cannot merge a subject into itself",
+      "SUBJECT_MERGE_SELF"
+    );
+  }
+
+  const [source, target] = await Promise.all([
+    findSubjectOrThrow(sourceId),
+    findSubjectOrThrow(targetId),
+  ]);
+
+  return prisma.$transaction(async (tx) => {
+    // Tutors who already teach the target just lose the duplicate link
+    const alreadyLinked = await tx.tutorSubject.findMany({
+      where: { subjectId: targetId },
+      select: { tutorId: true },
+    });
+
+    await tx.tutorSubject.deleteMany({
+      where: {
+        subjectId: sourceId,
+        tutorId: { in: alreadyLinked.map((link) => link.tutorId) },
+      },
+    });
+
+    const { count } = await tx.tutorSubject.updateMany({
+      where: { subjectId: sourceId },
+      data: { subjectId: targetId },
+    });
+
+    await tx.subject.delete({ where: { id: sourceId } });
+
+    const subject = await tx.subject.update({
+      where: { id: targetId },
+      data: {
+        aliases: cleanAliases(
+          [...target.aliases, source.name, ...source.aliases],
+          target.name
+        ),
+      },
+      select: SUBJECT_SELECT,
+    });
+
+    return { subject, movedTutors: count };
+  });
+}
+
+/**
+ * Insert or update catalog subjects (seed)
+ * Existing subjects keep their aliases and gain any new ones
+ * @param {Array<{name: string, level: string, aliases?: string[]}>} subjects - Catalog
+ * @returns {Promise<{created: number, updated: number}>} Counts
+ */
+export async function upsertSubjects(subjects) {
+  let created = 0;
+  let updated = 0;
+
+  for (const { name, level, aliases = [] } of subjects) {
+    const existing = await prisma.subject.findUnique({
+      where: { name_level: { name, level } },
+      select: { id: true, aliases: true },
+    });
+
+    if (existing) {
+      await prisma.subject.update({
+        where: { id: existing.id },
+        data: {
+          aliases: cleanAliases([...existing.aliases, ...aliases], name),
+        },
+      });
+      updated += 1;
+    } else {
+      await prisma.subject.create({
+        data: { name, level, aliases: cleanAliases(aliases, name) },
+      });
+      created += 1;
+    }
+  }
+
+  return { created, updated };
+}
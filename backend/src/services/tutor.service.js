@@ -0,0 +1,371 @@
+import { prisma } from "../config/database.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { listGallery } from "./upload.service.js";
+import { findAreasByName, findNearestArea } from "./area.service.js";
+import { refreshCompleteness } from "./profileCompleteness.service.js";
+import { getTutorReliability } from "./reliability.service.js";
+
+// Public area info; exact coordinates stay private
+const AREA_SUMMARY_SELECT = {
+  select: { id: true, slug: true, name: true, zone: true },
+};
+
+// Fields anyone can see; address and account details stay private
+const PUBLIC_PROFILE_SELECT = {
+  id: true,
+  name: true,
+  photoUrl: true,
+  bio: true,
+  gender: true,
+  qualification: true,
+  experienceYears: true,
+  location: true,
+  area: AREA_SUMMARY_SELECT,
+  teachingMethod: true,
+  hourlyRate: true,
+  monthlyRate: true,
+  trialEnabled: true,
+  trialDuration: true,
+  trialRate: true,
+  freeCancelHours: true,
+  lateCancelFeePercent: true,
+  noShowFeePercent: true,
+  verified: true,
+  ratingAvg: true,
+  totalReviews: true,
+  createdAt: true,
+  subjects: {
+    select: {
+      subject: { select: { id: true, name: true, level: true } },
+    },
+  },
+};
+
+// Compact view for search results and lists
+export const TUTOR_CARD_SELECT = {
+  id: true,
+  name: true,
+  photoUrl: true,
+  gender: true,
+  qualification: true,
+  experienceYears: true,
+  location: true,
+  area: AREA_SUMMARY_SELECT,
+  teachingMethod: true,
+  hourlyRate: true,
+  monthlyRate: true,
+  verified: true,
+  ratingAvg: true,
+  totalReviews: true,
+  subjects: PUBLIC_PROFILE_SELECT.subjects,
+};
+
+// Owner's view adds the private fields
+const OWNER_PROFILE_SELECT = {
+  ...PUBLIC_PROFILE_SELECT,
+  userId: true,
+  address: true,
+  latitude: true,
+  longitude: true,
+  completeness: true,
+  profileComplete: true,
+  updatedAt: true,
+};
+
+// Scalar fields a tutor can edit (subjects are handled separately)
+const EDITABLE_FIELDS = [
+  "name",
+  "bio",
+  "gender",
+  "qualification",
+  "experienceYears",
+  "location",
+  "areaId",
+  "latitude",
+  "longitude",
+  "address",
+  "teachingMethod",
+  "hourlyRate",
+  "monthlyRate",
+  "trialEnabled",
+  "trialDuration",
+  "trialRate",
+  "freeCancelHours",
+  "lateCancelFeePercent",
+  "noShowFeePercent",
+];
+
+// What a PUT stores for omitted fields that cannot be null
+const RESET_VALUES = {
+  teachingMethod: [],
+  trialEnabled: true,
+  trialDuration: 30,
+  freeCancelHours: 24,
+  lateCancelFeePercent: 50,
+  noShowFeePercent: 100,
+};
+
+/**
+ * Flatten TutorSubject join rows into a plain subject list
+ * @param {object} profile - Profile as selected from Prisma
+ * @returns {object} Profile with subjects: [{id, name, level}]
+ */
+export function formatProfile(profile) {
+  return {
+    ...profile,
+    subjects: profile.subjects.map(({ subject }) => subject),
+  };
+}
+
+/**
+ * Rescore a just-saved profile and return the owner view
+ * @param {object} profile - Profile selected with OWNER_PROFILE_SELECT
+ * @returns {Promise<object>} Profile (owner view) with the new score
+ */
+async function withFreshScore(profile) {
+  const { score, complete } = await refreshCompleteness(profile.id);
+
+  return {
+    ...formatProfile(profile),
+    completeness: score,
+    profileComplete: complete,
+  };
+}
+
+/**
+ * Build Prisma data from validated input
+ * Empty strings are stored as null; with `replace` every field that was
+ * not sent is cleared (PUT semantics)
+ * @param {object} input - Validated profile fields
+ * @param {boolean} replace - Clear omitted fields
+ * @returns {object} Prisma data
+ */
+function buildProfileData(input, replace) {
+  const data = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) {
+      data[field] = input[field] === "" ? null : input[field];
+    } else if (replace && field !== "name") {
+      data[field] = field in RESET_VALUES ? RESET_VALUES[field] : null;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Make sure every subject ID exists
+ * @param {string[]} subjectIds - Subject IDs
+ * @returns {Promise<void>}
+ */
+async function assertSubjectsExist(subjectIds) {
+  if (subjectIds.length === 0) return;
+
+  const found = await prisma.subject.findMany({
+    where: { id: { in: subjectIds } },
+    select: { id: true },
+  });
+
+  if (found.length !== subjectIds.length) {
+    const known = new Set(found.map((subject) => subject.id));
+    throw new ValidationError("Unknown subject", [
+      {
+        field: "subjectIds",
+        location: "body",
+        message: `Unknown subject IDs: ${subjectIds
+          .filter((subjectId) => !known.has(subjectId))
+          .join(", ")}`,
+      },
+    ]);
+  }
+}
+
+/**
+ * Normalize location fields against the area gazetteer
+ * An explicit areaId wins and sets `location` to the area's name; free
+ * text is matched by name/alias; a map pin sent without either snaps to
+ * the nearest area. Mutates and returns `data`.
+ * @param {object} data - Prisma data from buildProfileData
+ * @param {object} input - Validated profile fields
+ * @returns {Promise<object>} Data with areaId/location resolved
+ */
+async function resolveLocation(data, input) {
+  if (input.areaId) {
+    const area = await prisma.area.findUnique({
+      where: { id: input.areaId },
+      select: { name: true },
+    });
+
+    if (!area) {
+      throw new ValidationError("Unknown area", [
+        { field: "areaId", location: "body", message: "Unknown area ID" },
+      ]);
+    }
+
+    data.location = area.name;
+  } else if (input.location) {
+    const match = (await findAreasByName([input.location])).get(input.location);
+
+    data.areaId = match?.id ?? null;
+    if (match) data.location = match.name;
+  } else if (
+    typeof input.latitude === "number" &&
+    input.areaId === undefined &&
+    input.location === undefined
+  ) {
+    const nearest = await findNearestArea({
+      latitude: input.latitude,
+      longitude: input.longitude,
+    });
+
+    if (nearest) {
+      data.areaId = nearest.id;
+      data.location = nearest.name;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Create tutor profile for the current user
+ * @param {string} userId - Tutor's user ID
+ * @param {object} input - Validated profile fields (+ subjectIds)
+ * @returns {Promise<object>} Created profile (owner view)
+ */
+export async function createTutorProfile(userId, input) {
+  const existing = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError(
+      "Tutor profile already exists",
+      "PROFILE_ALREADY_EXISTS"
+    );
+  }
+
+  const subjectIds = input.subjectIds || [];
+  await assertSubjectsExist(subjectIds);
+
+  const data = await resolveLocation(buildProfileData(input, false), input);
+
+  const profile = await prisma.tutorProfile.create({
+    data: {
+      ...data,
+      userId,
+      subjects: {
+        create: subjectIds.map((subjectId) => ({ subjectId })),
+      },
+    },
+    select: OWNER_PROFILE_SELECT,
+  });
+
+  return withFreshScore(profile);
+}
+
+/**
+ * Update tutor profile of the current user
+ * @param {string} userId - Tutor's user ID
+ * @param {object} input - Validated profile fields (+ subjectIds)
+ * @param {{replace?: boolean}} [options] - replace: PUT semantics
+ * @returns {Promise<object>} Updated profile (owner view)
+ */
+export async function updateTutorProfile(
+  userId,
+  input,
+  { replace = false } = {}
+) {
+  const existing = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    throw new NotFoundError(
+      "Tutor profile not found. Create it first",
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  // Subject list is replaced as a whole when sent (or cleared by PUT)
+  const subjectIds = input.subjectIds ?? (replace ? [] : undefined);
+
+  if (subjectIds) {
+    await assertSubjectsExist(subjectIds);
+  }
+
+  const data = await resolveLocation(buildProfileData(input, replace), input);
+
+  const profile = await prisma.$transaction(async (tx) => {
+    if (subjectIds) {
+      await tx.tutorSubject.deleteMany({ where: { tutorId: existing.id } });
+      await tx.tutorSubject.createMany({
+        data: subjectIds.map((subjectId) => ({
+          tutorId: existing.id,
+          subjectId,
+        })),
+      });
+    }
+
+    return tx.tutorProfile.update({
+      where: { id: existing.id },
+      data,
+      select: OWNER_PROFILE_SELECT,
+    });
+  });
+
+  return withFreshScore(profile);
+}
+
+/**
+ * Get current tutor's own profile (includes private fields)
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<object>} Profile (owner view) with reliability record
+ */
+export async function getMyTutorProfile(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: OWNER_PROFILE_SELECT,
+  });
+
+  if (!profile) {
+    throw new NotFoundError("Tutor profile not found", "PROFILE_NOT_FOUND");
+  }
+
+  return {
+    ...formatProfile(profile),
+    reliability: await getTutorReliability(profile.id),
+  };
+}
+
+/**
+ * Get public tutor profile with photo gallery and reliability record
+ * Profiles of suspended accounts are hidden
+ * @param {string} profileId - Tutor profile ID
+ * @returns {Promise<object>} Profile (public view, no address)
+ */
+export async function getPublicTutorProfile(profileId) {
+  const profile = await prisma.tutorProfile.findFirst({
+    where: { id: profileId, user: { active: true } },
+    select: { ...PUBLIC_PROFILE_SELECT, userId: true },
+  });
+
+  if (!profile) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  const { userId, ...publicProfile } = profile;
+
+  return {
+    ...formatProfile(publicProfile),
+    gallery: await listGallery(userId),
+    reliability: await getTutorReliability(profile.id),
+  };
+}
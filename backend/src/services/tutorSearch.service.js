@@ -0,0 +1,542 @@
+import { prisma } from "../config/database.js";
+import { TUTOR_CARD_SELECT, formatProfile } from "./tutor.service.js";
+import { subjectTextFilter } from "./subject.service.js";
+import { findAreasByName, getAreaOrThrow } from "./area.service.js";
+import { boundingBox, haversineKm, roundDistance } from "../utils/geo.js";
+import { BadRequestError } from "../utils/errors.js";
+
+// Price buckets for the filter sidebar (PKR); `max` is exclusive
+export const PRICE_BUCKETS = {
+  hourly: [
+    { key: "under_500", min: 0, max: 500 },
+    { key: "500_1000", min: 500, max: 1000 },
+    { key: "1000_2000", min: 1000, max: 2000 },
+    { key: "2000_5000", min: 2000, max: 5000 },
+    { key: "5000_plus", min: 5000, max: null },
+  ],
+  monthly: [
+    { key: "under_5000", min: 0, max: 5000 },
+    { key: "5000_10000", min: 5000, max: 10000 },
+    { key: "10000_20000", min: 10000, max: 20000 },
+    { key: "20000_40000", min: 20000, max: 40000 },
+    { key: "40000_plus", min: 40000, max: null },
+  ],
+};
+
+const RATE_FIELDS = { hourly: "hourlyRate", monthly: "monthlyRate" };
+const MAX_FACET_AREAS = 50;
+// Distance sort without an explicit radius still needs a box to scan
+const DEFAULT_RADIUS_KM = 25;
+
+/**
+ * Sort options -> [field, direction] keys
+ * `id` is always the final tie-breaker so cursor pages never overlap
+ */
+const SORTS = {
+  rating: () => [
+    ["ratingAvg", "desc"],
+    ["totalReviews", "desc"],
+  ],
+  price_asc: (rateField) => [[rateField, "asc"]],
+  price_desc: (rateField) => [[rateField, "desc"]],
+  experience: () => [["experienceYears", "desc"]],
+  newest: () => [["createdAt", "desc"]],
+  // Ordered in JS by measured distance, see searchTutors
+  distance: () => [],
+};
+
+// Sort fields that may be NULL; those rows always sort last
+const NULLABLE_SORT_FIELDS = new Set([
+  "ratingAvg",
+  "experienceYears",
+  "hourlyRate",
+  "monthlyRate",
+]);
+
+/**
+ * Prisma orderBy for sort keys
+ * @param {Array<[string, string]>} keys - [field, direction] pairs
+ * @returns {Array<object>} orderBy
+ */
+function toOrderBy(keys) {
+  return keys.map(([field, direction]) => ({
+    [field]: NULLABLE_SORT_FIELDS.has(field)
+      ? { sort: direction, nulls: "last" }
+      : direction,
+  }));
+}
+
+/**
+ * Keyset condition for rows after the cursor row
+ * Written out by hand because comparisons with NULL never match, which
+ * breaks Prisma's own cursor on nullable sort fields. With NULLs last, a
+ * non-null value is followed by larger/smaller values and then all NULLs;
+ * a NULL is only followed by other NULLs (ordered by the later keys).
+ * @param {Array<[string, string]>} keys - [field, direction] pairs, ending with id
+ * @param {object} cursorRow - Row the previous page ended on
+ * @returns {object} Prisma where
+ */
+function afterCursor(keys, cursorRow) {
+  const branches = keys.map(([field, direction], index) => {
+    const value = cursorRow[field];
+    const comparison = direction === "asc" ? "gt" : "lt";
+    const later =
+      value === null
+        ? null
+        : NULLABLE_SORT_FIELDS.has(field)
+        ? { OR: [{ [field]: { [comparison]: value } }, { [field]: null }] }
+        : { [field]: { [comparison]: value } };
+
+    if (!later) return null;
+
+    return {
+      AND: [
+        ...keys
+          .slice(0, index)
+          .map(([earlier]) => ({ [earlier]: cursorRow[earlier] })),
+        later,
+      ],
+    };
+  });
+
+  return { OR: branches.filter(Boolean) };
+}
+
+/**
+ * Reject a cursor that does not point at a known tutor
+ * @throws {BadRequestError}
+ */
+function invalidCursor() {
+  throw new BadRequestError(
+    "Invalid cursor. Start again from the first page",
+    "INVALID_CURSOR"
+  );
+}
+
+/**
+ * Build one where-clause per filter dimension
+ * Kept separate so facet counts can leave out their own dimension
+ * (selecting "Physics" must not make every other subject count 0)
+ * @param {object} filters - Validated search filters
+ * @returns {Object<string, object>} Clauses keyed by dimension
+ */
+function buildClauses(filters) {
+  const rateField = RATE_FIELDS[filters.priceType];
+  const clauses = {};
+
+  if (filters.q) {
+    clauses.text = {
+      OR: [
+        { name: { contains: filters.q, mode: "insensitive" } },
+        { subjects: { some: { subject: subjectTextFilter(filters.q) } } },
+        { area: { name: { contains: filters.q, mode: "insensitive" } } },
+      ],
+    };
+  }
+
+  if (filters.subjectId?.length || filters.level) {
+    clauses.subject = {
+      subjects: {
+        some: {
+          ...(filters.subjectId?.length && {
+            subjectId: { in: filters.subjectId },
+          }),
+          ...(filters.level && { subject: { level: filters.level } }),
+        },
+      },
+    };
+  }
+
+  // Gazetteer areas, plus exact text for legacy locations with no match
+  if (filters.areaIds?.length || filters.unmatchedLocations?.length) {
+    clauses.area = {
+      OR: [
+        ...(filters.areaIds?.length
+          ? [{ areaId: { in: filters.areaIds } }]
+          : []),
+        ...(filters.unmatchedLocations || []).map((location) => ({
+          location: { equals: location, mode: "insensitive" },
+        })),
+      ],
+    };
+  }
+
+  if (filters.minRate !== undefined || filters.maxRate !== undefined) {
+    clauses.price = {
+      [rateField]: {
+        ...(filters.minRate !== undefined && { gte: filters.minRate }),
+        ...(filters.maxRate !== undefined && { lte: filters.maxRate }),
+      },
+    };
+  }
+
+  if (filters.teachingMethod?.length) {
+    clauses.method = { teachingMethod: { hasSome: filters.teachingMethod } };
+  }
+
+  if (filters.gender) {
+    clauses.gender = { gender: filters.gender };
+  }
+
+  if (filters.minRating !== undefined) {
+    clauses.rating = { ratingAvg: { gte: filters.minRating } };
+  }
+
+  if (filters.minExperience !== undefined) {
+    clauses.experience = { experienceYears: { gte: filters.minExperience } };
+  }
+
+  if (filters.verified !== undefined) {
+    clauses.verified = { verified: filters.verified };
+  }
+
+  if (filters.incomplete === "hide") {
+    clauses.completeness = { profileComplete: true };
+  }
+
+  return clauses;
+}
+
+/**
+ * Combine clauses into a Prisma where, optionally skipping one dimension
+ * Only profiles of active accounts are ever searchable
+ * @param {Object<string, object>} clauses - Clauses from buildClauses
+ * @param {string} [except] - Dimension to leave out
+ * @returns {object} Prisma where
+ */
+function combineClauses(clauses, except) {
+  return {
+    AND: [
+      { user: { active: true } },
+      ...Object.entries(clauses)
+        .filter(([dimension]) => dimension !== except)
+        .map(([, clause]) => clause),
+    ],
+  };
+}
+
+/**
+ * Facet counts for the filter sidebar
+ * Each facet is counted with every filter except its own
+ * @param {Object<string, object>} clauses - Clauses from buildClauses
+ * @param {string} priceType - hourly or monthly
+ * @returns {Promise<object>} { subjects, areas, prices }
+ */
+async function getFacets(clauses, priceType) {
+  const rateField = RATE_FIELDS[priceType];
+  const buckets = PRICE_BUCKETS[priceType];
+  const priceWhere = combineClauses(clauses, "price");
+
+  const [subjectGroups, areaGroups, priceCounts] = await Promise.all([
+    prisma.tutorSubject.groupBy({
+      by: ["subjectId"],
+      where: { tutor: combineClauses(clauses, "subject") },
+      _count: { _all: true },
+    }),
+    prisma.tutorProfile.groupBy({
+      by: ["areaId"],
+      where: {
+        AND: [combineClauses(clauses, "area"), { areaId: { not: null } }],
+      },
+      _count: { _all: true },
+      orderBy: { _count: { areaId: "desc" } },
+      take: MAX_FACET_AREAS,
+    }),
+    Promise.all(
+      buckets.map((bucket) =>
+        prisma.tutorProfile.count({
+          where: {
+            AND: [
+              priceWhere,
+              {
+                [rateField]: {
+                  gte: bucket.min,
+                  ...(bucket.max !== null && { lt: bucket.max }),
+                },
+              },
+            ],
+          },
+        })
+      )
+    ),
+  ]);
+
+  const [subjects, areas] = await Promise.all([
+    prisma.subject.findMany({
+      where: { id: { in: subjectGroups.map((group) => group.subjectId) } },
+      select: { id: true, name: true, level: true },
+    }),
+    prisma.area.findMany({
+      where: { id: { in: areaGroups.map((group) => group.areaId) } },
+      select: { id: true, name: true, zone: true },
+    }),
+  ]);
+  const subjectsById = new Map(
+    subjects.map((subject) => [subject.id, subject])
+  );
+  const areasById = new Map(areas.map((area) => [area.id, area]));
+
+  return {
+    subjects: subjectGroups
+      .filter((group) => subjectsById.has(group.subjectId))
+      .map((group) => ({
+        ...subjectsById.get(group.subjectId),
+        count: group._count._all,
+      }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    areas: areaGroups
+      .filter((group) => areasById.has(group.areaId))
+      .map((group) => ({
+        ...areasById.get(group.areaId),
+        count: group._count._all,
+      })),
+    prices: buckets.map((bucket, index) => ({
+      ...bucket,
+      count: priceCounts[index],
+    })),
+  };
+}
+
+/**
+ * Centre point of a distance search
+ * @param {object} filters - Validated search filters
+ * @returns {Promise<{latitude: number, longitude: number}|null>} Centre or null
+ */
+async function resolveCenter(filters) {
+  if (filters.lat !== undefined) {
+    return { latitude: filters.lat, longitude: filters.lng };
+  }
+
+  if (filters.nearArea) {
+    const area = await getAreaOrThrow(filters.nearArea);
+    return { latitude: area.latitude, longitude: area.longitude };
+  }
+
+  return null;
+}
+
+/**
+ * Distance from the centre to every matching tutor within the radius
+ * Tutors without a map pin are measured from their area's centre;
+ * tutors with neither are left out.
+ * @param {object} where - Prisma where for the other filters
+ * @param {{latitude: number, longitude: number}} center - Search centre
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Promise<Map<string, {km: number, complete: boolean}>>} Distance and completeness keyed by profile ID
+ */
+async function measureDistances(where, center, radiusKm) {
+  const box = boundingBox(center, radiusKm);
+  const inBox = {
+    latitude: { gte: box.minLat, lte: box.maxLat },
+    longitude: { gte: box.minLng, lte: box.maxLng },
+  };
+
+  const candidates = await prisma.tutorProfile.findMany({
+    where: {
+      AND: [where, { OR: [inBox, { latitude: null, area: inBox }] }],
+    },
+    select: {
+      id: true,
+      latitude: true,
+      longitude: true,
+      profileComplete: true,
+      area: { select: { latitude: true, longitude: true } },
+    },
+  });
+
+  const distances = new Map();
+
+  for (const candidate of candidates) {
+    const point =
+      candidate.latitude !== null && candidate.longitude !== null
+        ? candidate
+        : candidate.area;
+    const km = haversineKm(center, point);
+    if (km <= radiusKm) {
+      distances.set(candidate.id, { km, complete: candidate.profileComplete });
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Fetch one page of tutors ordered by distance
+ * @param {Map<string, {km: number, complete: boolean}>} distances - From measureDistances
+ * @param {string} [cursor] - Last profile ID of the previous page
+ * @param {number} limit - Page size
+ * @param {boolean} demote - List incomplete profiles after complete ones
+ * @returns {Promise<Array<object>>} Up to limit + 1 rows, nearest first
+ * @throws {BadRequestError} If the cursor is not in the result set
+ */
+async function findNearest(distances, cursor, limit, demote) {
+  const ordered = [...distances.entries()]
+    .sort(
+      ([idA, a], [idB, b]) =>
+        (demote ? Number(b.complete) - Number(a.complete) : 0) ||
+        a.km - b.km ||
+        idA.localeCompare(idB)
+    )
+    .map(([id]) => id);
+
+  const position = cursor ? ordered.indexOf(cursor) : -1;
+  if (cursor && position === -1) invalidCursor();
+
+  const start = position + 1;
+  const pageIds = ordered.slice(start, start + limit + 1);
+
+  const rows = await prisma.tutorProfile.findMany({
+    where: { id: { in: pageIds } },
+    select: TUTOR_CARD_SELECT,
+  });
+  const rowsById = new Map(rows.map((row) => [row.id, row]));
+
+  return pageIds.filter((id) => rowsById.has(id)).map((id) => rowsById.get(id));
+}
+
+/**
+ * Resolve locations and the distance centre, then build filter clauses
+ * @param {object} filters - Validated search filters
+ * @returns {Promise<{clauses: Object<string, object>, distances: Map|null}>}
+ */
+async function prepareSearch(filters) {
+  // Free-text locations go through the gazetteer ("hayatabad ph 3")
+  const matchedAreas = filters.location?.length
+    ? await findAreasByName(filters.location)
+    : new Map();
+
+  const clauses = buildClauses({
+    ...filters,
+    areaIds: [
+      ...(filters.areaId || []),
+      ...[...matchedAreas.values()].map((area) => area.id),
+    ],
+    unmatchedLocations: (filters.location || []).filter(
+      (location) => !matchedAreas.has(location)
+    ),
+  });
+
+  const center = await resolveCenter(filters);
+  let distances = null;
+
+  if (center) {
+    distances = await measureDistances(
+      combineClauses(clauses),
+      center,
+      filters.radiusKm ?? DEFAULT_RADIUS_KM
+    );
+    clauses.distance = { id: { in: [...distances.keys()] } };
+  }
+
+  return { clauses, distances };
+}
+
+/**
+ * Tutors matching saved search filters plus an extra condition
+ * Used by saved-search alerts ("new verified tutors since last check")
+ * @param {object} filters - Validated search filters
+ * @param {object} where - Extra Prisma where
+ * @param {number} [limit] - Maximum rows
+ * @returns {Promise<Array<object>>} Tutor cards, best rated first
+ */
+export async function findMatchingTutors(filters, where, limit = 10) {
+  const { clauses } = await prepareSearch({
+    priceType: "hourly",
+    ...filters,
+  });
+
+  const rows = await prisma.tutorProfile.findMany({
+    where: { AND: [combineClauses(clauses), where] },
+    select: TUTOR_CARD_SELECT,
+    orderBy: toOrderBy([
+      ["ratingAvg", "desc"],
+      ["id", "asc"],
+    ]),
+    take: limit,
+  });
+
+  return rows.map(formatProfile);
+}
+
+/**
+ * Search tutors
+ * Uses cursor pagination: pass back `pageInfo.nextCursor` as `cursor`
+ * with the same filters and sort to get the next page. Price sorts only
+ * rank tutors who have set a rate of the chosen type. With a centre
+ * (lat/lng or nearArea) results carry `distanceKm` and are limited to
+ * radiusKm (default 25 km). Incomplete profiles (see
+ * profileCompleteness.service.js) come after complete ones by default;
+ * `incomplete=hide` leaves them out and `incomplete=show` ranks them normally.
+ * Tutors without a rating or experience come last in those sorts.
+ * Facets are only computed for the first page (no cursor).
+ * @param {object} filters - Validated query (see tutor.validator.js search)
+ * @returns {Promise<{tutors: Array<object>, pageInfo: object, facets?: object}>}
+ * @throws {BadRequestError} If the cursor does not point at a tutor
+ */
+export async function searchTutors(filters) {
+  const {
+    sort = "rating",
+    priceType = "hourly",
+    incomplete = "demote",
+    cursor,
+    limit = 20,
+  } = filters;
+  const rateField = RATE_FIELDS[priceType];
+  const demote = incomplete === "demote";
+
+  const { clauses, distances } = await prepareSearch({
+    ...filters,
+    priceType,
+  });
+
+  const where = combineClauses(clauses);
+  if (sort.startsWith("price_")) {
+    where.AND.push({ [rateField]: { not: null } });
+  }
+
+  const keys = [
+    ...(demote ? [["profileComplete", "desc"]] : []),
+    ...SORTS[sort](rateField),
+    ["id", "asc"],
+  ];
+
+  if (cursor && sort !== "distance") {
+    const cursorRow = await prisma.tutorProfile.findUnique({
+      where: { id: cursor },
+      select: Object.fromEntries(keys.map(([field]) => [field, true])),
+    });
+
+    if (!cursorRow) invalidCursor();
+    where.AND.push(afterCursor(keys, cursorRow));
+  }
+
+  const [rows, facets] = await Promise.all([
+    sort === "distance"
+      ? findNearest(distances, cursor, limit, demote)
+      : prisma.tutorProfile.findMany({
+          where,
+          select: TUTOR_CARD_SELECT,
+          orderBy: toOrderBy(keys),
+          take: limit + 1,
+        }),
+    cursor ? null : getFacets(clauses, priceType),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const tutors = rows.slice(0, limit).map((row) => ({
+    ...formatProfile(row),
+    ...(distances && {
+      distanceKm: roundDistance(distances.get(row.id).km),
+    }),
+  }));
+
+  return {
+    tutors,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? tutors[tutors.length - 1].id : null,
+    },
+    ...(facets && { facets }),
+  };
+}
@@ -0,0 +1,527 @@
+import { randomUUID } from "crypto";
+import { prisma } from "../config/database.js";
+import { UploadKind } from "@prisma/client";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { detectFileType, isImageType } from "../utils/fileType.js";
+import { renderImage } from "../utils/image.js";
+import { getStorage } from "../utils/storage.js";
+import { refreshCompleteness } from "./profileCompleteness.service.js";
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+export const MAX_GALLERY_IMAGES = 12;
+
+/**
+ * What each kind of upload accepts and how it is stored
+ * `main` is the stored file itself, `variants` extra resized copies.
+ * Documents are private: never given a public URL, only downloadable by
+ * their owner and admins.
+ */
+export const UPLOAD_RULES = {
+  [UploadKind.PROFILE_PHOTO]: {
+    types: IMAGE_TYPES,
+    maxBytes: 5 * MB,
+    isPrivate: false,
+    folder: "profile-photos",
+    image: {
+      format: "webp",
+      main: { width: 800, height: 800, fit: "cover" },
+      variants: {
+        thumb: { width: 96, height: 96, fit: "cover" },
+        medium: { width: 320, height: 320, fit: "cover" },
+      },
+    },
+  },
+  [UploadKind.GALLERY_IMAGE]: {
+    types: IMAGE_TYPES,
+    maxBytes: 8 * MB,
+    isPrivate: false,
+    folder: "gallery",
+    image: {
+      format: "webp",
+      main: { width: 1600, height: 1600 },
+      variants: {
+        thumb: { width: 400, height: 300, fit: "cover" },
+      },
+    },
+  },
+  [UploadKind.DOCUMENT]: {
+    types: [...IMAGE_TYPES, "application/pdf"],
+    maxBytes: 10 * MB,
+    isPrivate: true,
+    folder: "documents",
+    // Scans stay large enough to read; PDFs are stored as uploaded
+    image: {
+      format: "jpeg",
+      main: { width: 2400, height: 2400 },
+      variants: {},
+    },
+  },
+};
+
+const UPLOAD_SELECT = {
+  id: true,
+  kind: true,
+  url: true,
+  isPrivate: true,
+  mimeType: true,
+  size: true,
+  width: true,
+  height: true,
+  variants: true,
+  originalName: true,
+  label: true,
+  createdAt: true,
+};
+
+/**
+ * Drop storage keys from variants before sending to clients
+ * @param {object} upload - Upload row
+ * @returns {object} Upload
+ */
+export function formatUpload(upload) {
+  const { key, storage, ownerId, ...rest } = upload;
+
+  return {
+    ...rest,
+    variants: Object.fromEntries(
+      Object.entries(upload.variants || {}).map(([name, variant]) => [
+        name,
+        { url: variant.url, width: variant.width, height: variant.height },
+      ])
+    ),
+  };
+}
+
+/**
+ * Keep only a safe display name from the client's file name
+ * @param {string} name - Original file name
+ * @returns {string|null} Clean name
+ */
+function cleanFileName(name) {
+  if (!name) return null;
+  const base = name
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[^\w.\- ]+/g, "_")
+    .trim();
+  return base.slice(0, 150) || null;
+}
+
+/**
+ * Check content type and produce the files to store
+ * Images are decoded and re-encoded, which strips EXIF/GPS metadata
+ * @param {object} rule - Entry of UPLOAD_RULES
+ * @param {object} file - Multer file (memory storage)
+ * @returns {Promise<{main: object, variants: Object<string, object>}>} Files to store
+ */
+async function prepareFiles(rule, file) {
+  if (!file) {
+    throw new BadRequestError("No file uploaded", "FILE_REQUIRED");
+  }
+
+  if (file.size > rule.maxBytes) {
+    throw new AppError("File is too large", 413, "FILE_TOO_LARGE", {
+      maxBytes: rule.maxBytes,
+    });
+  }
+
+  const detected = detectFileType(file.buffer);
+
+  if (!detected || !rule.types.includes(detected.mimeType)) {
+    throw new AppError(
+      "File content does not match an allowed type",
+      415,
+      "UNSUPPORTED_FILE_TYPE",
+      { allowed: rule.types }
+    );
+  }
+
+  if (!isImageType(detected.mimeType)) {
+    return {
+      main: {
+        buffer: file.buffer,
+        contentType: detected.mimeType,
+        extension: detected.extension,
+        width: null,
+        height: null,
+      },
+      variants: {},
+    };
+  }
+
+  const { main, ...variants } = await renderImage(file.buffer, {
+    format: rule.image.format,
+    sizes: { main: rule.image.main, ...rule.image.variants },
+  });
+
+  return { main, variants };
+}
+
+/**
+ * Validate, process and store a file, then record it
+ * Stored files are removed again if anything fails half-way
+ * @param {string} ownerId - Uploading user's ID
+ * @param {string} kind - UploadKind
+ * @param {object} file - Multer file (memory storage)
+ * @param {object} [options] - Options
+ * @param {string} [options.label] - Caption or document name
+ * @param {(data: object) => Promise<object>} [options.insert] - Writes the row (e.g. after a check under a lock)
+ * @returns {Promise<object>} Upload row
+ */
+async function storeUpload(
+  ownerId,
+  kind,
+  file,
+  { label, insert = (data) => prisma.upload.create({ data }) } = {}
+) {
+  const rule = UPLOAD_RULES[kind];
+  const { main, variants } = await prepareFiles(rule, file);
+
+  const storage = getStorage();
+  const baseKey = `${rule.folder}/${ownerId}/${randomUUID()}`;
+  const options = { isPrivate: rule.isPrivate };
+  const stored = [];
+
+  try {
+    const put = async (name, output) => {
+      const key = `${baseKey}/${name}.${output.extension}`;
+      const { url } = await storage.put(key, output.buffer, {
+        ...options,
+        contentType: output.contentType,
+      });
+      stored.push(key);
+      return { key, url, width: output.width, height: output.height };
+    };
+
+    const mainFile = await put("original", main);
+    const variantFiles = {};
+
+    for (const [name, output] of Object.entries(variants)) {
+      variantFiles[name] = await put(name, output);
+    }
+
+    return await insert({
+      ownerId,
+      kind,
+      storage: storage.name,
+      key: mainFile.key,
+      url: mainFile.url,
+      isPrivate: rule.isPrivate,
+      mimeType: main.contentType,
+      size: main.buffer.length,
+      width: mainFile.width,
+      height: mainFile.height,
+      variants: variantFiles,
+      originalName: cleanFileName(file.originalname),
+      label: label || null,
+    });
+  } catch (error) {
+    await removeStoredFiles(storage, stored, options);
+    throw error;
+  }
+}
+
+/**
+ * Best-effort removal of stored files (a failure only leaves an orphan)
+ * @param {object} storage - Storage adapter
+ * @param {string[]} keys - Keys to remove
+ * @param {{isPrivate: boolean}} options - Storage options
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(storage, keys, options) {
+  await Promise.all(
+    keys.map((key) =>
+      storage.remove(key, options).catch((error) => {
+        console.error(`❌ Failed to remove stored file ${key}:`, error.message);
+      })
+    )
+  );
+}
+
+/**
+ * Remove an upload's stored files (the record must already be gone)
+ * @param {object} upload - Upload row
+ * @returns {Promise<void>}
+ */
+async function removeUploadFiles(upload) {
+  const keys = [
+    upload.key,
+    ...Object.values(upload.variants || {}).map((variant) => variant.key),
+  ];
+
+  // Files saved by a previous STORAGE_DRIVER stay where they are
+  const storage = getStorage();
+  if (storage.name === upload.storage) {
+    await removeStoredFiles(storage, keys, { isPrivate: upload.isPrivate });
+  }
+}
+
+/**
+ * Remove an upload's files and its record
+ * @param {object} upload - Upload row
+ * @returns {Promise<void>}
+ */
+async function destroyUpload(upload) {
+  await prisma.upload.delete({ where: { id: upload.id } });
+  await removeUploadFiles(upload);
+}
+
+/**
+ * Get the tutor profile ID of a user or throw
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<string>} Tutor profile ID
+ */
+async function requireTutorProfile(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: { id: true },
+  });
+
+  if (!profile) {
+    throw new NotFoundError(
+      "Tutor profile not found. Create it first",
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  return profile.id;
+}
+
+/**
+ * Set tutor's profile photo (replaces the previous one)
+ * The new file is stored first; swapping it in happens under a per-user
+ * lock, and the newest photo always wins, so parallel uploads leave
+ * exactly one photo and never delete the same file twice.
+ * @param {string} userId - Tutor's user ID
+ * @param {object} file - Multer file
+ * @returns {Promise<object>} Upload now used as the profile photo
+ */
+export async function setProfilePhoto(userId, file) {
+  const profileId = await requireTutorProfile(userId);
+
+  await storeUpload(userId, UploadKind.PROFILE_PHOTO, file);
+
+  const { current, replaced } = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`photo:${userId}`}))`;
+
+    const [newest, ...older] = await tx.upload.findMany({
+      where: { ownerId: userId, kind: UploadKind.PROFILE_PHOTO },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    });
+
+    await tx.upload.deleteMany({
+      where: { id: { in: older.map((upload) => upload.id) } },
+    });
+    await tx.tutorProfile.update({
+      where: { id: profileId },
+      data: { photoUrl: newest.url },
+    });
+
+    return { current: newest, replaced: older };
+  });
+
+  await refreshCompleteness(profileId);
+
+  for (const old of replaced) {
+    await removeUploadFiles(old);
+  }
+
+  return formatUpload(current);
+}
+
+/**
+ * Throw if a tutor's gallery has no room left
+ * @param {object} client - Prisma client or transaction
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<void>}
+ */
+async function assertGalleryRoom(client, userId) {
+  const count = await client.upload.count({
+    where: { ownerId: userId, kind: UploadKind.GALLERY_IMAGE },
+  });
+
+  if (count >= MAX_GALLERY_IMAGES) {
+    throw new ConflictError(
+      `Gallery is full (${MAX_GALLERY_IMAGES} images). Remove one first`,
+      "GALLERY_FULL"
+    );
+  }
+}
+
+/**
+ * Add an image to tutor's public gallery
+ * A full gallery is turned away before any processing; the count that
+ * decides is repeated under a per-user lock with the insert, so parallel
+ * uploads cannot go past the limit.
+ * @param {string} userId - Tutor's user ID
+ * @param {object} file - Multer file
+ * @param {{label?: string}} [options] - Caption
+ * @returns {Promise<object>} Upload
+ */
+export async function addGalleryImage(userId, file, { label } = {}) {
+  await requireTutorProfile(userId);
+  await assertGalleryRoom(prisma, userId);
+
+  const upload = await storeUpload(userId, UploadKind.GALLERY_IMAGE, file, {
+    label,
+    insert: (data) =>
+      prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`gallery:${userId}`}))`;
+        await assertGalleryRoom(tx, userId);
+
+        return tx.upload.create({ data });
+      }),
+  });
+
+  return formatUpload(upload);
+}
+
+/**
+ * Store a private qualification document
+ * @param {string} userId - Uploading user's ID
+ * @param {object} file - Multer file
+ * @param {{label?: string}} [options] - Document name (e.g. "BSc degree")
+ * @returns {Promise<object>} Upload
+ */
+export async function addDocument(userId, file, { label } = {}) {
+  const upload = await storeUpload(userId, UploadKind.DOCUMENT, file, {
+    label,
+  });
+
+  return formatUpload(upload);
+}
+
+/**
+ * List current user's uploads
+ * @param {string} userId - User ID
+ * @param {{kind?: string}} [filters] - Optional kind
+ * @returns {Promise<Array<object>>} Uploads, newest first
+ */
+export async function listMyUploads(userId, { kind } = {}) {
+  const uploads = await prisma.upload.findMany({
+    where: { ownerId: userId, ...(kind && { kind }) },
+    select: UPLOAD_SELECT,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return uploads.map(formatUpload);
+}
+
+/**
+ * Public gallery of a tutor
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<Array<object>>} Gallery images, oldest first
+ */
+export async function listGallery(userId) {
+  const uploads = await prisma.upload.findMany({
+    where: { ownerId: userId, kind: UploadKind.GALLERY_IMAGE },
+    select: {
+      id: true,
+      url: true,
+      width: true,
+      height: true,
+      variants: true,
+      label: true,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return uploads.map(formatUpload);
+}
+
+/**
+ * Read an upload's file (private documents go through here)
+ * Only the owner and admins may read private files
+ * @param {string} uploadId - Upload ID
+ * @param {{userId: string, role: string}} user - Requesting user
+ * @returns {Promise<{buffer: Buffer, mimeType: string, fileName: string}>}
+ */
+export async function readUploadFile(uploadId, user) {
+  const upload = await prisma.upload.findUnique({ where: { id: uploadId } });
+
+  if (!upload) {
+    throw new NotFoundError("File not found", "UPLOAD_NOT_FOUND");
+  }
+
+  if (
+    upload.isPrivate &&
+    upload.ownerId !== user.userId &&
+    user.role !== "ADMIN"
+  ) {
+    throw new ForbiddenError("You cannot access this file", "UPLOAD_FORBIDDEN");
+  }
+
+  const storage = getStorage();
+  if (storage.name !== upload.storage) {
+    throw new AppError(
+      "File is kept in a storage backend that is not active",
+      410,
+      "UPLOAD_UNAVAILABLE"
+    );
+  }
+
+  const buffer = await storage.get(upload.key, { isPrivate: upload.isPrivate });
+  const extension = upload.key.split(".").pop();
+
+  return {
+    buffer,
+    mimeType: upload.mimeType,
+    fileName: `${(upload.label || upload.kind.toLowerCase()).replace(
+      /[^\w.\- ]+/g,
+      "_"
+    )}.${extension}`,
+  };
+}
+
+/**
+ * Delete one of current user's uploads
+ * Removing the profile photo also clears TutorProfile.photoUrl
+ * @param {string} userId - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<void>}
+ */
+export async function deleteUpload(userId, uploadId) {
+  const upload = await prisma.upload.findFirst({
+    where: { id: uploadId, ownerId: userId },
+  });
+
+  if (!upload) {
+    throw new NotFoundError("File not found", "UPLOAD_NOT_FOUND");
+  }
+
+  // Documents attached to a verification request are kept as evidence
+  const attached = await prisma.verificationDocument.count({
+    where: { uploadId },
+  });
+
+  if (attached > 0) {
+    throw new ConflictError(
+      "This document is part of a verification request and cannot be deleted",
+      "UPLOAD_IN_USE"
+    );
+  }
+
+  if (upload.kind === UploadKind.PROFILE_PHOTO) {
+    const profile = await prisma.tutorProfile.findFirst({
+      where: { userId, photoUrl: upload.url },
+      select: { id: true },
+    });
+
+    if (profile) {
+      await prisma.tutorProfile.update({
+        where: { id: profile.id },
+        data: { photoUrl: null },
+      });
+      await refreshCompleteness(profile.id);
+    }
+  }
+
+  await destroyUpload(upload);
+}
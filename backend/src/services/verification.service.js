@@ -0,0 +1,474 @@
+import { prisma } from "../config/database.js";
+import {
+  UploadKind,
+  VerificationAction,
+  VerificationDocumentType,
+  VerificationStatus,
+} from "@prisma/client";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+import { notifyUser } from "./notification.service.js";
+import { refreshCompleteness } from "./profileCompleteness.service.js";
+
+// Every request must include these document types
+export const REQUIRED_DOCUMENT_TYPES = [
+  VerificationDocumentType.CNIC_FRONT,
+  VerificationDocumentType.CNIC_BACK,
+  VerificationDocumentType.DEGREE,
+];
+
+/**
+ * Admin review actions
+ * status: resulting request status (null for revoke, which acts on the badge)
+ */
+const REVIEW_ACTIONS = {
+  approve: {
+    status: VerificationStatus.APPROVED,
+    event: VerificationAction.APPROVED,
+    template: EMAIL_TEMPLATE.VERIFICATION_APPROVED,
+  },
+  reject: {
+    status: VerificationStatus.REJECTED,
+    event: VerificationAction.REJECTED,
+    template: EMAIL_TEMPLATE.VERIFICATION_REJECTED,
+  },
+  request_info: {
+    status: VerificationStatus.INFO_REQUESTED,
+    event: VerificationAction.INFO_REQUESTED,
+    template: EMAIL_TEMPLATE.VERIFICATION_INFO_REQUESTED,
+  },
+  revoke: {
+    status: null,
+    event: VerificationAction.REVOKED,
+    template: EMAIL_TEMPLATE.VERIFICATION_REVOKED,
+  },
+};
+
+const REQUEST_SELECT = {
+  id: true,
+  status: true,
+  note: true,
+  reviewNote: true,
+  reviewedAt: true,
+  createdAt: true,
+  reviewer: { select: { id: true, email: true } },
+  documents: {
+    select: {
+      type: true,
+      upload: {
+        select: {
+          id: true,
+          label: true,
+          mimeType: true,
+          size: true,
+          createdAt: true,
+        },
+      },
+    },
+  },
+};
+
+// Tutors see that their request was reviewed, not which admin did it
+const TUTOR_REQUEST_SELECT = { ...REQUEST_SELECT, reviewer: false };
+
+const EVENT_SELECT = {
+  id: true,
+  requestId: true,
+  action: true,
+  note: true,
+  createdAt: true,
+  actor: { select: { id: true, role: true } },
+};
+
+/**
+ * Flatten document join rows ({type, upload}) into {type, ...upload}
+ * @param {object} request - Request as selected with REQUEST_SELECT or TUTOR_REQUEST_SELECT
+ * @returns {object} Request
+ */
+function formatRequest(request) {
+  return {
+    ...request,
+    documents: request.documents.map(({ type, upload }) => ({
+      type,
+      uploadId: upload.id,
+      label: upload.label,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      uploadedAt: upload.createdAt,
+    })),
+  };
+}
+
+/**
+ * Get current tutor's profile or throw
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<{id: string, verified: boolean}>} Profile
+ */
+async function getOwnProfile(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: { id: true, verified: true },
+  });
+
+  if (!profile) {
+    throw new NotFoundError(
+      "Tutor profile not found. Create it first",
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  return profile;
+}
+
+/**
+ * Check submitted documents: own private uploads, required types present
+ * @param {string} userId - Tutor's user ID
+ * @param {Array<{uploadId: string, type: string}>} documents - Submitted documents
+ * @returns {Promise<void>}
+ */
+async function assertValidDocuments(userId, documents) {
+  const uploads = await prisma.upload.findMany({
+    where: {
+      id: { in: documents.map((document) => document.uploadId) },
+      ownerId: userId,
+      kind: UploadKind.DOCUMENT,
+    },
+    select: { id: true },
+  });
+
+  const owned = new Set(uploads.map((upload) => upload.id));
+  const errors = documents
+    .filter((document) => !owned.has(document.uploadId))
+    .map((document) => ({
+      field: "documents",
+      location: "body",
+      message: `Upload ${document.uploadId} is not one of your documents`,
+    }));
+
+  const types = new Set(documents.map((document) => document.type));
+  for (const type of REQUIRED_DOCUMENT_TYPES) {
+    if (!types.has(type)) {
+      errors.push({
+        field: "documents",
+        location: "body",
+        message: `A ${type} document is required`,
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid verification documents", errors);
+  }
+}
+
+/**
+ * Submit (or resubmit) documents for verification
+ * Only one request can be pending at a time; verified tutors cannot submit
+ * @param {string} userId - Tutor's user ID
+ * @param {{documents: Array<{uploadId: string, type: string}>, note?: string}} input - Validated request
+ * @returns {Promise<object>} Created request
+ */
+export async function submitVerification(userId, { documents, note }) {
+  const profile = await getOwnProfile(userId);
+
+  if (profile.verified) {
+    throw new ConflictError("Profile is already verified", "ALREADY_VERIFIED");
+  }
+
+  await assertValidDocuments(userId, documents);
+
+  const request = await prisma.$transaction(async (tx) => {
+    // Serialise submissions per tutor so two parallel requests cannot both
+    // pass the pending check
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`verification:${profile.id}`}))`;
+
+    const [pending, previous] = await Promise.all([
+      tx.verificationRequest.count({
+        where: { tutorId: profile.id, status: VerificationStatus.PENDING },
+      }),
+      tx.verificationRequest.count({ where: { tutorId: profile.id } }),
+    ]);
+
+    if (pending > 0) {
+      throw new ConflictError(
+        "A verification request is already waiting for review",
+        "VERIFICATION_PENDING"
+      );
+    }
+
+    const created = await tx.verificationRequest.create({
+      data: {
+        tutorId: profile.id,
+        note: note || null,
+        documents: {
+          create: documents.map(({ uploadId, type }) => ({ uploadId, type })),
+        },
+      },
+      select: TUTOR_REQUEST_SELECT,
+    });
+
+    await tx.verificationEvent.create({
+      data: {
+        tutorId: profile.id,
+        requestId: created.id,
+        action:
+          previous > 0
+            ? VerificationAction.RESUBMITTED
+            : VerificationAction.SUBMITTED,
+        actorId: userId,
+        note: note || null,
+      },
+    });
+
+    return created;
+  });
+
+  return formatRequest(request);
+}
+
+/**
+ * Current tutor's verification status, latest request and history
+ * @param {string} userId - Tutor's user ID
+ * @returns {Promise<object>} { verified, verifiedAt, status, request, history }
+ */
+export async function getMyVerification(userId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { userId },
+    select: {
+      verified: true,
+      verifiedAt: true,
+      verificationRequests: {
+        select: TUTOR_REQUEST_SELECT,
+        orderBy: { createdAt: "desc" },
+        take: 1,
+      },
+      verificationEvents: {
+        select: EVENT_SELECT,
+        orderBy: { createdAt: "desc" },
+      },
+    },
+  });
+
+  if (!profile) {
+    throw new NotFoundError("Tutor profile not found", "PROFILE_NOT_FOUND");
+  }
+
+  const [latest] = profile.verificationRequests;
+
+  return {
+    verified: profile.verified,
+    verifiedAt: profile.verifiedAt,
+    status: latest?.status ?? null,
+    request: latest ? formatRequest(latest) : null,
+    history: profile.verificationEvents,
+  };
+}
+
+/**
+ * Review queue (admin), oldest first so nobody waits indefinitely
+ * @param {{status?: string, page?: number, limit?: number}} filters - Query filters
+ * @returns {Promise<{requests: Array<object>, pagination: object}>}
+ */
+export async function listVerificationQueue({
+  status = VerificationStatus.PENDING,
+  page = 1,
+  limit = 20,
+}) {
+  const where = { status };
+
+  const [requests, total] = await Promise.all([
+    prisma.verificationRequest.findMany({
+      where,
+      select: {
+        id: true,
+        status: true,
+        note: true,
+        reviewNote: true,
+        reviewedAt: true,
+        createdAt: true,
+        tutor: {
+          select: {
+            id: true,
+            name: true,
+            qualification: true,
+            verified: true,
+            _count: { select: { verificationRequests: true } },
+          },
+        },
+        _count: { select: { documents: true } },
+      },
+      orderBy: {
+        createdAt: status === VerificationStatus.PENDING ? "asc" : "desc",
+      },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.verificationRequest.count({ where }),
+  ]);
+
+  return {
+    requests: requests.map(({ tutor, _count, ...request }) => ({
+      ...request,
+      documentCount: _count.documents,
+      isResubmission: tutor._count.verificationRequests > 1,
+      tutor: {
+        id: tutor.id,
+        name: tutor.name,
+        qualification: tutor.qualification,
+        verified: tutor.verified,
+      },
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Full verification record of a tutor (admin)
+ * @param {string} tutorId - Tutor profile ID
+ * @returns {Promise<object>} { tutor, requests, history }
+ */
+export async function getTutorVerification(tutorId) {
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { id: tutorId },
+    select: {
+      id: true,
+      name: true,
+      qualification: true,
+      verified: true,
+      verifiedAt: true,
+      user: { select: { id: true, email: true, phone: true, active: true } },
+      verificationRequests: {
+        select: REQUEST_SELECT,
+        orderBy: { createdAt: "desc" },
+      },
+      verificationEvents: {
+        select: EVENT_SELECT,
+        orderBy: { createdAt: "desc" },
+      },
+    },
+  });
+
+  if (!profile) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  const { verificationRequests, verificationEvents, ...tutor } = profile;
+
+  return {
+    tutor,
+    requests: verificationRequests.map(formatRequest),
+    history: verificationEvents,
+  };
+}
+
+/**
+ * Apply an admin decision
+ * approve / reject / request_info close the tutor's pending request;
+ * revoke removes the badge of a verified tutor. Every decision is
+ * recorded as an event and the tutor is notified.
+ * @param {string} adminId - Reviewing admin's user ID
+ * @param {string} tutorId - Tutor profile ID
+ * @param {{action: string, note?: string}} input - Validated decision
+ * @returns {Promise<object>} Updated verification record
+ */
+export async function reviewVerification(adminId, tutorId, { action, note }) {
+  const outcome = REVIEW_ACTIONS[action];
+
+  const profile = await prisma.tutorProfile.findUnique({
+    where: { id: tutorId },
+    select: {
+      id: true,
+      name: true,
+      verified: true,
+      user: { select: { email: true, phone: true, locale: true } },
+    },
+  });
+
+  if (!profile) {
+    throw new NotFoundError("Tutor not found", "TUTOR_NOT_FOUND");
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (action === "revoke") {
+      // Conditional update so two admins cannot both revoke
+      const { count } = await tx.tutorProfile.updateMany({
+        where: { id: tutorId, verified: true },
+        data: { verified: false, verifiedAt: null },
+      });
+
+      if (count === 0) {
+        throw new ConflictError("Tutor is not verified", "NOT_VERIFIED");
+      }
+
+      await tx.verificationEvent.create({
+        data: { tutorId, action: outcome.event, actorId: adminId, note },
+      });
+      return;
+    }
+
+    const pending = await tx.verificationRequest.findFirst({
+      where: { tutorId, status: VerificationStatus.PENDING },
+      select: { id: true },
+    });
+
+    if (!pending) {
+      throw new ConflictError(
+        "Tutor has no verification request waiting for review",
+        "NO_PENDING_VERIFICATION"
+      );
+    }
+
+    const { count } = await tx.verificationRequest.updateMany({
+      where: { id: pending.id, status: VerificationStatus.PENDING },
+      data: {
+        status: outcome.status,
+        reviewerId: adminId,
+        reviewNote: note || null,
+        reviewedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError(
+        "This request was just reviewed by someone else",
+        "VERIFICATION_ALREADY_REVIEWED"
+      );
+    }
+
+    if (action === "approve") {
+      await tx.tutorProfile.update({
+        where: { id: tutorId },
+        data: { verified: true, verifiedAt: new Date() },
+      });
+    }
+
+    await tx.verificationEvent.create({
+      data: {
+        tutorId,
+        requestId: pending.id,
+        action: outcome.event,
+        actorId: adminId,
+        note: note || null,
+      },
+    });
+  });
+
+  // The badge counts towards profile completeness
+  await refreshCompleteness(tutorId);
+
+  await notifyUser(profile.user, outcome.template, {
+    tutorName: profile.name,
+    note,
+  });
+
+  return getTutorVerification(tutorId);
+}
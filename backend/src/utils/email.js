@@ -1,11 +1,31 @@
+import fs from "fs/promises";
 import nodemailer from "nodemailer";
+import { renderEmail, EMAIL_TEMPLATE } from "./emailTemplates.js";
 
 /**
- * Create email transporter using SMTP credentials from .env
+ * Email transport
+ *
+ * Selected with EMAIL_TRANSPORT=smtp|json (default: smtp).
+ * - smtp: pooled SMTP connection reused across sends
+ * - json: nothing leaves the machine; messages are serialised by
+ *   nodemailer and appended as JSON lines to EMAIL_LOG_FILE (if set)
+ *   so tests can assert on outgoing mail without an SMTP server
+ *
+ * Application code should queue mail through the outbox
+ * (services/emailOutbox.service.js) instead of sending directly.
+ */
+
+let transporter = null;
+
+/**
+ * Create pooled SMTP transporter using credentials from .env
  * @returns {nodemailer.Transporter} Configured email transporter
  */
-function createTransporter() {
-  const transporter = nodemailer.createTransport({
+function createSMTPTransporter() {
+  return nodemailer.createTransport({
+    pool: true,
+    maxConnections: parseInt(process.env.EMAIL_POOL_SIZE, 10) || 5,
+    maxMessages: 100,
     host: process.env.EMAIL_HOST,
     port: parseInt(process.env.EMAIL_PORT, 10),
     secure: false,
@@ -17,18 +37,89 @@ function createTransporter() {
       rejectUnauthorized: false, // For development only
     },
   });
+}
+
+/**
+ * Create JSON transporter that records messages instead of sending them
+ * @returns {object} Transporter with sendMail(message)
+ */
+function createJSONTransporter() {
+  const logFile = process.env.EMAIL_LOG_FILE;
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await jsonTransport.sendMail(message);
+
+      if (logFile) {
+        await fs.appendFile(
+          logFile,
+          `${JSON.stringify({
+            ...JSON.parse(info.message),
+            sentAt: new Date().toISOString(),
+          })}\n`
+        );
+      }
+
+      return info;
+    },
+
+    async verify() {
+      return true;
+    },
+
+    close() {},
+  };
+}
+
+/**
+ * Get the configured transporter (created once on first use)
+ * @returns {object} Transporter with sendMail, verify and close
+ */
+export function getTransporter() {
+  if (transporter) return transporter;
+
+  const name = (process.env.EMAIL_TRANSPORT || "smtp").toLowerCase();
+
+  switch (name) {
+    case "smtp":
+      transporter = createSMTPTransporter();
+      break;
+    case "json":
+      transporter = createJSONTransporter();
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
 
   return transporter;
 }
 
+/**
+ * Replace the active transporter (for testing or custom transports)
+ * @param {object|null} customTransporter - Object with sendMail(message), or null to reset
+ */
+export function setTransporter(customTransporter) {
+  transporter = customTransporter;
+}
+
+/**
+ * Close pooled connections (graceful shutdown)
+ */
+export function closeTransporter() {
+  if (transporter) {
+    transporter.close();
+    transporter = null;
+  }
+}
+
 /**
  * Verify email configuration and connection
  * @returns {Promise<boolean>} True if email configuration is valid
  */
 export async function verifyEmailConfig() {
   try {
-    const transporter = createTransporter();
-    await transporter.verify();
+    await getTransporter().verify();
     return true;
   } catch (error) {
     console.error("❌ Email configuration error:", error.message);
@@ -37,65 +128,35 @@ export async function verifyEmailConfig() {
 }
 
 /**
- * Send OTP email to user
- * @param {string} to - Recipient email address
- * @param {string} otp - OTP code to send
+ * Send an already rendered email immediately
+ * @param {object} message - Message
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain-text body
+ * @param {object|null} [message.icalEvent] - Calendar invite ({method, filename, content})
  * @returns {Promise<{success: boolean, messageId?: string}>} Send result
+ * @throws {Error} If the transport rejects the message
  */
-export async function sendOTPEmail(to, otp) {
-  try {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: `"Tutor App" <${process.env.EMAIL_USER}>`,
-      to: to,
-      subject: "Your OTP Verification Code",
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .otp-box { background: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
-            .otp-code { font-size: 32px; font-weight: bold; color: #007bff; letter-spacing: 5px; }
-            .footer { margin-top: 20px; font-size: 12px; color: #666; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h2>Email Verification</h2>
-            <p>Hello,</p>
-            <p>Your OTP verification code is:</p>
-            <div class="otp-box">
-              <div class="otp-code">${otp}</div>
-            </div>
-            <p>This code will expire in 5 minutes.</p>
-            <p>If you didn't request this code, please ignore this email.</p>
-            <div class="footer">
-              <p>© ${new Date().getFullYear()} Tutor App. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `Your OTP verification code is: ${otp}. This code will expire in 5 minutes.`,
-    };
-
-    const info = await transporter.sendMail(mailOptions);
+export async function sendMail({ to, subject, html, text, icalEvent }) {
+  const info = await getTransporter().sendMail({
+    from: `"Tutor App" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html,
+    text,
+    ...(icalEvent && { icalEvent }),
+  });
 
-    return {
-      success: true,
-      messageId: info.messageId,
-    };
-  } catch (error) {
-    console.error("❌ Error sending email:", error.message);
-    throw new Error(`Failed to send email: ${error.message}`);
-  }
+  return {
+    success: true,
+    messageId: info.messageId,
+  };
 }
 
 /**
  * Test email configuration by sending a test email
+ * Bypasses the outbox so the result is known immediately
  * @param {string} testEmail - Email address to send test email to
  * @returns {Promise<{success: boolean, message?: string}>} Test result
  */
@@ -112,7 +173,10 @@ export async function testEmailConfig(testEmail) {
 
     // Send test email
     const otp = "123456"; // Dummy OTP for testing
-    const result = await sendOTPEmail(testEmail, otp);
+    const result = await sendMail({
+      to: testEmail,
+      ...renderEmail(EMAIL_TEMPLATE.OTP, { otp }),
+    });
 
     return {
       success: true,
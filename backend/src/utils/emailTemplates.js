@@ -0,0 +1,918 @@
+/**
+ * Transactional email templates
+ *
+ * Each template returns plain content blocks per locale
+ * ({ subject, heading, lines, code?, details?, footerLines? }) and renderEmail() turns
+ * them into escaped HTML plus a plain-text alternative, so every email
+ * shares one layout and user-supplied values are never injected raw.
+ */
+
+export const EMAIL_TEMPLATE = {
+  OTP: "otp",
+  PASSWORD_RESET: "password_reset",
+  ACCOUNT_UNLOCK: "account_unlock",
+  BOOKING_REQUESTED: "booking_requested",
+  BOOKING_CONFIRMATION: "booking_confirmation",
+  BOOKING_REJECTED: "booking_rejected",
+  BOOKING_CANCELLED: "booking_cancelled",
+  BOOKING_NO_SHOW: "booking_no_show",
+  BOOKING_SERIES_REQUESTED: "booking_series_requested",
+  BOOKING_SERIES_CHANGED: "booking_series_changed",
+  RESCHEDULE_PROPOSED: "reschedule_proposed",
+  RESCHEDULE_RESOLVED: "reschedule_resolved",
+  BOOKING_REMINDER: "booking_reminder",
+  REVIEW_RECEIVED: "review_received",
+  VERIFICATION_APPROVED: "verification_approved",
+  VERIFICATION_REJECTED: "verification_rejected",
+  VERIFICATION_INFO_REQUESTED: "verification_info_requested",
+  VERIFICATION_REVOKED: "verification_revoked",
+  SAVED_SEARCH_MATCH: "saved_search_match",
+  FAVORITE_RATE_DROP: "favorite_rate_drop",
+  FAVORITE_NEW_SLOTS: "favorite_new_slots",
+};
+
+export const SUPPORTED_LOCALES = ["en", "ur"];
+export const DEFAULT_LOCALE = "en";
+
+const TIME_ZONE = "Asia/Karachi";
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Format session date/time in Pakistan time
+ * @param {Date|string} value - Date or ISO string
+ * @param {string} locale - en or ur
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(value, locale) {
+  return new Intl.DateTimeFormat(locale === "ur" ? "ur-PK" : "en-PK", {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone: TIME_ZONE,
+  }).format(new Date(value));
+}
+
+/**
+ * Opening line, personalised when the recipient's name is known
+ * @param {string|null} name - Recipient name
+ * @param {string} locale - en or ur
+ * @returns {string} Greeting
+ */
+function greeting(name, locale) {
+  if (locale === "ur") {
+    return name ? `السلام علیکم ${name}،` : "السلام علیکم،";
+  }
+  return name ? `Hello ${name},` : "Hello,";
+}
+
+/**
+ * Format a rate in rupees
+ * @param {number} amount - Amount in PKR
+ * @param {string} locale - en or ur
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, locale) {
+  return new Intl.NumberFormat(locale === "ur" ? "ur-PK" : "en-PK", {
+    style: "currency",
+    currency: "PKR",
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+// Series change wording: what happened to the sessions
+const SERIES_ACTIONS = {
+  en: {
+    accepted: "confirmed",
+    rejected: "declined",
+    skipped: "skipped",
+    cancelled: "cancelled",
+    rescheduled: "rescheduled",
+  },
+  ur: {
+    accepted: "کی تصدیق ہو گئی ہے",
+    rejected: "مسترد کر دیے گئے ہیں",
+    skipped: "چھوڑ دیے گئے ہیں",
+    cancelled: "منسوخ کر دیے گئے ہیں",
+    rescheduled: "کا وقت تبدیل کر دیا گیا ہے",
+  },
+};
+
+// Reschedule outcome wording
+const RESCHEDULE_ACTIONS = {
+  en: { accepted: "accepted", declined: "declined", expired: "expired" },
+  ur: {
+    accepted: "قبول کر لی گئی",
+    declined: "مسترد کر دی گئی",
+    expired: "کی مدت ختم ہو گئی",
+  },
+};
+
+/**
+ * Template content by name and locale
+ * Booking data: { recipientName, counterpartName, subject, startsAt, duration, location, reason?, fee? }
+ * Series data: booking data plus { sessions, action? ("accepted"|"rejected"|"skipped"|"cancelled"|"rescheduled") }
+ * Reschedule data: booking data plus { options: [startsAt], expiresAt, counter } when proposed,
+ *   { action ("accepted"|"declined"|"expired"), responder? } when resolved
+ * Review data: { tutorName, reviewerName, rating, comment }
+ * Verification data: { tutorName, note }
+ * Saved search data: { searchName, tutors: [{ name, area }], total }
+ * Favorite data: { tutorName, rateType ("hourly"|"monthly"), oldRate, newRate }
+ */
+const templates = {
+  [EMAIL_TEMPLATE.OTP]: {
+    en: ({ otp }) => ({
+      subject: "Your OTP Verification Code",
+      heading: "Email Verification",
+      lines: [greeting(null, "en"), "Your OTP verification code is:"],
+      code: otp,
+      footerLines: [
+        "This code will expire in 5 minutes.",
+        "If you didn't request this code, please ignore this email.",
+      ],
+    }),
+    ur: ({ otp }) => ({
+      subject: "آپ کا تصدیقی کوڈ",
+      heading: "ای میل کی تصدیق",
+      lines: [greeting(null, "ur"), "آپ کا تصدیقی کوڈ یہ ہے:"],
+      code: otp,
+      footerLines: [
+        "یہ کوڈ 5 منٹ میں ختم ہو جائے گا۔",
+        "اگر آپ نے یہ کوڈ طلب نہیں کیا تو اس ای میل کو نظر انداز کریں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.PASSWORD_RESET]: {
+    en: ({ otp }) => ({
+      subject: "Reset Your Password",
+      heading: "Password Reset",
+      lines: [
+        greeting(null, "en"),
+        "We received a request to reset your password. Use this code to choose a new one:",
+      ],
+      code: otp,
+      footerLines: [
+        "This code will expire in 5 minutes.",
+        "Resetting your password will sign you out of all devices.",
+        "If you didn't request a password reset, you can safely ignore this email. Your password will not change.",
+      ],
+    }),
+    ur: ({ otp }) => ({
+      subject: "اپنا پاس ورڈ دوبارہ ترتیب دیں",
+      heading: "پاس ورڈ ری سیٹ",
+      lines: [
+        greeting(null, "ur"),
+        "ہمیں آپ کا پاس ورڈ ری سیٹ کرنے کی درخواست موصول ہوئی ہے۔ نیا پاس ورڈ منتخب کرنے کے لیے یہ کوڈ استعمال کریں:",
+      ],
+      code: otp,
+      footerLines: [
+        "یہ کوڈ 5 منٹ میں ختم ہو جائے گا۔",
+        "پاس ورڈ ری سیٹ کرنے سے آپ تمام آلات سے سائن آؤٹ ہو جائیں گے۔",
+        "اگر آپ نے یہ درخواست نہیں کی تو اس ای میل کو نظر انداز کریں۔ آپ کا پاس ورڈ تبدیل نہیں ہوگا۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.ACCOUNT_UNLOCK]: {
+    en: ({ otp }) => ({
+      subject: "Unlock Your Account",
+      heading: "Account Locked",
+      lines: [
+        greeting(null, "en"),
+        "Your account was temporarily locked after several failed login attempts. Use this code to unlock it:",
+      ],
+      code: otp,
+      footerLines: [
+        "This code will expire in 5 minutes.",
+        "If these attempts weren't you, consider resetting your password after unlocking.",
+      ],
+    }),
+    ur: ({ otp }) => ({
+      subject: "اپنا اکاؤنٹ بحال کریں",
+      heading: "اکاؤنٹ لاک ہو گیا",
+      lines: [
+        greeting(null, "ur"),
+        "متعدد ناکام لاگ ان کوششوں کے بعد آپ کا اکاؤنٹ عارضی طور پر لاک کر دیا گیا ہے۔ اسے کھولنے کے لیے یہ کوڈ استعمال کریں:",
+      ],
+      code: otp,
+      footerLines: [
+        "یہ کوڈ 5 منٹ میں ختم ہو جائے گا۔",
+        "اگر یہ کوششیں آپ نے نہیں کیں تو اکاؤنٹ کھولنے کے بعد اپنا پاس ورڈ تبدیل کر لیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_REQUESTED]: {
+    en: (data) => ({
+      subject: `New booking request: ${data.subject}`,
+      heading: "New booking request",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `A student has requested a ${data.subject} session with you.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ["Duration", `${data.duration} minutes`],
+        ["Location", data.location || "Online"],
+      ],
+      footerLines: [
+        "The time is held for you until you accept or reject the request from your bookings page.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: `بکنگ کی نئی درخواست: ${data.subject}`,
+      heading: "بکنگ کی نئی درخواست",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `ایک طالب علم نے آپ کے ساتھ ${data.subject} کے سیشن کی درخواست کی ہے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ["دورانیہ", `${data.duration} منٹ`],
+        ["مقام", data.location || "آن لائن"],
+      ],
+      footerLines: [
+        "یہ وقت آپ کے لیے محفوظ ہے جب تک آپ اپنی بکنگز کے صفحے سے درخواست قبول یا مسترد نہ کریں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_CONFIRMATION]: {
+    en: (data) => ({
+      subject: `Booking confirmed: ${data.subject}`,
+      heading: "Your booking is confirmed",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `Your ${data.subject} session${
+          data.counterpartName ? ` with ${data.counterpartName}` : ""
+        } has been confirmed.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ["Duration", `${data.duration} minutes`],
+        ["Location", data.location || "Online"],
+      ],
+      footerLines: [
+        "Need to change something? You can reschedule or cancel from your bookings page.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: `بکنگ کی تصدیق: ${data.subject}`,
+      heading: "آپ کی بکنگ کی تصدیق ہو گئی ہے",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        data.counterpartName
+          ? `${data.counterpartName} کے ساتھ آپ کا ${data.subject} کا سیشن طے ہو گیا ہے۔`
+          : `آپ کا ${data.subject} کا سیشن طے ہو گیا ہے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ["دورانیہ", `${data.duration} منٹ`],
+        ["مقام", data.location || "آن لائن"],
+      ],
+      footerLines: [
+        "کوئی تبدیلی کرنی ہو تو اپنی بکنگز کے صفحے سے وقت بدل یا منسوخ کر سکتے ہیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_REJECTED]: {
+    en: (data) => ({
+      subject: `Booking request declined: ${data.subject}`,
+      heading: "Booking request declined",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `${data.counterpartName} could not accept your ${data.subject} session request.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ...(data.reason ? [["Reason", data.reason]] : []),
+      ],
+      footerLines: ["You can pick another time or another tutor."],
+    }),
+    ur: (data) => ({
+      subject: `بکنگ کی درخواست مسترد: ${data.subject}`,
+      heading: "بکنگ کی درخواست مسترد",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `${data.counterpartName} آپ کی ${data.subject} کے سیشن کی درخواست قبول نہیں کر سکے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ...(data.reason ? [["وجہ", data.reason]] : []),
+      ],
+      footerLines: ["آپ کوئی اور وقت یا کوئی اور ٹیوٹر منتخب کر سکتے ہیں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_CANCELLED]: {
+    en: (data) => ({
+      subject: `Booking cancelled: ${data.subject}`,
+      heading: "Booking cancelled",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `Your ${data.subject} session has been cancelled${
+          data.counterpartName ? ` by ${data.counterpartName}` : ""
+        }.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ...(data.reason ? [["Reason", data.reason]] : []),
+        ...(data.fee
+          ? [["Late cancellation fee", formatAmount(data.fee, "en")]]
+          : []),
+      ],
+    }),
+    ur: (data) => ({
+      subject: `بکنگ منسوخ: ${data.subject}`,
+      heading: "بکنگ منسوخ",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        data.counterpartName
+          ? `${data.counterpartName} نے آپ کا ${data.subject} کا سیشن منسوخ کر دیا ہے۔`
+          : `آپ کا ${data.subject} کا سیشن منسوخ کر دیا گیا ہے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ...(data.reason ? [["وجہ", data.reason]] : []),
+        ...(data.fee
+          ? [["تاخیر سے منسوخی کی فیس", formatAmount(data.fee, "ur")]]
+          : []),
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_NO_SHOW]: {
+    en: (data) => ({
+      subject: `Missed session: ${data.subject}`,
+      heading: "Missed session",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `You have been reported absent from your ${data.subject} session${
+          data.counterpartName ? ` with ${data.counterpartName}` : ""
+        }.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ...(data.reason ? [["Note", data.reason]] : []),
+        ...(data.fee ? [["No-show fee", formatAmount(data.fee, "en")]] : []),
+      ],
+      footerLines: ["If this is a mistake, please contact support."],
+    }),
+    ur: (data) => ({
+      subject: `چھوٹا ہوا سیشن: ${data.subject}`,
+      heading: "چھوٹا ہوا سیشن",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `آپ کو ${data.subject} کے سیشن سے غیر حاضر رپورٹ کیا گیا ہے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ...(data.reason ? [["نوٹ", data.reason]] : []),
+        ...(data.fee
+          ? [["غیر حاضری کی فیس", formatAmount(data.fee, "ur")]]
+          : []),
+      ],
+      footerLines: ["اگر یہ غلطی ہے تو براہ کرم سپورٹ سے رابطہ کریں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_SERIES_REQUESTED]: {
+    en: (data) => ({
+      subject: `New recurring booking request: ${data.subject}`,
+      heading: "New recurring booking request",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `A student has requested ${data.sessions} ${data.subject} sessions with you.`,
+      ],
+      details: [
+        ["First session", formatDateTime(data.startsAt, "en")],
+        ["Duration", `${data.duration} minutes`],
+        ["Location", data.location || "Online"],
+      ],
+      footerLines: [
+        "You can accept or reject the whole series, or single sessions, from your bookings page.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: `مستقل بکنگ کی نئی درخواست: ${data.subject}`,
+      heading: "مستقل بکنگ کی نئی درخواست",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `ایک طالب علم نے آپ کے ساتھ ${data.subject} کے ${data.sessions} سیشنز کی درخواست کی ہے۔`,
+      ],
+      details: [
+        ["پہلا سیشن", formatDateTime(data.startsAt, "ur")],
+        ["دورانیہ", `${data.duration} منٹ`],
+        ["مقام", data.location || "آن لائن"],
+      ],
+      footerLines: [
+        "آپ اپنی بکنگز کے صفحے سے پوری سیریز یا الگ الگ سیشن قبول یا مسترد کر سکتے ہیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_SERIES_CHANGED]: {
+    en: (data) => ({
+      subject: `Recurring sessions ${SERIES_ACTIONS.en[data.action]}: ${
+        data.subject
+      }`,
+      heading: `Recurring sessions ${SERIES_ACTIONS.en[data.action]}`,
+      lines: [
+        greeting(data.recipientName, "en"),
+        `${data.sessions} of your ${data.subject} sessions ${
+          data.sessions === 1 ? "was" : "were"
+        } ${SERIES_ACTIONS.en[data.action]}${
+          data.counterpartName ? ` by ${data.counterpartName}` : ""
+        }.`,
+      ],
+      details: [
+        [
+          data.action === "rescheduled" ? "Now starting" : "Starting",
+          formatDateTime(data.startsAt, "en"),
+        ],
+        ...(data.reason ? [["Reason", data.reason]] : []),
+      ],
+      footerLines: ["See the full schedule on your bookings page."],
+    }),
+    ur: (data) => ({
+      subject: `مستقل سیشنز ${SERIES_ACTIONS.ur[data.action]}: ${data.subject}`,
+      heading: `مستقل سیشنز ${SERIES_ACTIONS.ur[data.action]}`,
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `آپ کے ${data.subject} کے ${data.sessions} سیشنز ${
+          SERIES_ACTIONS.ur[data.action]
+        }۔`,
+      ],
+      details: [
+        ["آغاز", formatDateTime(data.startsAt, "ur")],
+        ...(data.reason ? [["وجہ", data.reason]] : []),
+      ],
+      footerLines: ["مکمل شیڈول اپنی بکنگز کے صفحے پر دیکھیں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.RESCHEDULE_PROPOSED]: {
+    en: (data) => ({
+      subject: `${data.counter ? "Counter-proposal" : "New time proposed"}: ${
+        data.subject
+      }`,
+      heading: data.counter ? "Counter-proposal" : "New time proposed",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `${data.counterpartName || "Your student"} would like to move your ${
+          data.subject
+        } session.`,
+      ],
+      details: [
+        ["Currently", formatDateTime(data.startsAt, "en")],
+        ...data.options.map((option, index) => [
+          data.options.length > 1 ? `Option ${index + 1}` : "Proposed",
+          formatDateTime(option, "en"),
+        ]),
+        ...(data.reason ? [["Note", data.reason]] : []),
+      ],
+      footerLines: [
+        `Accept, decline or suggest another time from your bookings page before ${formatDateTime(
+          data.expiresAt,
+          "en"
+        )}.`,
+      ],
+    }),
+    ur: (data) => ({
+      subject: `${data.counter ? "جوابی تجویز" : "نئے وقت کی تجویز"}: ${
+        data.subject
+      }`,
+      heading: data.counter ? "جوابی تجویز" : "نئے وقت کی تجویز",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        data.counterpartName
+          ? `${data.counterpartName} آپ کے ${data.subject} کے سیشن کا وقت تبدیل کرنا چاہتے ہیں۔`
+          : `آپ کے ${data.subject} کے سیشن کے لیے نیا وقت تجویز کیا گیا ہے۔`,
+      ],
+      details: [
+        ["موجودہ وقت", formatDateTime(data.startsAt, "ur")],
+        ...data.options.map((option, index) => [
+          data.options.length > 1 ? `انتخاب ${index + 1}` : "تجویز کردہ وقت",
+          formatDateTime(option, "ur"),
+        ]),
+        ...(data.reason ? [["نوٹ", data.reason]] : []),
+      ],
+      footerLines: [
+        `${formatDateTime(
+          data.expiresAt,
+          "ur"
+        )} سے پہلے اپنی بکنگز کے صفحے سے قبول، مسترد یا کوئی اور وقت تجویز کریں۔`,
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.RESCHEDULE_RESOLVED]: {
+    en: (data) => ({
+      subject: `Reschedule ${RESCHEDULE_ACTIONS.en[data.action]}: ${
+        data.subject
+      }`,
+      heading: `Reschedule ${RESCHEDULE_ACTIONS.en[data.action]}`,
+      lines: [
+        greeting(data.recipientName, "en"),
+        data.responder
+          ? `You accepted the new time for the ${data.subject} session.`
+          : data.action === "accepted"
+          ? `Your new time for the ${data.subject} session was accepted.`
+          : `Your proposal to move the ${data.subject} session was ${
+              RESCHEDULE_ACTIONS.en[data.action]
+            }. The session stays at its current time.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ...(data.reason ? [["Note", data.reason]] : []),
+      ],
+    }),
+    ur: (data) => ({
+      subject: `وقت کی تبدیلی ${RESCHEDULE_ACTIONS.ur[data.action]}: ${
+        data.subject
+      }`,
+      heading: `وقت کی تبدیلی ${RESCHEDULE_ACTIONS.ur[data.action]}`,
+      lines: [
+        greeting(data.recipientName, "ur"),
+        data.responder
+          ? `آپ نے ${data.subject} کے سیشن کا نیا وقت قبول کر لیا ہے۔`
+          : data.action === "accepted"
+          ? `آپ کے ${data.subject} کے سیشن کا نیا وقت قبول کر لیا گیا ہے۔`
+          : `${data.subject} کے سیشن کا وقت بدلنے کی آپ کی تجویز ${
+              RESCHEDULE_ACTIONS.ur[data.action]
+            }۔ سیشن اپنے موجودہ وقت پر ہی ہوگا۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ...(data.reason ? [["نوٹ", data.reason]] : []),
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.BOOKING_REMINDER]: {
+    en: (data) => ({
+      subject: `Reminder: ${data.subject} session`,
+      heading: "Upcoming session reminder",
+      lines: [
+        greeting(data.recipientName, "en"),
+        `This is a reminder of your ${data.subject} session with ${data.counterpartName}.`,
+      ],
+      details: [
+        ["When", formatDateTime(data.startsAt, "en")],
+        ["Duration", `${data.duration} minutes`],
+        ["Location", data.location || "Online"],
+      ],
+      footerLines: [
+        "If you can no longer attend, please cancel as early as possible.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: `یاد دہانی: ${data.subject} کا سیشن`,
+      heading: "آنے والے سیشن کی یاد دہانی",
+      lines: [
+        greeting(data.recipientName, "ur"),
+        `یہ ${data.counterpartName} کے ساتھ آپ کے ${data.subject} کے سیشن کی یاد دہانی ہے۔`,
+      ],
+      details: [
+        ["تاریخ و وقت", formatDateTime(data.startsAt, "ur")],
+        ["دورانیہ", `${data.duration} منٹ`],
+        ["مقام", data.location || "آن لائن"],
+      ],
+      footerLines: [
+        "اگر آپ شرکت نہیں کر سکتے تو براہ کرم جلد از جلد منسوخ کر دیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.REVIEW_RECEIVED]: {
+    en: (data) => ({
+      subject: "You received a new review",
+      heading: "New review",
+      lines: [
+        greeting(data.tutorName, "en"),
+        `${data.reviewerName} rated your session ${data.rating}/5.`,
+        ...(data.comment ? [`"${data.comment}"`] : []),
+      ],
+      footerLines: ["Reviews are shown on your public profile."],
+    }),
+    ur: (data) => ({
+      subject: "آپ کو نیا ریویو ملا ہے",
+      heading: "نیا ریویو",
+      lines: [
+        greeting(data.tutorName, "ur"),
+        `${data.reviewerName} نے آپ کے سیشن کو ${data.rating}/5 ریٹنگ دی ہے۔`,
+        ...(data.comment ? [`"${data.comment}"`] : []),
+      ],
+      footerLines: ["ریویوز آپ کے عوامی پروفائل پر دکھائے جاتے ہیں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.VERIFICATION_APPROVED]: {
+    en: (data) => ({
+      subject: "Your tutor profile is now verified",
+      heading: "Verification approved",
+      lines: [
+        greeting(data.tutorName, "en"),
+        "We have checked your documents and your profile now shows the verified badge.",
+        ...(data.note ? [data.note] : []),
+      ],
+      footerLines: [
+        "Verified tutors are listed first when students filter for them.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: "آپ کا ٹیوٹر پروفائل تصدیق شدہ ہو گیا ہے",
+      heading: "تصدیق منظور",
+      lines: [
+        greeting(data.tutorName, "ur"),
+        "ہم نے آپ کی دستاویزات دیکھ لی ہیں اور اب آپ کے پروفائل پر تصدیق کا نشان ظاہر ہو رہا ہے۔",
+        ...(data.note ? [data.note] : []),
+      ],
+      footerLines: ["طلبہ تصدیق شدہ ٹیوٹرز کو فلٹر کر کے تلاش کر سکتے ہیں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.VERIFICATION_REJECTED]: {
+    en: (data) => ({
+      subject: "Your verification request was not approved",
+      heading: "Verification not approved",
+      lines: [
+        greeting(data.tutorName, "en"),
+        "We could not verify your profile with the documents you submitted.",
+      ],
+      details: [["Reason", data.note]],
+      footerLines: [
+        "You can submit a new request with updated documents from your profile.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: "آپ کی تصدیق کی درخواست منظور نہیں ہوئی",
+      heading: "تصدیق منظور نہیں ہوئی",
+      lines: [
+        greeting(data.tutorName, "ur"),
+        "جمع کرائی گئی دستاویزات سے آپ کے پروفائل کی تصدیق نہیں ہو سکی۔",
+      ],
+      details: [["وجہ", data.note]],
+      footerLines: [
+        "آپ اپنے پروفائل سے نئی دستاویزات کے ساتھ دوبارہ درخواست دے سکتے ہیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.VERIFICATION_INFO_REQUESTED]: {
+    en: (data) => ({
+      subject: "More information needed for your verification",
+      heading: "Action needed",
+      lines: [
+        greeting(data.tutorName, "en"),
+        "Our team needs a little more from you before we can verify your profile.",
+      ],
+      details: [["Requested", data.note]],
+      footerLines: [
+        "Upload the requested documents and resubmit from your profile.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: "تصدیق کے لیے مزید معلومات درکار ہیں",
+      heading: "کارروائی درکار ہے",
+      lines: [
+        greeting(data.tutorName, "ur"),
+        "آپ کے پروفائل کی تصدیق سے پہلے ہماری ٹیم کو آپ سے کچھ مزید معلومات درکار ہیں۔",
+      ],
+      details: [["درکار", data.note]],
+      footerLines: [
+        "مطلوبہ دستاویزات اپ لوڈ کر کے اپنے پروفائل سے دوبارہ جمع کرائیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.VERIFICATION_REVOKED]: {
+    en: (data) => ({
+      subject: "Your verified badge has been removed",
+      heading: "Verification revoked",
+      lines: [
+        greeting(data.tutorName, "en"),
+        "The verified badge has been removed from your tutor profile.",
+      ],
+      details: [["Reason", data.note]],
+      footerLines: [
+        "If you believe this is a mistake, reply to this email or submit a new verification request.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: "آپ کا تصدیقی نشان ہٹا دیا گیا ہے",
+      heading: "تصدیق منسوخ",
+      lines: [
+        greeting(data.tutorName, "ur"),
+        "آپ کے ٹیوٹر پروفائل سے تصدیق کا نشان ہٹا دیا گیا ہے۔",
+      ],
+      details: [["وجہ", data.note]],
+      footerLines: [
+        "اگر آپ کے خیال میں یہ غلطی ہے تو اس ای میل کا جواب دیں یا نئی درخواست جمع کرائیں۔",
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.SAVED_SEARCH_MATCH]: {
+    en: (data) => ({
+      subject: `New tutors for "${data.searchName}"`,
+      heading: "New tutors match your search",
+      lines: [
+        greeting(null, "en"),
+        `${data.total} newly verified ${
+          data.total === 1 ? "tutor matches" : "tutors match"
+        } your saved search "${data.searchName}".`,
+      ],
+      details: data.tutors.map((tutor) => [tutor.name, tutor.area || "-"]),
+      footerLines: [
+        "You can turn off alerts for this search in your saved searches.",
+      ],
+    }),
+    ur: (data) => ({
+      subject: `"${data.searchName}" کے لیے نئے ٹیوٹرز`,
+      heading: "آپ کی تلاش سے ملتے نئے ٹیوٹرز",
+      lines: [
+        greeting(null, "ur"),
+        `آپ کی محفوظ تلاش "${data.searchName}" سے ${data.total} نئے تصدیق شدہ ٹیوٹرز ملتے ہیں۔`,
+      ],
+      details: data.tutors.map((tutor) => [tutor.name, tutor.area || "-"]),
+      footerLines: ["آپ محفوظ تلاشوں میں اس تلاش کے الرٹس بند کر سکتے ہیں۔"],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.FAVORITE_RATE_DROP]: {
+    en: (data) => ({
+      subject: `${data.tutorName} lowered their ${data.rateType} rate`,
+      heading: "Rate lowered",
+      lines: [
+        greeting(null, "en"),
+        `${data.tutorName}, one of your favorite tutors, has lowered their ${data.rateType} rate.`,
+      ],
+      details: [
+        ["Was", formatAmount(data.oldRate, "en")],
+        ["Now", formatAmount(data.newRate, "en")],
+      ],
+    }),
+    ur: (data) => ({
+      subject: `${data.tutorName} نے اپنی فیس کم کر دی ہے`,
+      heading: "فیس میں کمی",
+      lines: [
+        greeting(null, "ur"),
+        `آپ کے پسندیدہ ٹیوٹر ${data.tutorName} نے اپنی ${
+          data.rateType === "monthly" ? "ماہانہ" : "فی گھنٹہ"
+        } فیس کم کر دی ہے۔`,
+      ],
+      details: [
+        ["پہلے", formatAmount(data.oldRate, "ur")],
+        ["اب", formatAmount(data.newRate, "ur")],
+      ],
+    }),
+  },
+
+  [EMAIL_TEMPLATE.FAVORITE_NEW_SLOTS]: {
+    en: (data) => ({
+      subject: `${data.tutorName} has new time slots`,
+      heading: "New time slots",
+      lines: [
+        greeting(null, "en"),
+        `${data.tutorName}, one of your favorite tutors, has opened new time slots.`,
+      ],
+      footerLines: ["Book soon, slots are given first come, first served."],
+    }),
+    ur: (data) => ({
+      subject: `${data.tutorName} کے پاس نئے اوقات دستیاب ہیں`,
+      heading: "نئے اوقات",
+      lines: [
+        greeting(null, "ur"),
+        `آپ کے پسندیدہ ٹیوٹر ${data.tutorName} نے نئے اوقات کھولے ہیں۔`,
+      ],
+      footerLines: [
+        "جلد بک کریں، اوقات پہلے آئیے پہلے پائیے کی بنیاد پر ملتے ہیں۔",
+      ],
+    }),
+  },
+};
+
+/**
+ * Wrap content blocks in the shared HTML layout
+ * @param {object} content - Template content
+ * @param {string} locale - en or ur (ur is rendered right-to-left)
+ * @returns {string} HTML document
+ */
+function renderHtml(content, locale) {
+  const dir = locale === "ur" ? "rtl" : "ltr";
+  const paragraphs = (lines) =>
+    lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n            ");
+
+  const details = content.details
+    ? `<table class="details">
+              ${content.details
+                .map(
+                  ([label, value]) =>
+                    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(
+                      value
+                    )}</td></tr>`
+                )
+                .join("\n              ")}
+            </table>`
+    : "";
+
+  const code = content.code
+    ? `<div class="otp-box">
+              <div class="otp-code">${escapeHtml(content.code)}</div>
+            </div>`
+    : "";
+
+  return `
+        <!DOCTYPE html>
+        <html lang="${locale}" dir="${dir}">
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .otp-box { background: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
+            .otp-code { font-size: 32px; font-weight: bold; color: #007bff; letter-spacing: 5px; direction: ltr; }
+            .details { border-collapse: collapse; margin: 20px 0; }
+            .details th { text-align: start; padding: 4px 16px 4px 0; color: #666; }
+            .details td { padding: 4px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h2>${escapeHtml(content.heading)}</h2>
+            ${paragraphs(content.lines)}
+            ${code}
+            ${details}
+            ${paragraphs(content.footerLines || [])}
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Tutor App. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+}
+
+/**
+ * Plain-text alternative of the same content
+ * @param {object} content - Template content
+ * @returns {string} Text body
+ */
+function renderText(content) {
+  return [
+    ...content.lines,
+    ...(content.code ? [content.code] : []),
+    ...(content.details || []).map(([label, value]) => `${label}: ${value}`),
+    ...(content.footerLines || []),
+  ].join("\n");
+}
+
+/**
+ * Check whether a template exists
+ * @param {string} name - Template name
+ * @returns {boolean} True if registered
+ */
+export function hasTemplate(name) {
+  return Object.hasOwn(templates, name);
+}
+
+/**
+ * Render template to subject, HTML and text
+ * Unsupported locales fall back to English
+ * @param {string} name - Template name (EMAIL_TEMPLATE value)
+ * @param {object} data - Template data
+ * @param {string} [locale] - en or ur
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ */
+export function renderEmail(name, data = {}, locale = DEFAULT_LOCALE) {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const resolvedLocale = SUPPORTED_LOCALES.includes(locale)
+    ? locale
+    : DEFAULT_LOCALE;
+  const content = templates[name][resolvedLocale](data);
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content, resolvedLocale),
+    text: renderText(content),
+    locale: resolvedLocale,
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Application error hierarchy
+ *
+ * Services throw these instead of plain Error so the global error handler
+ * can answer with the right status and a stable machine-readable `code`
+ * that clients can branch on (messages are for humans and may change).
+ */
+
+/**
+ * Base class for expected (operational) errors
+ * Messages of AppErrors are always safe to show to clients
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {number} [statusCode] - HTTP status
+   * @param {string} [code] - Stable error code
+   * @param {object} [details] - Extra data returned with the error
+   */
+  constructor(
+    message,
+    statusCode = 500,
+    code = "INTERNAL_ERROR",
+    details = undefined
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 400 - Malformed or unusable request (bad codes, expired links, ...)
+ */
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", code = "BAD_REQUEST", details) {
+    super(message, 400, code, details);
+  }
+}
+
+/**
+ * 401 - Missing or invalid credentials
+ */
+export class UnauthorizedError extends AppError {
+  constructor(
+    message = "Authentication required",
+    code = "UNAUTHORIZED",
+    details
+  ) {
+    super(message, 401, code, details);
+  }
+}
+
+/**
+ * 403 - Authenticated but not allowed
+ */
+export class ForbiddenError extends AppError {
+  constructor(message = "Access denied", code = "FORBIDDEN", details) {
+    super(message, 403, code, details);
+  }
+}
+
+/**
+ * 404 - Resource does not exist (or is not visible to the caller)
+ */
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", code = "NOT_FOUND", details) {
+    super(message, 404, code, details);
+  }
+}
+
+/**
+ * 409 - Request conflicts with current state (duplicates, already done, ...)
+ */
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", code = "CONFLICT", details) {
+    super(message, 409, code, details);
+  }
+}
+
+/**
+ * 422 - Input failed validation
+ * `errors` lists field errors as { field, location, message }
+ */
+export class ValidationError extends AppError {
+  constructor(
+    message = "Validation failed",
+    errors = [],
+    code = "VALIDATION_ERROR"
+  ) {
+    super(message, 422, code);
+    this.errors = errors;
+  }
+}
+
+/**
+ * 429 - Too many requests or temporarily locked
+ */
+export class RateLimitedError extends AppError {
+  constructor(message = "Too many requests", code = "RATE_LIMITED", details) {
+    super(message, 429, code, details);
+  }
+}
+
+/**
+ * 503 - Dependency unavailable or feature not configured
+ */
+export class ServiceUnavailableError extends AppError {
+  constructor(
+    message = "Service temporarily unavailable",
+    code = "SERVICE_UNAVAILABLE",
+    details
+  ) {
+    super(message, 503, code, details);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * File type detection from content (magic bytes)
+ * The client-declared MIME type is only a hint; uploads are accepted
+ * based on what the bytes actually are.
+ */
+
+const SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    // "RIFF" <size> "WEBP"
+    matches: (buffer) =>
+      startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+      buffer.subarray(8, 12).toString("ascii") === "WEBP",
+  },
+  {
+    mimeType: "application/pdf",
+    extension: "pdf",
+    matches: (buffer) => buffer.subarray(0, 5).toString("ascii") === "%PDF-",
+  },
+];
+
+/**
+ * Check buffer prefix
+ * @param {Buffer} buffer - File content
+ * @param {number[]} bytes - Expected leading bytes
+ * @returns {boolean} True if buffer starts with bytes
+ */
+function startsWith(buffer, bytes) {
+  return (
+    buffer.length >= bytes.length &&
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+}
+
+/**
+ * Detect file type from its first bytes
+ * @param {Buffer} buffer - File content
+ * @returns {{mimeType: string, extension: string}|null} Type or null if unknown
+ */
+export function detectFileType(buffer) {
+  const match = SIGNATURES.find((signature) => signature.matches(buffer));
+  return match
+    ? { mimeType: match.mimeType, extension: match.extension }
+    : null;
+}
+
+/**
+ * Check if a MIME type is an image we can process
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True for JPEG, PNG and WebP
+ */
+export function isImageType(mimeType) {
+  return mimeType.startsWith("image/");
+}
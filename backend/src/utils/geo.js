@@ -0,0 +1,78 @@
+/**
+ * Distance helpers for "near me" search
+ *
+ * Plain haversine on a spherical Earth: accurate to well under 1% at
+ * city scale, and needs no PostGIS. Candidates are narrowed with a
+ * bounding box in SQL first, then measured exactly in JS.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {{latitude: number, longitude: number}} a - First point
+ * @param {{latitude: number, longitude: number}} b - Second point
+ * @returns {number} Distance in kilometres
+ */
+export function haversineKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Latitude/longitude box that contains the circle around a point
+ * @param {{latitude: number, longitude: number}} center - Centre
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+export function boundingBox(center, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta =
+    radiusKm / (KM_PER_DEGREE_LAT * Math.cos(toRadians(center.latitude)));
+
+  return {
+    minLat: center.latitude - latDelta,
+    maxLat: center.latitude + latDelta,
+    minLng: center.longitude - lngDelta,
+    maxLng: center.longitude + lngDelta,
+  };
+}
+
+/**
+ * Round a distance for display (100 m precision)
+ * Coarse on purpose: exact distances would reveal a tutor's home
+ * @param {number} km - Distance in kilometres
+ * @returns {number} Rounded distance
+ */
+export function roundDistance(km) {
+  return Math.round(km * 10) / 10;
+}
+
+/**
+ * Region the platform serves (Peshawar district, generously)
+ * Profile pins and search centres outside it are rejected
+ */
+export const SERVICE_AREA = {
+  center: { latitude: 34.0151, longitude: 71.5249 },
+  radiusKm: 40,
+};
+
+/**
+ * Check that a point lies inside the service area
+ * @param {{latitude: number, longitude: number}} point - Coordinates
+ * @returns {boolean} True if inside
+ */
+export function isInServiceArea(point) {
+  return haversineKm(SERVICE_AREA.center, point) <= SERVICE_AREA.radiusKm;
+}
@@ -0,0 +1,192 @@
+import { addDays } from "./time.js";
+
+/**
+ * iCalendar (RFC 5545) serialisation
+ *
+ * Session times are Pakistan local. They are written as local times with
+ * TZID=Asia/Karachi and a matching VTIMEZONE, so calendar apps show the
+ * right wall-clock time wherever the subscriber is.
+ */
+
+const CRLF = "\r\n";
+const MAX_LINE_OCTETS = 75;
+const DAY_MINUTES = 24 * 60;
+
+export const CALENDAR_TZID = "Asia/Karachi";
+const PRODID = "-//Tutor App//Sessions//EN";
+
+// Pakistan has stayed on UTC+5 without daylight saving since 2009
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${CALENDAR_TZID}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0500",
+  "TZOFFSETTO:+0500",
+  "TZNAME:PKT",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/**
+ * Escape a TEXT value
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Quote a parameter value (e.g. CN); DQUOTE cannot appear inside
+ * @param {*} value - Value
+ * @returns {string} Quoted value
+ */
+function quoteParam(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ * Continuation lines start with a space; multi-byte characters are
+ * never split
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // The leading space of a continuation line counts too
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Local date-time value, e.g. 20261020T163000
+ * Minutes past midnight may run into the next day
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @returns {string} DATE-TIME (floating, used with TZID)
+ */
+function formatLocalDateTime(localDate, minutes) {
+  const days = Math.floor(minutes / DAY_MINUTES);
+  const rest = minutes - days * DAY_MINUTES;
+  const date = addDays(localDate, days).replace(/-/g, "");
+  const hours = String(Math.floor(rest / 60)).padStart(2, "0");
+  const mins = String(rest % 60).padStart(2, "0");
+
+  return `${date}T${hours}${mins}00`;
+}
+
+/**
+ * UTC date-time value, e.g. 20261019T111500Z
+ * @param {Date} date - Instant
+ * @returns {string} DATE-TIME (UTC)
+ */
+function formatUtcDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Content lines of one VEVENT
+ * @param {object} event - Event
+ * @param {string} event.uid - Stable unique ID
+ * @param {number} event.sequence - Revision, raised on every change
+ * @param {Date} event.stamp - When this revision was made
+ * @param {string} event.date - Local date (YYYY-MM-DD)
+ * @param {number} event.start - Start, minutes after local midnight
+ * @param {number} event.end - End, minutes after local midnight
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string|null} [event.location] - Where
+ * @param {boolean} [event.cancelled] - STATUS:CANCELLED instead of CONFIRMED
+ * @param {{name: string, email: string}} [event.organizer] - Organizer
+ * @param {Array<{email: string}>} [event.attendees] - Invitees
+ * @returns {string[]} Lines
+ */
+function eventLines(event) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(event.stamp)}`,
+    `DTSTART;TZID=${CALENDAR_TZID}:${formatLocalDateTime(
+      event.date,
+      event.start
+    )}`,
+    `DTEND;TZID=${CALENDAR_TZID}:${formatLocalDateTime(event.date, event.end)}`,
+    `SEQUENCE:${event.sequence}`,
+    `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    ...(event.description
+      ? [`DESCRIPTION:${escapeText(event.description)}`]
+      : []),
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    ...(event.organizer
+      ? [
+          `ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${
+            event.organizer.email
+          }`,
+        ]
+      : []),
+    ...(event.attendees || []).map(
+      (attendee) =>
+        `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:${attendee.email}`
+    ),
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Serialise a calendar
+ * @param {object} calendar - Calendar
+ * @param {Array<object>} calendar.events - Events (see eventLines)
+ * @param {string} [calendar.method] - iTIP method: PUBLISH, REQUEST or CANCEL
+ * @param {string} [calendar.name] - Display name for subscriptions
+ * @param {string} [calendar.refreshInterval] - Suggested polling interval (e.g. PT1H)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildCalendar({ events, method, name, refreshInterval }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${CALENDAR_TZID}`,
+    ...(refreshInterval
+      ? [
+          `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+          `X-PUBLISHED-TTL:${refreshInterval}`,
+        ]
+      : []),
+    ...VTIMEZONE,
+    ...events.flatMap(eventLines),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,69 @@
+import sharp from "sharp";
+import { BadRequestError } from "./errors.js";
+
+// Refuse decompression bombs (e.g. a tiny PNG that expands to gigapixels)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const OUTPUT_OPTIONS = {
+  webp: { quality: 82 },
+  jpeg: { quality: 85, mozjpeg: true },
+};
+
+const CONTENT_TYPES = { webp: "image/webp", jpeg: "image/jpeg" };
+const EXTENSIONS = { webp: "webp", jpeg: "jpg" };
+
+/**
+ * Re-encode an image into one or more sizes
+ * Orientation from EXIF is applied first; sharp drops all metadata
+ * (EXIF, GPS, ICC comments) on output unless told otherwise.
+ * @param {Buffer} buffer - Original image
+ * @param {object} options - Options
+ * @param {string} options.format - Output format (webp, jpeg)
+ * @param {Object<string, {width: number, height: number, fit?: string}>} options.sizes - Sizes keyed by name
+ * @returns {Promise<Object<string, {buffer: Buffer, width: number, height: number, contentType: string, extension: string}>>}
+ * @throws {BadRequestError} If the image cannot be decoded
+ */
+export async function renderImage(buffer, { format, sizes }) {
+  const source = sharp(buffer, {
+    limitInputPixels: MAX_INPUT_PIXELS,
+    failOn: "error",
+  });
+
+  try {
+    await source.metadata();
+
+    const entries = await Promise.all(
+      Object.entries(sizes).map(async ([name, size]) => {
+        const { data, info } = await source
+          .clone()
+          .rotate()
+          .resize({
+            width: size.width,
+            height: size.height,
+            fit: size.fit || "inside",
+            withoutEnlargement: true,
+          })
+          .toFormat(format, OUTPUT_OPTIONS[format])
+          .toBuffer({ resolveWithObject: true });
+
+        return [
+          name,
+          {
+            buffer: data,
+            width: info.width,
+            height: info.height,
+            contentType: CONTENT_TYPES[format],
+            extension: EXTENSIONS[format],
+          },
+        ];
+      })
+    );
+
+    return Object.fromEntries(entries);
+  } catch (error) {
+    throw new BadRequestError(
+      "Image could not be processed. Upload a valid JPEG, PNG or WebP file",
+      "INVALID_IMAGE"
+    );
+  }
+}
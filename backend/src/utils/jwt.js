@@ -1,42 +1,100 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
  * @param {string} userId - User ID
  * @param {string} role - User role (TUTOR, STUDENT, ADMIN)
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-export function generateToken(userId, role) {
+export function generateToken(userId, role, sessionId) {
   const payload = {
     userId,
     role,
+    sid: sessionId,
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+    expiresIn: process.env.JWT_EXPIRE || "15m",
   });
 }
 
 /**
- * Verify and decode JWT token
+ * Verify and decode JWT access token
+ * Typed tokens (refresh, social signup, ...) are rejected here so they
+ * can't be used as bearer tokens
  * @param {string} token - JWT token
  * @returns {object|null} Decoded token payload or null if invalid
  */
 export function verifyToken(token) {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type ? null : decoded;
   } catch (error) {
     return null;
   }
 }
 
 /**
- * Generate refresh token (optional, for future use)
+ * Generate refresh token for a session
+ * Each token carries a random jti so every rotation yields a distinct value
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
  * @returns {string} Refresh token
  */
-export function generateRefreshToken(userId) {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+export function generateRefreshToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId, type: "refresh" },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d",
+      jwtid: crypto.randomUUID(),
+    }
+  );
+}
+
+/**
+ * Verify and decode refresh token
+ * @param {string} token - Refresh token
+ * @returns {object|null} Decoded token payload or null if invalid
+ */
+export function verifyRefreshToken(token) {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    );
+    return decoded.type === "refresh" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign a short-lived single-purpose token (OAuth state, social signup, ...)
+ * @param {string} type - Token purpose, checked on verification
+ * @param {object} payload - Token claims
+ * @param {string} expiresIn - Lifetime (e.g. "10m")
+ * @returns {string} Signed token
+ */
+export function generateTypedToken(type, payload, expiresIn) {
+  return jwt.sign({ ...payload, type }, process.env.JWT_SECRET, {
+    expiresIn,
   });
 }
+
+/**
+ * Verify single-purpose token
+ * @param {string} token - Signed token
+ * @param {string} type - Expected token purpose
+ * @returns {object|null} Decoded payload or null if invalid, expired or wrong type
+ */
+export function verifyTypedToken(token, type) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
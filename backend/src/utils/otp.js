@@ -1,5 +1,7 @@
 import crypto from "crypto";
 import bcrypt from "bcrypt";
+import { getOTPStore } from "./otpStore.js";
+import { normalizePakistaniPhone } from "./phone.js";
 
 // Configuration constants
 const OTP_LENGTH = 6;
@@ -8,37 +10,35 @@ const MAX_VERIFICATION_ATTEMPTS = 5;
 const CLEANUP_INTERVAL_MS = 60 * 1000; // Cleanup expired entries every minute
 
 /**
- * Store structure:
- * {
- *   otpHash: string (hashed OTP),
- *   expiresAt: number,
- *   attempts: number,
- *   createdAt: number,
- *   lastAttemptAt: number
- * }
+ * OTP purposes - each purpose has its own slot per identifier so that a
+ * password reset code never collides with a pending verification code
  */
-const otpStore = new Map();
+export const OTP_PURPOSE = {
+  EMAIL_VERIFICATION: "verify",
+  PHONE_VERIFICATION: "phone",
+  PASSWORD_RESET: "reset",
+  ACCOUNT_UNLOCK: "unlock",
+};
 
 /**
  * Initialize automatic cleanup of expired OTPs
+ * Records live in the configured store (see otpStore.js)
  */
 let cleanupInterval = null;
 
 function startCleanupTimer() {
   if (cleanupInterval) return;
 
-  cleanupInterval = setInterval(() => {
-    const now = Date.now();
-    const keysToDelete = [];
-
-    for (const [email, data] of otpStore.entries()) {
-      if (now > data.expiresAt) {
-        keysToDelete.push(email);
-      }
+  cleanupInterval = setInterval(async () => {
+    try {
+      const store = await getOTPStore();
+      await store.cleanup();
+    } catch (error) {
+      console.error("❌ OTP cleanup failed:", error.message);
     }
-
-    keysToDelete.forEach((email) => otpStore.delete(email));
   }, CLEANUP_INTERVAL_MS);
+  // Housekeeping only; never keep the process alive for it
+  cleanupInterval.unref();
 }
 
 // Start cleanup timer on module load
@@ -70,6 +70,35 @@ function isValidEmail(email) {
   return emailRegex.test(email.trim().toLowerCase());
 }
 
+/**
+ * Normalize OTP identifier (email or Pakistani mobile number)
+ * @param {string} identifier - Email or phone number
+ * @returns {string|null} Lowercased email, E.164 phone, or null if invalid
+ */
+function normalizeIdentifier(identifier) {
+  if (!identifier || typeof identifier !== "string") return null;
+
+  if (identifier.includes("@")) {
+    return isValidEmail(identifier) ? identifier.trim().toLowerCase() : null;
+  }
+
+  return normalizePakistaniPhone(identifier);
+}
+
+/**
+ * Build store key for identifier + purpose
+ * Verification codes keep the bare identifier as key for backwards compatibility
+ * @param {string} normalized - Normalized email or phone
+ * @param {string} purpose - One of OTP_PURPOSE
+ * @returns {string} Store key
+ */
+function buildKey(normalized, purpose) {
+  if (!purpose || purpose === OTP_PURPOSE.EMAIL_VERIFICATION) {
+    return normalized;
+  }
+  return `${purpose}:${normalized}`;
+}
+
 /**
  * Validate OTP format (6 digits)
  * @param {string} otp - OTP to validate
@@ -85,42 +114,43 @@ function isValidOTPFormat(otp) {
  * - Hashes OTP before storing (like passwords)
  * - Tracks verification attempts
  * - Sets expiration time
- * @param {string} email - User email (normalized to lowercase)
+ * @param {string} identifier - User email or phone (normalized before storing)
  * @param {string} otp - Plain OTP code
+ * @param {string} [purpose] - OTP purpose (defaults to email verification)
  * @returns {Promise<void>}
- * @throws {Error} If email or OTP is invalid
+ * @throws {Error} If identifier or OTP is invalid
  */
-export async function storeOTP(email, otp) {
+export async function storeOTP(
+  identifier,
+  otp,
+  purpose = OTP_PURPOSE.EMAIL_VERIFICATION
+) {
   // Input validation
-  if (!isValidEmail(email)) {
-    throw new Error("Invalid email format");
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
+    throw new Error("Invalid email or phone format");
   }
 
   if (!isValidOTPFormat(otp)) {
     throw new Error("Invalid OTP format");
   }
 
-  const normalizedEmail = email.trim().toLowerCase();
+  const key = buildKey(normalized, purpose);
   const expiresAt = Date.now() + OTP_EXPIRATION_MS;
   const createdAt = Date.now();
 
   // Hash OTP using bcrypt (salt rounds: 10)
   const otpHash = await bcrypt.hash(otp, 10);
 
-  // Store hashed OTP with metadata
-  otpStore.set(normalizedEmail, {
+  // Store hashed OTP with metadata (replaces any previous code)
+  const store = await getOTPStore();
+  await store.set(key, {
     otpHash,
     expiresAt,
     attempts: 0,
     createdAt,
     lastAttemptAt: null,
   });
-
-  // Cleanup any existing expired entry for this email
-  const existing = otpStore.get(normalizedEmail);
-  if (existing && Date.now() > existing.expiresAt) {
-    otpStore.delete(normalizedEmail);
-  }
 }
 
 /**
@@ -128,22 +158,29 @@ export async function storeOTP(email, otp) {
  * - Rate limiting (max attempts)
  * - Hashed comparison (prevents timing attacks)
  * - Automatic expiration check
- * @param {string} email - User email
+ * @param {string} identifier - User email or phone
  * @param {string} otp - OTP code to verify
+ * @param {string} [purpose] - OTP purpose (defaults to email verification)
  * @returns {Promise<{valid: boolean, reason?: string}>} Verification result
  */
-export async function verifyOTP(email, otp) {
+export async function verifyOTP(
+  identifier,
+  otp,
+  purpose = OTP_PURPOSE.EMAIL_VERIFICATION
+) {
   // Input validation
-  if (!isValidEmail(email)) {
-    return { valid: false, reason: "Invalid email format" };
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
+    return { valid: false, reason: "Invalid email or phone format" };
   }
 
   if (!isValidOTPFormat(otp)) {
     return { valid: false, reason: "Invalid OTP format" };
   }
 
-  const normalizedEmail = email.trim().toLowerCase();
-  const stored = otpStore.get(normalizedEmail);
+  const key = buildKey(normalized, purpose);
+  const store = await getOTPStore();
+  let stored = await store.get(key);
 
   // Always perform timing-safe comparison (prevent timing attacks)
   // Use bcrypt.compare even if no OTP exists (constant-time operation)
@@ -155,7 +192,7 @@ export async function verifyOTP(email, otp) {
 
   // Check if expired
   if (Date.now() > stored.expiresAt) {
-    otpStore.delete(normalizedEmail);
+    await store.delete(key);
     // Perform dummy comparison for timing safety
     await bcrypt.compare(otp, "$2b$10$dummyhashforsecuritypurposes");
     return { valid: false, reason: "OTP expired" };
@@ -163,55 +200,71 @@ export async function verifyOTP(email, otp) {
 
   // Check rate limiting
   if (stored.attempts >= MAX_VERIFICATION_ATTEMPTS) {
-    otpStore.delete(normalizedEmail);
+    await store.delete(key);
     return { valid: false, reason: "Maximum verification attempts exceeded" };
   }
 
-  // Increment attempt counter
-  stored.attempts += 1;
-  stored.lastAttemptAt = Date.now();
+  // Increment attempt counter before comparing (atomic on shared stores,
+  // so parallel guesses can't exceed the limit)
+  stored = await store.incrementAttempts(key, Date.now());
+
+  if (!stored) {
+    return { valid: false, reason: "OTP not found or expired" };
+  }
+
+  if (stored.attempts > MAX_VERIFICATION_ATTEMPTS) {
+    await store.delete(key);
+    return { valid: false, reason: "Maximum verification attempts exceeded" };
+  }
 
   // Verify OTP using bcrypt (constant-time comparison)
   const isValid = await bcrypt.compare(otp, stored.otpHash);
 
   if (isValid) {
     // Delete OTP after successful verification (single-use)
-    otpStore.delete(normalizedEmail);
+    await store.delete(key);
     return { valid: true };
   }
 
-  // Store updated attempts
-  otpStore.set(normalizedEmail, stored);
-
   return { valid: false, reason: "Invalid OTP" };
 }
 
 /**
  * Delete OTP from store (for manual cleanup or resend scenarios)
- * @param {string} email - User email
- * @returns {boolean} True if OTP was deleted, false if not found
+ * @param {string} identifier - User email or phone
+ * @param {string} [purpose] - OTP purpose (defaults to email verification)
+ * @returns {Promise<boolean>} True if OTP was deleted, false if not found
  */
-export function deleteOTP(email) {
-  if (!isValidEmail(email)) {
+export async function deleteOTP(
+  identifier,
+  purpose = OTP_PURPOSE.EMAIL_VERIFICATION
+) {
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
     return false;
   }
 
-  const normalizedEmail = email.trim().toLowerCase();
-  return otpStore.delete(normalizedEmail);
+  const store = await getOTPStore();
+  return store.delete(buildKey(normalized, purpose));
 }
 
 /**
- * Get OTP metadata (for debugging/monitoring - production use Redis)
- * @param {string} email - User email
- * @returns {object|null} OTP metadata or null if not found
+ * Get OTP metadata (for debugging/monitoring)
+ * @param {string} identifier - User email or phone
+ * @param {string} [purpose] - OTP purpose (defaults to email verification)
+ * @returns {Promise<object|null>} OTP metadata or null if not found
  */
-export function getOTPInfo(email) {
-  if (!isValidEmail(email)) {
+export async function getOTPInfo(
+  identifier,
+  purpose = OTP_PURPOSE.EMAIL_VERIFICATION
+) {
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
     return null;
   }
 
-  const normalizedEmail = email.trim().toLowerCase();
-  const stored = otpStore.get(normalizedEmail);
+  const store = await getOTPStore();
+  const stored = await store.get(buildKey(normalized, purpose));
 
   if (!stored) {
     return null;
@@ -219,7 +272,8 @@ export function getOTPInfo(email) {
 
   // Return metadata without exposing the hash
   return {
-    email: normalizedEmail,
+    identifier: normalized,
+    purpose,
     expiresAt: stored.expiresAt,
     attempts: stored.attempts,
     remainingAttempts: MAX_VERIFICATION_ATTEMPTS - stored.attempts,
@@ -231,12 +285,11 @@ export function getOTPInfo(email) {
 
 /**
  * Clear all OTPs (for testing/emergency cleanup)
- * In production, prefer using Redis with TTL
+ * @returns {Promise<number>} Number of OTPs removed
  */
-export function clearAllOTPs() {
-  const count = otpStore.size;
-  otpStore.clear();
-  return count;
+export async function clearAllOTPs() {
+  const store = await getOTPStore();
+  return store.clear();
 }
 
 /**
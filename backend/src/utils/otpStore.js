@@ -0,0 +1,294 @@
+import { prisma } from "../config/database.js";
+
+/**
+ * OTP store backends
+ *
+ * Every store implements the same async interface and keeps records in
+ * this shape (timestamps in epoch milliseconds):
+ * {
+ *   otpHash: string (hashed OTP),
+ *   expiresAt: number,
+ *   attempts: number,
+ *   createdAt: number,
+ *   lastAttemptAt: number|null
+ * }
+ *
+ * Interface:
+ * - get(key) -> record|null
+ * - set(key, record) -> void (replaces any existing record)
+ * - incrementAttempts(key, at) -> record|null (atomic where the backend allows)
+ * - delete(key) -> boolean
+ * - cleanup() -> number of expired records removed
+ * - clear() -> number of records removed
+ *
+ * Selected with OTP_STORE=memory|prisma|redis (default: memory).
+ */
+
+/**
+ * In-process store - fine for development and single-instance deployments
+ * OTPs are lost on restart
+ * @returns {object} OTP store
+ */
+export function createMemoryOTPStore() {
+  const records = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const record = records.get(key);
+      return record ? { ...record } : null;
+    },
+
+    async set(key, record) {
+      records.set(key, { ...record });
+    },
+
+    async incrementAttempts(key, at) {
+      const record = records.get(key);
+      if (!record) return null;
+
+      record.attempts += 1;
+      record.lastAttemptAt = at;
+      return { ...record };
+    },
+
+    async delete(key) {
+      return records.delete(key);
+    },
+
+    async cleanup() {
+      const now = Date.now();
+      let count = 0;
+
+      for (const [key, record] of records.entries()) {
+        if (now > record.expiresAt) {
+          records.delete(key);
+          count += 1;
+        }
+      }
+
+      return count;
+    },
+
+    async clear() {
+      const count = records.size;
+      records.clear();
+      return count;
+    },
+  };
+}
+
+/**
+ * Convert OtpCode row to store record
+ * @param {object|null} row - Prisma OtpCode row
+ * @returns {object|null} Store record
+ */
+function fromRow(row) {
+  if (!row) return null;
+
+  return {
+    otpHash: row.otpHash,
+    expiresAt: row.expiresAt.getTime(),
+    attempts: row.attempts,
+    createdAt: row.createdAt.getTime(),
+    lastAttemptAt: row.lastAttemptAt ? row.lastAttemptAt.getTime() : null,
+  };
+}
+
+/**
+ * Postgres store through Prisma (otp_codes table)
+ * Shared by all instances and survives restarts
+ * @param {object} [client] - Prisma client (defaults to app client)
+ * @returns {object} OTP store
+ */
+export function createPrismaOTPStore(client = prisma) {
+  return {
+    name: "prisma",
+
+    async get(key) {
+      return fromRow(await client.otpCode.findUnique({ where: { key } }));
+    },
+
+    async set(key, record) {
+      const data = {
+        otpHash: record.otpHash,
+        expiresAt: new Date(record.expiresAt),
+        attempts: record.attempts,
+        createdAt: new Date(record.createdAt),
+        lastAttemptAt: record.lastAttemptAt
+          ? new Date(record.lastAttemptAt)
+          : null,
+      };
+
+      await client.otpCode.upsert({
+        where: { key },
+        create: { key, ...data },
+        update: data,
+      });
+    },
+
+    async incrementAttempts(key, at) {
+      try {
+        const row = await client.otpCode.update({
+          where: { key },
+          data: {
+            attempts: { increment: 1 },
+            lastAttemptAt: new Date(at),
+          },
+        });
+        return fromRow(row);
+      } catch (error) {
+        // P2025: record to update not found (deleted concurrently)
+        if (error.code === "P2025") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const { count } = await client.otpCode.deleteMany({ where: { key } });
+      return count > 0;
+    },
+
+    async cleanup() {
+      const { count } = await client.otpCode.deleteMany({
+        where: { expiresAt: { lt: new Date() } },
+      });
+      return count;
+    },
+
+    async clear() {
+      const { count } = await client.otpCode.deleteMany({});
+      return count;
+    },
+  };
+}
+
+/**
+ * Redis-compatible store (Redis, Valkey, KeyDB, ...)
+ * Expiry is handled by key TTLs, so cleanup is a no-op
+ * @param {object} client - ioredis-compatible client (get/set/del/eval/scan)
+ * @param {string} [prefix] - Key prefix
+ * @returns {object} OTP store
+ */
+export function createRedisOTPStore(client, prefix = "otp:") {
+  // Increment attempts atomically while keeping the remaining TTL
+  const INCREMENT_SCRIPT = `
+    local raw = redis.call("GET", KEYS[1])
+    if not raw then return nil end
+    local record = cjson.decode(raw)
+    record.attempts = record.attempts + 1
+    record.lastAttemptAt = tonumber(ARGV[1])
+    local encoded = cjson.encode(record)
+    redis.call("SET", KEYS[1], encoded, "KEEPTTL")
+    return encoded
+  `;
+
+  /**
+   * Delete every key under the prefix
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async function deleteAll() {
+    let cursor = "0";
+    let count = 0;
+
+    do {
+      const [next, keys] = await client.scan(
+        cursor,
+        "MATCH",
+        `${prefix}*`,
+        "COUNT",
+        100
+      );
+      cursor = next;
+      if (keys.length > 0) {
+        count += await client.del(...keys);
+      }
+    } while (cursor !== "0");
+
+    return count;
+  }
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, record) {
+      const ttl = Math.max(record.expiresAt - Date.now(), 1);
+      await client.set(prefix + key, JSON.stringify(record), "PX", ttl);
+    },
+
+    async incrementAttempts(key, at) {
+      const raw = await client.eval(INCREMENT_SCRIPT, 1, prefix + key, at);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async delete(key) {
+      return (await client.del(prefix + key)) > 0;
+    },
+
+    async cleanup() {
+      return 0;
+    },
+
+    async clear() {
+      return deleteAll();
+    },
+  };
+}
+
+/**
+ * Create store configured by environment
+ * Redis client library (ioredis) is loaded lazily so it is only needed when used
+ * @returns {Promise<object>} OTP store
+ */
+async function createConfiguredStore() {
+  const backend = (process.env.OTP_STORE || "memory").toLowerCase();
+
+  switch (backend) {
+    case "memory":
+      return createMemoryOTPStore();
+    case "prisma":
+    case "postgres":
+      return createPrismaOTPStore();
+    case "redis": {
+      if (!process.env.REDIS_URL) {
+        throw new Error("REDIS_URL is required when OTP_STORE=redis");
+      }
+      const { default: Redis } = await import("ioredis");
+      return createRedisOTPStore(new Redis(process.env.REDIS_URL));
+    }
+    default:
+      throw new Error(`Unknown OTP_STORE "${backend}"`);
+  }
+}
+
+let storePromise = null;
+
+/**
+ * Get the active OTP store (created once on first use)
+ * A failed setup is not cached, so the next call tries again
+ * @returns {Promise<object>} OTP store
+ */
+export function getOTPStore() {
+  if (!storePromise) {
+    const pending = createConfiguredStore();
+    storePromise = pending;
+    pending.catch(() => {
+      if (storePromise === pending) storePromise = null;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * Replace the active OTP store (for testing or custom backends)
+ * @param {object} store - Object implementing the OTP store interface
+ */
+export function setOTPStore(store) {
+  storePromise = Promise.resolve(store);
+}
@@ -0,0 +1,53 @@
+/**
+ * Normalize Pakistani mobile number to E.164 (+923XXXXXXXXX)
+ * Accepts the common local and international spellings:
+ * 03001234567, 3001234567, 923001234567, +92 300 1234567, 0092-300-1234567
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalized number or null if not a valid Pakistani mobile
+ */
+export function normalizePakistaniPhone(phone) {
+  if (!phone || typeof phone !== "string") return null;
+
+  // Drop spaces, dashes, dots and brackets
+  let digits = phone.trim().replace(/[\s\-().]/g, "");
+
+  if (digits.startsWith("+")) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith("00")) {
+    digits = digits.slice(2);
+  }
+
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (digits.startsWith("92")) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith("0")) {
+    digits = digits.slice(1);
+  }
+
+  // Mobile numbers: 3 + 2-digit operator code + 7-digit subscriber number
+  if (!/^3\d{9}$/.test(digits)) return null;
+
+  return `+92${digits}`;
+}
+
+/**
+ * Check if value is a valid Pakistani mobile number
+ * @param {string} phone - Phone number
+ * @returns {boolean} True if number can be normalized
+ */
+export function isValidPakistaniPhone(phone) {
+  return normalizePakistaniPhone(phone) !== null;
+}
+
+/**
+ * Mask phone number for messages and logs (+92300*****67)
+ * @param {string} phone - Phone number
+ * @returns {string} Masked number
+ */
+export function maskPhone(phone) {
+  if (!phone || phone.length < 8) return phone;
+  return `${phone.slice(0, 6)}${"*".repeat(phone.length - 8)}${phone.slice(
+    -2
+  )}`;
+}
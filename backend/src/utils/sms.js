@@ -0,0 +1,268 @@
+import fs from "fs/promises";
+import { maskPhone } from "./phone.js";
+
+/**
+ * SMS providers
+ *
+ * Every provider exposes send(to, body) -> Promise<{success, messageId}>
+ * where `to` is an E.164 number (+923001234567).
+ *
+ * Selected with SMS_PROVIDER=console|twilio|gateway. The console provider
+ * prints codes to the log, so it is the default only outside production
+ * and is refused in production.
+ */
+
+/**
+ * Twilio-style provider (REST API with account SID + auth token)
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER,
+ * optional TWILIO_API_URL for Twilio-compatible services
+ * @returns {object} SMS provider
+ */
+export function createTwilioProvider() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  const baseUrl = process.env.TWILIO_API_URL || "https://api.twilio.com";
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error(
+      "TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required"
+    );
+  }
+
+  return {
+    name: "twilio",
+
+    async send(to, body) {
+      const response = await fetch(
+        `${baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Basic ${Buffer.from(
+              `${accountSid}:${authToken}`
+            ).toString("base64")}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          body: new URLSearchParams({ To: to, From: from, Body: body }),
+        }
+      );
+
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.message || `Twilio error ${response.status}`);
+      }
+
+      return { success: true, messageId: result.sid };
+    },
+  };
+}
+
+/**
+ * Local Pakistani SMS gateway provider (generic HTTP JSON API)
+ * Most local gateways take the number without "+" (923001234567),
+ * an API key and a registered sender ID/mask
+ * Env: SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_GATEWAY_SENDER
+ * @returns {object} SMS provider
+ */
+export function createGatewayProvider() {
+  const url = process.env.SMS_GATEWAY_URL;
+  const apiKey = process.env.SMS_GATEWAY_API_KEY;
+  const sender = process.env.SMS_GATEWAY_SENDER || "TutorApp";
+
+  if (!url || !apiKey) {
+    throw new Error("SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY are required");
+  }
+
+  return {
+    name: "gateway",
+
+    async send(to, body) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          to: to.replace(/^\+/, ""),
+          sender,
+          message: body,
+        }),
+      });
+
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(
+          result.message || `SMS gateway error ${response.status}`
+        );
+      }
+
+      return {
+        success: true,
+        messageId: result.messageId || result.id || null,
+      };
+    },
+  };
+}
+
+/**
+ * Development stand-in - prints messages and optionally appends them as
+ * JSON lines to SMS_LOG_FILE so tests can read what was "sent"
+ * @returns {object} SMS provider
+ */
+export function createConsoleProvider() {
+  const logFile = process.env.SMS_LOG_FILE;
+
+  return {
+    name: "console",
+
+    async send(to, body) {
+      const messageId = `console-${Date.now()}`;
+
+      console.log(`📱 SMS to ${to}: ${body}`);
+
+      if (logFile) {
+        await fs.appendFile(
+          logFile,
+          `${JSON.stringify({
+            messageId,
+            to,
+            body,
+            sentAt: new Date().toISOString(),
+          })}\n`
+        );
+      }
+
+      return { success: true, messageId };
+    },
+  };
+}
+
+let provider = null;
+
+/**
+ * Get the configured SMS provider (created once on first use)
+ * @returns {object} SMS provider
+ */
+export function getSMSProvider() {
+  if (provider) return provider;
+
+  const isProduction = process.env.NODE_ENV === "production";
+  const name = (
+    process.env.SMS_PROVIDER || (isProduction ? "" : "console")
+  ).toLowerCase();
+
+  switch (name) {
+    case "":
+      throw new Error("SMS_PROVIDER is required in production");
+    case "console":
+      if (isProduction) {
+        throw new Error(
+          'SMS_PROVIDER "console" logs codes and is not allowed in production'
+        );
+      }
+      provider = createConsoleProvider();
+      break;
+    case "twilio":
+      provider = createTwilioProvider();
+      break;
+    case "gateway":
+      provider = createGatewayProvider();
+      break;
+    default:
+      throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+
+  return provider;
+}
+
+/**
+ * Fail fast on a missing or unusable SMS configuration
+ * Called at startup so a misconfigured server does not come up and
+ * then fail (or leak codes to the log) on the first OTP
+ * @throws {Error} If no provider can be created
+ */
+export function assertSMSConfigured() {
+  getSMSProvider();
+}
+
+/**
+ * Replace the active SMS provider (for testing or custom providers)
+ * @param {object} customProvider - Object with send(to, body)
+ */
+export function setSMSProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Send OTP via SMS
+ * @param {string} to - E.164 phone number
+ * @param {string} otp - OTP code to send
+ * @returns {Promise<{success: boolean, messageId?: string}>} Send result
+ */
+export async function sendOTPSMS(to, otp) {
+  try {
+    return await getSMSProvider().send(
+      to,
+      `Your Tutor App verification code is ${otp}. It expires in 5 minutes. Do not share it with anyone.`
+    );
+  } catch (error) {
+    console.error(`❌ Error sending SMS to ${maskPhone(to)}:`, error.message);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
+
+/**
+ * Send password reset code via SMS
+ * @param {string} to - E.164 phone number
+ * @param {string} otp - Reset code to send
+ * @returns {Promise<{success: boolean, messageId?: string}>} Send result
+ */
+export async function sendPasswordResetSMS(to, otp) {
+  try {
+    return await getSMSProvider().send(
+      to,
+      `Your Tutor App password reset code is ${otp}. It expires in 5 minutes. If you didn't request this, ignore this message.`
+    );
+  } catch (error) {
+    console.error(`❌ Error sending SMS to ${maskPhone(to)}:`, error.message);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
+
+/**
+ * Send account unlock code via SMS
+ * @param {string} to - E.164 phone number
+ * @param {string} otp - Unlock code to send
+ * @returns {Promise<{success: boolean, messageId?: string}>} Send result
+ */
+export async function sendAccountUnlockSMS(to, otp) {
+  try {
+    return await getSMSProvider().send(
+      to,
+      `Your Tutor App account was locked after several failed logins. Your unlock code is ${otp}. It expires in 5 minutes.`
+    );
+  } catch (error) {
+    console.error(`❌ Error sending SMS to ${maskPhone(to)}:`, error.message);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
+
+/**
+ * Send a short account notification via SMS
+ * Used for users without an email address
+ * @param {string} to - E.164 phone number
+ * @param {string} message - Notification text
+ * @returns {Promise<{success: boolean, messageId?: string}>} Send result
+ */
+export async function sendNotificationSMS(to, message) {
+  try {
+    return await getSMSProvider().send(to, `Tutor App: ${message}`);
+  } catch (error) {
+    console.error(`❌ Error sending SMS to ${maskPhone(to)}:`, error.message);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { v2 as cloudinary } from "cloudinary";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * File storage
+ *
+ * Selected with STORAGE_DRIVER=local|s3|cloudinary (default: local).
+ * - local: files under UPLOAD_DIR (default ./uploads); public files are
+ *   served by the API at /uploads, so development runs fully offline
+ * - s3: any S3-compatible bucket (AWS, MinIO, Cloudflare R2, ...); public
+ *   files live under the "public/" prefix, which the bucket policy should
+ *   make readable, private files under "private/"
+ * - cloudinary: public files as normal uploads, private ones as
+ *   "authenticated" assets that are only reachable through signed URLs
+ *
+ * Every adapter has the same shape:
+ *   put(key, buffer, {contentType, isPrivate}) -> {url}  (url null if private)
+ *   get(key, {isPrivate}) -> Buffer
+ *   remove(key, {isPrivate}) -> void
+ * Keys are generated by the upload service and never contain user input.
+ */
+
+let storage = null;
+
+/**
+ * Prefix separating publicly readable files from private ones
+ * @param {string} key - Storage key
+ * @param {boolean} isPrivate - Private file
+ * @returns {string} Prefixed key
+ */
+function scopedKey(key, isPrivate) {
+  return `${isPrivate ? "private" : "public"}/${key}`;
+}
+
+/**
+ * Local disk storage
+ * @returns {object} Storage adapter
+ */
+function createLocalStorage() {
+  const root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+  const publicUrl = (process.env.UPLOAD_PUBLIC_URL || "/uploads").replace(
+    /\/$/,
+    ""
+  );
+
+  const filePath = (key, isPrivate) =>
+    path.join(root, scopedKey(key, isPrivate));
+
+  return {
+    name: "local",
+    root,
+
+    async put(key, buffer, { isPrivate = false } = {}) {
+      const target = filePath(key, isPrivate);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      return { url: isPrivate ? null : `${publicUrl}/${key}` };
+    },
+
+    async get(key, { isPrivate = false } = {}) {
+      return fs.readFile(filePath(key, isPrivate));
+    },
+
+    async remove(key, { isPrivate = false } = {}) {
+      await fs.rm(filePath(key, isPrivate), { force: true });
+    },
+  };
+}
+
+/**
+ * S3-compatible object storage
+ * @returns {object} Storage adapter
+ */
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true";
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for STORAGE_DRIVER=s3");
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  // CDN or bucket URL that public objects are read from
+  const publicUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, { contentType, isPrivate = false } = {}) {
+      const objectKey = scopedKey(key, isPrivate);
+
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: isPrivate
+            ? "private, no-store"
+            : "public, max-age=31536000, immutable",
+        })
+      );
+
+      return { url: isPrivate ? null : `${publicUrl}/${objectKey}` };
+    },
+
+    async get(key, { isPrivate = false } = {}) {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: scopedKey(key, isPrivate) })
+      );
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    async remove(key, { isPrivate = false } = {}) {
+      await client.send(
+        new DeleteObjectCommand({
+          Bucket: bucket,
+          Key: scopedKey(key, isPrivate),
+        })
+      );
+    },
+  };
+}
+
+/**
+ * Cloudinary storage
+ * Images are stored as image assets (public ID without extension), other
+ * files as raw assets (public ID keeps the extension)
+ * @returns {object} Storage adapter
+ */
+function createCloudinaryStorage() {
+  // CLOUDINARY_URL is picked up automatically when set
+  if (process.env.CLOUDINARY_CLOUD_NAME) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+
+  const folder = process.env.CLOUDINARY_FOLDER || "tutor-web-app";
+
+  const asset = (key, isPrivate) => {
+    const isImage = /\.(jpe?g|png|webp)$/i.test(key);
+    return {
+      public_id: `${folder}/${isImage ? key.replace(/\.[^.]+$/, "") : key}`,
+      resource_type: isImage ? "image" : "raw",
+      type: isPrivate ? "authenticated" : "upload",
+    };
+  };
+
+  return {
+    name: "cloudinary",
+
+    async put(key, buffer, { isPrivate = false } = {}) {
+      const options = asset(key, isPrivate);
+
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader
+          .upload_stream({ ...options, overwrite: true }, (error, uploaded) =>
+            error ? reject(error) : resolve(uploaded)
+          )
+          .end(buffer);
+      });
+
+      return { url: isPrivate ? null : result.secure_url };
+    },
+
+    async get(key, { isPrivate = false } = {}) {
+      const { public_id, ...options } = asset(key, isPrivate);
+      const url = cloudinary.url(public_id, {
+        ...options,
+        ...(options.resource_type === "image" && {
+          format: path.extname(key).slice(1),
+        }),
+        secure: true,
+        sign_url: isPrivate,
+      });
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Cloudinary download failed (${response.status})`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key, { isPrivate = false } = {}) {
+      const { public_id, ...options } = asset(key, isPrivate);
+      await cloudinary.uploader.destroy(public_id, {
+        ...options,
+        invalidate: true,
+      });
+    },
+  };
+}
+
+/**
+ * Get the configured storage adapter (created once on first use)
+ * @returns {object} Storage adapter with put, get and remove
+ */
+export function getStorage() {
+  if (storage) return storage;
+
+  const name = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+  switch (name) {
+    case "local":
+      storage = createLocalStorage();
+      break;
+    case "s3":
+      storage = createS3Storage();
+      break;
+    case "cloudinary":
+      storage = createCloudinaryStorage();
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+
+  return storage;
+}
+
+/**
+ * Replace the active storage adapter (for testing or custom backends)
+ * @param {object|null} customStorage - Adapter with put/get/remove, or null to reset
+ */
+export function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+let staticHandler = null;
+
+/**
+ * Serve public files of the local driver at /uploads
+ * Does nothing for other drivers (their files have absolute URLs)
+ * @returns {Function} Middleware function
+ */
+export function serveLocalUploads() {
+  return (req, res, next) => {
+    const active = getStorage();
+    if (active.name !== "local") return next();
+
+    if (!staticHandler || staticHandler.root !== active.root) {
+      staticHandler = {
+        root: active.root,
+        handler: express.static(path.join(active.root, "public"), {
+          fallthrough: true,
+          index: false,
+          immutable: true,
+          maxAge: "365d",
+          // Let the frontend (another origin) embed images despite helmet
+          setHeaders: (res) =>
+            res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+        }),
+      };
+    }
+
+    staticHandler.handler(req, res, next);
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Date and time helpers for Pakistan Standard Time
+ *
+ * All schedules (availability, bookings, slots) are expressed in
+ * Asia/Karachi local time. Pakistan has not observed DST since 2009, so
+ * local time is a fixed UTC+05:00 and plain arithmetic is safe.
+ *
+ * Conventions:
+ * - Local dates are "YYYY-MM-DD" strings
+ * - Times of day are "HH:MM" strings or minutes since midnight (0-1440)
+ * - Ranges are { start, end } in minutes, end exclusive
+ */
+
+export const TIME_ZONE = "Asia/Karachi";
+export const UTC_OFFSET_MINUTES = 5 * 60;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check "HH:MM" format (00:00-23:59, plus 24:00 as end of day)
+ * @param {string} value - Time string
+ * @returns {boolean} True if valid
+ */
+export function isValidTime(value) {
+  return TIME_PATTERN.test(value);
+}
+
+/**
+ * Check "YYYY-MM-DD" format and that the date exists
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+export function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * "HH:MM" -> minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+export function parseTime(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes since midnight -> "HH:MM"
+ * @param {number} minutes - Minutes (0-1440)
+ * @returns {string} Time string
+ */
+export function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, "0")}:${String(minutes % 60).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Local calendar date of an instant
+ * @param {Date} [date] - Instant (default now)
+ * @returns {string} "YYYY-MM-DD" in Pakistan time
+ */
+export function toLocalDate(date = new Date()) {
+  return new Date(date.getTime() + UTC_OFFSET_MINUTES * MINUTE_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Minutes since local midnight of an instant
+ * @param {Date} [date] - Instant (default now)
+ * @returns {number} Minutes
+ */
+export function toLocalMinutes(date = new Date()) {
+  const local = new Date(date.getTime() + UTC_OFFSET_MINUTES * MINUTE_MS);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+/**
+ * Local date + minutes -> UTC instant
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since local midnight
+ * @returns {Date} Instant
+ */
+export function toUtcDate(localDate, minutes) {
+  return new Date(
+    Date.parse(`${localDate}T00:00:00Z`) +
+      (minutes - UTC_OFFSET_MINUTES) * MINUTE_MS
+  );
+}
+
+/**
+ * Calendar date stored in a DATE / midnight-UTC column
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @returns {Date} Midnight UTC of that date
+ */
+export function dateOnly(localDate) {
+  return new Date(`${localDate}T00:00:00Z`);
+}
+
+/**
+ * Add days to a local date
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function addDays(localDate, days) {
+  return new Date(
+    Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MINUTES * MINUTE_MS
+  )
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Day of week of a local date (0 = Sunday ... 6 = Saturday)
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @returns {number} Day of week
+ */
+export function dayOfWeek(localDate) {
+  return new Date(`${localDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Whole days between two local dates
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number} Days (negative if `to` is before `from`)
+ */
+export function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) /
+      (DAY_MINUTES * MINUTE_MS)
+  );
+}
+
+/**
+ * Dates of a recurrence rule
+ * Explicit `dates` are returned sorted and de-duplicated. Otherwise the
+ * rule repeats on `daysOfWeek` every `interval` weeks (weeks start on
+ * Sunday) from `startDate` until `until` or `count` dates.
+ * Stops after `limit + 1` dates so callers can reject longer rules.
+ * @param {object} rule - Recurrence rule
+ * @param {string[]} [rule.dates] - Explicit local dates
+ * @param {string} [rule.startDate] - First local date
+ * @param {number[]} [rule.daysOfWeek] - 0 = Sunday ... 6 = Saturday
+ * @param {number} [rule.interval] - Repeat every N weeks
+ * @param {string} [rule.until] - Last local date (inclusive)
+ * @param {number} [rule.count] - Number of dates
+ * @param {number} [limit] - Most dates needed
+ * @returns {string[]} Local dates, ascending
+ */
+export function recurrenceDates(rule, limit = Infinity) {
+  if (rule.dates) {
+    return [...new Set(rule.dates)].sort().slice(0, limit + 1);
+  }
+
+  const { startDate, daysOfWeek, interval = 1, until, count } = rule;
+  const weekStart = addDays(startDate, -dayOfWeek(startDate));
+  const max = Math.min(count ?? Infinity, limit + 1);
+  const dates = [];
+
+  for (
+    let date = startDate;
+    dates.length < max && (!until || date <= until);
+    date = addDays(date, 1)
+  ) {
+    const week = Math.floor(daysBetween(weekStart, date) / 7);
+
+    if (week % interval === 0 && daysOfWeek.includes(dayOfWeek(date))) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Sort and merge overlapping or touching ranges
+ * [{9:00-11:00}, {10:00-12:00}, {12:00-13:00}] -> [{9:00-13:00}]
+ * @param {Array<{start: number, end: number}>} ranges - Ranges
+ * @returns {Array<{start: number, end: number}>} Merged ranges
+ */
+export function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter((range) => range.end > range.start)
+    .map((range) => ({ start: range.start, end: range.end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Remove blocked ranges from available ranges
+ * @param {Array<{start: number, end: number}>} ranges - Available ranges
+ * @param {Array<{start: number, end: number}>} blocked - Ranges to remove
+ * @returns {Array<{start: number, end: number}>} Remaining ranges
+ */
+export function subtractRanges(ranges, blocked) {
+  let remaining = mergeRanges(ranges);
+
+  for (const block of mergeRanges(blocked)) {
+    remaining = remaining.flatMap((range) => {
+      if (block.end <= range.start || block.start >= range.end) {
+        return [range];
+      }
+
+      return [
+        { start: range.start, end: block.start },
+        { start: block.end, end: range.end },
+      ].filter((part) => part.end > part.start);
+    });
+  }
+
+  return remaining;
+}
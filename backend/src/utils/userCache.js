@@ -0,0 +1,69 @@
+// Configuration constants
+const DEFAULT_TTL_MS = 30 * 1000; // 30 seconds
+const MAX_ENTRIES = 10000;
+
+/**
+ * Short-lived cache of account state used by the authenticate middleware
+ * Store structure:
+ * {
+ *   user: { id, role, active, verified, phoneVerified },
+ *   expiresAt: number
+ * }
+ */
+const userCache = new Map();
+
+/**
+ * Get cached account state
+ * @param {string} userId - User ID
+ * @returns {object|null} Cached user state or null if missing/expired
+ */
+export function getCachedUser(userId) {
+  const entry = userCache.get(userId);
+
+  if (!entry) return null;
+
+  if (Date.now() > entry.expiresAt) {
+    userCache.delete(userId);
+    return null;
+  }
+
+  return entry.user;
+}
+
+/**
+ * Cache account state
+ * @param {string} userId - User ID
+ * @param {object} user - User state
+ */
+export function setCachedUser(userId, user) {
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (userCache.size >= MAX_ENTRIES) {
+    userCache.delete(userCache.keys().next().value);
+  }
+
+  userCache.set(userId, {
+    user,
+    expiresAt:
+      Date.now() +
+      (parseInt(process.env.USER_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS),
+  });
+}
+
+/**
+ * Evict a user's cached state (call after suspension, role change, deletion)
+ * @param {string} userId - User ID
+ * @returns {boolean} True if an entry was removed
+ */
+export function evictCachedUser(userId) {
+  return userCache.delete(userId);
+}
+
+/**
+ * Clear the whole cache (for testing)
+ * @returns {number} Number of entries removed
+ */
+export function clearUserCache() {
+  const count = userCache.size;
+  userCache.clear();
+  return count;
+}
@@ -0,0 +1,37 @@
+import Joi from "joi";
+import { LoginOutcome, EmailStatus } from "@prisma/client";
+import { email, id, idParam, pagination } from "./common.validator.js";
+import { EMAIL_TEMPLATE } from "../utils/emailTemplates.js";
+
+export const userId = {
+  params: idParam,
+};
+
+export const loginAttempts = {
+  query: Joi.object({
+    userId: id,
+    identifier: Joi.alternatives().try(email, Joi.string().trim().max(32)),
+    ip: Joi.string().trim().ip(),
+    outcome: Joi.string().valid(...Object.values(LoginOutcome)),
+    from: Joi.date().iso(),
+    to: Joi.date()
+      .iso()
+      .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+      .messages({ "date.min": "to must not be before from" }),
+    ...pagination,
+    limit: pagination.limit.default(50),
+  }),
+};
+
+export const emailOutbox = {
+  query: Joi.object({
+    status: Joi.string().valid(...Object.values(EmailStatus)),
+    to: email,
+    template: Joi.string().valid(...Object.values(EMAIL_TEMPLATE)),
+    ...pagination,
+  }),
+};
+
+export const emailId = {
+  params: idParam,
+};
@@ -0,0 +1,25 @@
+import Joi from "joi";
+import { localDate } from "./common.validator.js";
+import { addDays, daysBetween, toLocalDate } from "../utils/time.js";
+
+export const MAX_STATS_RANGE_DAYS = 366;
+const DEFAULT_STATS_DAYS = 30;
+
+// GET /api/tutors/me/stats (defaults to the last 30 days)
+export const stats = {
+  query: Joi.object({
+    from: localDate,
+    to: localDate.default(() => toLocalDate()),
+  })
+    .custom((value, helpers) => {
+      const from = value.from ?? addDays(value.to, 1 - DEFAULT_STATS_DAYS);
+      const span = daysBetween(from, value.to);
+      if (span < 0) return helpers.error("range.order");
+      if (span >= MAX_STATS_RANGE_DAYS) return helpers.error("range.length");
+      return { ...value, from };
+    })
+    .messages({
+      "range.order": "to must not be before from",
+      "range.length": `Date range must not exceed ${MAX_STATS_RANGE_DAYS} days`,
+    }),
+};
@@ -0,0 +1,8 @@
+import Joi from "joi";
+
+export const listAreas = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100),
+    zone: Joi.string().trim().max(100),
+  }),
+};
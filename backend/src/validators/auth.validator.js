@@ -0,0 +1,102 @@
+import Joi from "joi";
+import {
+  email,
+  identifier,
+  idParam,
+  locale,
+  otp,
+  password,
+  signupRole,
+} from "./common.validator.js";
+
+const OAUTH_PROVIDERS = ["google", "facebook"];
+
+const missingIdentifier = {
+  "object.missing": "Email or phone is required",
+};
+
+export const register = {
+  body: Joi.object({
+    ...identifier,
+    password: password.required(),
+    role: signupRole.required(),
+    locale,
+  })
+    .or("email", "phone")
+    .messages(missingIdentifier),
+};
+
+export const verifyOTP = {
+  body: Joi.object({
+    ...identifier,
+    otp: otp.required(),
+  })
+    .or("email", "phone")
+    .messages(missingIdentifier),
+};
+
+// resend-otp, forgot-password, unlock-account/request
+export const identifierOnly = {
+  body: Joi.object(identifier).or("email", "phone").messages(missingIdentifier),
+};
+
+export const login = {
+  body: Joi.object({
+    ...identifier,
+    // No policy on login - older passwords may predate it
+    password: Joi.string().max(128).required(),
+  })
+    .or("email", "phone")
+    .messages(missingIdentifier),
+};
+
+export const refresh = {
+  body: Joi.object({
+    // Optional - browsers send the refresh cookie instead
+    refreshToken: Joi.string().max(2048),
+  }),
+};
+
+export const resetPassword = {
+  body: Joi.object({
+    ...identifier,
+    otp: otp.required(),
+    newPassword: password.required(),
+  })
+    .or("email", "phone")
+    .messages(missingIdentifier),
+};
+
+export const unlockAccount = {
+  body: Joi.object({
+    ...identifier,
+    otp: otp.required(),
+  })
+    .or("email", "phone")
+    .messages(missingIdentifier),
+};
+
+export const oauthProvider = {
+  params: Joi.object({
+    provider: Joi.string()
+      .valid(...OAUTH_PROVIDERS)
+      .required(),
+  }),
+};
+
+export const oauthComplete = {
+  body: Joi.object({
+    signupToken: Joi.string().max(4096).required(),
+    role: signupRole.required(),
+  }),
+};
+
+export const sessionId = {
+  params: idParam,
+};
+
+export const testEmail = {
+  body: Joi.object({
+    email: email.required(),
+  }),
+};
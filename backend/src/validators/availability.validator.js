@@ -0,0 +1,112 @@
+import Joi from "joi";
+import { ExceptionType } from "@prisma/client";
+import {
+  idParam,
+  localDate as date,
+  localTime as time,
+} from "./common.validator.js";
+import { addDays, daysBetween, parseTime, toLocalDate } from "../utils/time.js";
+
+export const MAX_SLOT_RANGE_DAYS = 31;
+const MAX_WEEKLY_RANGES = 70;
+// Exceptions can be planned this far ahead
+const MAX_EXCEPTION_DAYS_AHEAD = 365;
+
+/**
+ * Reject ranges whose end is not after their start
+ * @param {{startTime?: string, endTime?: string}} value - Object with a range
+ * @param {object} helpers - Joi helpers
+ * @returns {object} Value or error
+ */
+function orderedRange(value, helpers) {
+  if (
+    value.startTime &&
+    value.endTime &&
+    parseTime(value.endTime) <= parseTime(value.startTime)
+  ) {
+    return helpers.error("range.order");
+  }
+  return value;
+}
+
+const rangeMessages = { "range.order": "endTime must be after startTime" };
+
+// PUT /me/availability (replaces the whole weekly pattern)
+export const setWeekly = {
+  body: Joi.object({
+    slots: Joi.array()
+      .items(
+        Joi.object({
+          dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+          startTime: time.required(),
+          endTime: time.required(),
+        })
+          .custom(orderedRange)
+          .messages(rangeMessages)
+      )
+      .max(MAX_WEEKLY_RANGES)
+      .required(),
+  }),
+};
+
+// POST /me/availability/exceptions
+export const addException = {
+  body: Joi.object({
+    date: date
+      .required()
+      .custom((value, helpers) => {
+        const ahead = daysBetween(toLocalDate(), value);
+        if (ahead < 0) return helpers.error("date.past");
+        if (ahead > MAX_EXCEPTION_DAYS_AHEAD) return helpers.error("date.far");
+        return value;
+      })
+      .messages({
+        "date.past": "{{#label}} must not be in the past",
+        "date.far": `{{#label}} must be within ${MAX_EXCEPTION_DAYS_AHEAD} days`,
+      }),
+    type: Joi.string()
+      .valid(...Object.values(ExceptionType))
+      .required(),
+    // UNAVAILABLE without times = whole day off; AVAILABLE needs a range
+    startTime: time.when("type", {
+      is: ExceptionType.AVAILABLE,
+      then: Joi.required(),
+    }),
+    endTime: time.when("type", {
+      is: ExceptionType.AVAILABLE,
+      then: Joi.required(),
+    }),
+    reason: Joi.string().trim().max(255).allow(""),
+  })
+    .and("startTime", "endTime")
+    .custom(orderedRange)
+    .messages({
+      ...rangeMessages,
+      "object.and": "startTime and endTime must be given together",
+    }),
+};
+
+export const exceptionId = {
+  params: idParam,
+};
+
+// GET /api/tutors/:id/slots
+export const slots = {
+  params: idParam,
+  query: Joi.object({
+    from: date.default(() => toLocalDate()),
+    to: date,
+    duration: Joi.number().integer().min(15).max(240).multiple(15).default(60),
+  })
+    .custom((value, helpers) => {
+      const to = value.to ?? addDays(value.from, 6);
+      const span = daysBetween(value.from, to);
+      if (span < 0) return helpers.error("range.order");
+      if (span >= MAX_SLOT_RANGE_DAYS) return helpers.error("range.length");
+      return { ...value, to };
+    })
+    .messages({
+      "range.order": "to must not be before from",
+      "range.length": `Date range must not exceed ${MAX_SLOT_RANGE_DAYS} days`,
+    }),
+};
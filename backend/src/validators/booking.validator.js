@@ -0,0 +1,134 @@
+import Joi from "joi";
+import { BookingStatus, BookingType, UserRole } from "@prisma/client";
+import {
+  id,
+  idParam,
+  localDate as date,
+  localTime as time,
+  pagination,
+} from "./common.validator.js";
+import {
+  daysBetween,
+  parseTime,
+  toLocalDate,
+  toLocalMinutes,
+} from "../utils/time.js";
+
+// Sessions can be requested this far ahead
+export const MAX_BOOKING_DAYS_AHEAD = 90;
+
+const DAY_MINUTES = 24 * 60;
+
+export const duration = Joi.number().integer().min(15).max(240).multiple(15);
+
+export const note = Joi.string().trim().max(500).allow("");
+
+/**
+ * Reject session starts that are not bookable
+ * Start must be before midnight, in the future and not too far ahead
+ * @param {string} localDate - Local date
+ * @param {string} startTime - Local "HH:MM"
+ * @param {object} helpers - Joi helpers
+ * @returns {object|undefined} Joi error, or undefined when bookable
+ */
+export function sessionStartError(localDate, startTime, helpers) {
+  const start = parseTime(startTime);
+  if (start >= DAY_MINUTES) return helpers.error("time.day");
+
+  const ahead = daysBetween(toLocalDate(), localDate);
+  if (ahead < 0 || (ahead === 0 && start <= toLocalMinutes())) {
+    return helpers.error("date.past");
+  }
+  if (ahead > MAX_BOOKING_DAYS_AHEAD) return helpers.error("date.far");
+  return undefined;
+}
+
+export const sessionStartMessages = {
+  "time.day": "startTime must be before 24:00",
+  "date.past": "The session must start in the future",
+  "date.far": `Sessions can be booked up to ${MAX_BOOKING_DAYS_AHEAD} days ahead`,
+};
+
+// POST /api/bookings
+export const create = {
+  body: Joi.object({
+    tutorId: id.required(),
+    type: Joi.string()
+      .valid(...Object.values(BookingType))
+      .default(BookingType.REGULAR),
+    date: date.required(),
+    startTime: time.required(),
+    // Trials always last as long as the tutor's trial setting
+    duration: Joi.when("type", {
+      is: BookingType.TRIAL,
+      then: Joi.forbidden().messages({
+        "any.unknown": "duration is set by the tutor for trial sessions",
+      }),
+      otherwise: duration.default(60),
+    }),
+    subjectId: id,
+    location: Joi.string().trim().max(255).allow(""),
+    notes: Joi.string().trim().max(1000).allow(""),
+  })
+    .custom(
+      (value, helpers) =>
+        sessionStartError(value.date, value.startTime, helpers) ?? value
+    )
+    .messages(sessionStartMessages),
+};
+
+// GET /api/bookings
+export const list = {
+  query: Joi.object({
+    status: Joi.array()
+      .items(Joi.string().valid(...Object.values(BookingStatus)))
+      .single(),
+    from: date,
+    to: date,
+    ...pagination,
+  })
+    .custom((value, helpers) =>
+      value.from && value.to && daysBetween(value.from, value.to) < 0
+        ? helpers.error("range.order")
+        : value
+    )
+    .messages({ "range.order": "to must not be before from" }),
+};
+
+export const bookingId = {
+  params: idParam,
+};
+
+// PATCH /api/bookings/:id
+export const updateStatus = {
+  params: idParam,
+  body: Joi.object({
+    status: Joi.string()
+      .valid(
+        BookingStatus.ACCEPTED,
+        BookingStatus.REJECTED,
+        BookingStatus.COMPLETED,
+        BookingStatus.CANCELLED
+      )
+      .required(),
+    note,
+  }),
+};
+
+// DELETE /api/bookings/:id
+export const cancel = {
+  params: idParam,
+  body: Joi.object({
+    reason: note,
+  }),
+};
+
+// POST /api/bookings/:id/no-show
+export const noShow = {
+  params: idParam,
+  body: Joi.object({
+    // Who was absent; students and tutors can only report the other side
+    party: Joi.string().valid(UserRole.STUDENT, UserRole.TUTOR),
+    note,
+  }),
+};
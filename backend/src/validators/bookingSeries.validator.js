@@ -0,0 +1,172 @@
+import Joi from "joi";
+import { BookingStatus, RecurrenceFrequency } from "@prisma/client";
+import {
+  id,
+  idParam,
+  localDate as date,
+  localTime as time,
+  pagination,
+} from "./common.validator.js";
+import {
+  duration,
+  note,
+  sessionStartError,
+  sessionStartMessages,
+} from "./booking.validator.js";
+import { daysBetween, recurrenceDates, toLocalDate } from "../utils/time.js";
+
+// One series covers 2 to this many sessions, ending within the horizon
+export const MAX_SERIES_OCCURRENCES = 26;
+export const MAX_SERIES_DAYS_AHEAD = 26 * 7;
+
+/**
+ * Accept a field for weekly rules only
+ * @param {object} schema - Field schema for weekly rules
+ * @returns {object} Conditional schema
+ */
+const weeklyOnly = (schema) =>
+  Joi.when("frequency", {
+    is: RecurrenceFrequency.WEEKLY,
+    then: schema,
+    otherwise: Joi.forbidden(),
+  });
+
+// WEEKLY: daysOfWeek every `interval` weeks from startDate, until a date
+// or for `count` sessions. CUSTOM: an explicit list of dates.
+const recurrence = Joi.object({
+  frequency: Joi.string()
+    .valid(...Object.values(RecurrenceFrequency))
+    .required(),
+  interval: weeklyOnly(Joi.number().integer().min(1).max(4).default(1)),
+  daysOfWeek: weeklyOnly(
+    Joi.array()
+      .items(Joi.number().integer().min(0).max(6))
+      .unique()
+      .min(1)
+      .required()
+  ),
+  startDate: weeklyOnly(date.required()),
+  until: weeklyOnly(date),
+  count: weeklyOnly(Joi.number().integer().min(2).max(MAX_SERIES_OCCURRENCES)),
+  dates: Joi.when("frequency", {
+    is: RecurrenceFrequency.CUSTOM,
+    then: Joi.array()
+      .items(date)
+      .unique()
+      .min(2)
+      .max(MAX_SERIES_OCCURRENCES)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+})
+  .oxor("until", "count")
+  .custom((value, helpers) =>
+    value.frequency === RecurrenceFrequency.WEEKLY &&
+    !value.until &&
+    !value.count
+      ? helpers.error("recurrence.end")
+      : value
+  )
+  .messages({
+    "recurrence.end": "Weekly series need either until or count",
+    "object.oxor": "Give either until or count, not both",
+  });
+
+// POST /api/booking-series
+export const create = {
+  body: Joi.object({
+    tutorId: id.required(),
+    recurrence: recurrence.required(),
+    startTime: time.required(),
+    duration: duration.default(60),
+    subjectId: id,
+    location: Joi.string().trim().max(255).allow(""),
+    notes: Joi.string().trim().max(1000).allow(""),
+  })
+    .custom((value, helpers) => {
+      const dates = recurrenceDates(value.recurrence, MAX_SERIES_OCCURRENCES);
+
+      if (dates.length < 2) return helpers.error("series.short");
+      if (dates.length > MAX_SERIES_OCCURRENCES) {
+        return helpers.error("series.long");
+      }
+      if (
+        daysBetween(toLocalDate(), dates[dates.length - 1]) >
+        MAX_SERIES_DAYS_AHEAD
+      ) {
+        return helpers.error("series.far");
+      }
+
+      return sessionStartError(dates[0], value.startTime, helpers) ?? value;
+    })
+    .messages({
+      ...sessionStartMessages,
+      "series.short": "A series needs at least 2 sessions",
+      "series.long": `A series can have up to ${MAX_SERIES_OCCURRENCES} sessions`,
+      "series.far": `A series must end within ${MAX_SERIES_DAYS_AHEAD} days`,
+    }),
+};
+
+// GET /api/booking-series
+export const list = {
+  query: Joi.object({
+    ...pagination,
+  }),
+};
+
+export const seriesId = {
+  params: idParam,
+};
+
+// PATCH /api/booking-series/:id (tutor answers the whole series)
+export const respond = {
+  params: idParam,
+  body: Joi.object({
+    status: Joi.string()
+      .valid(BookingStatus.ACCEPTED, BookingStatus.REJECTED)
+      .required(),
+    note,
+  }),
+};
+
+// DELETE /api/booking-series/:id
+export const cancel = {
+  params: idParam,
+  body: Joi.object({
+    reason: note,
+  }),
+};
+
+const occurrenceParams = Joi.object({
+  id: id.required(),
+  bookingId: id.required(),
+});
+
+// "this" occurrence only, or it and every later one
+const scope = Joi.string().valid("this", "following").default("this");
+
+// POST /api/booking-series/:id/occurrences/:bookingId/skip and /cancel
+export const changeOccurrence = {
+  params: occurrenceParams,
+  body: Joi.object({
+    scope,
+    reason: note,
+  }),
+};
+
+// POST /api/booking-series/:id/occurrences/:bookingId/reschedule
+export const rescheduleOccurrence = {
+  params: occurrenceParams,
+  body: Joi.object({
+    scope,
+    date: date.required(),
+    startTime: time.required(),
+    duration,
+    reason: note,
+  })
+    .custom(
+      (value, helpers) =>
+        sessionStartError(value.date, value.startTime, helpers) ?? value
+    )
+    .messages(sessionStartMessages),
+};
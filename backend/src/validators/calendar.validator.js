@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+// GET /api/calendar/:token.ics
+export const feed = {
+  params: Joi.object({
+    // 24 random bytes, base64url
+    token: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{32}$/)
+      .required()
+      .messages({ "string.pattern.base": "Invalid calendar token" }),
+  }),
+};
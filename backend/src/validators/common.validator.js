@@ -0,0 +1,107 @@
+import Joi from "joi";
+import { normalizePakistaniPhone } from "../utils/phone.js";
+import { SUPPORTED_LOCALES } from "../utils/emailTemplates.js";
+import { isValidDate, isValidTime } from "../utils/time.js";
+
+/**
+ * Shared field schemas reused by route validators
+ */
+
+export const email = Joi.string()
+  .trim()
+  .email({ tlds: { allow: false } })
+  .max(255);
+
+/**
+ * Pakistani mobile number, normalized to +923XXXXXXXXX
+ */
+export const pakistaniPhone = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const normalized = normalizePakistaniPhone(value);
+    return normalized || helpers.error("phone.invalid");
+  })
+  .messages({
+    "phone.invalid":
+      "{{#label}} must be a valid Pakistani mobile number (e.g. 03001234567)",
+  });
+
+/**
+ * Password policy: 8-72 characters (bcrypt only uses the first 72 bytes),
+ * at least one letter and one number
+ */
+export const password = Joi.string()
+  .min(8)
+  .max(72)
+  .pattern(/[A-Za-z]/, "letter")
+  .pattern(/\d/, "number")
+  .messages({
+    "string.pattern.name": "{{#label}} must contain at least one {{#name}}",
+  });
+
+export const otp = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "{{#label}} must be a 6-digit code" });
+
+/**
+ * Roles a user can pick at signup (ADMIN is never self-assigned)
+ */
+export const signupRole = Joi.string().valid("TUTOR", "STUDENT").messages({
+  "any.only": "{{#label}} must be TUTOR or STUDENT",
+});
+
+/**
+ * Preferred language for emails and notifications
+ */
+export const locale = Joi.string().valid(...SUPPORTED_LOCALES);
+
+/**
+ * Record IDs (cuid)
+ */
+export const id = Joi.string()
+  .trim()
+  .max(64)
+  .pattern(/^[a-z0-9]+$/i);
+
+export const idParam = Joi.object({
+  id: id.required(),
+});
+
+/**
+ * "YYYY-MM-DD" calendar date in Pakistan time
+ */
+export const localDate = Joi.string()
+  .trim()
+  .custom((value, helpers) =>
+    isValidDate(value) ? value : helpers.error("date.format")
+  )
+  .messages({
+    "date.format": "{{#label}} must be a date in YYYY-MM-DD format",
+  });
+
+/**
+ * "HH:MM" time of day in Pakistan time (24:00 allowed as end of day)
+ */
+export const localTime = Joi.string()
+  .trim()
+  .custom((value, helpers) =>
+    isValidTime(value) ? value : helpers.error("time.invalid")
+  )
+  .messages({ "time.invalid": "{{#label}} must be a time in HH:MM format" });
+
+/**
+ * Page-based pagination query (?page=1&limit=20)
+ */
+export const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+};
+
+/**
+ * Email-or-phone identifier used by OTP, login and recovery endpoints
+ */
+export const identifier = {
+  email,
+  phone: pakistaniPhone,
+};
@@ -0,0 +1,20 @@
+import Joi from "joi";
+import { id, pagination } from "./common.validator.js";
+
+export const addFavorite = {
+  body: Joi.object({
+    tutorId: id.required(),
+  }),
+};
+
+export const removeFavorite = {
+  params: Joi.object({
+    tutorId: id.required(),
+  }),
+};
+
+export const listFavorites = {
+  query: Joi.object({
+    ...pagination,
+  }),
+};
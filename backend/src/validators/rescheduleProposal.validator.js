@@ -0,0 +1,77 @@
+import Joi from "joi";
+import {
+  id,
+  idParam,
+  localDate as date,
+  localTime as time,
+} from "./common.validator.js";
+import {
+  note,
+  sessionStartError,
+  sessionStartMessages,
+} from "./booking.validator.js";
+
+// Alternatives offered in one proposal
+export const MAX_PROPOSAL_OPTIONS = 3;
+
+const options = Joi.array()
+  .items(
+    Joi.object({
+      date: date.required(),
+      startTime: time.required(),
+    })
+      .custom(
+        (value, helpers) =>
+          sessionStartError(value.date, value.startTime, helpers) ?? value
+      )
+      .messages(sessionStartMessages)
+  )
+  .min(1)
+  .max(MAX_PROPOSAL_OPTIONS)
+  .unique((a, b) => a.date === b.date && a.startTime === b.startTime)
+  .required();
+
+const proposalParams = Joi.object({
+  id: id.required(),
+  proposalId: id.required(),
+});
+
+export const bookingId = {
+  params: idParam,
+};
+
+// POST /api/bookings/:id/reschedule
+export const propose = {
+  params: idParam,
+  body: Joi.object({ options, note }),
+};
+
+// POST /api/bookings/:id/reschedule/:proposalId/accept
+export const accept = {
+  params: proposalParams,
+  body: Joi.object({
+    option: Joi.number()
+      .integer()
+      .min(0)
+      .max(MAX_PROPOSAL_OPTIONS - 1)
+      .default(0),
+    note,
+  }),
+};
+
+// POST /api/bookings/:id/reschedule/:proposalId/decline
+export const decline = {
+  params: proposalParams,
+  body: Joi.object({ note }),
+};
+
+// POST /api/bookings/:id/reschedule/:proposalId/counter
+export const counter = {
+  params: proposalParams,
+  body: Joi.object({ options, note }),
+};
+
+// DELETE /api/bookings/:id/reschedule/:proposalId
+export const proposalId = {
+  params: proposalParams,
+};
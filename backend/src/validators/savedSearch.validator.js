@@ -0,0 +1,34 @@
+import Joi from "joi";
+import { idParam } from "./common.validator.js";
+import { search } from "./tutor.validator.js";
+
+const name = Joi.string().trim().min(1).max(100);
+
+// Same filters as GET /api/tutors; paging and ordering are not saved
+const filters = search.query.fork(
+  ["sort", "cursor", "limit", "incomplete"],
+  (schema) => schema.strip()
+);
+
+export const createSavedSearch = {
+  body: Joi.object({
+    name: name.required(),
+    filters: filters.required(),
+    alertsEnabled: Joi.boolean(),
+  }),
+};
+
+export const updateSavedSearch = {
+  params: idParam,
+  body: Joi.object({
+    name,
+    filters,
+    alertsEnabled: Joi.boolean(),
+  })
+    .min(1)
+    .messages({ "object.min": "At least one field is required" }),
+};
+
+export const savedSearchId = {
+  params: idParam,
+};
@@ -0,0 +1,40 @@
+import Joi from "joi";
+import { SubjectLevel } from "@prisma/client";
+import { id, idParam } from "./common.validator.js";
+
+const name = Joi.string().trim().min(2).max(100);
+const level = Joi.string().valid(...Object.values(SubjectLevel));
+const aliases = Joi.array().items(Joi.string().trim().min(1).max(100)).max(20);
+
+export const listSubjects = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100),
+    level,
+  }),
+};
+
+export const createSubject = {
+  body: Joi.object({
+    name: name.required(),
+    level: level.required(),
+    aliases,
+  }),
+};
+
+export const updateSubject = {
+  params: idParam,
+  body: Joi.object({ name, level, aliases })
+    .min(1)
+    .messages({ "object.min": "At least one field is required" }),
+};
+
+export const subjectId = {
+  params: idParam,
+};
+
+export const mergeSubject = {
+  params: idParam,
+  body: Joi.object({
+    targetId: id.required(),
+  }),
+};
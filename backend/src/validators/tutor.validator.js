@@ -0,0 +1,200 @@
+import Joi from "joi";
+import { TeachingMethod, SubjectLevel } from "@prisma/client";
+import { id, idParam } from "./common.validator.js";
+import { isInServiceArea, SERVICE_AREA } from "../utils/geo.js";
+
+export const BIO_MAX_WORDS = 500;
+const MAX_SUBJECTS = 20;
+export const MAX_TRIAL_DURATION = 60;
+// Longest free-cancellation window a tutor can offer (one week)
+const MAX_FREE_CANCEL_HOURS = 168;
+
+/**
+ * Count words in free text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+const GENDERS = ["MALE", "FEMALE", "OTHER"];
+
+const bio = Joi.string()
+  .trim()
+  .allow("", null)
+  .max(5000)
+  .custom((value, helpers) =>
+    value && countWords(value) > BIO_MAX_WORDS
+      ? helpers.error("bio.words")
+      : value
+  )
+  .messages({
+    "bio.words": `{{#label}} must not exceed ${BIO_MAX_WORDS} words`,
+  });
+
+const rate = Joi.number().min(0).max(1000000).precision(2).allow(null);
+const percent = Joi.number().integer().min(0).max(100);
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+
+/**
+ * Reject coordinates outside the region the platform serves
+ * @param {string} latKey - Latitude field
+ * @param {string} lngKey - Longitude field
+ * @returns {Function} Joi custom validator for the parent object
+ */
+const withinServiceArea = (latKey, lngKey) => (value, helpers) => {
+  const lat = value[latKey];
+  const lng = value[lngKey];
+
+  if (
+    typeof lat === "number" &&
+    typeof lng === "number" &&
+    !isInServiceArea({ latitude: lat, longitude: lng })
+  ) {
+    return helpers.error("location.outside");
+  }
+
+  return value;
+};
+
+const locationMessages = {
+  "location.outside": `Location must be within ${SERVICE_AREA.radiusKm} km of Peshawar`,
+  "object.and":
+    "{{#presentWithLabels}} must be sent together with {{#missingWithLabels}}",
+};
+
+/**
+ * Editable profile fields; PUT/POST require name, PATCH requires nothing
+ */
+const profileFields = {
+  name: Joi.string().trim().min(2).max(100),
+  bio,
+  gender: Joi.string()
+    .valid(...GENDERS)
+    .allow(null),
+  qualification: Joi.string().trim().max(200).allow("", null),
+  experienceYears: Joi.number().integer().min(0).max(70).allow(null),
+  // Free text is matched against the area gazetteer when areaId is absent
+  location: Joi.string().trim().max(100).allow("", null),
+  areaId: id.allow(null),
+  latitude: latitude.allow(null),
+  longitude: longitude.allow(null),
+  address: Joi.string().trim().max(255).allow("", null),
+  teachingMethod: Joi.array()
+    .items(Joi.string().valid(...Object.values(TeachingMethod)))
+    .unique()
+    .min(1),
+  hourlyRate: rate,
+  monthlyRate: rate,
+  // Trial sessions: one per student, with their own length and price (null = free)
+  trialEnabled: Joi.boolean(),
+  trialDuration: Joi.number()
+    .integer()
+    .min(15)
+    .max(MAX_TRIAL_DURATION)
+    .multiple(15),
+  trialRate: rate,
+  // Cancellation policy: free until this many hours before the session,
+  // then a share of the price; missed sessions cost their own share
+  freeCancelHours: Joi.number().integer().min(0).max(MAX_FREE_CANCEL_HOURS),
+  lateCancelFeePercent: percent,
+  noShowFeePercent: percent,
+  subjectIds: Joi.array().items(id).unique().max(MAX_SUBJECTS),
+};
+
+// POST /me and PUT /me (full profile)
+export const saveProfile = {
+  body: Joi.object({
+    ...profileFields,
+    name: profileFields.name.required(),
+  })
+    .and("latitude", "longitude")
+    .custom(withinServiceArea("latitude", "longitude"))
+    .messages(locationMessages),
+};
+
+// PATCH /me (partial update)
+export const patchProfile = {
+  body: Joi.object(profileFields)
+    .min(1)
+    .and("latitude", "longitude")
+    .custom(withinServiceArea("latitude", "longitude"))
+    .messages({
+      ...locationMessages,
+      "object.min": "At least one field is required",
+    }),
+};
+
+export const tutorId = {
+  params: idParam,
+};
+
+export const MAX_RADIUS_KM = 50;
+
+// GET /api/tutors (repeated keys give lists: ?location=A&location=B)
+// Distance search needs a centre: lat+lng (e.g. device location) or nearArea
+export const search = {
+  query: Joi.object({
+    q: Joi.string().trim().min(2).max(100),
+    subjectId: Joi.array().items(id).single().max(20),
+    level: Joi.string().valid(...Object.values(SubjectLevel)),
+    location: Joi.array().items(Joi.string().trim().max(100)).single().max(20),
+    areaId: Joi.array().items(id).single().max(20),
+    lat: latitude,
+    lng: longitude,
+    nearArea: id,
+    radiusKm: Joi.number().min(0.5).max(MAX_RADIUS_KM),
+    priceType: Joi.string().valid("hourly", "monthly").default("hourly"),
+    minRate: Joi.number().min(0),
+    maxRate: Joi.number()
+      .min(0)
+      .when("minRate", {
+        is: Joi.exist(),
+        then: Joi.number().min(Joi.ref("minRate")),
+      })
+      .messages({ "number.min": "maxRate must not be below minRate" }),
+    teachingMethod: Joi.array()
+      .items(Joi.string().valid(...Object.values(TeachingMethod)))
+      .single(),
+    gender: Joi.string().valid(...GENDERS),
+    minRating: Joi.number().min(0).max(5),
+    minExperience: Joi.number().integer().min(0),
+    verified: Joi.boolean(),
+    // Where profiles below COMPLETE_SCORE go in the results
+    incomplete: Joi.string().valid("demote", "hide", "show").default("demote"),
+    sort: Joi.string()
+      .valid(
+        "rating",
+        "price_asc",
+        "price_desc",
+        "experience",
+        "newest",
+        "distance"
+      )
+      .default("rating"),
+    cursor: id,
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  })
+    .and("lat", "lng")
+    .oxor("lat", "nearArea")
+    .custom(withinServiceArea("lat", "lng"))
+    .custom((value, helpers) => {
+      const hasCenter = value.lat !== undefined || value.nearArea !== undefined;
+      if (
+        !hasCenter &&
+        (value.radiusKm !== undefined || value.sort === "distance")
+      ) {
+        return helpers.error("location.center");
+      }
+      return value;
+    })
+    .messages({
+      ...locationMessages,
+      "location.center":
+        "radiusKm and sort=distance need lat and lng or nearArea",
+      "object.oxor": "Use either lat/lng or nearArea, not both",
+    }),
+};
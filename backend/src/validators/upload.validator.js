@@ -0,0 +1,25 @@
+import Joi from "joi";
+import { UploadKind } from "@prisma/client";
+import { idParam } from "./common.validator.js";
+
+const label = Joi.string().trim().max(100).allow("");
+
+// POST /gallery (multipart: image + optional caption)
+export const galleryImage = {
+  body: Joi.object({ label }),
+};
+
+// POST /documents (multipart: document + name, e.g. "BSc degree")
+export const document = {
+  body: Joi.object({ label: label.required() }),
+};
+
+export const listUploads = {
+  query: Joi.object({
+    kind: Joi.string().valid(...Object.values(UploadKind)),
+  }),
+};
+
+export const uploadId = {
+  params: idParam,
+};
@@ -0,0 +1,60 @@
+import Joi from "joi";
+import { VerificationDocumentType, VerificationStatus } from "@prisma/client";
+import { id, idParam, pagination } from "./common.validator.js";
+
+const note = Joi.string().trim().max(1000);
+
+// POST /api/tutors/me/verification
+export const submit = {
+  body: Joi.object({
+    documents: Joi.array()
+      .items(
+        Joi.object({
+          uploadId: id.required(),
+          type: Joi.string()
+            .valid(...Object.values(VerificationDocumentType))
+            .required(),
+        })
+      )
+      .min(1)
+      .max(10)
+      .unique("uploadId")
+      .required()
+      .messages({
+        "array.unique": "Each document can only be attached once",
+      }),
+    note: note.allow(""),
+  }),
+};
+
+// GET /api/admin/verifications
+export const queue = {
+  query: Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(VerificationStatus))
+      .default(VerificationStatus.PENDING),
+    ...pagination,
+  }),
+};
+
+export const tutorId = {
+  params: idParam,
+};
+
+// POST /api/admin/tutors/:id/verify
+export const review = {
+  params: idParam,
+  body: Joi.object({
+    action: Joi.string()
+      .valid("approve", "reject", "request_info", "revoke")
+      .required(),
+    // The tutor is told why, so anything but an approval needs a reason
+    note: Joi.when("action", {
+      is: "approve",
+      then: note.allow(""),
+      otherwise: note.required().messages({
+        "any.required": "note is required unless the action is approve",
+      }),
+    }),
+  }),
+};
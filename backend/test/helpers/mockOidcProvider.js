@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+
+/**
+ * Local OIDC provider for tests
+ *
+ * Serves discovery, an authorization endpoint that redirects straight back
+ * with a code, a token endpoint that checks PKCE and returns an ID token,
+ * and a Graph-style /me endpoint so plain OAuth2 providers can point at it
+ * too. Claims for the next login are set with setUser().
+ * @param {object} options - Provider options
+ * @param {string} options.clientId - Client ID accepted by the token endpoint
+ * @param {string} options.clientSecret - Client secret accepted by the token endpoint
+ * @returns {Promise<object>} { issuer, setUser, close }
+ */
+export async function startMockOidcProvider({ clientId, clientSecret }) {
+  const codes = new Map();
+  let user = {};
+  let issuer = "";
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {object} body - Body
+   */
+  const sendJSON = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  /**
+   * Read a form-encoded request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<URLSearchParams>} Parsed body
+   */
+  const readForm = async (req) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    return new URLSearchParams(body);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJSON(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/me`,
+      });
+    }
+
+    if (url.pathname === "/authorize") {
+      const code = crypto.randomBytes(12).toString("hex");
+      codes.set(code, {
+        user,
+        nonce: url.searchParams.get("nonce"),
+        codeChallenge: url.searchParams.get("code_challenge"),
+        redirectUri: url.searchParams.get("redirect_uri"),
+      });
+
+      const redirect = new URL(url.searchParams.get("redirect_uri"));
+      redirect.searchParams.set("code", code);
+      redirect.searchParams.set("state", url.searchParams.get("state"));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readForm(req);
+      const grant = codes.get(form.get("code"));
+      codes.delete(form.get("code"));
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") || "")
+        .digest("base64url");
+
+      if (
+        !grant ||
+        form.get("client_id") !== clientId ||
+        form.get("client_secret") !== clientSecret ||
+        form.get("redirect_uri") !== grant.redirectUri ||
+        challenge !== grant.codeChallenge
+      ) {
+        return sendJSON(res, 400, { error: "invalid_grant" });
+      }
+
+      const accessToken = crypto.randomBytes(12).toString("hex");
+      codes.set(accessToken, grant);
+
+      return sendJSON(res, 200, {
+        access_token: accessToken,
+        token_type: "Bearer",
+        id_token: jwt.sign(
+          {
+            iss: issuer,
+            aud: clientId,
+            sub: grant.user.sub,
+            email: grant.user.email,
+            email_verified: grant.user.emailVerified,
+            name: grant.user.name,
+            ...(grant.nonce && { nonce: grant.nonce }),
+            ...grant.user.claims,
+          },
+          "mock-provider-key",
+          { expiresIn: "5m" }
+        ),
+      });
+    }
+
+    if (url.pathname === "/me") {
+      const grant = codes.get(
+        (req.headers.authorization || "").replace(/^Bearer /, "")
+      );
+
+      if (!grant) return sendJSON(res, 401, { error: "invalid_token" });
+
+      return sendJSON(res, 200, {
+        id: grant.user.sub,
+        email: grant.user.email,
+        name: grant.user.name,
+      });
+    }
+
+    return sendJSON(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+
+    /**
+     * Identity returned by the next login
+     * @param {{sub: string, email?: string, emailVerified?: boolean, name?: string, claims?: object}} next - User; claims override ID token claims
+     */
+    setUser(next) {
+      user = next;
+    },
+
+    close() {
+      const closed = new Promise((resolve) => server.close(resolve));
+      // fetch keeps connections alive, which would hold the server open
+      server.closeAllConnections();
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,29 @@
+import { prisma } from "../../src/config/database.js";
+
+/**
+ * Replace Prisma model delegates with in-test fakes
+ * Only the methods a test provides exist, so an unexpected query fails
+ * loudly instead of reaching a database.
+ * @param {Object<string, object>} models - Fake delegates keyed by model name (e.g. { user: { findUnique } })
+ * @returns {() => void} Restores the real delegates
+ */
+export function stubPrisma(models) {
+  const originals = Object.keys(models).map((name) => [
+    name,
+    Object.getOwnPropertyDescriptor(prisma, name),
+  ]);
+
+  for (const [name, fake] of Object.entries(models)) {
+    Object.defineProperty(prisma, name, { value: fake, configurable: true });
+  }
+
+  return () => {
+    for (const [name, descriptor] of originals) {
+      if (descriptor) {
+        Object.defineProperty(prisma, name, descriptor);
+      } else {
+        delete prisma[name];
+      }
+    }
+  };
+}
@@ -0,0 +1,236 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startMockOidcProvider } from "./helpers/mockOidcProvider.js";
+import { stubPrisma } from "./helpers/prismaStub.js";
+import {
+  createAuthorizationRequest,
+  handleOAuthCallback,
+} from "../src/services/oauth.service.js";
+
+const CLIENT = { clientId: "test-client", clientSecret: "test-secret" };
+
+const existingUser = {
+  id: "user-1",
+  email: "student@example.com",
+  phone: null,
+  role: "STUDENT",
+  verified: true,
+  phoneVerified: false,
+  active: true,
+  locale: "en",
+  createdAt: new Date("2026-01-01"),
+};
+
+let provider;
+let restore = () => {};
+
+/**
+ * Fake the tables touched by a social login
+ * @param {object|null} userWithEmail - Account already registered with the provider email
+ * @returns {{linked: Array<object>, updates: Array<object>}} Linked accounts created and user updates made during the test
+ */
+function stubAccounts(userWithEmail) {
+  const linked = [];
+  const updates = [];
+
+  restore = stubPrisma({
+    linkedAccount: {
+      findUnique: async () => null,
+      create: async ({ data }) => {
+        linked.push(data);
+        return { id: `linked-${linked.length}`, ...data };
+      },
+    },
+    user: {
+      findUnique: async ({ where }) =>
+        userWithEmail && where.email === userWithEmail.email
+          ? { ...userWithEmail }
+          : null,
+      update: async ({ data }) => {
+        updates.push(data);
+        return { ...userWithEmail, ...data };
+      },
+    },
+    session: {
+      create: async ({ data }) => ({ id: "session-1", ...data }),
+      update: async ({ data }) => ({ id: "session-1", ...data }),
+    },
+    loginAttempt: { create: async ({ data }) => data },
+  });
+
+  return { linked, updates };
+}
+
+/**
+ * Run the browser part of a login against the mock provider
+ * @param {string} providerName - google or facebook
+ * @returns {Promise<{code: string, state: string, stateToken: string}>} Callback params
+ */
+async function authorize(providerName) {
+  const { url, stateToken } = await createAuthorizationRequest(providerName);
+  const response = await fetch(url, { redirect: "manual" });
+  const callback = new URL(response.headers.get("location"));
+
+  return {
+    code: callback.searchParams.get("code"),
+    state: callback.searchParams.get("state"),
+    stateToken,
+  };
+}
+
+describe("social login against a mock OIDC provider", () => {
+  before(async () => {
+    provider = await startMockOidcProvider(CLIENT);
+
+    process.env.JWT_SECRET = "test-jwt-secret";
+    process.env.GOOGLE_ISSUER = provider.issuer;
+    process.env.GOOGLE_CLIENT_ID = CLIENT.clientId;
+    process.env.GOOGLE_CLIENT_SECRET = CLIENT.clientSecret;
+    process.env.FACEBOOK_AUTH_URL = `${provider.issuer}/authorize`;
+    process.env.FACEBOOK_TOKEN_URL = `${provider.issuer}/token`;
+    process.env.FACEBOOK_USERINFO_URL = `${provider.issuer}/me`;
+    process.env.FACEBOOK_CLIENT_ID = CLIENT.clientId;
+    process.env.FACEBOOK_CLIENT_SECRET = CLIENT.clientSecret;
+  });
+
+  afterEach(() => restore());
+
+  after(() => provider.close());
+
+  it("asks a new user to pick a role and keeps the verified email", async () => {
+    stubAccounts(null);
+    provider.setUser({
+      sub: "google-1",
+      email: "New@Example.com",
+      emailVerified: true,
+      name: "New Student",
+    });
+
+    const result = await handleOAuthCallback(
+      "google",
+      await authorize("google")
+    );
+
+    assert.equal(result.status, "role_required");
+    assert.ok(result.signupToken);
+    assert.deepEqual(result.profile, {
+      email: "new@example.com",
+      name: "New Student",
+    });
+  });
+
+  it("links a verified Google email to the existing account", async () => {
+    const { linked } = stubAccounts(existingUser);
+    provider.setUser({
+      sub: "google-2",
+      email: existingUser.email,
+      emailVerified: true,
+    });
+
+    const result = await handleOAuthCallback(
+      "google",
+      await authorize("google")
+    );
+
+    assert.equal(result.status, "authenticated");
+    assert.equal(result.user.id, existingUser.id);
+    assert.equal(result.user.verified, true);
+    assert.ok(result.token);
+    assert.deepEqual(linked, [
+      {
+        userId: existingUser.id,
+        provider: "google",
+        providerAccountId: "google-2",
+        email: existingUser.email,
+      },
+    ]);
+  });
+
+  it("does not link to or verify an unverified password account", async () => {
+    const { linked, updates } = stubAccounts({
+      ...existingUser,
+      verified: false,
+      passwordHash: "attacker-chosen",
+    });
+    provider.setUser({
+      sub: "google-7",
+      email: existingUser.email,
+      emailVerified: true,
+    });
+
+    await assert.rejects(
+      handleOAuthCallback("google", await authorize("google")),
+      { code: "EMAIL_ALREADY_REGISTERED" }
+    );
+    assert.equal(linked.length, 0);
+    assert.deepEqual(updates, []);
+  });
+
+  it("does not link an unverified Google email", async () => {
+    const { linked } = stubAccounts(existingUser);
+    provider.setUser({
+      sub: "google-3",
+      email: existingUser.email,
+      emailVerified: false,
+    });
+
+    await assert.rejects(
+      handleOAuthCallback("google", await authorize("google")),
+      { code: "EMAIL_ALREADY_REGISTERED" }
+    );
+    assert.equal(linked.length, 0);
+  });
+
+  it("never links on a Facebook email", async () => {
+    const { linked } = stubAccounts(existingUser);
+    provider.setUser({ sub: "facebook-1", email: existingUser.email });
+
+    await assert.rejects(
+      handleOAuthCallback("facebook", await authorize("facebook")),
+      { code: "EMAIL_ALREADY_REGISTERED" }
+    );
+    assert.equal(linked.length, 0);
+  });
+
+  it("rejects an ID token issued to another client", async () => {
+    stubAccounts(null);
+    provider.setUser({
+      sub: "google-4",
+      email: "other@example.com",
+      emailVerified: true,
+      claims: { aud: "someone-else" },
+    });
+
+    await assert.rejects(
+      handleOAuthCallback("google", await authorize("google")),
+      { code: "INVALID_ID_TOKEN" }
+    );
+  });
+
+  it("rejects an ID token with the wrong nonce", async () => {
+    stubAccounts(null);
+    provider.setUser({
+      sub: "google-5",
+      email: "other@example.com",
+      emailVerified: true,
+      claims: { nonce: "replayed" },
+    });
+
+    await assert.rejects(
+      handleOAuthCallback("google", await authorize("google")),
+      { code: "INVALID_ID_TOKEN" }
+    );
+  });
+
+  it("rejects a callback whose state does not match", async () => {
+    stubAccounts(null);
+    provider.setUser({ sub: "google-6" });
+
+    const params = await authorize("google");
+
+    await assert.rejects(
+      handleOAuthCallback("google", { ...params, state: "forged" }),
+      { code: "INVALID_OAUTH_STATE" }
+    );
+  });
+});
@@ -0,0 +1,255 @@
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { stubPrisma } from "./helpers/prismaStub.js";
+import { setStorage } from "../src/utils/storage.js";
+import {
+  addDocument,
+  addGalleryImage,
+  readUploadFile,
+  setProfilePhoto,
+} from "../src/services/upload.service.js";
+
+const OWNER = { userId: "tutor-user", role: "TUTOR" };
+const PDF = Buffer.from("%PDF-1.4\n1 0 obj\n<<>>\nendobj\n%%EOF\n");
+
+let uploadDir;
+let uploads;
+let photoUrl;
+let restore = () => {};
+
+/**
+ * Multer-style file
+ * @param {Buffer} buffer - Content
+ * @param {string} originalname - Client file name
+ * @param {string} mimetype - Client-declared type (ignored by the service)
+ * @returns {object} File
+ */
+function file(buffer, originalname, mimetype) {
+  return { buffer, size: buffer.length, originalname, mimetype };
+}
+
+/**
+ * Small PNG generated on the fly
+ * @param {string} background - Fill colour
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+function png(background) {
+  return sharp({
+    create: { width: 40, height: 40, channels: 3, background },
+  })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * List every file under the upload directory
+ * @returns {Promise<string[]>} Paths relative to the directory
+ */
+async function storedFiles() {
+  const entries = await fs.readdir(uploadDir, { recursive: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const stats = await fs.stat(path.join(uploadDir, entry));
+    if (stats.isFile()) files.push(entry);
+  }
+
+  return files;
+}
+
+describe("uploads on local storage", () => {
+  before(async () => {
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.UPLOAD_DIR = uploadDir;
+    setStorage(null);
+  });
+
+  beforeEach(async () => {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+    await fs.mkdir(uploadDir);
+
+    uploads = new Map();
+    photoUrl = null;
+    let sequence = 0;
+    let lock = Promise.resolve();
+
+    const upload = {
+      create: async ({ data }) => {
+        sequence += 1;
+        const row = {
+          id: `upload-${sequence}`,
+          createdAt: new Date(Date.now() + sequence),
+          ...data,
+        };
+        uploads.set(row.id, row);
+        return { ...row };
+      },
+      findUnique: async ({ where }) =>
+        uploads.has(where.id) ? { ...uploads.get(where.id) } : null,
+      count: async ({ where }) =>
+        [...uploads.values()].filter(
+          (row) => row.ownerId === where.ownerId && row.kind === where.kind
+        ).length,
+      findMany: async ({ where }) =>
+        [...uploads.values()]
+          .filter(
+            (row) => row.ownerId === where.ownerId && row.kind === where.kind
+          )
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .map((row) => ({ ...row })),
+      deleteMany: async ({ where }) => {
+        where.id.in.forEach((id) => uploads.delete(id));
+        return { count: where.id.in.length };
+      },
+    };
+    const tutorProfile = {
+      findUnique: async ({ where }) =>
+        where.userId === OWNER.userId ? { id: "profile-1" } : null,
+      update: async ({ data }) => {
+        photoUrl = data.photoUrl;
+        return { id: "profile-1", ...data };
+      },
+    };
+
+    restore = stubPrisma({
+      upload,
+      tutorProfile,
+      // Transactions run one at a time, like under the advisory lock
+      $transaction: async (callback) => {
+        const run = lock.then(() =>
+          callback({ upload, tutorProfile, $executeRaw: async () => 1 })
+        );
+        lock = run.catch(() => {});
+        return run;
+      },
+    });
+  });
+
+  afterEach(() => restore());
+
+  after(async () => {
+    setStorage(null);
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it("rejects a document whose bytes are not a PDF or image", async () => {
+    await assert.rejects(
+      addDocument(
+        OWNER.userId,
+        file(Buffer.from("#!/bin/sh\necho hi\n"), "cv.pdf", "application/pdf")
+      ),
+      { statusCode: 415, code: "UNSUPPORTED_FILE_TYPE" }
+    );
+    assert.equal(uploads.size, 0);
+  });
+
+  it("rejects a PDF sent as a profile photo despite an image name", async () => {
+    await assert.rejects(
+      setProfilePhoto(OWNER.userId, file(PDF, "me.png", "image/png")),
+      { statusCode: 415, code: "UNSUPPORTED_FILE_TYPE" }
+    );
+    assert.equal(uploads.size, 0);
+  });
+
+  it("stores documents privately without a public URL", async () => {
+    const document = await addDocument(
+      OWNER.userId,
+      file(PDF, "degree.pdf", "application/pdf"),
+      { label: "BSc degree" }
+    );
+
+    assert.equal(document.isPrivate, true);
+    assert.equal(document.url, null);
+    assert.equal(document.mimeType, "application/pdf");
+
+    const files = await storedFiles();
+    assert.equal(files.length, 1);
+    assert.ok(files[0].startsWith(`private${path.sep}`));
+  });
+
+  it("lets only the owner and admins read a private document", async () => {
+    const document = await addDocument(
+      OWNER.userId,
+      file(PDF, "degree.pdf", "application/pdf"),
+      { label: "BSc degree" }
+    );
+
+    const asOwner = await readUploadFile(document.id, OWNER);
+    assert.deepEqual(asOwner.buffer, PDF);
+    assert.equal(asOwner.fileName, "BSc degree.pdf");
+
+    const asAdmin = await readUploadFile(document.id, {
+      userId: "admin-user",
+      role: "ADMIN",
+    });
+    assert.deepEqual(asAdmin.buffer, PDF);
+
+    await assert.rejects(
+      readUploadFile(document.id, { userId: "student-user", role: "STUDENT" }),
+      { statusCode: 403, code: "UPLOAD_FORBIDDEN" }
+    );
+  });
+
+  it("keeps exactly one profile photo when uploads race", async () => {
+    const [red, blue] = await Promise.all([png("#ff0000"), png("#0000ff")]);
+
+    await Promise.all([
+      setProfilePhoto(OWNER.userId, file(red, "red.png", "image/png")),
+      setProfilePhoto(OWNER.userId, file(blue, "blue.png", "image/png")),
+    ]);
+
+    const photos = [...uploads.values()];
+    assert.equal(photos.length, 1);
+    assert.equal(photoUrl, photos[0].url);
+
+    // Only the kept photo's original and its two variants remain on disk
+    const files = await storedFiles();
+    assert.equal(files.length, 3);
+    assert.ok(
+      files.every((name) => name.includes(path.dirname(photos[0].key)))
+    );
+  });
+
+  it("never lets parallel uploads overfill the gallery", async () => {
+    for (let index = 0; index < 11; index += 1) {
+      uploads.set(`existing-${index}`, {
+        id: `existing-${index}`,
+        ownerId: OWNER.userId,
+        kind: "GALLERY_IMAGE",
+        createdAt: new Date(0),
+      });
+    }
+
+    const images = await Promise.all(
+      ["#ff0000", "#00ff00", "#0000ff"].map((colour) => png(colour))
+    );
+    const results = await Promise.allSettled(
+      images.map((image, index) =>
+        addGalleryImage(
+          OWNER.userId,
+          file(image, `image-${index}.png`, "image/png")
+        )
+      )
+    );
+
+    const added = results.filter((result) => result.status === "fulfilled");
+    const rejected = results.filter((result) => result.status === "rejected");
+
+    assert.equal(added.length, 1);
+    assert.equal(uploads.size, 12);
+    for (const { reason } of rejected) {
+      assert.equal(reason.code, "GALLERY_FULL");
+    }
+
+    // Files of the turned-away uploads are removed again
+    const kept = [...uploads.values()].find((row) => row.key);
+    const files = await storedFiles();
+    assert.ok(files.length > 0);
+    assert.ok(files.every((name) => name.includes(path.dirname(kept.key))));
+  });
+});